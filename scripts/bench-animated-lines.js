@@ -0,0 +1,172 @@
+// CPU cost of animating the radial lines, before and after the animation moved
+// into the vertex shader.
+//
+//   npm run bench:lines -- --frames 300
+//
+// "before" replays the old per-frame JavaScript loop: recompute every endpoint
+// and opacity, flag both buffers for upload and recompute the bounding sphere.
+// "after" is what is left per frame now (four uniform writes) plus the one-off
+// cost of building the static attributes. A JavaScript port of the shader is
+// also checked against the old loop so the two stay visually identical.
+
+import * as THREE from 'three'
+import { buildLineAttributes, LINE_CYCLE } from '../src/lines/animatedLines.js'
+import { createRandom } from '../src/utils/random.js'
+
+const args = process.argv.slice(2)
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`)
+  return index >= 0 && args[index + 1] !== undefined ? Number(args[index + 1]) : fallback
+}
+
+const frames = option('frames', 300)
+const SIZES = [10_000, 100_000]
+const FRAME_DELTA = 1 / 60
+
+const syntheticSegments = (count) => {
+  const random = createRandom(`bench:${count}`)
+  return Array.from({ length: count }, (_, i) => {
+    const angle = random() * Math.PI * 2
+    const ring = i % 40
+    const startR = 0.5 + ring * 0.4 + random() * 0.2
+    const endR = startR + 0.3 + random() * 1.5
+    const z = ring * 0.2
+    return {
+      start: [Math.cos(angle) * startR, Math.sin(angle) * startR, z],
+      end: [Math.cos(angle) * endR, Math.sin(angle) * endR, z],
+      opacity: 0.15 + random() * 0.4,
+      ringIndex: ring
+    }
+  })
+}
+
+// The per-line state and per-frame loop AnimatedLines ran before (replay fading omitted)
+const legacyLineData = (segments, random) => segments.map((seg) => {
+  const startDist = Math.sqrt(seg.start[0] ** 2 + seg.start[1] ** 2)
+  const endDist = Math.sqrt(seg.end[0] ** 2 + seg.end[1] ** 2)
+  const phase = random() * Math.PI * 2
+  return {
+    angle: Math.atan2(seg.start[1], seg.start[0]),
+    ringZ: seg.start[2],
+    startDist,
+    lineLength: endDist - startDist,
+    phase,
+    speed: 0.8 + random() * 0.8,
+    delay: random() * 3,
+    opacity: seg.opacity
+  }
+})
+
+const legacyLine = (data, time) => {
+  const cycleTime = ((time * data.speed) + data.delay) % LINE_CYCLE
+  let progress, fadeOpacity
+  if (cycleTime < 1.5) {
+    progress = cycleTime / 1.5
+    fadeOpacity = Math.min(1, progress * 2)
+  } else if (cycleTime < 2.5) {
+    progress = 1
+    fadeOpacity = 1
+  } else {
+    progress = 1 - ((cycleTime - 2.5) / 1.5)
+    fadeOpacity = progress
+  }
+  const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2
+  return { endDist: data.startDist + data.lineLength * eased, opacity: data.opacity * fadeOpacity }
+}
+
+const legacyFrame = (lineData, positions, opacities, geometry, time) => {
+  for (let i = 0; i < lineData.length; i++) {
+    const data = lineData[i]
+    const { endDist, opacity } = legacyLine(data, time)
+    const cos = Math.cos(data.angle)
+    const sin = Math.sin(data.angle)
+    const posIdx = i * 6
+    positions[posIdx] = cos * data.startDist
+    positions[posIdx + 1] = sin * data.startDist
+    positions[posIdx + 2] = data.ringZ
+    positions[posIdx + 3] = cos * endDist
+    positions[posIdx + 4] = sin * endDist
+    positions[posIdx + 5] = data.ringZ
+    opacities[i * 2] = opacity
+    opacities[i * 2 + 1] = opacity
+  }
+  geometry.getAttribute('position').needsUpdate = true
+  geometry.getAttribute('aOpacity').needsUpdate = true
+  geometry.computeBoundingSphere()
+}
+
+// JavaScript port of AnimatedLineShader's vertex stage for one segment's end vertex
+const shaderLine = ({ line, timing }, i, time) => {
+  const v = (i * 2 + 1) * 4
+  const [, startDist, length] = line.subarray(v, v + 4)
+  const [speed, delay, opacity] = timing.subarray(v, v + 4)
+  const cycle = (time * speed + delay) % LINE_CYCLE
+  let progress, fade
+  if (cycle < 1.5) {
+    progress = cycle / 1.5
+    fade = Math.min(1, progress * 2)
+  } else if (cycle < 2.5) {
+    progress = 1
+    fade = 1
+  } else {
+    progress = 1 - (cycle - 2.5) / 1.5
+    fade = progress
+  }
+  const back = 2 - 2 * progress
+  const eased = progress < 0.5 ? 2 * progress * progress : 1 - back * back / 2
+  return { endDist: startDist + length * eased, opacity: opacity * fade }
+}
+
+const measure = (fn) => {
+  const start = performance.now()
+  for (let f = 0; f < frames; f++) fn(f * FRAME_DELTA)
+  return (performance.now() - start) / frames
+}
+
+const results = []
+for (const count of SIZES) {
+  const segments = syntheticSegments(count)
+
+  // Before
+  const lineData = legacyLineData(segments, createRandom('bench:lines'))
+  const positions = new Float32Array(count * 6)
+  const opacities = new Float32Array(count * 2)
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('aOpacity', new THREE.BufferAttribute(opacities, 1))
+  const before = measure(time => legacyFrame(lineData, positions, opacities, geometry, time))
+
+  // After
+  const setupStart = performance.now()
+  const attributes = buildLineAttributes(segments, createRandom('bench:lines'))
+  const setup = performance.now() - setupStart
+  const uniforms = { uTime: { value: 0 }, uReplay: { value: 0 }, uReplayTime: { value: 0 }, uReplayWindow: { value: 0 } }
+  const after = measure((time) => {
+    uniforms.uTime.value = time
+    uniforms.uReplay.value = 0
+    uniforms.uReplayTime.value = 0
+    uniforms.uReplayWindow.value = 0
+  })
+
+  // Same timings in, same line out (up to float32 storage)
+  let maxError = 0
+  for (let f = 0; f < 240; f += 7) {
+    const time = f * 0.25
+    for (let i = 0; i < count; i += 97) {
+      const a = legacyLine(lineData[i], time)
+      const b = shaderLine(attributes, i, time)
+      maxError = Math.max(maxError, Math.abs(a.endDist - b.endDist), Math.abs(a.opacity - b.opacity))
+    }
+  }
+
+  results.push({
+    segments: count,
+    'before ms/frame': before.toFixed(3),
+    'after ms/frame': after.toFixed(4),
+    'after setup ms (once)': setup.toFixed(1),
+    'max deviation': maxError.toExponential(1)
+  })
+}
+
+console.log(`${frames} frames per run, node ${process.version}`)
+console.table(results)
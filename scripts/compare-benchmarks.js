@@ -0,0 +1,64 @@
+// Differences between two benchmark reports (see src/perf/benchmark.js), per size.
+//
+//   npm run bench:compare -- before.json after.json
+//
+// Reports come from the `?benchmark` mode: its panel's "Download JSON" button, or
+// `window.symphonyBenchmark` when a headless browser drives the page. Numbers are
+// only comparable when both were measured on the same machine, tier and canvas size.
+
+import { readFileSync } from 'node:fs'
+
+const [beforePath, afterPath] = process.argv.slice(2)
+if (!beforePath || !afterPath) {
+  console.error('Usage: npm run bench:compare -- <before.json> <after.json>')
+  process.exit(1)
+}
+
+const read = (path) => JSON.parse(readFileSync(path, 'utf8'))
+const before = read(beforePath)
+const after = read(afterPath)
+
+for (const key of ['version', 'tier']) {
+  if (before[key] !== after[key]) console.warn(`Warning: ${key} differs (${before[key]} vs ${after[key]})`)
+}
+if (before.environment?.renderer !== after.environment?.renderer) {
+  console.warn(`Warning: measured on different GPUs (${before.environment?.renderer} vs ${after.environment?.renderer})`)
+}
+if (String(before.environment?.canvas) !== String(after.environment?.canvas)) {
+  console.warn(`Warning: canvas sizes differ (${before.environment?.canvas} vs ${after.environment?.canvas})`)
+}
+
+const METRICS = [
+  ['fps', step => step.frames.fps],
+  ['p50 ms', step => step.frames.p50],
+  ['p95 ms', step => step.frames.p95],
+  ['p99 ms', step => step.frames.p99],
+  ['calls', step => step.render?.calls],
+  ['triangles', step => step.render?.triangles],
+  ['lines', step => step.render?.lines],
+  ['memory MB', step => step.memory && step.memory.total / 1024 ** 2]
+]
+
+const format = (value) => value === undefined || value === null ? '—' : Number(value.toFixed(2)).toString()
+const change = (a, b) => {
+  if (a === undefined || a === null || b === undefined || b === null) return ''
+  if (a === 0) return b === 0 ? '±0%' : 'new'
+  const percent = ((b - a) / Math.abs(a)) * 100
+  return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`
+}
+
+const sizes = [...new Set([...before.steps, ...after.steps].map(step => step.sites))].sort((a, b) => a - b)
+for (const sites of sizes) {
+  const a = before.steps.find(step => step.sites === sites)
+  const b = after.steps.find(step => step.sites === sites)
+  console.log(`\n${sites} sites`)
+  if (!a || !b) {
+    console.log(`  only in ${a ? beforePath : afterPath}`)
+    continue
+  }
+  console.table(Object.fromEntries(METRICS.map(([name, value]) => [name, {
+    before: format(value(a)),
+    after: format(value(b)),
+    change: change(value(a), value(b))
+  }])))
+}
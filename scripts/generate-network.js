@@ -0,0 +1,62 @@
+// Synthetic multi-site dataset for the multi-site view (see src/data/syntheticNetwork.js).
+//
+//   npm run generate:network -- --sites 120 --seed metro --out public/data/sample-metro.json
+//
+// With `--regions public/data/sample-regions.geojson` it also writes district
+// boundaries covering the same area (a centre district ringed by six wedges,
+// plus a river outline) for the ground map.
+
+import { writeFileSync } from 'node:fs'
+import { createRandom } from '../src/utils/random.js'
+import { SYNTHETIC_AREA_RADIUS as AREA_RADIUS, SYNTHETIC_CENTER as CENTER, createSyntheticNetwork } from '../src/data/syntheticNetwork.js'
+
+const args = process.argv.slice(2)
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`)
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback
+}
+
+const siteCount = Number(option('sites', 120))
+const random = createRandom(option('seed', 'metro'))
+const out = option('out', 'public/data/sample-metro.json')
+const regionsOut = option('regions', null)
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const dataset = createSyntheticNetwork(siteCount, random)
+writeFileSync(out, JSON.stringify(dataset) + '\n')
+console.log(`Wrote ${out}: ${siteCount} sites, ${dataset.links.length} links`)
+
+if (regionsOut) {
+  const DISTRICTS = ['North', 'North-west', 'South-west', 'South', 'South-east', 'North-east']
+  const INNER = AREA_RADIUS * 0.3
+  const OUTER = AREA_RADIUS * 1.1
+  const STEPS = 12
+  const lonScale = 1 / Math.cos((CENTER[0] * Math.PI) / 180)
+  const at = (angle, radius) => [
+    round(CENTER[1] + Math.cos(angle) * radius * lonScale, 5),
+    round(CENTER[0] + Math.sin(angle) * radius, 5)
+  ]
+  const arc = (from, to, radius, steps = STEPS) => Array.from({ length: steps + 1 }, (_, i) => at(from + ((to - from) * i) / steps, radius))
+  const feature = (name, geometry) => ({ type: 'Feature', properties: { name }, geometry })
+
+  // Same vertices as the wedges' inner edges, so the districts tile without gaps
+  const centre = arc(Math.PI / 2 - Math.PI / 6, Math.PI * 2 + Math.PI / 2 - Math.PI / 6, INNER, STEPS * DISTRICTS.length)
+  const features = [feature('Centre', { type: 'Polygon', coordinates: [centre] })]
+  DISTRICTS.forEach((name, i) => {
+    const from = Math.PI / 2 - Math.PI / 6 + (i * Math.PI) / 3
+    const to = from + Math.PI / 3
+    const ring = [...arc(from, to, INNER), ...arc(to, from, OUTER)]
+    features.push(feature(name, { type: 'Polygon', coordinates: [[...ring, ring[0]]] }))
+  })
+  features.push(feature('River', {
+    type: 'LineString',
+    coordinates: Array.from({ length: 9 }, (_, i) => {
+      const t = i / 8
+      return [round(CENTER[1] + (t - 0.5) * OUTER * 2 * lonScale, 5), round(CENTER[0] + Math.sin(t * Math.PI * 2) * INNER * 0.5 - (t - 0.5) * INNER, 5)]
+    })
+  }))
+
+  writeFileSync(regionsOut, JSON.stringify({ type: 'FeatureCollection', name: 'Synthetic metro districts', features }) + '\n')
+  console.log(`Wrote ${regionsOut}: ${DISTRICTS.length + 1} districts`)
+}
@@ -0,0 +1,149 @@
+// Local mock of the live network feed for development.
+//
+//   npm run mock:stream -- --port 8787 --rate 20
+//
+// Serves the same synthetic events over WebSocket (ws://localhost:8787/stream)
+// and Server-Sent Events (http://localhost:8787/events). Sector ids come from
+// public/data/sample-network.json so pulses line up with the sample dataset.
+
+import { createServer } from 'node:http'
+import { readFileSync } from 'node:fs'
+import { WebSocketServer } from 'ws'
+
+const args = process.argv.slice(2)
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`)
+  return index >= 0 && args[index + 1] !== undefined ? Number(args[index + 1]) : fallback
+}
+
+const port = option('port', 8787)
+const rate = option('rate', 20) // events per second on average
+
+const dataset = JSON.parse(readFileSync(new URL('../public/data/sample-network.json', import.meta.url), 'utf8'))
+const sectors = dataset.sites.flatMap(site => site.sectors.map(sector => ({
+  id: sector.id,
+  rings: Math.max(...sector.samples.map(sample => sample.ring)) + 1
+})))
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)]
+
+// Live metric values per sector and ring, starting from the sample data and drifting from there
+const baselines = new Map()
+for (const site of dataset.sites) {
+  for (const sector of site.sectors) {
+    for (const sample of sector.samples) {
+      const key = `${sector.id}:${sample.ring}`
+      if (!baselines.has(key)) baselines.set(key, { ...sample })
+    }
+  }
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+// Share of measurements that carry a transient fault
+const FAULT_CHANCE = 0.03
+
+const measurement = (sector, ring, timestamp) => {
+  const values = baselines.get(`${sector.id}:${ring}`)
+  if (!values) return { type: 'session', sectorId: sector.id, ring, timestamp }
+  values.rsrp = clamp(values.rsrp + (Math.random() - 0.5) * 2, -140, -44)
+  values.rsrq = clamp(values.rsrq + (Math.random() - 0.5), -20, -3)
+  values.sinr = clamp(values.sinr + (Math.random() - 0.5) * 2, -20, 40)
+  values.throughput = Math.max(0, values.throughput * (0.9 + Math.random() * 0.2))
+  values.load = clamp((values.load ?? 50) + (Math.random() - 0.5) * 10, 0, 100)
+  values.dropRate = clamp((values.dropRate ?? 0.3 + Math.random()) + (Math.random() - 0.5) * 0.2, 0, 100)
+  const { rsrp, rsrq, sinr, throughput, load, dropRate } = values
+  // Now and then a reading is way off (interference, a failing radio) without moving the baseline,
+  // so threshold rules and the anomaly detector have something to catch
+  const fault = Math.random() < FAULT_CHANCE
+  return {
+    type: 'measurement',
+    sectorId: sector.id,
+    ring,
+    rsrp,
+    rsrq,
+    sinr: fault ? clamp(sinr - 15, -20, 40) : sinr,
+    throughput,
+    load,
+    dropRate: fault ? Math.round((dropRate + 3 + Math.random() * 4) * 10) / 10 : Math.round(dropRate * 10) / 10,
+    timestamp
+  }
+}
+
+const randomEvent = () => {
+  const sector = pick(sectors)
+  const ring = Math.floor(Math.random() ** 1.5 * sector.rings)
+  const roll = Math.random()
+  const timestamp = Date.now()
+
+  if (roll < 0.5) {
+    // Byte sizes spread over several orders of magnitude
+    return { type: 'bytes', sectorId: sector.id, ring, bytes: Math.round(10 ** (2 + Math.random() * 5)), timestamp }
+  }
+  if (roll < 0.8) {
+    return { type: 'session', sectorId: sector.id, ring, timestamp }
+  }
+  if (roll < 0.9) {
+    return measurement(sector, ring, timestamp)
+  }
+  return { type: 'handover', sectorId: sector.id, toSectorId: pick(sectors).id, ring, timestamp }
+}
+
+// Occasionally one sector gets a burst of traffic
+const burst = () => {
+  const sector = pick(sectors)
+  return Array.from({ length: 10 + Math.floor(Math.random() * 30) }, () => ({
+    type: 'bytes',
+    sectorId: sector.id,
+    ring: Math.floor(Math.random() * sector.rings),
+    bytes: Math.round(10 ** (4 + Math.random() * 3)),
+    timestamp: Date.now()
+  }))
+}
+
+const sseClients = new Set()
+
+const server = createServer((req, res) => {
+  if (req.url.startsWith('/events')) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    })
+    res.write(': connected\n\n')
+    sseClients.add(res)
+    req.on('close', () => sseClients.delete(res))
+    return
+  }
+
+  res.writeHead(404, { 'Content-Type': 'text/plain' })
+  res.end('Use ws://localhost:' + port + '/stream or http://localhost:' + port + '/events\n')
+})
+
+const wss = new WebSocketServer({ server, path: '/stream' })
+
+const broadcast = (events) => {
+  const message = JSON.stringify(events.length === 1 ? events[0] : events)
+  for (const socket of wss.clients) {
+    if (socket.readyState === socket.OPEN) socket.send(message)
+  }
+  for (const res of sseClients) {
+    res.write(`data: ${message}\n\n`)
+  }
+}
+
+// Tick every 50ms and emit a Poisson-ish number of events for that slice
+const TICK_MS = 50
+setInterval(() => {
+  const expected = (rate * TICK_MS) / 1000
+  let count = Math.floor(expected) + (Math.random() < expected % 1 ? 1 : 0)
+  const events = []
+  while (count-- > 0) events.push(randomEvent())
+  if (Math.random() < 0.005) events.push(...burst())
+  if (events.length > 0) broadcast(events)
+}, TICK_MS)
+
+server.listen(port, () => {
+  console.log(`Mock stream: ws://localhost:${port}/stream  |  SSE http://localhost:${port}/events  (${rate} ev/s)`)
+})
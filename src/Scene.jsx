@@ -0,0 +1,649 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { buildSceneLayout } from './data/sceneLayout.js'
+import SiteMarkers from './sites/SiteMarkers.jsx'
+import SiteLinks from './sites/SiteLinks.jsx'
+import GroundMap from './geo/GroundMap.jsx'
+import { DEFAULT_PROJECTION, createGeoFrame } from './geo/projection.js'
+import { regionContains } from './geo/geojson.js'
+import CoverageLayer from './heatmap/CoverageLayer.jsx'
+import PickHighlight, { HOVER_COLOR, SELECT_COLOR } from './picking/PickHighlight.jsx'
+import TextLabels from './text/TextLabels.jsx'
+import LabelBinder from './text/LabelBinder.jsx'
+import { DEFAULT_LABEL_TEMPLATE, compileLabelTemplate } from './text/templates.js'
+import { createMotionClock, createViewState, isCameraBusy } from './camera/viewState.js'
+import { DEFAULT_VIEWPOINT } from './camera/viewpoints.js'
+import { createTimeline } from './timeline/timeline.js'
+import TimelineDriver from './timeline/TimelineDriver.jsx'
+import { QUALITY_TIERS } from './quality/tiers.js'
+import { ALERT_GROUP, SIGNAL_GROUP, createBloomSelections } from './bloom/selections.js'
+import { matchBloomRule } from './bloom/rules.js'
+import { ALERT_COLOR, paintAlerted } from './alerts/alerts.js'
+import { measurementKey, parseMeasurementKey } from './stream/measurements.js'
+import { pulseRing } from './stream/pulses.js'
+import { DEFAULT_SCENE_SETTINGS, applySceneSettings } from './settings/sceneSettings.js'
+import { CALM_RATE } from './lines/animatedLines.js'
+import AnimatedLines from './lines/AnimatedLines.jsx'
+import PulseLines from './lines/PulseLines.jsx'
+import StaticLines from './lines/StaticLines.jsx'
+import InstancedCircles from './rings/InstancedCircles.jsx'
+import BloomCircles from './rings/BloomCircles.jsx'
+import { DEFAULT_COLOR_ENCODING, createColorScale, cssColorOf, encodeColors } from './color/scale.js'
+import { matchKey, matchKinds } from './compare/compare.js'
+import { countRings } from './audio/audioReactor.js'
+import { buildSectorDetail, drillTargetOf } from './drill/drillDown.js'
+import SectorDetail from './drill/SectorDetail.jsx'
+
+// Defaults for a Scene used on its own: the medium tier, the original hard-coded look
+const DEFAULT_QUALITY = applySceneSettings(QUALITY_TIERS.medium, DEFAULT_SCENE_SETTINGS)
+const DEFAULT_RING_GEOMETRY = {
+  baseRadius: DEFAULT_SCENE_SETTINGS.baseRadius,
+  ringSpacing: DEFAULT_SCENE_SETTINGS.ringSpacing,
+  offsetZ: DEFAULT_SCENE_SETTINGS.offsetZ
+}
+const DEFAULT_MOTION = {
+  rotationSpeed: DEFAULT_SCENE_SETTINGS.rotationSpeed,
+  pulseAmplitude: DEFAULT_SCENE_SETTINGS.pulseAmplitude,
+  fovSwing: DEFAULT_SCENE_SETTINGS.fovSwing
+}
+const NO_RULES = []
+const NO_MEASUREMENTS = { current: new Map() }
+// How far the overview fades while a drill-down detail is open, and how fast
+const DRILL_DIM = 0.12
+const DIM_RATE = 4
+
+/**
+ * Main scene with all geometry data, adaptive quality, and animations.
+ * Symphony passes everything in; used on its own inside a `<Canvas>` every prop is
+ * optional: it then colors by the default encoding, keeps its own timeline, camera
+ * state and selection, and reports picks through `onSelect`.
+ *
+ * `drill` opens the sector detail of a ring or site (see drill/drillDown.js) over the
+ * dimmed overview; double-clicking a ring, line, label or site asks for one through `onDrill`.
+ */
+const Scene = ({
+  colorScale: colorScaleProp,
+  coverage,
+  coverageScale,
+  bloomSelections: bloomSelectionsProp,
+  bloomRules = NO_RULES,
+  dataset,
+  siteView = false,
+  geoMap,
+  projection = DEFAULT_PROJECTION,
+  pickedRegionId,
+  onRegionPick,
+  alertKeys,
+  focusApiRef,
+  seed = 0,
+  qualitySettings = DEFAULT_QUALITY,
+  ringGeometry = DEFAULT_RING_GEOMETRY,
+  motion = DEFAULT_MOTION,
+  pulseQueueRef,
+  measurementsRef = NO_MEASUREMENTS,
+  labelTemplate = DEFAULT_LABEL_TEMPLATE,
+  declutterLabels = true,
+  selection: selectionProp,
+  onSelect,
+  viewRef: viewRefProp,
+  timeline: timelineProp,
+  autoMotion = true,
+  motionClock: motionClockProp,
+  pauseOnInteract = true,
+  reducedMotion = false,
+  audio,
+  drill = null,
+  onDrill
+}) => {
+  const groupRef = useRef()
+  const [hovered, setHovered] = useState(null)
+
+  // Own timeline, camera state, selection, scale and bloom selection for standalone use
+  const [ownTimeline] = useState(createTimeline)
+  const timeline = timelineProp ?? ownTimeline
+  const ownViewRef = useRef(createViewState(DEFAULT_VIEWPOINT))
+  const viewRef = viewRefProp ?? ownViewRef
+  const [ownSelection, setOwnSelection] = useState(null)
+  const selection = selectionProp !== undefined ? selectionProp : ownSelection
+  const [ownBloomSelections] = useState(() => createBloomSelections([SIGNAL_GROUP, ALERT_GROUP]))
+  const bloomSelections = bloomSelectionsProp ?? ownBloomSelections
+  const colorScale = useMemo(() => colorScaleProp ?? createColorScale(DEFAULT_COLOR_ENCODING, dataset), [colorScaleProp, dataset])
+
+  // Picks go to the internal selection and `onSelect`; the ref keeps a new callback
+  // from counting as a change
+  const onSelectRef = useRef(onSelect)
+  useEffect(() => {
+    onSelectRef.current = onSelect
+  }, [onSelect])
+  const select = useCallback((next) => {
+    setOwnSelection(next)
+    onSelectRef.current?.(next)
+  }, [])
+  const onDrillRef = useRef(onDrill)
+  useEffect(() => {
+    onDrillRef.current = onDrill
+  }, [onDrill])
+
+  // Auto-motion time only advances while motion is running, so pausing and resuming
+  // continues from where it stopped instead of jumping. Scenes sharing one clock turn
+  // together; only those with `autoMotion` on advance it.
+  const [ownMotionClock] = useState(createMotionClock)
+  const motionClock = motionClockProp ?? ownMotionClock
+  // Share of the breathing swing still applied; eases to 0 under reduced motion
+  const swingRef = useRef(reducedMotion ? 0 : 1)
+  // Share of the breathing taken from the audio level instead of the sine wave
+  const audioMixRef = useRef(0)
+
+  // Animate the scene - rotate to simulate cellular data signal propagation.
+  // Reduced motion freezes the rotation and settles scale and FOV at rest.
+  useFrame((state, delta) => {
+    if (groupRef.current) {
+      const camera = state.camera
+      const view = viewRef.current
+      const moving = autoMotion && !reducedMotion && !(pauseOnInteract && isCameraBusy(view))
+      swingRef.current = THREE.MathUtils.damp(swingRef.current, reducedMotion ? 0 : 1, CALM_RATE, delta)
+      // Follows the shared timeline, so pause, speed and scrubbing apply here too
+      if (moving) motionClock.advance(timeline.delta)
+      const time = motionClock.time
+
+      // Slow rotation on Y-axis to simulate signal rotation
+      groupRef.current.rotation.y = time * motion.rotationSpeed
+
+      // Subtle pulsing effect using sine wave; in Symphony mode the music's loudness breathes instead
+      audioMixRef.current = THREE.MathUtils.damp(audioMixRef.current, audio?.active ? 1 : 0, CALM_RATE, delta)
+      const wave = THREE.MathUtils.lerp(Math.sin(time * 0.5), (audio?.level ?? 0) * 2 - 1, audioMixRef.current)
+      const sinValue = wave * swingRef.current
+      groupRef.current.scale.setScalar(1 + sinValue * motion.pulseAmplitude)
+
+      // Animate FOV in sync with the pulse for a dynamic POV "breathing/zoom" effect
+      // When the structure expands (sinValue > 0), we decrease FOV (zoom in) for intensity
+      // When it contracts, we increase FOV (zoom out)
+      camera.fov = view.baseFov - sinValue * motion.fovSwing // default 12: ~33–57 FOV around 45
+      camera.updateProjectionMatrix()
+    }
+  })
+
+  // Create shared materials for better performance
+  const sharedMaterials = useMemo(() => ({
+    circleMaterial: new THREE.MeshBasicMaterial({
+      color: 'white',
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide
+    }),
+    bloomMaterial: new THREE.MeshBasicMaterial({
+      color: '#ffffff',
+      transparent: true,
+      opacity: 0.9,
+      side: THREE.DoubleSide,
+      toneMapped: false
+    }),
+    highlightLineMaterial: new THREE.LineBasicMaterial({
+      color: '#ffffff',
+      transparent: true,
+      opacity: 0.9,
+      toneMapped: false
+    }),
+    alertLineMaterial: new THREE.LineBasicMaterial({
+      color: ALERT_COLOR,
+      transparent: true,
+      opacity: 0.9,
+      toneMapped: false
+    })
+  }), [])
+
+  // Generate all geometry data with adaptive quality, from the dataset when one is loaded
+  // The multi-site view gives every site its own stack at its coordinates
+  const layout = useMemo(
+    () => buildSceneLayout({ dataset, siteView, projection, qualitySettings, ringGeometry, seed }),
+    [dataset, siteView, projection, qualitySettings, ringGeometry, seed]
+  )
+  const { circles, bloomCircles, lineSegments, bloomLineSegments, textLabels } = layout
+  // Symphony mode maps rings to frequency bands by their place in the whole stack
+  const ringCount = useMemo(() => countRings(circles), [circles])
+
+  // Sites that SiteMarkers collapsed to a marker, valid for the layout it measured
+  const [lod, setLod] = useState({ sites: null, collapsed: [] })
+  const collapsed = layout.sites && lod.sites === layout.sites ? lod.collapsed : null
+  const handleCollapsedChange = useCallback((sites, flags) => setLod({ sites, collapsed: flags }), [])
+
+  // The ground map shares the sites' projection frame; on its own it is fitted to its bounds
+  const mapFrame = useMemo(() => {
+    if (!geoMap || (dataset && !layout.frame)) return null
+    return layout.frame ?? createGeoFrame(projection, geoMap.bounds)
+  }, [geoMap, dataset, layout.frame, projection])
+
+  // Picking a map region keeps only the sites inside it
+  const pickedRegion = geoMap?.regions.find(region => region.id === pickedRegionId) ?? null
+  const inRegion = useMemo(() => (
+    layout.sites && pickedRegion ? layout.sites.map(site => regionContains(pickedRegion, [site.lon, site.lat])) : null
+  ), [layout.sites, pickedRegion])
+  const siteLinks = useMemo(() => (
+    inRegion ? layout.links.filter(link => inRegion[link.fromIndex] && inRegion[link.toIndex]) : layout.links
+  ), [layout.links, inRegion])
+
+  const isShown = useMemo(() => (
+    collapsed || inRegion
+      ? (item) => !collapsed?.[item.siteIndex] && (inRegion?.[item.siteIndex] ?? true)
+      : undefined
+  ), [collapsed, inRegion])
+
+  // Elements matching each enabled bloom rule, redrawn into that rule's selection
+  const ruleMatches = useMemo(() => bloomRules.map(rule => {
+    const matches = matchBloomRule(rule, layout)
+    return isShown
+      ? { rule, circles: matches.circles.filter(isShown), segments: matches.segments.filter(isShown) }
+      : { rule, ...matches }
+  }), [bloomRules, layout, isShown])
+  const signalSelection = bloomSelections.get(SIGNAL_GROUP)
+
+  // Items belonging to a cell (sector and ring) with an open alert, per pickable set
+  const alerted = useMemo(() => {
+    if (!alertKeys || alertKeys.size === 0) return null
+    const recordAlerted = (item) => !!item.record && alertKeys.has(measurementKey(item.record.sectorId, item.record.sample.ring))
+    const ringAlerted = (circle) => !!circle.samplePoints?.some(point => alertKeys.has(measurementKey(point.sectorId, point.sample.ring)))
+    const alertedSites = new Set([...alertKeys].map(key => layout.sectorSites?.get(parseMeasurementKey(key).sectorId)))
+    return {
+      ring: circles.map(ringAlerted),
+      bloomRing: bloomCircles.map(ringAlerted),
+      line: lineSegments.map(recordAlerted),
+      bloomLine: bloomLineSegments.map(recordAlerted),
+      label: textLabels.map(recordAlerted),
+      site: layout.sites?.map(site => alertedSites.has(site.id)) ?? null
+    }
+  }, [alertKeys, circles, bloomCircles, lineSegments, bloomLineSegments, textLabels, layout.sites, layout.sectorSites])
+
+  // Metric colors per item; alpha 0 marks a hidden category or a collapsed site.
+  // Alerted items are repainted in the alert color.
+  const colors = useMemo(() => {
+    const paint = (kind, colors) => alerted?.[kind] ? paintAlerted(colors, alerted[kind]) : colors
+    return {
+      ring: paint('ring', encodeColors(circles, colorScale, isShown)),
+      bloomRing: paint('bloomRing', encodeColors(bloomCircles, colorScale, isShown)),
+      line: paint('line', encodeColors(lineSegments, colorScale, isShown)),
+      bloomLine: paint('bloomLine', encodeColors(bloomLineSegments, colorScale, isShown)),
+      label: textLabels.map((label, i) => {
+        const color = cssColorOf(label, colorScale, isShown)
+        return color && alerted?.label[i] ? ALERT_COLOR : color
+      }),
+      site: layout.sites
+        ? paint('site', encodeColors(layout.sites, colorScale, inRegion ? (site) => inRegion[site.index] : undefined))
+        : null
+    }
+  }, [circles, bloomCircles, lineSegments, bloomLineSegments, textLabels, layout.sites, colorScale, isShown, inRegion, alerted])
+
+  // Alerted rings and lines glow in their own bloom selection
+  const alertMatches = useMemo(() => {
+    if (!alerted) return null
+    const shown = (item) => !isShown || isShown(item)
+    const matchedCircles = circles.filter((circle, i) => alerted.ring[i] && shown(circle))
+    return {
+      circles: matchedCircles,
+      colors: paintAlerted(new Float32Array(matchedCircles.length * 4).fill(1), matchedCircles.map(() => true)),
+      segments: [
+        ...lineSegments.filter((segment, i) => alerted.line[i] && shown(segment)),
+        ...bloomLineSegments.filter((segment, i) => alerted.bloomLine[i] && shown(segment))
+      ]
+    }
+  }, [alerted, circles, lineSegments, bloomLineSegments, isShown])
+
+  // Dataset labels render through the template; LabelBinder keeps them current
+  const formatLabel = useMemo(() => compileLabelTemplate(labelTemplate), [labelTemplate])
+  const labelTexts = useMemo(() => textLabels.map(label => label.record ? formatLabel(label.record) : label.text), [textLabels, formatLabel])
+  const labelApiRef = useRef(null)
+
+  // Sector detail of the drill-down target. Details the scene drilled away from stay
+  // mounted until they have folded back into their ring.
+  const detail = useMemo(() => buildSectorDetail(drill, layout, dataset), [drill, layout, dataset])
+  const [details, setDetails] = useState([])
+  if (detail && !details.includes(detail)) {
+    setDetails([...details.filter(shown => shown.key !== detail.key), detail])
+  }
+  const handleDetailHidden = useCallback((hidden) => setDetails(prev => prev.filter(shown => shown !== hidden)), [])
+
+  // The overview dims behind an open detail
+  const overviewOpacityRef = useRef(1)
+  useFrame((_, delta) => {
+    const opacity = THREE.MathUtils.damp(overviewOpacityRef.current, detail ? DRILL_DIM : 1, DIM_RATE, delta)
+    overviewOpacityRef.current = opacity
+    Object.values(sharedMaterials).forEach(material => {
+      material.userData.opacity ??= material.opacity
+      material.opacity = material.userData.opacity * opacity
+    })
+  })
+
+  // Pointer handlers for one pickable set; `indexOf` maps a raycast hit to an item index.
+  // Items in a hidden color category let the event pass through to whatever is behind.
+  const pickHandlers = useCallback((kind, items, indexOf, itemColors) => ({
+    onPointerMove: (event) => {
+      const index = indexOf(event)
+      if (itemColors?.[index * 4 + 3] === 0) return
+      event.stopPropagation()
+      if (!items[index]) return
+      setHovered(prev => prev?.kind === kind && prev.index === index && prev.items === items
+        ? prev
+        : { kind, index, items, data: items[index] })
+    },
+    onPointerOut: () => setHovered(null),
+    onClick: (event) => {
+      const index = indexOf(event)
+      if (itemColors?.[index * 4 + 3] === 0) return
+      event.stopPropagation()
+      if (items[index]) select({ kind, index, items, data: items[index] })
+    },
+    onDoubleClick: (event) => {
+      const index = indexOf(event)
+      const target = items[index] && drillTargetOf({ kind, data: items[index] })
+      if (!target || !onDrillRef.current || itemColors?.[index * 4 + 3] === 0) return
+      event.stopPropagation()
+      onDrillRef.current(target)
+    }
+  }), [select])
+
+  // A rebuilt layout (new seed, dataset or tier) invalidates picked indices
+  const layoutItems = useMemo(() => ({
+    ring: layout.circles,
+    bloomRing: layout.bloomCircles,
+    line: layout.lineSegments,
+    bloomLine: layout.bloomLineSegments,
+    label: layout.textLabels,
+    site: layout.sites
+  }), [layout])
+  const activeHover = hovered && layoutItems[hovered.kind] === hovered.items ? hovered : null
+  const activeSelection = selection && layoutItems[selection.kind] === selection.items ? selection : null
+
+  // Tell the owner its selection is gone when the rings are rebuilt (not on mount, which
+  // would drop a selection passed in); the internal one is ignored once stale
+  const selectedCirclesRef = useRef(circles)
+  useEffect(() => {
+    if (selectedCirclesRef.current === circles) return
+    selectedCirclesRef.current = circles
+    onSelectRef.current?.(null)
+  }, [circles])
+
+  const byInstance = (event) => event.instanceId
+  const bySegment = (event) => Math.floor(event.index / 2)
+
+  useEffect(() => {
+    document.body.style.cursor = activeHover ? 'pointer' : ''
+    return () => { document.body.style.cursor = '' }
+  }, [activeHover])
+
+  // Sector lookup so live events can be placed at their sector's azimuth
+  const sectors = useMemo(() => {
+    const map = new Map()
+    dataset?.sites.forEach(site => site.sectors.forEach(sector => map.set(sector.id, sector)))
+    return map
+  }, [dataset])
+
+  // In the multi-site view a pulse starts from its sector's site, on the nearest ring that site has
+  const pulseCircle = useCallback((pulse) => {
+    if (!layout.siteRings) return pulseRing(circles, pulse.ringIndex)
+    return pulseRing(layout.siteRings.get(layout.sectorSites.get(pulse.sectorId)), pulse.ringIndex)
+  }, [layout, circles])
+
+  // Focus API for the alert list, the data table, the keyboard and the comparison view:
+  // select rings and return viewpoints framing them, or select another scene's pick
+  const camera = useThree(state => state.camera)
+  useEffect(() => {
+    if (!focusApiRef) return
+
+    // A viewpoint looking at `position` (group-local) from the current direction, far
+    // enough for `radius` to fill about two thirds of the view
+    const frame = (position, radius) => {
+      const group = groupRef.current
+      if (!group) return null
+      group.updateMatrixWorld()
+      const center = group.localToWorld(new THREE.Vector3(...position))
+      const fov = viewRef.current.baseFov
+      const distance = THREE.MathUtils.clamp((radius * group.scale.x * 1.5) / Math.tan(THREE.MathUtils.degToRad(fov / 2)), 2.5, 30)
+      const forward = camera.getWorldDirection(new THREE.Vector3())
+      return { position: center.clone().addScaledVector(forward, -distance).toArray(), target: center.toArray(), fov }
+    }
+
+    const selectRing = (index) => select({ kind: 'ring', index, items: circles, data: circles[index] })
+
+    focusApiRef.current = {
+      focus: ({ sectorId, ring }) => {
+        const rings = layout.siteRings ? layout.siteRings.get(layout.sectorSites.get(sectorId)) : circles
+        const circle = rings?.find(candidate => candidate.ringIndex === ring) ?? rings?.[rings.length - 1]
+        if (!circle) return null
+        selectRing(circles.indexOf(circle))
+        return frame(circle.position, circle.radius)
+      },
+
+      // Select the next (1) or previous (-1) visible ring
+      step: (direction) => {
+        const visible = circles.map((_, i) => i).filter(i => colors.ring[i * 4 + 3] > 0)
+        if (visible.length === 0) return
+        const at = activeSelection?.kind === 'ring' ? visible.indexOf(activeSelection.index) : -1
+        const next = at === -1
+          ? (direction > 0 ? 0 : visible.length - 1)
+          : (at + direction + visible.length) % visible.length
+        selectRing(visible[next])
+      },
+
+      // Viewpoint framing the current selection
+      frameSelection: () => {
+        const data = activeSelection?.data
+        if (!data) return null
+        if (activeSelection.kind === 'site') return frame(data.center, data.radius)
+        if (data.radius !== undefined) return frame(data.position, data.radius)
+        if (data.position) return frame(data.position, 1)
+        return frame([(data.start[0] + data.end[0]) / 2, (data.start[1] + data.end[1]) / 2, data.start[2]], 1)
+      },
+
+      // Viewpoint framing the sector detail of a drill-down target
+      frameDrill: (target) => {
+        const drilled = buildSectorDetail(target, layout, dataset)
+        return drilled && frame(drilled.center, drilled.radius)
+      },
+
+      // Select the counterpart of a pick made in another scene (see compare/compare.js),
+      // or nothing when this layout has none
+      match: (pick) => {
+        const key = pick && matchKey(pick)
+        if (activeSelection && matchKey(activeSelection) === key) return
+        for (const kind of pick ? matchKinds(pick.kind) : []) {
+          const items = layoutItems[kind] ?? []
+          const index = items.findIndex((item, i) => matchKey({ kind, index: i, data: item }) === key)
+          if (index !== -1) return select({ kind, index, items, data: items[index] })
+        }
+        if (activeSelection) select(null)
+      }
+    }
+    return () => { focusApiRef.current = null }
+  }, [focusApiRef, layout, layoutItems, dataset, circles, colors.ring, activeSelection, camera, select, viewRef])
+
+  return (
+    <group ref={groupRef} rotation={[Math.PI / 5, 0, -0.3]}>
+      {!timelineProp && <TimelineDriver timeline={ownTimeline} />}
+      {/* Coverage shading between the rings, beneath everything else */}
+      {dataset && coverage?.enabled && (
+        <CoverageLayer
+          circles={circles}
+          colors={colors.ring}
+          segments={qualitySettings.ringSegments}
+          scale={coverageScale}
+          opacity={coverage.opacity}
+          timeline={timeline}
+          measurementsRef={measurementsRef}
+        />
+      )}
+
+      {/* Main circles (instanced with shared material) */}
+      <InstancedCircles
+        circles={circles}
+        segments={qualitySettings.ringSegments}
+        sharedMaterial={sharedMaterials.circleMaterial}
+        colors={colors.ring}
+        audio={audio}
+        ringCount={ringCount}
+        pickHandlers={pickHandlers('ring', circles, byInstance, colors.ring)}
+      />
+
+      {/* Bloom circles (instanced, selective bloom with shared material) */}
+      <BloomCircles
+        circles={bloomCircles}
+        bloomSelection={signalSelection}
+        segments={qualitySettings.ringSegments}
+        sharedMaterial={sharedMaterials.bloomMaterial}
+        colors={colors.bloomRing}
+        audio={audio}
+        ringCount={ringCount}
+        pickHandlers={pickHandlers('bloomRing', bloomCircles, byInstance, colors.bloomRing)}
+      />
+
+      {/* Animated line segments (no bloom) */}
+      <AnimatedLines
+        segments={lineSegments}
+        color="#ffffff"
+        isBloom={false}
+        seed={seed}
+        timeline={timeline}
+        reducedMotion={reducedMotion}
+        audio={audio}
+        ringCount={ringCount}
+        groupOpacityRef={overviewOpacityRef}
+        colors={colors.line}
+        alerts={alerted?.line}
+        pickHandlers={pickHandlers('line', lineSegments, bySegment, colors.line)}
+      />
+
+      {/* Bloom line segments (selective bloom) */}
+      {bloomLineSegments.length > 0 && (
+        <AnimatedLines
+          segments={bloomLineSegments}
+          color="#ffffff"
+          isBloom={true}
+          bloomSelection={signalSelection}
+          seed={seed}
+          timeline={timeline}
+          reducedMotion={reducedMotion}
+          audio={audio}
+          ringCount={ringCount}
+          groupOpacityRef={overviewOpacityRef}
+          colors={colors.bloomLine}
+          alerts={alerted?.bloomLine}
+          pickHandlers={pickHandlers('bloomLine', bloomLineSegments, bySegment, colors.bloomLine)}
+        />
+      )}
+
+      {/* Live feed pulses */}
+      {pulseQueueRef && (
+        <PulseLines queueRef={pulseQueueRef} circles={circles} circleOf={pulseCircle} sectors={sectors} timeline={timeline} bloomSelection={signalSelection} reducedMotion={reducedMotion} />
+      )}
+
+      {/* Geographic base layer beneath the sites */}
+      {mapFrame && (
+        <GroundMap geoMap={geoMap} frame={mapFrame} pickedRegionId={pickedRegion?.id ?? null} onRegionPick={onRegionPick} />
+      )}
+
+      {/* Multi-site view: links between sites and markers for sites too small to draw */}
+      {layout.sites && (
+        <>
+          <SiteLinks links={siteLinks} sites={layout.sites} />
+          <SiteMarkers
+            sites={layout.sites}
+            colors={colors.site}
+            groupRef={groupRef}
+            bloomSelection={signalSelection}
+            onCollapsedChange={handleCollapsedChange}
+            pickHandlers={pickHandlers('site', layout.sites, byInstance, colors.site)}
+          />
+        </>
+      )}
+
+      {/* Rule matches, each glowing in its own bloom selection */}
+      {ruleMatches.map(({ rule, circles: matchedCircles, segments: matchedSegments }) => (
+        <group key={rule.id}>
+          {matchedCircles.length > 0 && (
+            <BloomCircles
+              circles={matchedCircles}
+              bloomSelection={bloomSelections.get(rule.id)}
+              segments={qualitySettings.ringSegments}
+              sharedMaterial={sharedMaterials.bloomMaterial}
+              audio={audio}
+              ringCount={ringCount}
+            />
+          )}
+          {matchedSegments.length > 0 && (
+            <StaticLines
+              segments={matchedSegments}
+              sharedMaterial={sharedMaterials.highlightLineMaterial}
+              bloomSelection={bloomSelections.get(rule.id)}
+            />
+          )}
+        </group>
+      ))}
+
+      {/* Alerted cells, glowing in the alert selection */}
+      {alertMatches && (
+        <group>
+          {alertMatches.circles.length > 0 && (
+            <BloomCircles
+              circles={alertMatches.circles}
+              colors={alertMatches.colors}
+              bloomSelection={bloomSelections.get(ALERT_GROUP)}
+              segments={qualitySettings.ringSegments}
+              sharedMaterial={sharedMaterials.bloomMaterial}
+              audio={audio}
+              ringCount={ringCount}
+            />
+          )}
+          {alertMatches.segments.length > 0 && (
+            <StaticLines
+              segments={alertMatches.segments}
+              sharedMaterial={sharedMaterials.alertLineMaterial}
+              bloomSelection={bloomSelections.get(ALERT_GROUP)}
+            />
+          )}
+        </group>
+      )}
+
+      {/* Drill-down sector detail over the dimmed overview */}
+      {details.map(shown => (
+        <SectorDetail
+          key={shown.key}
+          detail={shown}
+          active={shown === detail}
+          colorScale={colorScale}
+          formatLabel={formatLabel}
+          reducedMotion={reducedMotion}
+          onHidden={handleDetailHidden}
+        />
+      ))}
+
+      {/* Text labels, batched into a single draw call */}
+      <TextLabels
+        labels={textLabels}
+        texts={labelTexts}
+        colors={colors.label}
+        color="white"
+        declutter={declutterLabels}
+        apiRef={labelApiRef}
+        groupOpacityRef={overviewOpacityRef}
+        pickHandlers={pickHandlers('label', textLabels, byInstance)}
+        hoveredIndex={activeHover?.kind === 'label' ? activeHover.index : undefined}
+        selectedIndex={activeSelection?.kind === 'label' ? activeSelection.index : undefined}
+      />
+      {dataset && (
+        <LabelBinder
+          labels={textLabels}
+          dataset={dataset}
+          format={formatLabel}
+          timeline={timeline}
+          measurementsRef={measurementsRef}
+          apiRef={labelApiRef}
+        />
+      )}
+
+      {/* Hover and selection outlines */}
+      <PickHighlight target={activeHover} color={HOVER_COLOR} opacity={0.5} />
+      <PickHighlight target={activeSelection} color={SELECT_COLOR} />
+    </group>
+  )
+}
+
+export default Scene
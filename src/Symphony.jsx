@@ -1,619 +1,885 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react'
-import { Canvas, useThree, useFrame } from '@react-three/fiber'
-import { PerspectiveCamera, Text } from '@react-three/drei'
-import * as THREE from 'three'
-import { EffectComposer, Bloom } from '@react-three/postprocessing'
-
-
-
-// Generate random text/numbers
-const generateRandomText = () => {
-  const types = ['number', 'hex', 'code']
-  const type = types[Math.floor(Math.random() * types.length)]
-
-  switch (type) {
-    case 'number':
-      return Math.floor(Math.random() * 9999).toString().padStart(4, '0')
-    case 'hex':
-      return '0x' + Math.floor(Math.random() * 0xFFFF).toString(16).toUpperCase()
-    case 'code':
-      const codes = ['SYS', 'NET', 'CPU', 'MEM', 'IO', 'REF', 'ACK', 'ERR', 'OK', 'RX', 'TX']
-      return codes[Math.floor(Math.random() * codes.length)]
-    default:
-      return Math.floor(Math.random() * 999).toString()
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from 'react'
+import { Canvas } from '@react-three/fiber'
+import { PerspectiveCamera } from '@react-three/drei'
+import { EffectComposer } from '@react-three/postprocessing'
+import Scene from './Scene.jsx'
+import { hasSiteCoordinates } from './data/siteLayout.js'
+import { DEFAULT_PROJECTION, isProjection } from './geo/projection.js'
+import { regionContains } from './geo/geojson.js'
+import { useGeoMap } from './geo/useGeoMap.js'
+import { DEFAULT_COVERAGE } from './heatmap/coverage.js'
+import { useDataset } from './data/useDataset.js'
+import { randomSeed } from './utils/random.js'
+import { getQueryParam, setQueryParams } from './utils/url.js'
+import { useStream } from './stream/useStream.js'
+import StreamStatus from './components/StreamStatus.jsx'
+import InspectorPanel from './components/InspectorPanel.jsx'
+import { DEFAULT_LABEL_TEMPLATE, compileLabelTemplate } from './text/templates.js'
+import { RAYCASTER_PARAMS } from './picking/raycast.js'
+import CameraRig from './camera/CameraRig.jsx'
+import CameraLink from './camera/CameraLink.jsx'
+import { createCameraLink, createMotionClock, createViewState } from './camera/viewState.js'
+import {
+  DEFAULT_VIEWPOINT,
+  decodeViewpoint,
+  encodeViewpoint,
+  findViewpoint,
+  loadSavedViewpoints,
+  storeSavedViewpoints
+} from './camera/viewpoints.js'
+import ViewpointPanel from './components/ViewpointPanel.jsx'
+import { alignTimeline, createTimeline, datasetTimeRange } from './timeline/timeline.js'
+import TimelineDriver from './timeline/TimelineDriver.jsx'
+import TimelinePanel from './components/TimelinePanel.jsx'
+import DatasetPanel from './components/DatasetPanel.jsx'
+import MapPanel from './components/MapPanel.jsx'
+import SeedPanel from './components/SeedPanel.jsx'
+import AdaptiveQuality from './quality/AdaptiveQuality.jsx'
+import Exporter from './export/Exporter.jsx'
+import ExportPanel from './components/ExportPanel.jsx'
+import { QUALITY_TIERS, detectInitialTier, isTier, tierDpr } from './quality/tiers.js'
+import { ALERT_GROUP, SIGNAL_GROUP, createBloomSelections } from './bloom/selections.js'
+import { DEFAULT_BLOOM_RULES } from './bloom/rules.js'
+import SelectiveBloomPasses from './bloom/SelectiveBloomPasses.jsx'
+import BloomPanel from './components/BloomPanel.jsx'
+import LabelPanel from './components/LabelPanel.jsx'
+import CoveragePanel from './components/CoveragePanel.jsx'
+import AlertPanel from './components/AlertPanel.jsx'
+import { ALERT_BLOOM_STRENGTH, DEFAULT_ALERT_RULES, DEFAULT_ANOMALY_SETTINGS, createAnomalyDetector } from './alerts/alerts.js'
+import { useAlerts } from './alerts/useAlerts.js'
+import SettingsPanel from './components/SettingsPanel.jsx'
+import DataTablePanel from './components/DataTablePanel.jsx'
+import { parseMotionPreference, usePrefersReducedMotion } from './a11y/reducedMotion.js'
+import { useKeyboardControls } from './a11y/keyboard.js'
+import { useCellTable, useReplayTime } from './a11y/useCellTable.js'
+import { summarizeScene } from './a11y/cellTable.js'
+import { describeSelection } from './picking/describe.js'
+import {
+  DEFAULT_SCENE_SETTINGS,
+  applySceneSettings,
+  decodeSceneSettings,
+  encodeSceneSettings,
+  loadSettingsPresets,
+  storeSettingsPresets
+} from './settings/sceneSettings.js'
+import { DEFAULT_COLOR_ENCODING, createColorScale, createDeltaScale, solidColorScale } from './color/scale.js'
+import ColorLegend from './components/ColorLegend.jsx'
+import ComparePanel from './components/ComparePanel.jsx'
+import {
+  COMPARE_COLOR,
+  DEFAULT_COMPARISON,
+  compareDatasets,
+  deltaScaleOptions,
+  isCompareView,
+  isDeltaMetric
+} from './compare/compare.js'
+import FlatView from './render/FlatView.jsx'
+import RenderErrorBoundary from './render/RenderErrorBoundary.jsx'
+import RenderNotice from './components/RenderNotice.jsx'
+import { useContextRecovery } from './render/useContextRecovery.js'
+import { canUseWebGL } from './render/webgl.js'
+import PerfProbe from './perf/PerfProbe.jsx'
+import BenchmarkRunner from './perf/BenchmarkRunner.jsx'
+import { createBenchmarkDataset, createBenchmarkReport, parseBenchmarkSizes, publishBenchmarkReport } from './perf/benchmark.js'
+import PerfPanel from './components/PerfPanel.jsx'
+import { createAudioReactor } from './audio/audioReactor.js'
+import AudioDriver from './audio/AudioDriver.jsx'
+import AudioPanel from './components/AudioPanel.jsx'
+import { drillPath, drillTargetOf } from './drill/drillDown.js'
+import DrillBreadcrumbs from './components/DrillBreadcrumbs.jsx'
+import BenchmarkPanel from './components/BenchmarkPanel.jsx'
+
+// Starting state from the page URL, so a shared link reopens the same view; all null
+// (the defaults) when `enabled` is false, e.g. for an embedded instance
+const readUrlState = (enabled) => {
+  const param = enabled ? getQueryParam : () => null
+  const quality = param('quality')
+  const projection = param('projection')
+  const compareView = param('compareView')
+  const delta = param('delta')
+  const benchmark = parseBenchmarkSizes(param('benchmark'))
+  return {
+    // Optional dataset to load on startup, e.g. ?data=/data/sample-network.json
+    dataUrl: param('data'),
+    // Second dataset to compare with, e.g. ?compare=/data/after.json&compareView=overlay&delta=sinr
+    compareUrl: param('compare'),
+    comparison: {
+      ...DEFAULT_COMPARISON,
+      view: isCompareView(compareView) ? compareView : DEFAULT_COMPARISON.view,
+      delta: isDeltaMetric(delta) ? delta : null
+    },
+    // ?layout=sites opens a dataset in the multi-site view
+    networkView: param('layout') === 'sites' || benchmark ? 'sites' : 'stack',
+    // Ground map to load on startup, e.g. ?map=/data/sample-regions.geojson
+    mapUrl: param('map'),
+    projection: isProjection(projection) ? projection : DEFAULT_PROJECTION,
+    // Layout seed from ?seed=, so a shared link reproduces the exact same scene
+    seed: param('seed') || (benchmark ? 'benchmark' : randomSeed()),
+    // Live feed to connect to, e.g. ?stream=ws://localhost:8787/stream or ?stream=http://localhost:8787/events
+    streamUrl: param('stream'),
+    // Starting camera: ?cam=px,py,pz,tx,ty,tz,fov for an exact pose, or ?view=<name> for a preset
+    viewpoint: decodeViewpoint(param('cam')) ?? findViewpoint(param('view'), loadSavedViewpoints()) ?? DEFAULT_VIEWPOINT,
+    // ?motion=reduce|full overrides the system's reduced-motion setting
+    motionPreference: parseMotionPreference(param('motion')),
+    // ?quality=low|medium|high|ultra pins a tier and disables adaptation
+    // A benchmark runs at a pinned tier, `high` unless ?quality= says otherwise
+    quality: isTier(quality) ? quality : benchmark ? 'high' : null,
+    // ?renderer=2d draws the flat fallback view even where WebGL works
+    flatRenderer: param('renderer') === '2d',
+    // ?perf opens the performance overlay; ?benchmark or ?benchmark=10,100,1000 runs
+    // the benchmark over synthetic networks of those site counts
+    perf: param('perf') !== null,
+    benchmark,
+    sceneSettings: decodeSceneSettings(param('settings')) ?? DEFAULT_SCENE_SETTINGS
   }
 }
 
-// Custom shader material for animated lines with per-vertex opacity
-const AnimatedLineMaterial = {
-  vertexShader: `
-    attribute float aOpacity;
-    varying float vOpacity;
-    void main() {
-      vOpacity = aOpacity;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-  `,
-  fragmentShader: `
-    varying float vOpacity;
-    uniform vec3 uColor;
-    void main() {
-      gl_FragColor = vec4(uColor, vOpacity);
-    }
-  `
-}
-
-// Animated line segments - lines move in/out like data pulses
-const AnimatedLines = ({ segments, color = "#ffffff", isBloom = false }) => {
-  const meshRef = useRef()
-  const geometryRef = useRef()
-  const materialRef = useRef()
-
-  // Store base line data for animation reference
-  const lineData = useMemo(() => {
-    return segments.map((seg, idx) => {
-      const angle = Math.atan2(seg.start[1], seg.start[0])
-      const ringZ = seg.start[2]
-
-      // Calculate base distances from center for this line
-      const startDist = Math.sqrt(seg.start[0] ** 2 + seg.start[1] ** 2)
-      const endDist = Math.sqrt(seg.end[0] ** 2 + seg.end[1] ** 2)
-      const lineLength = endDist - startDist
-
-      // Random phase offset for staggered animation
-      const phase = Math.random() * Math.PI * 2
-      // Random speed multiplier for variety
-      const speed = 0.8 + Math.random() * 0.8
-      // Random delay so lines don't all animate together
-      const delay = Math.random() * 3
-
-      return {
-        angle,
-        ringZ,
-        startDist,      // Original start distance from center
-        lineLength,     // Original line length
-        phase,
-        speed,
-        delay,
-        opacity: seg.opacity,
-        ringIndex: seg.ringIndex || 0
-      }
-    })
-  }, [segments])
+// What `onSelect` reports: the picked kind, its index and the layout item
+const publicSelection = (selection) => selection && { kind: selection.kind, index: selection.index, data: selection.data }
+
+/**
+ * The full visualisation: canvas, scene, post-processing and overlay panels.
+ * Every prop is optional; see SymphonyProps in types/index.d.ts and the README's
+ * "Embedding" section. Props that pin a value (seed, quality, colors, bloom,
+ * animation) win over the matching panel control.
+ */
+const Symphony = ({
+  data,
+  compare,
+  seed: seedProp,
+  quality: qualityProp,
+  stream: streamProp,
+  colors: colorsProp,
+  bloom: bloomProp,
+  animation,
+  panels = true,
+  urlState = true,
+  className,
+  style,
+  onSelect,
+  onViewChange,
+  onAlertsChange,
+  onDataChange
+}) => {
+  const [initial] = useState(() => readUrlState(urlState))
+  const writeUrl = useCallback((values) => {
+    if (urlState) setQueryParams(values)
+  }, [urlState])
+  const summaryId = useId()
+
+  // Latest event callbacks, so passing new functions doesn't count as a change
+  const callbacksRef = useRef({})
+  useEffect(() => {
+    callbacksRef.current = { onSelect, onViewChange, onAlertsChange, onDataChange }
+  })
 
-  // Create position and opacity buffers
-  const positions = useRef(new Float32Array(segments.length * 6))
-  const opacities = useRef(new Float32Array(segments.length * 2))
-  const colorVec = useMemo(() => new THREE.Color(color), [color])
+  const pulseQueueRef = useRef([])
+  // Latest live metric values per sector and ring, for data-bound labels
+  const measurementsRef = useRef(new Map())
+  const streamUrl = streamProp ?? initial.streamUrl
 
+  // Rolling z-score anomaly detection over the streamed measurements
+  const [anomalySettings, setAnomalySettings] = useState(DEFAULT_ANOMALY_SETTINGS)
+  const [anomalyDetector] = useState(() => createAnomalyDetector(DEFAULT_ANOMALY_SETTINGS))
   useEffect(() => {
-    if (geometryRef.current) {
-      geometryRef.current.setAttribute('position', new THREE.BufferAttribute(positions.current, 3))
-      geometryRef.current.setAttribute('aOpacity', new THREE.BufferAttribute(opacities.current, 1))
+    anomalyDetector.configure(anomalySettings)
+  }, [anomalyDetector, anomalySettings])
+  const observeMeasurements = useMemo(
+    () => anomalySettings.enabled ? (events) => anomalyDetector.observe(events) : undefined,
+    [anomalyDetector, anomalySettings.enabled]
+  )
+  const { status: streamStatus, rate: streamRate } = useStream(streamUrl, pulseQueueRef, measurementsRef, observeMeasurements)
+  const [seedState, setSeed] = useState(initial.seed)
+  const seed = seedProp ?? seedState
+  const [selection, setSelection] = useState(null)
+  const { dataset: loadedDataset, error: datasetError, loading: datasetLoading, loadFile, clear } = useDataset(data ?? initial.dataUrl)
+
+  // Benchmark mode swaps in a synthetic network per step (see perf/benchmark.js)
+  const [benchmark, setBenchmark] = useState(() => initial.benchmark && { index: 0, steps: [], report: null })
+  const benchmarkSites = benchmark ? initial.benchmark[Math.min(benchmark.index, initial.benchmark.length - 1)] : null
+  const benchmarkDataset = useMemo(() => benchmarkSites ? createBenchmarkDataset(benchmarkSites) : null, [benchmarkSites])
+  const dataset = benchmarkDataset ?? loadedDataset
+
+  // Comparison with a second dataset B, side by side or laid over A
+  const {
+    dataset: compareDataset,
+    error: compareError,
+    loading: compareLoading,
+    loadFile: loadCompareFile,
+    clear: clearCompare
+  } = useDataset(compare ?? initial.compareUrl)
+  const [comparison, setComparison] = useState(initial.comparison)
+  const splitView = !!compareDataset && comparison.view === 'split'
+  const overlayView = !!compareDataset && comparison.view === 'overlay'
+  const [compareSelection, setCompareSelection] = useState(null)
+
+  // One concentric stack for the whole dataset, or one stack per site at its coordinates
+  const [networkView, setNetworkView] = useState(initial.networkView)
+  const canShowSites = hasSiteCoordinates(dataset)
+  const siteView = networkView === 'sites' && canShowSites
+  const compareSiteView = networkView === 'sites' && hasSiteCoordinates(compareDataset)
+
+  // Ground map beneath the sites; picking one of its regions filters the sites to it
+  const { geoMap, error: mapError, loading: mapLoading, loadFile: loadMapFile, clear: clearMap } = useGeoMap(initial.mapUrl)
+  const [projection, setProjection] = useState(initial.projection)
+  const [pickedRegionId, setPickedRegionId] = useState(null)
+  const pickedRegion = geoMap?.regions.find(region => region.id === pickedRegionId) ?? null
+  const regionSiteCounts = useMemo(() => {
+    const located = dataset?.sites.filter(site => site.lat !== null && site.lon !== null) ?? []
+    const inside = pickedRegion ? located.filter(site => regionContains(pickedRegion, [site.lon, site.lat])) : located
+    return { visible: inside.length, total: located.length }
+  }, [dataset, pickedRegion])
+
+  // A map only makes sense under the sites, so loading one switches to the multi-site view
+  const handleMapFile = useCallback((file) => {
+    setNetworkView('sites')
+    setPickedRegionId(null)
+    return loadMapFile(file)
+  }, [loadMapFile])
+
+  const handleMapClear = useCallback(() => {
+    setPickedRegionId(null)
+    clearMap()
+  }, [clearMap])
+
+  // Camera navigation: the rig owns the camera, panels talk to it through cameraApiRef
+  const viewRef = useRef(createViewState(initial.viewpoint))
+  const cameraApiRef = useRef(null)
+  // The split view's second canvas follows the same camera pose and auto-motion
+  const compareCameraApiRef = useRef(null)
+  const cameraLinkRef = useRef(createCameraLink())
+  const [motionClock] = useState(createMotionClock)
+  const [savedViewpoints, setSavedViewpoints] = useState(loadSavedViewpoints)
+  const [autoMotionState, setAutoMotion] = useState(true)
+  const autoMotion = animation?.autoRotate ?? autoMotionState
+  const [pauseOnInteract, setPauseOnInteract] = useState(true)
+
+  // A lost WebGL context remounts the canvas, which rebuilds every mesh, buffer and
+  // material; the new camera resumes from the pose the old one had. Without WebGL,
+  // or after it failed or kept getting lost, the flat 2D view replaces the 3D one.
+  const [resumeViewpoint, setResumeViewpoint] = useState(null)
+  const recovery = useContextRecovery(() => setResumeViewpoint(cameraApiRef.current?.capture() ?? null))
+  const compareRecovery = useContextRecovery()
+  const [rendererFailure, setRendererFailure] = useState(() => {
+    if (initial.flatRenderer) return 'requested'
+    return canUseWebGL() ? null : 'unavailable'
+  })
+  const fallback = rendererFailure ?? (recovery.failed || compareRecovery.failed ? 'lost' : null)
+  const startViewpoint = resumeViewpoint ?? initial.viewpoint
+  const handleRenderError = useCallback(() => setRendererFailure('error'), [])
+
+  // Reduced motion follows the system setting unless ?motion= or the panel overrides it
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const [motionOverride, setMotionOverride] = useState(initial.motionPreference)
+  const reducedMotion = animation?.reducedMotion ?? motionOverride ?? prefersReducedMotion
+
+  // One clock for every animated component; a time-stamped dataset maps onto its loop
+  const [timeline] = useState(createTimeline)
+  const timeRange = useMemo(() => datasetTimeRange(dataset), [dataset])
+  // B replays its own time range in step with A's
+  const compareRange = useMemo(() => datasetTimeRange(compareDataset), [compareDataset])
+  const compareTimeline = useMemo(() => alignTimeline(timeline, compareRange), [timeline, compareRange])
+
+  // Symphony mode; under reduced motion the scenes ignore it
+  const [audio] = useState(createAudioReactor)
+  useEffect(() => () => audio.dispose(), [audio])
+  const sceneAudio = reducedMotion ? null : audio
+
+  // Threshold and anomaly alerts; the scene highlights cells with unacknowledged ones
+  const [alertRules, setAlertRules] = useState(DEFAULT_ALERT_RULES)
+  const { alerts, acknowledge } = useAlerts({
+    dataset,
+    rules: alertRules,
+    detector: anomalyDetector,
+    anomalyEnabled: anomalySettings.enabled,
+    measurementsRef,
+    timeline
+  })
+  const alertKeyList = [...new Set(alerts.filter(alert => !alert.acknowledged).map(alert => alert.key))].sort().join('\n')
+  const alertKeys = useMemo(() => new Set(alertKeyList ? alertKeyList.split('\n') : []), [alertKeyList])
+  const focusApiRef = useRef(null)
+  const compareFocusApiRef = useRef(null)
+
+  // A pick in either scene selects its counterpart in the other; the guard keeps the
+  // counterpart's own report from echoing back
+  const syncingRef = useRef(false)
+  const syncSelection = useCallback((apiRef, pick) => {
+    if (syncingRef.current) return
+    syncingRef.current = true
+    try {
+      apiRef.current?.match(pick)
+    } finally {
+      syncingRef.current = false
     }
-  }, [segments])
-
-  // Animate line positions - lines shoot out and retract like data pulses
-  useFrame((state) => {
-    if (!geometryRef.current) return
-
-    const time = state.clock.elapsedTime
-    const posAttr = geometryRef.current.getAttribute('position')
-    const opacityAttr = geometryRef.current.getAttribute('aOpacity')
-    if (!posAttr || !opacityAttr) return
-
-    for (let i = 0; i < lineData.length; i++) {
-      const data = lineData[i]
-      const { angle, ringZ, startDist, lineLength, phase, speed, delay, opacity } = data
-
-      // Animation progress (0 to 1, looping)
-      // Each line has its own cycle based on phase and delay
-      const cycleTime = ((time * speed) + delay) % 4 // 4 second cycle
-
-      let progress, fadeOpacity
-
-      if (cycleTime < 1.5) {
-        // Phase 1: Line shoots outward (0 to 1.5s)
-        progress = cycleTime / 1.5
-        fadeOpacity = Math.min(1, progress * 2) // Fade in quickly
-      } else if (cycleTime < 2.5) {
-        // Phase 2: Line holds at full extension (1.5 to 2.5s)
-        progress = 1
-        fadeOpacity = 1
-      } else if (cycleTime < 4) {
-        // Phase 3: Line retracts and fades (2.5 to 4s)
-        progress = 1 - ((cycleTime - 2.5) / 1.5)
-        fadeOpacity = progress // Fade out as it retracts
-      } else {
-        progress = 0
-        fadeOpacity = 0
-      }
-
-      // Ease the progress for smoother animation
-      const easedProgress = progress < 0.5
-        ? 2 * progress * progress
-        : 1 - Math.pow(-2 * progress + 2, 2) / 2
-
-      // Calculate animated line positions
-      // Start point stays near the ring, end point extends outward
-      const animatedStartDist = startDist
-      const animatedEndDist = startDist + (lineLength * easedProgress)
-
-      // Convert polar to cartesian
-      const startX = Math.cos(angle) * animatedStartDist
-      const startY = Math.sin(angle) * animatedStartDist
-      const endX = Math.cos(angle) * animatedEndDist
-      const endY = Math.sin(angle) * animatedEndDist
-
-      // Update position buffer
-      const posIdx = i * 6
-      positions.current[posIdx] = startX
-      positions.current[posIdx + 1] = startY
-      positions.current[posIdx + 2] = ringZ
-      positions.current[posIdx + 3] = endX
-      positions.current[posIdx + 4] = endY
-      positions.current[posIdx + 5] = ringZ
-
-      // Update opacity
-      const opIdx = i * 2
-      opacities.current[opIdx] = opacity * fadeOpacity
-      opacities.current[opIdx + 1] = opacity * fadeOpacity
+  }, [])
+  const handleSelect = useCallback((pick) => {
+    setSelection(pick)
+    syncSelection(compareFocusApiRef, pick)
+  }, [syncSelection])
+  const handleCompareSelect = useCallback((pick) => {
+    setCompareSelection(pick)
+    syncSelection(focusApiRef, pick)
+  }, [syncSelection])
+
+  // Fly to a cell's ring (from the alert list or the data table), and hold the scene
+  // still so it stays in view
+  const jumpToCell = useCallback((cell) => {
+    const viewpoint = focusApiRef.current?.focus(cell)
+    if (!viewpoint) return
+    setAutoMotion(false)
+    cameraApiRef.current?.flyTo(viewpoint)
+  }, [])
+
+  // Drill-down (see drill/drillDown.js): the scenes open the sector detail of a ring or
+  // site while the camera flies in and auto-motion holds still. Back at the overview the
+  // camera and auto-motion return to where they were. A drill-down only holds for the
+  // dataset and network view it was made in.
+  const [drillState, setDrillState] = useState(null)
+  const drillTarget = drillState && drillState.dataset === dataset && drillState.siteView === siteView ? drillState.target : null
+  const drillPathItems = useMemo(() => drillPath(drillTarget, dataset?.sites), [drillTarget, dataset])
+  const drillReturnRef = useRef(null)
+  const drillTo = useCallback((target) => {
+    if (target) {
+      const viewpoint = focusApiRef.current?.frameDrill(target)
+      if (!viewpoint) return
+      if (!drillTarget) drillReturnRef.current = { viewpoint: cameraApiRef.current?.capture() ?? null, autoMotion: autoMotionState }
+      setDrillState({ target, dataset, siteView })
+      setAutoMotion(false)
+      cameraApiRef.current?.flyTo(viewpoint)
+      return
     }
+    setDrillState(null)
+    const back = drillReturnRef.current
+    drillReturnRef.current = null
+    if (!back) return
+    setAutoMotion(back.autoMotion)
+    if (back.viewpoint) cameraApiRef.current?.flyTo(back.viewpoint)
+  }, [drillTarget, autoMotionState, dataset, siteView])
+
+  const keyboardActions = useMemo(() => ({
+    nudge: (step) => cameraApiRef.current?.nudge(step),
+    home: () => cameraApiRef.current?.flyTo(DEFAULT_VIEWPOINT),
+    select: (direction) => focusApiRef.current?.step(direction),
+    frame: () => {
+      const viewpoint = focusApiRef.current?.frameSelection()
+      if (!viewpoint) return
+      setAutoMotion(false)
+      cameraApiRef.current?.flyTo(viewpoint)
+    },
+    drill: () => {
+      const target = drillTargetOf(selection)
+      if (target) drillTo(target)
+    },
+    drillUp: () => {
+      if (!drillTarget) return false
+      drillTo(drillPathItems[drillPathItems.length - 2].target)
+    },
+    togglePlay: () => timeline.toggle(),
+    toggleMotion: () => setAutoMotion(prev => !prev)
+  }), [timeline, selection, drillTarget, drillPathItems, drillTo])
+  useKeyboardControls(keyboardActions)
 
-    posAttr.array = positions.current
-    posAttr.needsUpdate = true
-    opacityAttr.array = opacities.current
-    opacityAttr.needsUpdate = true
-
-    geometryRef.current.computeBoundingSphere()
+  useEffect(() => {
+    timeline.setRange(timeRange)
+  }, [timeline, timeRange])
+
+  // Quality tier: pinned by prop or ?quality=, otherwise guessed from the device and adapted live
+  const pinnedTier = isTier(qualityProp) ? qualityProp : initial.quality
+  const [adaptiveTier, setAdaptiveTier] = useState(detectInitialTier)
+  const tier = pinnedTier ?? adaptiveTier
+
+  // Performance overlay; the probe only measures while the overlay or a benchmark needs it
+  const perfStatsRef = useRef(null)
+  const [perfOpen, setPerfOpen] = useState(initial.perf)
+  const benchmarkRunning = !!benchmark && !benchmark.report && !fallback
+  const handleBenchmarkStep = useCallback(({ environment, ...result }) => setBenchmark(prev => {
+    const sectors = benchmarkDataset.sites.reduce((sum, site) => sum + site.sectors.length, 0)
+    const steps = [...prev.steps, { sites: benchmarkSites, sectors, links: benchmarkDataset.links.length, ...result }]
+    return prev.index + 1 < initial.benchmark.length
+      ? { ...prev, index: prev.index + 1, steps }
+      : { ...prev, steps, report: createBenchmarkReport({ tier, environment, steps }) }
+  }), [initial.benchmark, benchmarkSites, benchmarkDataset, tier])
+
+  const benchmarkReport = benchmark?.report ?? null
+  useEffect(() => {
+    if (benchmarkReport) publishBenchmarkReport(benchmarkReport)
+  }, [benchmarkReport])
+
+  // Scene settings from the settings panel, ?settings= or a preset, layered over the tier
+  const [sceneSettingsState, setSceneSettings] = useState(initial.sceneSettings)
+  // The `animation` prop pins the motion settings over the panel's
+  const pinnedRotation = animation?.rotationSpeed
+  const pinnedPulse = animation?.pulseAmplitude
+  const pinnedFovSwing = animation?.fovSwing
+  const sceneSettings = useMemo(() => ({
+    ...sceneSettingsState,
+    rotationSpeed: pinnedRotation ?? sceneSettingsState.rotationSpeed,
+    pulseAmplitude: pinnedPulse ?? sceneSettingsState.pulseAmplitude,
+    fovSwing: pinnedFovSwing ?? sceneSettingsState.fovSwing
+  }), [sceneSettingsState, pinnedRotation, pinnedPulse, pinnedFovSwing])
+  const [settingsPresets, setSettingsPresets] = useState(loadSettingsPresets)
+  const qualitySettings = useMemo(() => applySceneSettings(QUALITY_TIERS[tier], sceneSettings), [tier, sceneSettings])
+  const bloomSettings = qualitySettings.bloom
+  const { baseRadius, ringSpacing, offsetZ, rotationSpeed, pulseAmplitude, fovSwing } = sceneSettings
+  const ringGeometry = useMemo(() => ({ baseRadius, ringSpacing, offsetZ }), [baseRadius, ringSpacing, offsetZ])
+  const motion = useMemo(() => ({ rotationSpeed, pulseAmplitude, fovSwing }), [rotationSpeed, pulseAmplitude, fovSwing])
+
+  // Metric color encoding shared by the scene and the legend
+  const [colorEncodingState, setColorEncoding] = useState(DEFAULT_COLOR_ENCODING)
+  const pinnedMetric = colorsProp?.metric
+  const pinnedPalette = colorsProp?.palette
+  const colorEncoding = useMemo(() => ({
+    ...colorEncodingState,
+    metric: pinnedMetric ?? colorEncodingState.metric,
+    palette: pinnedPalette !== undefined ? pinnedPalette : colorEncodingState.palette
+  }), [colorEncodingState, pinnedMetric, pinnedPalette])
+  const colorScale = useMemo(() => createColorScale(colorEncoding, dataset), [colorEncoding, dataset])
+
+  // Difference view: both scenes colored by B − A of one metric. In the overlay B is
+  // drawn in a single color so it stays apart from A.
+  const comparisonResult = useMemo(() => (
+    dataset && compareDataset && comparison.delta ? compareDatasets(dataset, compareDataset, comparison.delta) : null
+  ), [dataset, compareDataset, comparison.delta])
+  const deltaScale = useMemo(() => (
+    comparisonResult && createDeltaScale(deltaScaleOptions(comparisonResult), comparison.palette)
+  ), [comparisonResult, comparison.palette])
+  const sceneScale = deltaScale ?? colorScale
+  const compareScale = useMemo(() => {
+    if (!compareDataset) return null
+    if (overlayView) return solidColorScale(COMPARE_COLOR)
+    return deltaScale ?? createColorScale(colorEncoding, compareDataset)
+  }, [compareDataset, overlayView, deltaScale, colorEncoding])
+
+  // Coverage shading has its own metric and palette, independent of the legend
+  const [coverage, setCoverage] = useState(DEFAULT_COVERAGE)
+  const coverageScale = useMemo(() => createColorScale({ metric: coverage.metric, palette: coverage.palette }, dataset), [coverage.metric, coverage.palette, dataset])
+
+  // Selective bloom: the built-in signal group plus one group per enabled rule,
+  // each with its own selection and strength
+  const [signalStrengthState, setSignalStrength] = useState(1)
+  const [bloomRulesState, setBloomRules] = useState(DEFAULT_BLOOM_RULES)
+  const signalStrength = bloomProp?.strength ?? signalStrengthState
+  const bloomRules = bloomProp?.rules ?? bloomRulesState
+  const activeBloomRules = useMemo(() => bloomRules.filter(rule => rule.enabled), [bloomRules])
+  const hasAlerts = alertKeys.size > 0
+  const bloomGroups = useMemo(() => [
+    { id: SIGNAL_GROUP, strength: signalStrength },
+    ...activeBloomRules.map(rule => ({ id: rule.id, strength: rule.strength })),
+    ...(hasAlerts ? [{ id: ALERT_GROUP, strength: ALERT_BLOOM_STRENGTH }] : [])
+  ], [signalStrength, activeBloomRules, hasAlerts])
+  const bloomGroupKey = bloomGroups.map(group => group.id).join('|')
+  const bloomSelections = useMemo(() => createBloomSelections(bloomGroupKey.split('|')), [bloomGroupKey])
+  // The split view's second canvas runs its own bloom passes over its own selections
+  const compareBloomSelections = useMemo(() => createBloomSelections(bloomGroupKey.split('|')), [bloomGroupKey])
+
+  // Label text template and on-screen overlap filtering
+  const [labelTemplate, setLabelTemplate] = useState(DEFAULT_LABEL_TEMPLATE)
+  const [declutterLabels, setDeclutterLabels] = useState(true)
+
+  // Accessible alternative: a summary for screen readers, following the replay on its own,
+  // and a per-cell data table refreshed only while it is open
+  const [tableOpen, setTableOpen] = useState(false)
+  const formatLabel = useMemo(() => compileLabelTemplate(labelTemplate), [labelTemplate])
+  const cellTable = useCellTable({ dataset, format: formatLabel, measurementsRef, timeline, enabled: tableOpen })
+  const replayTime = useReplayTime(timeline)
+  const openAlertCount = alerts.filter(alert => !alert.acknowledged).length
+  const sceneSummary = summarizeScene({
+    dataset,
+    cellCount: cellTable.cellCount,
+    legend: sceneScale.legend,
+    openAlerts: openAlertCount,
+    replayTime
   })
+  const selectionSummary = useMemo(() => {
+    if (!selection) return ''
+    const { title, rows } = describeSelection(selection)
+    return `Selected ${title}: ${rows.slice(0, 6).map(([label, value]) => `${label} ${value}`).join(', ')}`
+  }, [selection])
 
-  return (
-    <lineSegments ref={meshRef} frustumCulled={true} layers-enable={isBloom ? 1 : 0}>
-      <bufferGeometry ref={geometryRef} />
-      <shaderMaterial
-        ref={materialRef}
-        vertexShader={AnimatedLineMaterial.vertexShader}
-        fragmentShader={AnimatedLineMaterial.fragmentShader}
-        uniforms={{ uColor: { value: colorVec } }}
-        transparent
-        depthWrite={false}
-        toneMapped={!isBloom}
-      />
-    </lineSegments>
-  )
-}
+  // Snapshot/recording: the panel drives the renderer through exportApiRef
+  const composerRef = useRef(null)
+  const exportApiRef = useRef(null)
+  const [exporting, setExporting] = useState(false)
 
-// Static lines for non-animated display (fallback/performance)
-const StaticLines = ({ segments, color = "white", sharedMaterial }) => {
-  const meshRef = useRef()
-  const geometryRef = useRef()
-
-  const { positions, opacities } = useMemo(() => {
-    const positions = []
-    const opacities = []
-
-    segments.forEach(seg => {
-      positions.push(
-        seg.start[0], seg.start[1], seg.start[2],
-        seg.end[0], seg.end[1], seg.end[2]
-      )
-      opacities.push(seg.opacity, seg.opacity)
-    })
+  const closeInspector = useCallback(() => handleSelect(null), [handleSelect])
 
-    return {
-      positions: new Float32Array(positions),
-      opacities: new Float32Array(opacities)
-    }
-  }, [segments])
+  useEffect(() => {
+    storeSavedViewpoints(savedViewpoints)
+  }, [savedViewpoints])
 
   useEffect(() => {
-    if (geometryRef.current) {
-      geometryRef.current.setAttribute('position', new THREE.BufferAttribute(positions, 3))
-      geometryRef.current.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1))
-      geometryRef.current.computeBoundingSphere()
+    storeSettingsPresets(settingsPresets)
+  }, [settingsPresets])
+
+  // Changed settings go in the URL so a link reproduces the exact configuration
+  useEffect(() => {
+    writeUrl({ settings: encodeSceneSettings(sceneSettingsState) })
+  }, [writeUrl, sceneSettingsState])
+
+  // Named views go in the URL by name, free navigation as an exact pose
+  const handleViewChange = useCallback((viewpoint) => {
+    if (!viewpoint) return
+    if (viewpoint.name) {
+      writeUrl({ view: viewpoint.name, cam: null })
+    } else {
+      writeUrl({ view: null, cam: encodeViewpoint(viewpoint) })
     }
-  }, [positions, opacities])
+    callbacksRef.current.onViewChange?.(viewpoint)
+  }, [writeUrl])
+
+  const saveViewpoint = (name) => {
+    const viewpoint = cameraApiRef.current?.capture(name)
+    if (!viewpoint) return
+    setSavedViewpoints(prev => [...prev.filter(v => v.name !== name), viewpoint])
+    handleViewChange(viewpoint)
+  }
 
-  return (
-    <lineSegments ref={meshRef} frustumCulled={true}>
-      <bufferGeometry ref={geometryRef} />
-      {sharedMaterial ? (
-        <primitive object={sharedMaterial} attach="material" />
-      ) : (
-        <lineBasicMaterial
-          color={color}
-          transparent
-          opacity={0.4}
-          vertexColors={false}
-        />
-      )}
-    </lineSegments>
-  )
-}
+  // Keep the seed in the URL so the current view can be shared
+  useEffect(() => {
+    writeUrl({ seed })
+  }, [writeUrl, seed])
 
-// Instanced circles using ring geometry with reduced segments and shared material
-const InstancedCircles = ({ circles, color = "white", bloom = false, segments = 32, sharedMaterial }) => {
-  const meshRef = useRef()
+  useEffect(() => {
+    writeUrl({ layout: networkView === 'sites' ? 'sites' : null })
+  }, [writeUrl, networkView])
 
   useEffect(() => {
-    if (!meshRef.current || circles.length === 0) return
+    writeUrl({ projection: projection === DEFAULT_PROJECTION ? null : projection })
+  }, [writeUrl, projection])
 
-    const dummy = new THREE.Object3D()
+  useEffect(() => {
+    writeUrl({ motion: motionOverride === null ? null : motionOverride ? 'reduce' : 'full' })
+  }, [writeUrl, motionOverride])
 
-    circles.forEach((circle, i) => {
-      dummy.position.set(circle.position[0], circle.position[1], circle.position[2])
-      dummy.scale.setScalar(circle.radius)
-      dummy.updateMatrix()
-      meshRef.current.setMatrixAt(i, dummy.matrix)
+  useEffect(() => {
+    writeUrl({
+      compareView: comparison.view === DEFAULT_COMPARISON.view ? null : comparison.view,
+      delta: comparison.delta
     })
+  }, [writeUrl, comparison.view, comparison.delta])
 
-    meshRef.current.instanceMatrix.needsUpdate = true
-    meshRef.current.count = circles.length
-  }, [circles])
-
-  return (
-    <instancedMesh
-      ref={meshRef}
-      args={[null, null, Math.max(circles.length, 1)]}
-      frustumCulled={true}
-    >
-      <ringGeometry args={[0.995, 1.0, segments]} />
-      {sharedMaterial ? (
-        <primitive object={sharedMaterial} attach="material" />
-      ) : (
-        <meshBasicMaterial
-          color={bloom ? "#ffffff" : color}
-          transparent
-          opacity={0.6}
-          side={THREE.DoubleSide}
-        />
-      )}
-    </instancedMesh>
-  )
-}
-
-// Instanced circles for bloom layer (brighter, fewer) with reduced segments
-const BloomCircles = ({ circles, lightsRef, segments = 32, sharedMaterial }) => {
-  const meshRef = useRef()
-
+  // Event callbacks for embedders
   useEffect(() => {
-    if (!meshRef.current || circles.length === 0) return
+    callbacksRef.current.onSelect?.(publicSelection(selection))
+  }, [selection])
 
-    const dummy = new THREE.Object3D()
-
-    circles.forEach((circle, i) => {
-      dummy.position.set(circle.position[0], circle.position[1], circle.position[2])
-      dummy.scale.setScalar(circle.radius)
-      dummy.updateMatrix()
-      meshRef.current.setMatrixAt(i, dummy.matrix)
-    })
-
-    meshRef.current.instanceMatrix.needsUpdate = true
-    meshRef.current.count = circles.length
+  useEffect(() => {
+    callbacksRef.current.onAlertsChange?.(alerts)
+  }, [alerts])
 
-    // Add to bloom selection
-    if (lightsRef) {
-      lightsRef.current = meshRef.current
-    }
-  }, [circles, lightsRef])
+  useEffect(() => {
+    callbacksRef.current.onDataChange?.(dataset, datasetError)
+  }, [dataset, datasetError])
+
+  // Props both scenes of the comparison view share
+  const sharedSceneProps = {
+    bloomRules: activeBloomRules,
+    projection,
+    pickedRegionId,
+    onRegionPick: setPickedRegionId,
+    coverageScale,
+    seed,
+    qualitySettings,
+    ringGeometry,
+    motion,
+    labelTemplate,
+    declutterLabels,
+    viewRef,
+    motionClock,
+    pauseOnInteract,
+    reducedMotion,
+    audio: sceneAudio,
+    drill: drillTarget,
+    onDrill: drillTo
+  }
 
-  return (
-    <instancedMesh
-      ref={meshRef}
-      args={[null, null, Math.max(circles.length, 1)]}
-      frustumCulled={true}
-      layers-enable={1}
-    >
-      <ringGeometry args={[1.0, 1.005, segments]} />
-      {sharedMaterial ? (
-        <primitive object={sharedMaterial} attach="material" />
-      ) : (
-        <meshBasicMaterial
-          color="#ffffff"
-          transparent
-          opacity={0.9}
-          side={THREE.DoubleSide}
-          toneMapped={false}
-        />
-      )}
-    </instancedMesh>
+  // The flat fallback draws the same layouts the scenes would build
+  const flatProps = { projection, seed, qualitySettings, ringGeometry, labelTemplate }
+
+  // Dataset B follows A's auto-motion, timeline and selection. Its map and coverage
+  // shading are only drawn in its own pane, not a second time over A.
+  const compareScene = compareDataset && (
+    <Scene
+      {...sharedSceneProps}
+      colorScale={compareScale}
+      coverage={splitView ? coverage : null}
+      bloomSelections={splitView ? compareBloomSelections : bloomSelections}
+      dataset={compareDataset}
+      siteView={compareSiteView}
+      geoMap={splitView ? geoMap : null}
+      focusApiRef={compareFocusApiRef}
+      selection={compareSelection}
+      onSelect={handleCompareSelect}
+      timeline={compareTimeline}
+      autoMotion={false}
+    />
   )
-}
 
-// Text labels component (sparse for performance)
-const TextLabels = ({ labels, color = "white" }) => {
   return (
-    <>
-      {labels.map((t, i) => (
-        <Text
-          key={i}
-          position={t.position}
-          rotation={[0, 0, t.rotation]}
-          fontSize={t.size}
-          color={color}
-          anchorX="left"
-          anchorY="middle"
-          fillOpacity={t.opacity}
-          frustumCulled={true}
-        >
-          {t.text}
-        </Text>
-      ))}
-    </>
-  )
-}
-
-// Main scene with all geometry data, adaptive quality, and animations
-const Scene = ({ bloomLightsRef }) => {
-  const { camera } = useThree()
-  const groupRef = useRef()
-
-  useEffect(() => {
-    // Set fixed camera position and lookAt from debug values
-    camera.position.set(6.69, -0.28, -9.17)
-    camera.lookAt(-0.87, -2.02, 0.76)
-  }, [camera])
-
-  // Animate the scene - rotate to simulate cellular data signal propagation
-  useFrame((state) => {
-    if (groupRef.current) {
-      // Slow rotation on Y-axis to simulate signal rotation
-      groupRef.current.rotation.y = state.clock.elapsedTime * 0.1
-
-      // Subtle pulsing effect using sine wave (unchanged)
-      const sinValue = Math.sin(state.clock.elapsedTime * 0.5)
-      groupRef.current.scale.setScalar(1 + sinValue * 0.05)
-
-      // NEW: Animate FOV in sync with the pulse for a dynamic POV "breathing/zoom" effect
-      // When the structure expands (sinValue > 0), we decrease FOV (zoom in) for intensity
-      // When it contracts, we increase FOV (zoom out)
-      camera.fov = 45 - sinValue * 12 // Results in ~33–57 FOV range for dramatic but smooth feel
-      camera.updateProjectionMatrix()
-    }
-  })
-
-  // Fixed quality settings (medium)
-  const qualitySettings = useMemo(() => ({
-    numRings: 25,
-    ringSegments: 60,
-    lineMultiplier: 0.8,
-    textMultiplier: 0.75
-  }), [])
-
-  // Create shared materials for better performance
-  const sharedMaterials = useMemo(() => ({
-    circleMaterial: new THREE.MeshBasicMaterial({
-      color: 'white',
-      transparent: true,
-      opacity: 0.6,
-      side: THREE.DoubleSide
-    }),
-    bloomMaterial: new THREE.MeshBasicMaterial({
-      color: '#ffffff',
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide,
-      toneMapped: false
-    })
-  }), [])
-
-  // Generate all geometry data with adaptive quality
-  const { circles, bloomCircles, lineSegments, bloomLineSegments, textLabels } = useMemo(() => {
-    const circles = []
-    const bloomCircles = []
-    const lineSegments = []
-    const bloomLineSegments = []
-    const textLabels = []
-
-    const numRings = qualitySettings.numRings
-    const baseRadius = 0.5
-    let r = baseRadius
-
-    const offsetX = 0
-    const offsetY = 0
-    const offsetZ = 0.2
-
-    for (let ringIdx = 0; ringIdx < numRings; ringIdx++) {
-      const ringProgress = ringIdx / numRings
-      const position = [ringIdx * offsetX, ringIdx * offsetY, ringIdx * offsetZ]
-
-      // Add circle
-      circles.push({
-        radius: r,
-        position,
-        opacity: 0.3 + Math.random() * 0.7
-      })
-
-      // Add bloom circle for some rings (every 4th ring)
-      if (ringIdx % 4 === 0) {
-        bloomCircles.push({
-          radius: r,
-          position: [...position],
-          opacity: 0.3 + Math.random() * 0.7
-        })
-      }
-
-      // Generate external lines for this ring (adjusted by quality)
-      const baseNumLines = 8 + Math.floor(ringProgress * 25) + Math.floor(Math.random() * 10)
-      const numLines = Math.floor(baseNumLines * qualitySettings.lineMultiplier)
-      const maxLength = 0.3 + ringProgress * 1.2
-      const baseDensity = 0.25 + ringProgress * 0.15
-      const textDensity = baseDensity * qualitySettings.textMultiplier
-      const usedAngles = []
-      const minAngleDiff = 0.2
-
-      for (let lineIdx = 0; lineIdx < numLines; lineIdx++) {
-        const angle = Math.random() * Math.PI * 2
-        const startR = r + Math.random() * 0.2
-        const length = 0.3 + Math.random() * maxLength
-        const endR = startR + length
-        const isSegmented = Math.random() > 0.6
-        const opacity = 0.15 + Math.random() * 0.4
-
-        if (isSegmented) {
-          let currentR = startR
-          while (currentR < endR) {
-            const segLen = 0.1 + Math.random() * 0.2
-            const gapLen = 0.05 + Math.random() * 0.1
-            const segEndR = Math.min(currentR + segLen, endR)
-
-            const lineData = {
-              start: [
-                Math.cos(angle) * currentR + position[0],
-                Math.sin(angle) * currentR + position[1],
-                position[2]
-              ],
-              end: [
-                Math.cos(angle) * segEndR + position[0],
-                Math.sin(angle) * segEndR + position[1],
-                position[2]
-              ],
-              opacity,
-              ringIndex: ringIdx
-            }
-
-            // ~20% of lines get bloom effect
-            if (Math.random() < 0.2) {
-              bloomLineSegments.push(lineData)
-            } else {
-              lineSegments.push(lineData)
-            }
-            currentR = segEndR + gapLen
-          }
-        } else {
-          const lineData = {
-            start: [
-              Math.cos(angle) * startR + position[0],
-              Math.sin(angle) * startR + position[1],
-              position[2]
-            ],
-            end: [
-              Math.cos(angle) * endR + position[0],
-              Math.sin(angle) * endR + position[1],
-              position[2]
-            ],
-            opacity,
-            ringIndex: ringIdx
-          }
-
-          // ~20% of lines get bloom effect
-          if (Math.random() < 0.2) {
-            bloomLineSegments.push(lineData)
-          } else {
-            lineSegments.push(lineData)
-          }
-        }
-
-        // Add text labels (sparse, quality-adjusted)
-        if (Math.random() < textDensity) {
-          const tooClose = usedAngles.some(usedAngle =>
-            Math.abs(angle - usedAngle) < minAngleDiff ||
-            Math.abs(angle - usedAngle) > (Math.PI * 2 - minAngleDiff)
-          )
-
-          if (!tooClose) {
-            usedAngles.push(angle)
-            const textR = endR + 0.1 + Math.random() * 0.2
-            textLabels.push({
-              text: generateRandomText(),
-              position: [
-                Math.cos(angle) * textR + position[0],
-                Math.sin(angle) * textR + position[1],
-                position[2]
-              ],
-              rotation: angle - Math.PI / 2,
-              opacity: 0.3 + Math.random() * 0.4,
-              size: 0.08 + Math.random() * 0.04
-            })
-          }
-        }
-      }
-
-      r += 0.25 + Math.random() * 0.3
-    }
-
-    return { circles, bloomCircles, lineSegments, bloomLineSegments, textLabels }
-  }, [qualitySettings])
+    <div className={className} style={{ width: '100%', height: '100vh', background: '#0a0a0a', position: 'relative', ...style }}>
+      <div className={splitView ? 'compare-panes compare-panes--split' : 'compare-panes'}>
+        <div className="compare-pane">
+          {fallback ? (
+            <FlatView
+              {...flatProps}
+              colorScale={sceneScale}
+              dataset={dataset}
+              siteView={siteView}
+              alertKeys={alertKeys}
+              role="img"
+              aria-label="Cellular network rings and signal lines, flat view"
+              aria-describedby={summaryId}
+            />
+          ) : (
+            <RenderErrorBoundary onError={handleRenderError}>
+              <Canvas
+                key={recovery.generation}
+                style={{ width: '100%', height: '100%' }}
+                gl={{ antialias: true, powerPreference: "high-performance" }}
+                dpr={tierDpr(tier)}
+                frameloop={exporting ? 'never' : 'always'}
+                raycaster={{ params: RAYCASTER_PARAMS }}
+                onCreated={recovery.onCreated}
+                onPointerMissed={() => handleSelect(null)}
+                role="img"
+                aria-label="Cellular network rings and signal lines"
+                aria-describedby={summaryId}
+              >
+                <color attach="background" args={['#0a0a0a']} />
+                <PerspectiveCamera
+                  makeDefault
+                  position={startViewpoint.position}
+                  fov={startViewpoint.fov}
+                />
+                <TimelineDriver timeline={timeline} />
+                <AudioDriver audio={audio} />
+                <CameraRig
+                  initialViewpoint={startViewpoint}
+                  viewRef={viewRef}
+                  apiRef={cameraApiRef}
+                  onViewChange={handleViewChange}
+                  reducedMotion={reducedMotion}
+                />
+                {splitView && <CameraLink linkRef={cameraLinkRef} />}
+                {(perfOpen || benchmarkRunning) && <PerfProbe statsRef={perfStatsRef} />}
+                {benchmarkRunning && <BenchmarkRunner key={benchmark.index} statsRef={perfStatsRef} onDone={handleBenchmarkStep} />}
+
+                <AdaptiveQuality tier={tier} onChange={setAdaptiveTier} enabled={!pinnedTier && !exporting}>
+                  <Scene
+                    {...sharedSceneProps}
+                    colorScale={sceneScale}
+                    coverage={coverage}
+                    bloomSelections={bloomSelections}
+                    dataset={dataset}
+                    siteView={siteView}
+                    geoMap={geoMap}
+                    alertKeys={alertKeys}
+                    focusApiRef={focusApiRef}
+                    pulseQueueRef={streamUrl ? pulseQueueRef : null}
+                    measurementsRef={measurementsRef}
+                    selection={selection}
+                    onSelect={handleSelect}
+                    timeline={timeline}
+                    autoMotion={autoMotion}
+                  />
+                  {overlayView && compareScene}
+                </AdaptiveQuality>
+
+                {/* Selective bloom post-processing, one pass per bloom group */}
+                <EffectComposer ref={composerRef}>
+                  <SelectiveBloomPasses groups={bloomGroups} selections={bloomSelections} settings={bloomSettings} audio={sceneAudio} />
+                </EffectComposer>
+                <Exporter apiRef={exportApiRef} composerRef={composerRef} />
+              </Canvas>
+            </RenderErrorBoundary>
+          )}
+          {splitView && <span className="compare-pane__badge">A · {dataset?.name ?? 'Procedural'}</span>}
+        </div>
+
+        {splitView && (
+          <div className="compare-pane">
+            {fallback ? (
+              <FlatView
+                {...flatProps}
+                colorScale={compareScale}
+                dataset={compareDataset}
+                siteView={compareSiteView}
+                role="img"
+                aria-label={`Comparison dataset ${compareDataset.name}, flat view`}
+              />
+            ) : (
+              <RenderErrorBoundary onError={handleRenderError}>
+                <Canvas
+                  key={compareRecovery.generation}
+                  style={{ width: '100%', height: '100%' }}
+                  gl={{ antialias: true, powerPreference: "high-performance" }}
+                  dpr={tierDpr(tier)}
+                  frameloop={exporting ? 'never' : 'always'}
+                  raycaster={{ params: RAYCASTER_PARAMS }}
+                  onCreated={compareRecovery.onCreated}
+                  onPointerMissed={() => handleCompareSelect(null)}
+                  role="img"
+                  aria-label={`Comparison dataset ${compareDataset.name}`}
+                >
+                  <color attach="background" args={['#0a0a0a']} />
+                  <PerspectiveCamera
+                    makeDefault
+                    position={startViewpoint.position}
+                    fov={startViewpoint.fov}
+                  />
+                  <CameraRig
+                    initialViewpoint={startViewpoint}
+                    viewRef={viewRef}
+                    apiRef={compareCameraApiRef}
+                    onViewChange={handleViewChange}
+                    reducedMotion={reducedMotion}
+                  />
+                  <CameraLink linkRef={cameraLinkRef} />
+                  {compareScene}
+                  <EffectComposer>
+                    <SelectiveBloomPasses groups={bloomGroups} selections={compareBloomSelections} settings={bloomSettings} audio={sceneAudio} />
+                  </EffectComposer>
+                </Canvas>
+              </RenderErrorBoundary>
+            )}
+            <span className="compare-pane__badge">B · {compareDataset.name}</span>
+          </div>
+        )}
+      </div>
+
+      <p id={summaryId} className="visually-hidden">{sceneSummary}</p>
+      <p className="visually-hidden" aria-live="polite">{selectionSummary}</p>
+
+      {panels && (
+        <>
+        <div className="overlay-stack overlay-stack--top-left">
+          <DatasetPanel
+            dataset={dataset}
+            error={datasetError}
+            loading={datasetLoading}
+            onLoadFile={loadFile}
+            onClear={clear}
+            networkView={networkView}
+            onNetworkViewChange={canShowSites ? setNetworkView : null}
+          />
 
-  return (
-    <group ref={groupRef} rotation={[Math.PI / 5, 0, -0.3]}>
-      {/* Main circles (instanced with shared material) */}
-      <InstancedCircles
-        circles={circles}
-        segments={qualitySettings.ringSegments}
-        sharedMaterial={sharedMaterials.circleMaterial}
-      />
-
-      {/* Bloom circles (instanced, selective bloom with shared material) */}
-      <BloomCircles
-        circles={bloomCircles}
-        lightsRef={bloomLightsRef}
-        segments={qualitySettings.ringSegments}
-        sharedMaterial={sharedMaterials.bloomMaterial}
-      />
-
-      {/* Animated line segments (no bloom) */}
-      <AnimatedLines
-        segments={lineSegments}
-        color="#ffffff"
-        isBloom={false}
-      />
-
-      {/* Bloom line segments (selective bloom) */}
-      {bloomLineSegments.length > 0 && (
-        <AnimatedLines
-          segments={bloomLineSegments}
-          color="#ffffff"
-          isBloom={true}
-        />
-      )}
+          <ComparePanel
+            dataset={compareDataset}
+            error={compareError}
+            loading={compareLoading}
+            onLoadFile={loadCompareFile}
+            onClear={clearCompare}
+            comparison={comparison}
+            onChange={setComparison}
+            result={comparisonResult}
+            scale={deltaScale}
+            selection={selection ?? compareSelection}
+            hasDataset={!!dataset}
+          />
 
-      {/* Text labels */}
-      <TextLabels labels={textLabels} color="white" />
-    </group>
-  )
-}
+          <MapPanel
+            geoMap={geoMap}
+            error={mapError}
+            loading={mapLoading}
+            onLoadFile={handleMapFile}
+            onClear={handleMapClear}
+            projection={projection}
+            onProjectionChange={setProjection}
+            pickedRegion={pickedRegion}
+            visibleSites={regionSiteCounts.visible}
+            totalSites={regionSiteCounts.total}
+            onClearRegion={() => setPickedRegionId(null)}
+          />
 
-const Symphony = () => {
-  const bloomLightsRef = useRef()
+          <ViewpointPanel
+            saved={savedViewpoints}
+            onFlyTo={(viewpoint) => cameraApiRef.current?.flyTo(viewpoint)}
+            onSave={saveViewpoint}
+            onDelete={(name) => setSavedViewpoints(prev => prev.filter(v => v.name !== name))}
+            autoMotion={autoMotion}
+            onAutoMotionChange={setAutoMotion}
+            pauseOnInteract={pauseOnInteract}
+            onPauseOnInteractChange={setPauseOnInteract}
+            reducedMotion={reducedMotion}
+            onReducedMotionChange={setMotionOverride}
+          />
 
-  // Fixed bloom settings (medium quality)
-  const bloomSettings = useMemo(() => ({
-    intensity: 1.6,
-    radius: 0.35,
-    luminanceThreshold: 0.65,
-    luminanceSmoothing: 0.075
-  }), [])
+          <SettingsPanel
+            settings={sceneSettings}
+            tierSettings={QUALITY_TIERS[tier]}
+            hasDataset={!!dataset}
+            onChange={setSceneSettings}
+            presets={settingsPresets}
+            onPresetsChange={setSettingsPresets}
+          />
 
+          <DataTablePanel
+            summary={sceneSummary}
+            rows={cellTable.rows}
+            alertKeys={alertKeys}
+            open={tableOpen}
+            onOpenChange={setTableOpen}
+            onShowCell={jumpToCell}
+          />
+        </div>
 
-  return (
-    <div style={{ width: '100%', height: '100vh', background: '#0a0a0a', position: 'relative' }}>
-      <Canvas
-        style={{ width: '100%', height: '100%' }}
-        gl={{ antialias: true, powerPreference: "high-performance" }}
-        dpr={[1, 2]}
-      >
-        <color attach="background" args={['#0a0a0a']} />
-        <PerspectiveCamera
-          makeDefault
-          position={[6.69, -0.28, -9.17]}
-          fov={45}
+        <SeedPanel
+          seed={seed}
+          locked={seedProp !== undefined}
+          onChange={setSeed}
+          onRandomize={() => setSeed(randomSeed())}
         />
 
-        <Scene bloomLightsRef={bloomLightsRef} />
-
-        {/* Adaptive Bloom Post-processing */}
-        <EffectComposer>
-          <Bloom
-            intensity={bloomSettings.intensity}
-            luminanceThreshold={bloomSettings.luminanceThreshold}
-            luminanceSmoothing={bloomSettings.luminanceSmoothing}
-            mipmapBlur={true}
-            radius={bloomSettings.radius}
+        {!fallback && <TimelinePanel timeline={timeline} />}
+
+        <InspectorPanel selection={selection} onClose={closeInspector} onDrill={fallback ? null : drillTo} />
+
+        {drillTarget && !fallback && <DrillBreadcrumbs path={drillPathItems} onNavigate={drillTo} />}
+
+        <div className="overlay-stack overlay-stack--top-right">
+          {benchmark && (
+            <BenchmarkPanel sizes={initial.benchmark} index={benchmark.index} report={benchmark.report} unavailable={!!fallback} />
+          )}
+          <RenderNotice restoring={recovery.status === 'lost' || compareRecovery.status === 'lost'} fallback={fallback} />
+          {streamUrl && (
+            <StreamStatus url={streamUrl} status={streamStatus} rate={streamRate} />
+          )}
+          <AlertPanel
+            alerts={alerts}
+            rules={alertRules}
+            onRulesChange={setAlertRules}
+            anomaly={anomalySettings}
+            onAnomalyChange={setAnomalySettings}
+            hasStream={!!streamUrl}
+            onJump={dataset ? jumpToCell : null}
+            onAcknowledge={acknowledge}
           />
-        </EffectComposer>
-      </Canvas>
+          {!deltaScale && <ColorLegend encoding={colorEncoding} scale={colorScale} onChange={setColorEncoding} />}
+          {!fallback && <ExportPanel apiRef={exportApiRef} seed={seed} onBusyChange={setExporting} />}
+          {!fallback && <PerfPanel statsRef={perfStatsRef} open={perfOpen} onOpenChange={setPerfOpen} />}
+          {!fallback && <AudioPanel audio={audio} reducedMotion={reducedMotion} />}
+          <BloomPanel
+            signalStrength={signalStrength}
+            onSignalStrengthChange={setSignalStrength}
+            rules={bloomRules}
+            onRulesChange={setBloomRules}
+          />
+          <LabelPanel
+            template={labelTemplate}
+            onTemplateChange={setLabelTemplate}
+            declutter={declutterLabels}
+            onDeclutterChange={setDeclutterLabels}
+            hasDataset={!!dataset}
+          />
+          <CoveragePanel
+            coverage={coverage}
+            scale={coverageScale}
+            onChange={setCoverage}
+            hasDataset={!!dataset}
+          />
+        </div>
+        </>
+      )}
     </div>
   )
 }
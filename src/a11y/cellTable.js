@@ -0,0 +1,56 @@
+import { LABEL_FIELDS } from '../text/templates.js'
+
+/**
+ * Text alternatives to the canvas: one table row per cell (sector and ring) with
+ * the values its ring and label currently show, and a short summary of the scene.
+ */
+
+// Metric columns, formatted like the label fields of the same name
+export const TABLE_METRICS = ['rsrp', 'rsrq', 'sinr', 'throughput', 'load', 'dropRate']
+
+const MISSING = '—'
+
+export const formatMetric = (metric, value) => {
+  if (!Number.isFinite(value)) return MISSING
+  const { format } = LABEL_FIELDS[metric]
+  return format ? format(value) : String(value)
+}
+
+const compareRows = (a, b) =>
+  a.siteName.localeCompare(b.siteName) || a.sectorId.localeCompare(b.sectorId) || a.ring - b.ring
+
+/**
+ * Rows from `currentCellValues` (see alerts/alerts.js); `format` is the compiled label
+ * template, so the label column reads exactly like the label in the scene.
+ */
+export const buildCellRows = (cells, format) => [...cells.entries()].map(([key, cell]) => {
+  const record = { siteId: cell.siteId, siteName: cell.siteName ?? cell.siteId ?? MISSING, sectorId: cell.sectorId, technology: cell.technology }
+  return {
+    key,
+    ...record,
+    ring: cell.ring,
+    values: cell.values,
+    label: format(record, { ...cell.values, ring: cell.ring })
+  }
+}).sort(compareRows)
+
+const formatRange = (value) => Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(1))
+
+/**
+ * A few sentences on what the scene shows, for screen readers and the data table panel.
+ * `legend` is the color scale's legend, null when nothing is colored.
+ */
+export const summarizeScene = ({ dataset, cellCount, legend, openAlerts, replayTime }) => {
+  if (!dataset) {
+    return 'Procedural demo of concentric rings and radial lines without measurements. Load a dataset to list its cells.'
+  }
+  const sectors = dataset.sites.reduce((total, site) => total + site.sectors.length, 0)
+  const range = legend?.domain ? ` from ${formatRange(legend.domain[0])} to ${formatRange(legend.domain[1])} ${legend.unit}` : ''
+  const coloring = legend ? `, colored by ${legend.label}${range}` : ''
+  const parts = [
+    `${dataset.name}: ${dataset.sites.length} sites, ${sectors} sectors and ${cellCount} cells${coloring}.`,
+    openAlerts > 0 ? `${openAlerts} open alert${openAlerts === 1 ? '' : 's'}.` : 'No open alerts.',
+    replayTime !== null ? `Replaying ${new Date(replayTime).toLocaleString()}.` : ''
+  ]
+  return parts.filter(Boolean).join(' ')
+}
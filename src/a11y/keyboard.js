@@ -0,0 +1,84 @@
+import { useEffect, useRef } from 'react'
+
+// Orbit step per arrow press, radians, and zoom factor per +/− press
+const ORBIT_STEP = Math.PI / 12
+const TILT_STEP = Math.PI / 18
+const ZOOM_STEP = 1.2
+// Pan step per Shift+arrow press, as a share of the distance to the target
+const PAN_STEP = 0.1
+
+/** Shortcuts as `[keys, description]`, listed in the data table panel. */
+export const KEYBOARD_SHORTCUTS = [
+  ['← → ↑ ↓', 'Orbit the camera'],
+  ['Shift + arrows', 'Pan the camera'],
+  ['+ / −', 'Zoom in and out'],
+  ['Home', 'Return to the overview'],
+  ['N / P', 'Select the next or previous ring'],
+  ['Enter', 'Fly to the selection'],
+  ['D', 'Drill into the selected ring or site'],
+  ['U / Backspace', 'Back up one drill-down level'],
+  ['Esc', 'Clear the selection'],
+  ['Space', 'Play or pause the timeline'],
+  ['M', 'Toggle auto motion']
+]
+
+// Key → action name and arguments; Shift turns the arrows from orbiting into panning
+const actionOf = (event) => {
+  const pan = event.shiftKey
+  switch (event.key) {
+    case 'ArrowLeft': return pan ? ['nudge', { pan: [-PAN_STEP, 0] }] : ['nudge', { azimuth: -ORBIT_STEP }]
+    case 'ArrowRight': return pan ? ['nudge', { pan: [PAN_STEP, 0] }] : ['nudge', { azimuth: ORBIT_STEP }]
+    case 'ArrowUp': return pan ? ['nudge', { pan: [0, PAN_STEP] }] : ['nudge', { polar: -TILT_STEP }]
+    case 'ArrowDown': return pan ? ['nudge', { pan: [0, -PAN_STEP] }] : ['nudge', { polar: TILT_STEP }]
+    case '+':
+    case '=': return ['nudge', { zoom: 1 / ZOOM_STEP }]
+    case '-':
+    case '_': return ['nudge', { zoom: ZOOM_STEP }]
+    case 'Home': return ['home']
+    case 'n':
+    case 'N': return ['select', 1]
+    case 'p':
+    case 'P': return ['select', -1]
+    case 'Enter': return ['frame']
+    case 'd':
+    case 'D': return ['drill']
+    case 'u':
+    case 'U':
+    case 'Backspace': return ['drillUp']
+    case ' ': return ['togglePlay']
+    case 'm':
+    case 'M': return ['toggleMotion']
+    default: return null
+  }
+}
+
+// Keys typed into form fields, or that activate a focused control, are left alone
+const INTERACTIVE = new Set(['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'SUMMARY', 'A'])
+const isInteractive = (target) => !!target && (INTERACTIVE.has(target.tagName) || target.isContentEditable)
+
+/**
+ * Window-wide keyboard navigation and selection. `actions` maps the action names
+ * above (`nudge`, `home`, `select`, `frame`, `drill`, `drillUp`, `togglePlay`, `toggleMotion`) to
+ * handlers; Escape is handled by the inspector. A handler that returns false did nothing,
+ * and leaves the key's default action (such as Backspace navigating back) alone.
+ */
+export const useKeyboardControls = (actions) => {
+  const actionsRef = useRef(actions)
+
+  useEffect(() => {
+    actionsRef.current = actions
+  }, [actions])
+
+  useEffect(() => {
+    const handleKey = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+      if (isInteractive(event.target)) return
+      const action = actionOf(event)
+      const handler = action && actionsRef.current[action[0]]
+      if (!handler || handler(action[1]) === false) return
+      event.preventDefault()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [])
+}
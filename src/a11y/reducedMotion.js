@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from 'react'
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+
+const mediaQuery = () => typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null
+
+const subscribe = (listener) => {
+  const query = mediaQuery()
+  query?.addEventListener('change', listener)
+  return () => query?.removeEventListener('change', listener)
+}
+
+const getSnapshot = () => mediaQuery()?.matches ?? false
+
+/**
+ * Whether the operating system asks for reduced motion, kept current when the setting changes.
+ */
+export const usePrefersReducedMotion = () => useSyncExternalStore(subscribe, getSnapshot, () => false)
+
+/**
+ * `?motion=reduce` or `?motion=full` overrides the system setting; anything else follows it.
+ */
+export const parseMotionPreference = (value) => {
+  if (value === 'reduce') return true
+  if (value === 'full') return false
+  return null
+}
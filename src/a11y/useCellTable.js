@@ -0,0 +1,61 @@
+import { useEffect, useMemo, useState } from 'react'
+import { buildCellBaselines, currentCellValues } from '../alerts/alerts.js'
+import { buildSampleHistory } from '../timeline/sampleHistory.js'
+import { buildCellRows } from './cellTable.js'
+
+// How often the table follows replay and live values, ms
+const REFRESH_INTERVAL_MS = 1000
+
+const signatureOf = (rows) => rows.map(row => `${row.key}=${row.label}|${Object.values(row.values).join(',')}`).join('\n')
+
+/**
+ * Data table rows (see cellTable.js) for `dataset`, refreshed once a second while
+ * `enabled` so they follow replay and live measurements like the labels do.
+ * Also returns the number of cells and the dataset time being replayed, or null.
+ */
+export const useCellTable = ({ dataset, format, measurementsRef, timeline, enabled }) => {
+  const baselines = useMemo(() => buildCellBaselines(dataset), [dataset])
+  const history = useMemo(() => buildSampleHistory(dataset), [dataset])
+  const [table, setTable] = useState({ rows: [], replayTime: null })
+
+  useEffect(() => {
+    if (!enabled) return
+    let signature = null
+
+    const refresh = () => {
+      const replayTime = timeline.datasetTime()
+      const rows = buildCellRows(currentCellValues(baselines, { history, replayTime, live: measurementsRef.current }), format)
+      const next = `${replayTime === null ? '' : Math.round(replayTime / 1000)}\n${signatureOf(rows)}`
+      if (next === signature) return
+      signature = next
+      setTable({ rows, replayTime })
+    }
+
+    refresh()
+    const timer = setInterval(refresh, REFRESH_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [baselines, history, format, measurementsRef, timeline, enabled])
+
+  return { ...table, cellCount: baselines.size }
+}
+
+/**
+ * Dataset time being replayed (epoch ms, whole seconds), or null, refreshed once a
+ * second whether or not the table is open, for the screen-reader summary.
+ */
+export const useReplayTime = (timeline) => {
+  const [replayTime, setReplayTime] = useState(null)
+
+  useEffect(() => {
+    const refresh = () => {
+      const time = timeline.datasetTime()
+      setReplayTime(time === null ? null : Math.floor(time / 1000) * 1000)
+    }
+
+    refresh()
+    const timer = setInterval(refresh, REFRESH_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [timeline])
+
+  return replayTime
+}
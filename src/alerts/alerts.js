@@ -0,0 +1,217 @@
+import { BLOOM_METRICS, describeBloomRule, passesRule } from '../bloom/rules.js'
+import * as THREE from 'three'
+import { MEASUREMENT_FIELDS, measurementKey, parseMeasurementKey } from '../stream/measurements.js'
+import { latestSampleAt } from '../timeline/sampleHistory.js'
+
+/**
+ * Alerts on sector rings ("cells", keyed like live measurements: `sectorId:ring`).
+ *
+ * Threshold rules have the same shape as bloom rules (see bloom/rules.js) and
+ * are checked against each cell's current values: the latest live measurement
+ * merged over the replayed sample, or over the mean of the cell's samples.
+ * The optional anomaly detector scores every streamed value against a rolling
+ * window of that cell's previous values and flags it when |z| reaches the
+ * threshold; the flag clears with the next ordinary value.
+ *
+ * @typedef {Object} Alert
+ * @property {string} id          Stable while the condition holds, e.g. `low-sinr|CELL-001-2:3`
+ * @property {'threshold'|'anomaly'} type
+ * @property {string} key         Cell key, `sectorId:ring`
+ * @property {string} sectorId
+ * @property {number} ring
+ * @property {string} [siteId]
+ * @property {string} [siteName]
+ * @property {string} metric
+ * @property {number} value
+ * @property {number} [z]         Anomaly score
+ * @property {string} message
+ */
+
+export const ALERT_METRICS = BLOOM_METRICS
+
+// Alert ids start with the rule id, so these are prefixed to stay apart from anomaly ids
+export const DEFAULT_ALERT_RULES = [
+  { id: 'alert-low-sinr', metric: 'sinr', op: '<', value: 0, enabled: true },
+  { id: 'alert-high-drop', metric: 'dropRate', op: '>', value: 2, enabled: true }
+]
+
+export const MAX_ALERT_RULES = 10
+
+export const DEFAULT_ANOMALY_SETTINGS = { enabled: false, window: 30, threshold: 3 }
+
+// Breaching rings, lines, labels and site markers take this color, and glow at this strength
+export const ALERT_COLOR = '#ff1744'
+export const ALERT_BLOOM_STRENGTH = 2
+
+// Values needed in a window before anything is scored
+const MIN_HISTORY = 8
+// Below this spread a cell counts as constant and is not scored
+const MIN_STD = 1e-6
+
+const formatValue = (metric, value) => `${Number(value.toFixed(1))} ${ALERT_METRICS[metric]?.unit ?? ''}`.trim()
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length
+
+/**
+ * Per-cell baselines from the dataset: where the cell is and the mean of its samples.
+ */
+export const buildCellBaselines = (dataset) => {
+  const cells = new Map()
+  dataset?.sites.forEach(site => site.sectors.forEach(sector => {
+    const perRing = new Map()
+    sector.samples.forEach(sample => {
+      if (!perRing.has(sample.ring)) perRing.set(sample.ring, [])
+      perRing.get(sample.ring).push(sample)
+    })
+    perRing.forEach((samples, ring) => {
+      const values = {}
+      for (const field of MEASUREMENT_FIELDS) {
+        const present = samples.map(sample => sample[field]).filter(Number.isFinite)
+        if (present.length > 0) values[field] = mean(present)
+      }
+      cells.set(measurementKey(sector.id, ring), {
+        siteId: site.id,
+        siteName: site.name,
+        sectorId: sector.id,
+        technology: sector.technology,
+        ring,
+        values
+      })
+    })
+  }))
+  return cells
+}
+
+/**
+ * Each cell's current values: the baseline means, or the replayed samples when
+ * `history` (see timeline/sampleHistory.js) and `replayTime` are given, with the
+ * live measurement store `live` merged over them.
+ */
+export const currentCellValues = (baselines, { history, replayTime = null, live }) => {
+  const cells = new Map()
+  baselines.forEach((cell, key) => {
+    const replayed = replayTime === null ? null : latestSampleAt(history?.get(key), replayTime)
+    // While replaying, a time-stamped cell has no values before its first sample
+    if (replayTime !== null && !replayed && history?.has(key)) return
+    cells.set(key, { ...cell, values: replayed ?? cell.values })
+  })
+  live?.forEach((measured, key) => {
+    const cell = cells.get(key) ?? baselines.get(key) ?? { ...parseMeasurementKey(key), values: {} }
+    cells.set(key, { ...cell, values: { ...cell.values, ...measured } })
+  })
+  return cells
+}
+
+/**
+ * Threshold alerts for every enabled rule and cell, checked against `currentCellValues`.
+ */
+export const evaluateThresholds = (rules, { baselines, history, replayTime = null, live }) => {
+  const enabled = rules.filter(rule => rule.enabled)
+  if (enabled.length === 0) return []
+
+  const cells = currentCellValues(baselines, { history, replayTime, live })
+  const alerts = []
+  for (const rule of enabled) {
+    cells.forEach((cell, key) => {
+      if (!passesRule(rule, cell.values)) return
+      const value = cell.values[rule.metric]
+      alerts.push({
+        id: `${rule.id}|${key}`,
+        type: 'threshold',
+        key,
+        sectorId: cell.sectorId,
+        ring: cell.ring,
+        siteId: cell.siteId,
+        siteName: cell.siteName,
+        metric: rule.metric,
+        value,
+        message: `${ALERT_METRICS[rule.metric].label} ${formatValue(rule.metric, value)} (rule: ${describeBloomRule(rule)})`
+      })
+    })
+  }
+  return alerts
+}
+
+/**
+ * Rolling z-score detector over streamed measurements. `observe(events)` scores and
+ * records every metric value of `measurement` events; `active()` lists the cells and
+ * metrics whose latest value was anomalous.
+ */
+export const createAnomalyDetector = (settings = DEFAULT_ANOMALY_SETTINGS) => {
+  const windows = new Map()
+  const flagged = new Map()
+  let { window: windowSize, threshold } = settings
+
+  return {
+    configure({ window, threshold: nextThreshold }) {
+      windowSize = window
+      threshold = nextThreshold
+    },
+
+    observe(events) {
+      for (const event of events) {
+        const key = measurementKey(event.sectorId, event.ring)
+        for (const metric of MEASUREMENT_FIELDS) {
+          const value = event[metric]
+          if (!Number.isFinite(value)) continue
+          const id = `anomaly-${metric}|${key}`
+          const values = windows.get(id) ?? []
+
+          if (values.length >= MIN_HISTORY) {
+            const average = mean(values)
+            const std = Math.sqrt(mean(values.map(v => (v - average) ** 2)))
+            const z = std > MIN_STD ? (value - average) / std : 0
+            if (Math.abs(z) >= threshold) {
+              flagged.set(id, { id, key, metric, value, z })
+            } else {
+              flagged.delete(id)
+            }
+          }
+
+          values.push(value)
+          if (values.length > windowSize) values.splice(0, values.length - windowSize)
+          windows.set(id, values)
+        }
+      }
+    },
+
+    active() {
+      return [...flagged.values()]
+    },
+
+    reset() {
+      windows.clear()
+      flagged.clear()
+    }
+  }
+}
+
+// Anomaly flags as alerts, placed with the dataset baselines when the cell is known
+export const anomalyAlerts = (detector, baselines) => detector.active().map(({ id, key, metric, value, z }) => {
+  const cell = baselines.get(key) ?? parseMeasurementKey(key)
+  return {
+    id,
+    type: 'anomaly',
+    key,
+    sectorId: cell.sectorId,
+    ring: cell.ring,
+    siteId: cell.siteId,
+    siteName: cell.siteName,
+    metric,
+    value,
+    z,
+    message: `${ALERT_METRICS[metric]?.label ?? metric} ${formatValue(metric, value)} (z = ${z.toFixed(1)})`
+  }
+})
+
+/**
+ * Repaint the items `flags` marks in the alert color, in place, keeping alpha so
+ * hidden items stay hidden. `colors` is RGBA per item (see color/scale.js encodeColors).
+ */
+export const paintAlerted = (colors, flags) => {
+  const color = new THREE.Color(ALERT_COLOR)
+  flags.forEach((flagged, i) => {
+    if (flagged && colors[i * 4 + 3] > 0) colors.set([color.r, color.g, color.b], i * 4)
+  })
+  return colors
+}
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { anomalyAlerts, buildCellBaselines, evaluateThresholds } from './alerts.js'
+import { buildSampleHistory } from '../timeline/sampleHistory.js'
+
+// How often alerts are re-evaluated, ms
+const EVALUATE_INTERVAL_MS = 500
+
+// Changes worth a re-render: which alerts are open and their values to one decimal
+const signatureOf = (alerts) => alerts.map(alert => `${alert.id}=${alert.value.toFixed(1)}`).join(',')
+
+/**
+ * Evaluates threshold rules and anomaly flags (see alerts.js) twice a second and
+ * returns the open alerts, each with `acknowledged` and `since` (epoch ms it opened).
+ * Acknowledging keeps an alert listed but stops it being highlighted; once it closes
+ * the acknowledgement is forgotten, so a recurrence alerts again.
+ */
+export const useAlerts = ({ dataset, rules, detector, anomalyEnabled, measurementsRef, timeline }) => {
+  const baselines = useMemo(() => buildCellBaselines(dataset), [dataset])
+  const history = useMemo(() => buildSampleHistory(dataset), [dataset])
+  const [alerts, setAlerts] = useState([])
+  const [acknowledged, setAcknowledged] = useState(() => new Set())
+  const sinceRef = useRef(new Map())
+
+  useEffect(() => {
+    let signature = null
+
+    const evaluate = () => {
+      const open = [
+        ...evaluateThresholds(rules, { baselines, history, replayTime: timeline.datasetTime(), live: measurementsRef.current }),
+        ...(anomalyEnabled ? anomalyAlerts(detector, baselines) : [])
+      ]
+
+      // Remember when each alert opened; closed ones start over next time
+      const since = sinceRef.current
+      const now = Date.now()
+      const ids = new Set(open.map(alert => alert.id))
+      since.forEach((_, id) => { if (!ids.has(id)) since.delete(id) })
+      open.forEach(alert => { if (!since.has(alert.id)) since.set(alert.id, now) })
+
+      const next = signatureOf(open)
+      if (next === signature) return
+      signature = next
+      setAlerts(open.map(alert => ({ ...alert, since: since.get(alert.id) })))
+      setAcknowledged(prev => {
+        const kept = new Set([...prev].filter(id => ids.has(id)))
+        return kept.size === prev.size ? prev : kept
+      })
+    }
+
+    evaluate()
+    const timer = setInterval(evaluate, EVALUATE_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [rules, baselines, history, detector, anomalyEnabled, measurementsRef, timeline])
+
+  const acknowledge = useCallback((ids) => {
+    setAcknowledged(prev => new Set([...prev, ...ids]))
+  }, [])
+
+  const withAcknowledged = useMemo(
+    () => alerts.map(alert => ({ ...alert, acknowledged: acknowledged.has(alert.id) })),
+    [alerts, acknowledged]
+  )
+
+  return { alerts: withAcknowledged, acknowledge }
+}
@@ -0,0 +1,9 @@
+import { useFrame } from '@react-three/fiber'
+
+// Samples the audio reactor once per frame, ahead of the components that react to it
+const AudioDriver = ({ audio }) => {
+  useFrame((_, delta) => audio.tick(delta), -1)
+  return null
+}
+
+export default AudioDriver
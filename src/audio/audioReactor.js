@@ -0,0 +1,221 @@
+import { slotOf } from '../data/layout.js'
+
+// Frequency bands the spectrum is split into, lowest first
+export const AUDIO_BANDS = 16
+
+// Spectrum covered by the bands, Hz, split logarithmically like hearing
+const MIN_FREQUENCY = 40
+const MAX_FREQUENCY = 16000
+const FFT_SIZE = 2048
+// How fast band energies rise and fall, per second
+const ATTACK_RATE = 30
+const RELEASE_RATE = 6
+// A beat is bass energy this far above its recent average, and at least BEAT_MIN_ENERGY
+const BEAT_THRESHOLD = 1.35
+const BEAT_MIN_ENERGY = 0.2
+// Bands (from the bottom) whose energy counts as bass
+const BASS_BANDS = 2
+// Time constant of the bass average, seconds
+const BASS_AVERAGE_SECONDS = 1
+// At most three flashes a second, the limit for flashing content (WCAG 2.3.1)
+const BEAT_COOLDOWN = 1 / 3
+const FLASH_DECAY_RATE = 6
+export const SENSITIVITY_RANGE = [0.5, 3]
+
+const approach = (value, target, rate, delta) => value + (target - value) * (1 - Math.exp(-rate * delta))
+
+// FFT bin ranges [from, to) of each band for an analyser at `sampleRate`
+const bandBins = (sampleRate, binCount) => {
+  const nyquist = sampleRate / 2
+  const binOf = (frequency) => Math.min(binCount, Math.round((frequency / nyquist) * binCount))
+  return Array.from({ length: AUDIO_BANDS }, (_, band) => {
+    const from = binOf(MIN_FREQUENCY * (MAX_FREQUENCY / MIN_FREQUENCY) ** (band / AUDIO_BANDS))
+    const to = binOf(MIN_FREQUENCY * (MAX_FREQUENCY / MIN_FREQUENCY) ** ((band + 1) / AUDIO_BANDS))
+    return [Math.min(from, binCount - 1), Math.max(to, from + 1)]
+  })
+}
+
+// Band (0..AUDIO_BANDS-1) that drives the ring in place `slot` of `ringCount`: bass at the centre
+export const bandOfRing = (slot, ringCount) =>
+  Math.min(AUDIO_BANDS - 1, Math.floor((slot / Math.max(1, ringCount)) * AUDIO_BANDS))
+
+// Rings per stack among layout items (circles or line segments)
+export const countRings = (items) => items.reduce((max, item) => Math.max(max, slotOf(item) + 1), 0)
+
+/**
+ * "Symphony mode": analyses a local audio file or the microphone with the Web Audio
+ * API, entirely in the browser, and exposes what the visuals react to:
+ *
+ * - `bands`   smoothed energy (0..1) per frequency band, AUDIO_BANDS of them
+ * - `level`   mean of the bands, the overall loudness
+ * - `flash`   1 on a beat (a jump in bass energy), decaying towards 0
+ * - `active`  whether a source is playing
+ *
+ * AudioDriver calls `tick()` once per frame; consumers read the fields in useFrame.
+ * A file plays through the speakers, the microphone is only listened to. Starting
+ * a source must happen in a user gesture so the browser lets the audio run.
+ */
+export const createAudioReactor = () => {
+  const listeners = new Set()
+  let snapshot = null
+  let context = null
+  let analyser = null
+  let data = null
+  let bins = null
+  let source = null
+  let element = null
+  let objectUrl = null
+  let stream = null
+  let bassAverage = 0
+  let sinceBeat = Infinity
+
+  const notify = () => {
+    snapshot = null
+    listeners.forEach(listener => listener())
+  }
+
+  const ensureContext = async () => {
+    if (!context) {
+      context = new AudioContext()
+      analyser = context.createAnalyser()
+      analyser.fftSize = FFT_SIZE
+      analyser.smoothingTimeConstant = 0.5
+      data = new Uint8Array(analyser.frequencyBinCount)
+      bins = bandBins(context.sampleRate, analyser.frequencyBinCount)
+    }
+    await context.resume()
+  }
+
+  const release = () => {
+    source?.disconnect()
+    source = null
+    element?.pause()
+    element = null
+    if (objectUrl) URL.revokeObjectURL(objectUrl)
+    objectUrl = null
+    stream?.getTracks().forEach(track => track.stop())
+    stream = null
+  }
+
+  const start = async (kind, name, connect) => {
+    release()
+    reactor.source = { kind, name }
+    reactor.error = null
+    notify()
+    try {
+      await ensureContext()
+      await connect()
+      reactor.active = true
+    } catch (error) {
+      release()
+      reactor.source = null
+      reactor.error = error
+    }
+    notify()
+  }
+
+  const reactor = {
+    active: false,
+    bands: new Float32Array(AUDIO_BANDS),
+    level: 0,
+    flash: 0,
+    // Gain on the measured energies, for quiet rooms or loud speakers
+    sensitivity: 1,
+    // { kind: 'file' | 'microphone', name } while one is starting or playing
+    source: null,
+    error: null,
+
+    // Play a local audio file on a loop
+    playFile(file) {
+      return start('file', file.name, async () => {
+        objectUrl = URL.createObjectURL(file)
+        element = new Audio(objectUrl)
+        element.loop = true
+        source = context.createMediaElementSource(element)
+        source.connect(analyser)
+        source.connect(context.destination)
+        await element.play()
+      })
+    },
+
+    // Listen to the microphone; raw input, since the browser's voice processing flattens music
+    useMicrophone() {
+      return start('microphone', 'Microphone', async () => {
+        stream = await navigator.mediaDevices.getUserMedia({
+          audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+        })
+        source = context.createMediaStreamSource(stream)
+        source.connect(analyser)
+      })
+    },
+
+    stop() {
+      release()
+      reactor.active = false
+      reactor.source = null
+      notify()
+    },
+
+    setSensitivity(sensitivity) {
+      reactor.sensitivity = sensitivity
+      notify()
+    },
+
+    // Read the spectrum and update bands, level and beat; without a source everything fades out
+    tick(delta) {
+      const { bands } = reactor
+      sinceBeat += delta
+      reactor.flash *= Math.exp(-FLASH_DECAY_RATE * delta)
+
+      if (!reactor.active) {
+        bands.forEach((value, band) => { bands[band] = approach(value, 0, RELEASE_RATE, delta) })
+        reactor.level = approach(reactor.level, 0, RELEASE_RATE, delta)
+        return
+      }
+
+      analyser.getByteFrequencyData(data)
+      let bass = 0
+      let sum = 0
+      bins.forEach(([from, to], band) => {
+        let total = 0
+        for (let bin = from; bin < to; bin++) total += data[bin]
+        const energy = Math.min(1, (total / (to - from) / 255) * reactor.sensitivity)
+        if (band < BASS_BANDS) bass += energy / BASS_BANDS
+        bands[band] = approach(bands[band], energy, energy > bands[band] ? ATTACK_RATE : RELEASE_RATE, delta)
+        sum += bands[band]
+      })
+      reactor.level = sum / AUDIO_BANDS
+
+      if (bass > BEAT_MIN_ENERGY && bass > bassAverage * BEAT_THRESHOLD && sinceBeat > BEAT_COOLDOWN) {
+        reactor.flash = 1
+        sinceBeat = 0
+      }
+      bassAverage = approach(bassAverage, bass, 1 / BASS_AVERAGE_SECONDS, delta)
+    },
+
+    // Stop the source and close the audio context
+    dispose() {
+      reactor.stop()
+      context?.close()
+      context = null
+    },
+
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // Stable snapshot for useSyncExternalStore; rebuilt only after a notify
+    getSnapshot() {
+      snapshot ??= {
+        active: reactor.active,
+        source: reactor.source,
+        error: reactor.error,
+        sensitivity: reactor.sensitivity
+      }
+      return snapshot
+    }
+  }
+
+  return reactor
+}
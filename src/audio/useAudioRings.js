@@ -0,0 +1,31 @@
+import { useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { bandOfRing, countRings } from './audioReactor.js'
+import { slotOf } from '../data/layout.js'
+import { writeCircleInstances } from '../rings/circleInstances.js'
+
+// How far a ring swells at full energy in its band, as a share of its radius
+const RING_SWELL = 0.08
+
+/**
+ * Swells each ring of an instanced mesh with the energy of its frequency band (see
+ * audioReactor.js) while `audio` has a source, rewriting the instance transforms
+ * every frame, and puts the rings back once the sound has faded out. `ringCount` is
+ * the layout's, so a subset of its rings picks the same bands.
+ */
+export const useAudioRings = (meshRef, circles, colors, audio, ringCount) => {
+  const swellingRef = useRef(false)
+  const bands = useMemo(() => {
+    const rings = ringCount ?? countRings(circles)
+    return circles.map(circle => bandOfRing(slotOf(circle), rings))
+  }, [circles, ringCount])
+
+  useFrame(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+    const swelling = !!audio && (audio.active || audio.level > 0.001)
+    if (!swelling && !swellingRef.current) return
+    swellingRef.current = swelling
+    writeCircleInstances(mesh, circles, colors, swelling ? (i) => 1 + audio.bands[bands[i]] * RING_SWELL : undefined)
+  })
+}
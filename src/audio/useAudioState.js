@@ -0,0 +1,5 @@
+import { useSyncExternalStore } from 'react'
+
+// Re-render when the audio source, its error or the sensitivity change
+export const useAudioState = (audio) =>
+  useSyncExternalStore(audio.subscribe, audio.getSnapshot)
@@ -0,0 +1,56 @@
+import React, { useEffect, useMemo } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { BlendFunction, SelectiveBloomEffect } from 'postprocessing'
+
+// Extra intensity at the peak of a beat flash, as a multiple of the normal intensity
+const FLASH_GAIN = 1.5
+
+/**
+ * One SelectiveBloom effect per bloom group, rendered as direct children of
+ * <EffectComposer> (the composer picks effects up from its children). Each
+ * effect only sees the objects in its group's selection, so nothing outside a
+ * selection glows, and each group blooms at `settings.intensity * strength`.
+ *
+ * Selected objects must write depth: the effect masks the frame to pixels where
+ * the selection's depth matches the scene's.
+ *
+ * With an `audio` reactor (see audio/audioReactor.js) every group flashes brighter
+ * on each beat.
+ */
+const SelectiveBloomPasses = ({ groups, selections, settings, audio }) => {
+  const scene = useThree(state => state.scene)
+  const camera = useThree(state => state.camera)
+  const count = groups.length
+
+  const effects = useMemo(() => Array.from({ length: count }, () =>
+    new SelectiveBloomEffect(scene, camera, { blendFunction: BlendFunction.ADD, mipmapBlur: true })
+  ), [scene, camera, count])
+
+  useEffect(() => () => effects.forEach(effect => effect.dispose()), [effects])
+
+  // Selections, strengths and tier settings change without recreating the passes
+  useEffect(() => {
+    effects.forEach((effect, i) => {
+      const group = groups[i]
+      effect.selection = selections.get(group.id)
+      effect.intensity = settings.intensity * group.strength
+      effect.luminanceMaterial.threshold = settings.luminanceThreshold
+      effect.luminanceMaterial.smoothing = settings.luminanceSmoothing
+      effect.mipmapBlurPass.radius = settings.radius
+    })
+  }, [effects, groups, selections, settings])
+
+  // Written every frame, so a flash can't stick when the audio is switched off mid-beat
+  useFrame(() => {
+    const boost = 1 + (audio?.flash ?? 0) * FLASH_GAIN
+    effects.forEach((effect, i) => {
+      effect.intensity = settings.intensity * groups[i].strength * boost
+    })
+  })
+
+  return effects.map((effect, i) => (
+    <primitive key={i} object={effect} dispose={null} />
+  ))
+}
+
+export default SelectiveBloomPasses
@@ -0,0 +1,48 @@
+/**
+ * Data-driven bloom rules. A rule picks rings and lines whose metric passes a
+ * threshold (e.g. load above 90%) and makes them glow as their own bloom
+ * selection, at the rule's own strength.
+ *
+ * @typedef {Object} BloomRule
+ * @property {string} id
+ * @property {'rsrp'|'rsrq'|'sinr'|'throughput'|'load'|'dropRate'} metric
+ * @property {'>'|'<'} op
+ * @property {number} value
+ * @property {number} strength   Multiplier on the quality tier's bloom intensity
+ * @property {boolean} enabled
+ */
+
+export const BLOOM_METRICS = {
+  rsrp: { label: 'RSRP', unit: 'dBm' },
+  rsrq: { label: 'RSRQ', unit: 'dB' },
+  sinr: { label: 'SINR', unit: 'dB' },
+  throughput: { label: 'Throughput', unit: 'Mbit/s' },
+  load: { label: 'Load', unit: '%' },
+  dropRate: { label: 'Drop rate', unit: '%' }
+}
+
+// Every rule is one more bloom pass, so keep the number bounded
+export const MAX_BLOOM_RULES = 6
+
+export const DEFAULT_BLOOM_RULES = [
+  { id: 'high-load', metric: 'load', op: '>', value: 90, strength: 1.5, enabled: true }
+]
+
+export const describeBloomRule = ({ metric, op, value }) =>
+  `${BLOOM_METRICS[metric]?.label ?? metric} ${op} ${value} ${BLOOM_METRICS[metric]?.unit ?? ''}`.trim()
+
+// Whether `metrics` (a ring's means, a sample or live values) passes the rule's threshold
+export const passesRule = (rule, metrics) => {
+  const value = metrics?.[rule.metric]
+  if (!Number.isFinite(value)) return false
+  return rule.op === '<' ? value < rule.value : value > rule.value
+}
+
+/**
+ * Rings (by their per-ring means) and line segments (by their sample) matching
+ * `rule`. Procedural layouts carry no measurements, so nothing matches there.
+ */
+export const matchBloomRule = (rule, { circles, lineSegments, bloomLineSegments }) => ({
+  circles: circles.filter(circle => passesRule(rule, circle.metrics)),
+  segments: [...lineSegments, ...bloomLineSegments].filter(segment => passesRule(rule, segment.record?.sample))
+})
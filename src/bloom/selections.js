@@ -0,0 +1,17 @@
+import { Selection } from 'postprocessing'
+
+// Bloom selections live on layers 10 and up; layer 0 is the visible scene
+const BLOOM_LAYER_BASE = 10
+
+// The built-in group: rings and lines the layout marks as glowing, plus live pulses
+export const SIGNAL_GROUP = 'signal'
+
+// Elements of cells with an open, unacknowledged alert
+export const ALERT_GROUP = 'alert'
+
+/**
+ * One postprocessing Selection per bloom group, each on its own layer. Objects
+ * added to a group's selection glow through that group's SelectiveBloom pass.
+ */
+export const createBloomSelections = (groupIds) =>
+  new Map(groupIds.map((id, i) => [id, new Selection([], BLOOM_LAYER_BASE + i)]))
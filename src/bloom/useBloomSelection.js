@@ -0,0 +1,11 @@
+import { useEffect } from 'react'
+
+// Keep the object behind `ref` in a bloom selection while mounted
+export const useBloomSelection = (selection, ref) => {
+  useEffect(() => {
+    const object = ref.current
+    if (!selection || !object) return
+    selection.add(object)
+    return () => { selection.delete(object) }
+  }, [selection, ref])
+}
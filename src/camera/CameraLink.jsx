@@ -0,0 +1,46 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+
+// Squared distances below this are float noise from re-applying a pose, not a move
+const EPSILON = 1e-8
+
+/**
+ * Keeps the cameras of several canvases on one pose through `linkRef.current`
+ * (see createCameraLink). A camera that moved since it last synced publishes its
+ * pose; the others take it over on their next frame. Mount it after CameraRig,
+ * whose OrbitControls supply the orbit target.
+ */
+const CameraLink = ({ linkRef }) => {
+  const syncedRef = useRef(null)
+
+  useFrame(({ camera, controls }) => {
+    if (!controls) return
+    const link = linkRef.current
+    syncedRef.current ??= { version: 0, position: new THREE.Vector3(), target: new THREE.Vector3() }
+    const synced = syncedRef.current
+
+    if (link.version > synced.version) {
+      camera.position.copy(link.position)
+      controls.target.copy(link.target)
+      controls.update()
+      synced.version = link.version
+    } else if (
+      camera.position.distanceToSquared(synced.position) > EPSILON ||
+      controls.target.distanceToSquared(synced.target) > EPSILON
+    ) {
+      link.position.copy(camera.position)
+      link.target.copy(controls.target)
+      link.version++
+      synced.version = link.version
+    } else {
+      return
+    }
+    synced.position.copy(camera.position)
+    synced.target.copy(controls.target)
+  })
+
+  return null
+}
+
+export default CameraLink
@@ -0,0 +1,134 @@
+import React, { useEffect, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { OrbitControls } from '@react-three/drei'
+import * as THREE from 'three'
+import { TRANSITION_SECONDS, easeInOutCubic } from './viewState.js'
+
+// Keep the keyboard from tilting the camera over the poles
+const MIN_POLAR = 0.05
+
+/**
+ * Orbit/pan/zoom controls plus animated flights between viewpoints.
+ * `apiRef.current` exposes `flyTo(viewpoint)`, `capture(name)` and the keyboard's
+ * `nudge({ azimuth, polar, zoom, pan })` to the DOM panels.
+ * `onViewChange(viewpoint)` fires whenever the camera comes to rest somewhere new.
+ * With `reducedMotion` flights jump straight to their viewpoint and the controls don't glide.
+ */
+const CameraRig = ({ initialViewpoint, viewRef, apiRef, onViewChange, reducedMotion = false }) => {
+  const controlsRef = useRef()
+  const transitionRef = useRef(null)
+
+  // Jump (not fly) to the initial viewpoint on the first frame
+  const pendingJumpRef = useRef(initialViewpoint)
+
+  useEffect(() => {
+    apiRef.current = {
+      flyTo: (viewpoint) => {
+        transitionRef.current = { to: viewpoint, start: null }
+        viewRef.current.transitioning = true
+      },
+      // One keyboard step: orbit and tilt in radians, zoom as a distance factor,
+      // pan as a share of the distance to the target along the view's right and up
+      nudge: ({ azimuth = 0, polar = 0, zoom = 1, pan = [0, 0] }) => {
+        const controls = controlsRef.current
+        if (!controls) return
+        transitionRef.current = null
+        viewRef.current.transitioning = false
+
+        const camera = controls.object
+        const spherical = new THREE.Spherical().setFromVector3(camera.position.clone().sub(controls.target))
+        spherical.theta += azimuth
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + polar, MIN_POLAR, Math.PI - MIN_POLAR)
+        spherical.radius = THREE.MathUtils.clamp(spherical.radius * zoom, controls.minDistance, controls.maxDistance)
+
+        camera.updateMatrix()
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0)
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1)
+        controls.target
+          .addScaledVector(right, pan[0] * spherical.radius)
+          .addScaledVector(up, pan[1] * spherical.radius)
+        camera.position.copy(controls.target).add(new THREE.Vector3().setFromSpherical(spherical))
+        controls.update()
+
+        viewRef.current.lastInteraction = performance.now()
+        onViewChange?.(apiRef.current.capture())
+      },
+      capture: (name) => {
+        const controls = controlsRef.current
+        if (!controls) return null
+        return {
+          name,
+          position: controls.object.position.toArray(),
+          target: controls.target.toArray(),
+          fov: viewRef.current.baseFov
+        }
+      }
+    }
+  }, [apiRef, viewRef, onViewChange])
+
+  useFrame((state) => {
+    const controls = controlsRef.current
+    if (!controls) return
+    const camera = state.camera
+
+    if (pendingJumpRef.current) {
+      const viewpoint = pendingJumpRef.current
+      pendingJumpRef.current = null
+      camera.position.fromArray(viewpoint.position)
+      controls.target.fromArray(viewpoint.target)
+      viewRef.current.baseFov = viewpoint.fov
+      controls.update()
+      return
+    }
+
+    const transition = transitionRef.current
+    if (!transition) return
+
+    if (transition.start === null) {
+      transition.start = state.clock.elapsedTime
+      transition.fromPosition = camera.position.clone()
+      transition.fromTarget = controls.target.clone()
+      transition.fromFov = viewRef.current.baseFov
+      transition.toPosition = new THREE.Vector3().fromArray(transition.to.position)
+      transition.toTarget = new THREE.Vector3().fromArray(transition.to.target)
+    }
+
+    const t = reducedMotion ? 1 : Math.min(1, (state.clock.elapsedTime - transition.start) / TRANSITION_SECONDS)
+    const eased = easeInOutCubic(t)
+
+    camera.position.lerpVectors(transition.fromPosition, transition.toPosition, eased)
+    controls.target.lerpVectors(transition.fromTarget, transition.toTarget, eased)
+    viewRef.current.baseFov = THREE.MathUtils.lerp(transition.fromFov, transition.to.fov, eased)
+    controls.update()
+
+    if (t >= 1) {
+      transitionRef.current = null
+      viewRef.current.transitioning = false
+      onViewChange?.(transition.to)
+    }
+  })
+
+  return (
+    <OrbitControls
+      ref={controlsRef}
+      makeDefault
+      enableDamping={!reducedMotion}
+      dampingFactor={0.08}
+      minDistance={2}
+      maxDistance={40}
+      onStart={() => {
+        // Grabbing the camera cancels any flight in progress
+        transitionRef.current = null
+        viewRef.current.transitioning = false
+        viewRef.current.interacting = true
+      }}
+      onEnd={() => {
+        viewRef.current.interacting = false
+        viewRef.current.lastInteraction = performance.now()
+        onViewChange?.(apiRef.current.capture())
+      }}
+    />
+  )
+}
+
+export default CameraRig
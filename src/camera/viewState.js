@@ -0,0 +1,46 @@
+import * as THREE from 'three'
+
+// Keep auto-motion paused for a moment after the user lets go, so it doesn't snap back in
+const RESUME_DELAY_MS = 1500
+
+// Length of a flight between viewpoints, and of the drill-down morph that travels with it
+export const TRANSITION_SECONDS = 1.2
+
+export const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2
+
+/**
+ * Shared camera state between the rig and the Scene animation:
+ * `baseFov` is what the breathing effect swings around, the rest says whether
+ * the user (or a viewpoint transition) currently owns the camera.
+ */
+export const createViewState = (viewpoint) => ({
+  baseFov: viewpoint.fov,
+  interacting: false,
+  transitioning: false,
+  lastInteraction: -Infinity
+})
+
+export const isCameraBusy = (view, now = performance.now()) =>
+  view.interacting || view.transitioning || now - view.lastInteraction < RESUME_DELAY_MS
+
+/**
+ * Auto-motion time (seconds of rotation and breathing) several scenes can share,
+ * so they turn together; see Scene's `motionClock`.
+ */
+export const createMotionClock = () => {
+  const clock = {
+    time: 0,
+    advance: (delta) => { clock.time += delta }
+  }
+  return clock
+}
+
+/**
+ * Camera pose shared by the canvases of the split comparison view (see CameraLink).
+ * `version` counts publications; 0 means nothing has been published yet.
+ */
+export const createCameraLink = () => ({
+  version: 0,
+  position: new THREE.Vector3(),
+  target: new THREE.Vector3()
+})
@@ -0,0 +1,77 @@
+const STORAGE_KEY = 'cellulardata.viewpoints'
+
+/**
+ * A viewpoint is a camera pose in world space:
+ *
+ * @typedef {Object} Viewpoint
+ * @property {string} name
+ * @property {number[]} position  Camera position [x, y, z]
+ * @property {number[]} target    Orbit target [x, y, z]
+ * @property {number} fov         Base field of view; the breathing effect swings around it
+ */
+
+// Centre of the default 25-ring stack and its axis, with the group's base tilt applied
+const STACK_CENTER = [0, -1.47, 2.02]
+const STACK_AXIS = [0, -0.588, 0.809]
+const VIEW_DISTANCE = 14
+
+export const BUILT_IN_VIEWPOINTS = [
+  {
+    name: 'cinematic',
+    position: [6.69, -0.28, -9.17],
+    target: [-0.87, -2.02, 0.76],
+    fov: 45
+  },
+  {
+    name: 'top-down',
+    position: STACK_CENTER.map((c, i) => c - STACK_AXIS[i] * VIEW_DISTANCE),
+    target: STACK_CENTER,
+    fov: 50
+  },
+  {
+    name: 'side profile',
+    position: [STACK_CENTER[0] + VIEW_DISTANCE, STACK_CENTER[1], STACK_CENTER[2]],
+    target: STACK_CENTER,
+    fov: 45
+  }
+]
+
+export const DEFAULT_VIEWPOINT = BUILT_IN_VIEWPOINTS[0]
+
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+
+const isViewpoint = (value) => value && typeof value.name === 'string' &&
+  isVector(value.position) && isVector(value.target) && Number.isFinite(value.fov)
+
+export const loadSavedViewpoints = () => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(parsed) ? parsed.filter(isViewpoint) : []
+  } catch {
+    return []
+  }
+}
+
+export const storeSavedViewpoints = (viewpoints) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(viewpoints))
+  } catch {
+    // Storage full or disabled (private mode): saved views just won't survive a reload
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Compact URL form: "px,py,pz,tx,ty,tz,fov"
+export const encodeViewpoint = ({ position, target, fov }) =>
+  [...position, ...target, fov].map(round).join(',')
+
+export const decodeViewpoint = (text, name = 'shared') => {
+  if (!text) return null
+  const values = text.split(',').map(Number)
+  if (values.length !== 7 || !values.every(Number.isFinite)) return null
+  return { name, position: values.slice(0, 3), target: values.slice(3, 6), fov: values[6] }
+}
+
+export const findViewpoint = (name, saved = []) =>
+  [...BUILT_IN_VIEWPOINTS, ...saved].find(viewpoint => viewpoint.name === name) ?? null
@@ -0,0 +1,69 @@
+/**
+ * Color palettes for metric encoding, stops listed from low to high.
+ *
+ * Sequential and diverging stops skip the darkest end of their source maps,
+ * which would vanish against the near-black background. `colorblindSafe`
+ * marks palettes that stay distinguishable with the common color vision
+ * deficiencies (deuteranopia, protanopia, tritanopia).
+ */
+export const PALETTES = {
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colorblindSafe: true,
+    stops: ['#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+  },
+  cividis: {
+    label: 'Cividis',
+    type: 'sequential',
+    colorblindSafe: true,
+    stops: ['#31446b', '#4c546c', '#666970', '#7f7c75', '#958f78', '#b0a473', '#cbba69', '#e6d157', '#ffea46']
+  },
+  magma: {
+    label: 'Magma',
+    type: 'sequential',
+    colorblindSafe: true,
+    stops: ['#51127c', '#822681', '#b73779', '#e75263', '#fc8961', '#fec287', '#fcfdbf']
+  },
+  heat: {
+    label: 'Heat',
+    type: 'sequential',
+    colorblindSafe: false,
+    stops: ['#2c7bb6', '#00a6ca', '#00ccbc', '#90eb9d', '#ffff8c', '#f9d057', '#f29e2e', '#e76818', '#d7191c']
+  },
+  redBlue: {
+    label: 'Red–blue',
+    type: 'diverging',
+    colorblindSafe: true,
+    stops: ['#b2182b', '#d6604d', '#f4a582', '#f7f7f7', '#92c5de', '#4393c3', '#2166ac']
+  },
+  orangePurple: {
+    label: 'Orange–purple',
+    type: 'diverging',
+    colorblindSafe: true,
+    stops: ['#b35806', '#e08214', '#fdb863', '#f7f7f7', '#b2abd2', '#8073ac', '#6a51a3']
+  },
+  spectral: {
+    label: 'Spectral',
+    type: 'diverging',
+    colorblindSafe: false,
+    stops: ['#d53e4f', '#fc8d59', '#fee08b', '#ffffbf', '#e6f598', '#99d594', '#3288bd']
+  },
+  okabeIto: {
+    label: 'Okabe–Ito',
+    type: 'categorical',
+    colorblindSafe: true,
+    stops: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7']
+  },
+  tableau10: {
+    label: 'Tableau 10',
+    type: 'categorical',
+    colorblindSafe: false,
+    stops: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac']
+  }
+}
+
+// First palette of each type is its default
+export const palettesOfType = (type) => Object.keys(PALETTES).filter(name => PALETTES[name].type === type)
+
+export const defaultPalette = (type) => palettesOfType(type)[0]
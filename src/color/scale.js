@@ -0,0 +1,138 @@
+import * as THREE from 'three'
+import { TECHNOLOGIES } from '../data/schema.js'
+import { PALETTES, defaultPalette } from './palettes.js'
+
+/**
+ * Metrics the scene can be colored by. Continuous metrics have a fixed domain
+ * (clamped) except throughput, which spans the loaded dataset; diverging ones
+ * are centred on `midpoint`.
+ */
+export const COLOR_METRICS = {
+  none: { label: 'None' },
+  rsrp: { label: 'RSRP', unit: 'dBm', type: 'sequential', domain: [-120, -70] },
+  rsrq: { label: 'RSRQ', unit: 'dB', type: 'sequential', domain: [-20, -3] },
+  sinr: { label: 'SINR', unit: 'dB', type: 'diverging', domain: [-10, 30], midpoint: 0 },
+  throughput: { label: 'Throughput', unit: 'Mbit/s', type: 'sequential' },
+  load: { label: 'Load', unit: '%', type: 'sequential', domain: [0, 100] },
+  technology: { label: 'Technology', type: 'categorical', categories: TECHNOLOGIES }
+}
+
+export const DEFAULT_COLOR_ENCODING = { metric: 'none', palette: null, hidden: [] }
+
+const NEUTRAL = '#ffffff'
+const _color = new THREE.Color()
+
+const lerpStops = (stops, t) => {
+  const scaled = Math.min(1, Math.max(0, t)) * (stops.length - 1)
+  const i = Math.min(stops.length - 2, Math.floor(scaled))
+  return new THREE.Color(stops[i]).lerp(new THREE.Color(stops[i + 1]), scaled - i)
+}
+
+const throughputExtent = (dataset) => {
+  let max = 0
+  dataset?.sites.forEach(site => site.sectors.forEach(sector => sector.samples.forEach(sample => {
+    max = Math.max(max, sample.throughput)
+  })))
+  return [0, max || 1]
+}
+
+// Value a ring (by its per-ring metrics) or a line/label (by its sample) carries for `metric`
+export const metricValue = (item, metric) => {
+  if (item.metrics) return item.metrics[metric]
+  if (!item.record) return undefined
+  return metric === 'technology' ? item.record.technology : item.record.sample[metric]
+}
+
+/**
+ * Resolve `{ metric, palette, hidden }` into a color scale. `colorOf(value)`
+ * returns a THREE.Color (shared, copy it to keep it), the neutral color when
+ * there is no value, or null for a hidden category. `legend` describes what the
+ * legend should draw. Scales may also carry `valueOf(item)`, which then replaces
+ * `metricValue` (see createDeltaScale).
+ */
+export const createColorScale = ({ metric, palette, hidden = [] }, dataset) => {
+  const definition = COLOR_METRICS[metric] ?? COLOR_METRICS.none
+  if (!definition.type) {
+    return { metric: 'none', colorOf: () => _color.set(NEUTRAL), legend: null }
+  }
+
+  const paletteName = PALETTES[palette]?.type === definition.type ? palette : defaultPalette(definition.type)
+  const { stops } = PALETTES[paletteName]
+
+  if (definition.type === 'categorical') {
+    const categories = definition.categories.map((name, i) => ({
+      name,
+      color: stops[i % stops.length],
+      hidden: hidden.includes(name)
+    }))
+    const byName = new Map(categories.map(category => [category.name, category]))
+    return {
+      metric,
+      palette: paletteName,
+      colorOf: (value) => {
+        const category = byName.get(value)
+        if (!category) return _color.set(NEUTRAL)
+        return category.hidden ? null : _color.set(category.color)
+      },
+      legend: { type: 'categorical', label: definition.label, categories }
+    }
+  }
+
+  const [min, max] = definition.domain ?? throughputExtent(dataset)
+  const { midpoint } = definition
+  // Diverging scales put the midpoint in the middle of the palette even when the domain is lopsided
+  const position = midpoint === undefined
+    ? (value) => (value - min) / (max - min)
+    : (value) => value < midpoint
+      ? 0.5 * (value - min) / (midpoint - min)
+      : 0.5 + 0.5 * (value - midpoint) / (max - midpoint)
+
+  return {
+    metric,
+    palette: paletteName,
+    colorOf: (value) => Number.isFinite(value) ? _color.copy(lerpStops(stops, position(value))) : _color.set(NEUTRAL),
+    legend: { type: definition.type, label: definition.label, unit: definition.unit, stops, domain: [min, max], midpoint }
+  }
+}
+
+/**
+ * Diverging scale centred on 0 over ±`span`, for differences such as B − A of a
+ * metric. `valueOf(item)` supplies each item's value in place of its own metric.
+ */
+export const createDeltaScale = ({ label, unit, span, valueOf }, palette) => {
+  const paletteName = PALETTES[palette]?.type === 'diverging' ? palette : defaultPalette('diverging')
+  const { stops } = PALETTES[paletteName]
+  return {
+    metric: 'delta',
+    palette: paletteName,
+    valueOf,
+    colorOf: (value) => Number.isFinite(value) ? _color.copy(lerpStops(stops, 0.5 + value / (2 * span))) : _color.set(NEUTRAL),
+    legend: { type: 'diverging', label, unit, stops, domain: [-span, span], midpoint: 0 }
+  }
+}
+
+// Everything in one color, e.g. the second dataset laid over the first
+export const solidColorScale = (color) => ({ metric: 'none', colorOf: () => _color.set(color), legend: null })
+
+const valueOfItem = (item, scale) => scale.valueOf ? scale.valueOf(item) : metricValue(item, scale.metric)
+
+/**
+ * RGBA per item (alpha 0 for hidden categories, or items `visible` rejects) in
+ * the renderer's linear color space, ready for vertex or instance color buffers.
+ */
+export const encodeColors = (items, scale, visible) => {
+  const colors = new Float32Array(items.length * 4)
+  items.forEach((item, i) => {
+    if (visible && !visible(item)) return
+    const color = scale.colorOf(valueOfItem(item, scale))
+    if (color) colors.set([color.r, color.g, color.b, 1], i * 4)
+  })
+  return colors
+}
+
+// CSS color for an item (labels), or null when it is hidden
+export const cssColorOf = (item, scale, visible) => {
+  if (visible && !visible(item)) return null
+  const color = scale.colorOf(valueOfItem(item, scale))
+  return color ? `#${color.getHexString()}` : null
+}
@@ -0,0 +1,145 @@
+import { summarizeGroups } from '../data/layout.js'
+import { buildCellBaselines } from '../alerts/alerts.js'
+import { BLOOM_METRICS } from '../bloom/rules.js'
+import { measurementKey } from '../stream/measurements.js'
+
+/**
+ * Comparison of two datasets: A, the main one, and B, e.g. the same network
+ * before and after a change or two carriers surveyed over the same sectors.
+ * Cells (sector and ring, keyed like live measurements), rings and sites are
+ * matched by id, so B has to use A's sector and site ids to line up.
+ */
+
+export const COMPARE_VIEWS = [
+  { value: 'split', label: 'Split' },
+  { value: 'overlay', label: 'Overlay' }
+]
+
+// `delta`: metric the difference view colors by (B − A), or null for normal colors
+export const DEFAULT_COMPARISON = { view: 'split', delta: null, palette: null }
+
+export const DELTA_METRICS = Object.keys(BLOOM_METRICS)
+
+// B's rings, lines and labels in the overlay view
+export const COMPARE_COLOR = '#ffb74d'
+
+export const isCompareView = (value) => COMPARE_VIEWS.some(view => view.value === value)
+
+export const isDeltaMetric = (value) => DELTA_METRICS.includes(value)
+
+// Picks keep their counterpart across datasets by what they belong to, not by index
+const MATCH_KINDS = {
+  ring: ['ring', 'bloomRing'],
+  bloomRing: ['ring', 'bloomRing'],
+  line: ['line', 'bloomLine', 'label'],
+  bloomLine: ['bloomLine', 'line', 'label'],
+  label: ['label', 'line', 'bloomLine'],
+  site: ['site']
+}
+
+/**
+ * Identity of a pick `{ kind, index, data }` that survives a change of dataset:
+ * its cell for lines and labels, its ring (and site) for rings, its site id for
+ * site markers. Procedural items, which have none of these, match by index.
+ */
+export const matchKey = ({ kind, index, data }) => {
+  if (data.record) return `cell:${measurementKey(data.record.sectorId, data.record.sample.ring)}`
+  if (kind === 'site') return `site:${data.id}`
+  if (data.ringIndex !== undefined && (kind === 'ring' || kind === 'bloomRing')) return `ring:${data.siteId ?? '*'}:${data.ringIndex}`
+  return `${kind}:${index}`
+}
+
+// Pickable sets to search, in order, for the counterpart of a `kind` pick
+export const matchKinds = (kind) => MATCH_KINDS[kind] ?? [kind]
+
+const ringKey = (siteId, ring) => `${siteId ?? '*'}:${ring}`
+
+// Ring means over the whole stack and per site, as the two layouts compute them
+const buildRingMeans = (dataset) => {
+  const groups = new Map()
+  const add = (key, group) => {
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(group)
+  }
+  dataset.sites.forEach(site => site.sectors.forEach(sector => {
+    const perRing = new Map()
+    sector.samples.forEach(sample => {
+      if (!perRing.has(sample.ring)) perRing.set(sample.ring, [])
+      perRing.get(sample.ring).push(sample)
+    })
+    perRing.forEach((samples, ring) => {
+      add(ringKey(null, ring), { sector, samples })
+      add(ringKey(site.id, ring), { sector, samples })
+    })
+  }))
+  return new Map([...groups].map(([key, list]) => [key, summarizeGroups(list)]))
+}
+
+const buildSiteMeans = (dataset) => new Map(dataset.sites.map(site => [
+  site.id,
+  summarizeGroups(site.sectors.map(sector => ({ sector, samples: sector.samples })))
+]))
+
+/**
+ * Compare `metric` between dataset A and B. `lookup(item)` returns `{ a, b, delta }`
+ * for a layout item (ring, line, label or site marker) of either dataset: the two
+ * means of what it belongs to (null where a dataset has none) and B − A, null
+ * unless both exist. Also returns how many of A's cells B matches, the mean
+ * difference over them and `span`, the largest absolute cell difference.
+ */
+export const compareDatasets = (datasetA, datasetB, metric) => {
+  const cells = [buildCellBaselines(datasetA), buildCellBaselines(datasetB)]
+  const rings = [buildRingMeans(datasetA), buildRingMeans(datasetB)]
+  const sites = [buildSiteMeans(datasetA), buildSiteMeans(datasetB)]
+
+  const pair = (valuesA, valuesB) => {
+    const a = Number.isFinite(valuesA?.[metric]) ? valuesA[metric] : null
+    const b = Number.isFinite(valuesB?.[metric]) ? valuesB[metric] : null
+    return { a, b, delta: a !== null && b !== null ? b - a : null }
+  }
+  const pairOf = ([mapA, mapB], key) => pair(mapA.get(key), mapB.get(key))
+
+  let matched = 0
+  let sum = 0
+  let span = 0
+  cells[0].forEach((cell, key) => {
+    const { delta } = pair(cell.values, cells[1].get(key)?.values)
+    if (delta === null) return
+    matched++
+    sum += delta
+    span = Math.max(span, Math.abs(delta))
+  })
+
+  const lookup = (item) => {
+    if (item.record) return pair(...cells.map(map => map.get(measurementKey(item.record.sectorId, item.record.sample.ring))?.values))
+    if (item.ringIndex !== undefined) return pairOf(rings, ringKey(item.siteId, item.ringIndex))
+    if (item.id !== undefined) return pairOf(sites, item.id)
+    return null
+  }
+
+  return {
+    metric,
+    lookup,
+    cells: cells[0].size,
+    matched,
+    meanDelta: matched > 0 ? sum / matched : null,
+    span: span || 1
+  }
+}
+
+// Color scale input for createDeltaScale (see color/scale.js)
+export const deltaScaleOptions = (comparison) => ({
+  label: `Δ ${BLOOM_METRICS[comparison.metric].label} (B − A)`,
+  unit: BLOOM_METRICS[comparison.metric].unit,
+  span: comparison.span,
+  valueOf: (item) => comparison.lookup(item)?.delta
+})
+
+export const formatDelta = (metric, value) => {
+  if (value === null || value === undefined) return '—'
+  const sign = value > 0 ? '+' : value < 0 ? '−' : '±'
+  return `${sign}${Number(Math.abs(value).toFixed(1))} ${BLOOM_METRICS[metric].unit}`
+}
+
+export const formatCompared = (metric, value) =>
+  value === null || value === undefined ? '—' : `${Number(value.toFixed(1))} ${BLOOM_METRICS[metric].unit}`
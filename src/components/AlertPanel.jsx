@@ -0,0 +1,150 @@
+import React, { useState } from 'react'
+import { ALERT_METRICS, MAX_ALERT_RULES } from '../alerts/alerts.js'
+import { describeBloomRule } from '../bloom/rules.js'
+import './panels.css'
+
+// Longest alert list drawn at once; the rest are counted
+const MAX_LISTED = 50
+
+const formatSince = (since) => new Date(since).toLocaleTimeString()
+
+// Open, unacknowledged alerts first, then newest first
+const byUrgency = (a, b) => (a.acknowledged - b.acknowledged) || (b.since - a.since)
+
+// Threshold rules, the anomaly detector and the list of open alerts
+const AlertPanel = ({ alerts, rules, onRulesChange, anomaly, onAnomalyChange, hasStream, onJump, onAcknowledge }) => {
+  const [draft, setDraft] = useState({ metric: 'sinr', op: '<', value: 0 })
+  const open = alerts.filter(alert => !alert.acknowledged)
+  const listed = [...alerts].sort(byUrgency)
+
+  const updateRule = (id, changes) => {
+    onRulesChange(rules.map(rule => rule.id === id ? { ...rule, ...changes } : rule))
+  }
+
+  const addRule = (event) => {
+    event.preventDefault()
+    if (rules.length >= MAX_ALERT_RULES || !Number.isFinite(draft.value)) return
+    onRulesChange([...rules, { ...draft, id: `alert-${Date.now().toString(36)}`, enabled: true }])
+  }
+
+  return (
+    <details className="overlay-panel alert-panel">
+      <summary>
+        Alerts
+        {open.length > 0 && <span className="alert-panel__count">{open.length}</span>}
+      </summary>
+
+      {rules.map(rule => (
+        <div key={rule.id} className="overlay-panel__row">
+          <label className="overlay-panel__row bloom-panel__label">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(event) => updateRule(rule.id, { enabled: event.target.checked })}
+            />
+            {describeBloomRule(rule)}
+          </label>
+          <button
+            type="button"
+            onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+            aria-label={`Remove ${describeBloomRule(rule)}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <form className="overlay-panel__row" onSubmit={addRule}>
+        <select value={draft.metric} onChange={(event) => setDraft(prev => ({ ...prev, metric: event.target.value }))} aria-label="Metric">
+          {Object.entries(ALERT_METRICS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <select value={draft.op} onChange={(event) => setDraft(prev => ({ ...prev, op: event.target.value }))} aria-label="Comparison">
+          <option value=">">&gt;</option>
+          <option value="<">&lt;</option>
+        </select>
+        <input
+          type="number"
+          value={draft.value}
+          onChange={(event) => setDraft(prev => ({ ...prev, value: Number(event.target.value) }))}
+          aria-label="Threshold"
+        />
+        <button type="submit" disabled={rules.length >= MAX_ALERT_RULES}>Add rule</button>
+      </form>
+
+      <div className="overlay-panel__row">
+        <label className="overlay-panel__row">
+          <input
+            type="checkbox"
+            checked={anomaly.enabled}
+            onChange={(event) => onAnomalyChange({ ...anomaly, enabled: event.target.checked })}
+          />
+          Anomalies at |z| ≥
+        </label>
+        <input
+          className="alert-panel__number"
+          type="number"
+          min="1"
+          step="0.5"
+          value={anomaly.threshold}
+          onChange={(event) => onAnomalyChange({ ...anomaly, threshold: Math.max(1, Number(event.target.value) || 1) })}
+          aria-label="Anomaly z-score threshold"
+        />
+        over
+        <input
+          className="alert-panel__number"
+          type="number"
+          min="10"
+          step="10"
+          value={anomaly.window}
+          onChange={(event) => onAnomalyChange({ ...anomaly, window: Math.max(10, Math.round(Number(event.target.value)) || 10) })}
+          aria-label="Anomaly window in measurements"
+        />
+      </div>
+      {anomaly.enabled && !hasStream && (
+        <span className="overlay-panel__meta">Anomalies are scored on streamed measurements; connect a stream with ?stream=.</span>
+      )}
+
+      {alerts.length === 0 ? (
+        <span className="overlay-panel__meta">No open alerts.</span>
+      ) : (
+        <>
+          <div className="overlay-panel__row alert-panel__toolbar">
+            <span>{open.length} open · {alerts.length - open.length} acknowledged</span>
+            <button type="button" onClick={() => onAcknowledge(open.map(alert => alert.id))} disabled={open.length === 0}>
+              Acknowledge all
+            </button>
+          </div>
+          <ul className="alert-panel__list">
+            {listed.slice(0, MAX_LISTED).map(alert => (
+              <li
+                key={alert.id}
+                className={`alert-panel__alert${alert.acknowledged ? ' alert-panel__alert--acknowledged' : ''}`}
+              >
+                <span className="alert-panel__text">
+                  <strong>{alert.type === 'anomaly' ? 'Anomaly' : 'Threshold'}</strong> {alert.message}
+                  <br />
+                  {alert.sectorId} · ring {alert.ring}{alert.siteName ? ` · ${alert.siteName}` : ''} · since {formatSince(alert.since)}
+                </span>
+                {onJump && (
+                  <button type="button" onClick={() => onJump(alert)} aria-label={`Go to ${alert.sectorId} ring ${alert.ring}`}>
+                    Go to
+                  </button>
+                )}
+                {!alert.acknowledged && (
+                  <button type="button" onClick={() => onAcknowledge([alert.id])} aria-label={`Acknowledge ${alert.message}`}>
+                    Ack
+                  </button>
+                )}
+              </li>
+            ))}
+            {listed.length > MAX_LISTED && <li>…and {listed.length - MAX_LISTED} more</li>}
+          </ul>
+        </>
+      )}
+    </details>
+  )
+}
+
+export default AlertPanel
@@ -0,0 +1,86 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { SENSITIVITY_RANGE } from '../audio/audioReactor.js'
+import { useAudioState } from '../audio/useAudioState.js'
+import './panels.css'
+
+// How often the band meter is redrawn while a source plays, ms
+const METER_REFRESH_MS = 100
+
+// Symphony mode: pick a local audio file or the microphone and watch the rings,
+// lines and bloom follow it. Nothing leaves the browser.
+const AudioPanel = ({ audio, reducedMotion }) => {
+  const { active, source, error, sensitivity } = useAudioState(audio)
+  const inputRef = useRef()
+  const [bands, setBands] = useState(null)
+  const starting = !!source && !active
+
+  useEffect(() => {
+    if (!active) return
+    const timer = setInterval(() => setBands(Array.from(audio.bands)), METER_REFRESH_MS)
+    return () => {
+      clearInterval(timer)
+      setBands(null)
+    }
+  }, [active, audio])
+
+  const handleChange = (event) => {
+    const file = event.target.files?.[0]
+    if (file) audio.playFile(file)
+    event.target.value = ''
+  }
+
+  return (
+    <details className="overlay-panel audio-panel">
+      <summary>Symphony mode</summary>
+
+      <div className="overlay-panel__row">
+        <button type="button" onClick={() => inputRef.current?.click()} disabled={starting}>Play file</button>
+        <button
+          type="button"
+          aria-pressed={source?.kind === 'microphone'}
+          onClick={() => audio.useMicrophone()}
+          disabled={starting}
+        >
+          Use microphone
+        </button>
+        {source && <button type="button" onClick={() => audio.stop()}>Stop</button>}
+        <input ref={inputRef} type="file" accept="audio/*" onChange={handleChange} hidden />
+      </div>
+
+      <span className="overlay-panel__meta" role="status">
+        {starting ? `Starting ${source.name}…` : active ? `Listening to ${source.name}` : 'Not listening'}
+      </span>
+
+      {bands && (
+        <div className="audio-panel__meter" aria-hidden="true">
+          {bands.map((energy, band) => <span key={band} style={{ height: `${Math.max(4, energy * 100)}%` }} />)}
+        </div>
+      )}
+
+      <label className="overlay-panel__row">
+        Sensitivity
+        <input
+          type="range"
+          min={SENSITIVITY_RANGE[0]}
+          max={SENSITIVITY_RANGE[1]}
+          step={0.1}
+          value={sensitivity}
+          onChange={(event) => audio.setSensitivity(Number(event.target.value))}
+        />
+        <span className="settings-panel__value">{sensitivity.toFixed(1)}×</span>
+      </label>
+
+      {reducedMotion && (
+        <span className="overlay-panel__meta">Reduced motion is on, so the scene does not react to the audio.</span>
+      )}
+
+      {error && (
+        <div className="overlay-panel__error" role="alert">
+          <strong>{error.name === 'NotAllowedError' ? 'Access to the audio source was denied.' : `Could not play the audio: ${error.message}`}</strong>
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default AudioPanel
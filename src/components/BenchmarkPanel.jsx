@@ -0,0 +1,51 @@
+import React from 'react'
+import { downloadBlob } from '../export/capture.js'
+import { formatBytes } from '../perf/stats.js'
+import './panels.css'
+
+// Progress of the ?benchmark run and, once it is done, its report per size
+const BenchmarkPanel = ({ sizes, index, report, unavailable }) => {
+  const download = () => {
+    const blob = new Blob([JSON.stringify(report, null, 2) + '\n'], { type: 'application/json' })
+    downloadBlob(blob, `benchmark-${report.createdAt.slice(0, 19).replace(/[:T]/g, '-')}.json`)
+  }
+
+  return (
+    <div className="overlay-panel benchmark-panel" role="status">
+      <strong>Benchmark</strong>
+
+      {unavailable && <span>The benchmark needs the 3D view; WebGL is not in use.</span>}
+
+      {!unavailable && !report && (
+        <span>Step {index + 1} of {sizes.length}: {sizes[index]} sites…</span>
+      )}
+
+      {report && (
+        <>
+          <table className="benchmark-panel__table">
+            <thead>
+              <tr><th>Sites</th><th>FPS</th><th>p95 ms</th><th>Calls</th><th>Memory</th></tr>
+            </thead>
+            <tbody>
+              {report.steps.map(step => (
+                <tr key={step.sites}>
+                  <td>{step.sites}</td>
+                  <td>{Math.round(step.frames.fps)}</td>
+                  <td>{step.frames.p95}</td>
+                  <td>{step.render?.calls ?? '—'}</td>
+                  <td>{step.memory ? formatBytes(step.memory.total) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="overlay-panel__row">
+            <button type="button" onClick={download}>Download JSON</button>
+            <button type="button" onClick={() => navigator.clipboard?.writeText(JSON.stringify(report, null, 2))}>Copy</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BenchmarkPanel
@@ -0,0 +1,90 @@
+import React, { useState } from 'react'
+import { BLOOM_METRICS, MAX_BLOOM_RULES, describeBloomRule } from '../bloom/rules.js'
+import './panels.css'
+
+const MAX_STRENGTH = 3
+
+const StrengthSlider = ({ value, onChange, label }) => (
+  <input
+    className="bloom-panel__strength"
+    type="range"
+    min="0"
+    max={MAX_STRENGTH}
+    step="0.1"
+    value={value}
+    onChange={(event) => onChange(Number(event.target.value))}
+    aria-label={label}
+  />
+)
+
+// Glow strength of the built-in signal selection and the data-driven bloom rules
+const BloomPanel = ({ signalStrength, onSignalStrengthChange, rules, onRulesChange }) => {
+  const [draft, setDraft] = useState({ metric: 'load', op: '>', value: 90 })
+
+  const updateRule = (id, changes) => {
+    onRulesChange(rules.map(rule => rule.id === id ? { ...rule, ...changes } : rule))
+  }
+
+  const addRule = (event) => {
+    event.preventDefault()
+    if (rules.length >= MAX_BLOOM_RULES || !Number.isFinite(draft.value)) return
+    onRulesChange([...rules, { ...draft, id: `rule-${Date.now().toString(36)}`, strength: 1.5, enabled: true }])
+  }
+
+  return (
+    <details className="overlay-panel bloom-panel">
+      <summary>Bloom</summary>
+
+      <div className="overlay-panel__row">
+        <span className="bloom-panel__label">Strong signal</span>
+        <StrengthSlider value={signalStrength} onChange={onSignalStrengthChange} label="Strong signal glow strength" />
+      </div>
+
+      {rules.map(rule => (
+        <div key={rule.id} className="overlay-panel__row">
+          <label className="overlay-panel__row bloom-panel__label">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(event) => updateRule(rule.id, { enabled: event.target.checked })}
+            />
+            {describeBloomRule(rule)}
+          </label>
+          <StrengthSlider
+            value={rule.strength}
+            onChange={(strength) => updateRule(rule.id, { strength })}
+            label={`${describeBloomRule(rule)} glow strength`}
+          />
+          <button
+            type="button"
+            onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+            aria-label={`Remove ${describeBloomRule(rule)}`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <form className="overlay-panel__row" onSubmit={addRule}>
+        <select value={draft.metric} onChange={(event) => setDraft(prev => ({ ...prev, metric: event.target.value }))} aria-label="Metric">
+          {Object.entries(BLOOM_METRICS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <select value={draft.op} onChange={(event) => setDraft(prev => ({ ...prev, op: event.target.value }))} aria-label="Comparison">
+          <option value=">">&gt;</option>
+          <option value="<">&lt;</option>
+        </select>
+        <input
+          type="number"
+          value={draft.value}
+          onChange={(event) => setDraft(prev => ({ ...prev, value: Number(event.target.value) }))}
+          aria-label="Threshold"
+        />
+        <button type="submit" disabled={rules.length >= MAX_BLOOM_RULES}>Add rule</button>
+      </form>
+    </details>
+  )
+}
+
+export default BloomPanel
@@ -0,0 +1,83 @@
+import React from 'react'
+import { COLOR_METRICS } from '../color/scale.js'
+import { PALETTES, palettesOfType } from '../color/palettes.js'
+import './panels.css'
+
+const formatValue = (value) => Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(1))
+
+// Metric and palette pickers plus the active scale; categories toggle on click
+const ColorLegend = ({ encoding, scale, onChange }) => {
+  const legend = scale.legend
+  const type = COLOR_METRICS[encoding.metric]?.type
+
+  const toggleCategory = (name) => {
+    const hidden = encoding.hidden.includes(name)
+      ? encoding.hidden.filter(h => h !== name)
+      : [...encoding.hidden, name]
+    onChange({ ...encoding, hidden })
+  }
+
+  return (
+    <div className="overlay-panel color-legend">
+      <div className="overlay-panel__row">
+        <select
+          value={encoding.metric}
+          onChange={(event) => onChange({ metric: event.target.value, palette: null, hidden: [] })}
+          aria-label="Color by"
+        >
+          {Object.entries(COLOR_METRICS).map(([key, { label }]) => (
+            <option key={key} value={key}>{key === 'none' ? 'No color' : `Color by ${label}`}</option>
+          ))}
+        </select>
+        {type && (
+          <select
+            value={scale.palette}
+            onChange={(event) => onChange({ ...encoding, palette: event.target.value })}
+            aria-label="Palette"
+          >
+            {palettesOfType(type).map(name => (
+              <option key={name} value={name}>
+                {PALETTES[name].label}{PALETTES[name].colorblindSafe ? ' (colorblind-safe)' : ''}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {legend && legend.type !== 'categorical' && (
+        <>
+          <div
+            className="color-legend__ramp"
+            style={{ background: `linear-gradient(to right, ${legend.stops.join(', ')})` }}
+            role="img"
+            aria-label={`${legend.label} from ${formatValue(legend.domain[0])} to ${formatValue(legend.domain[1])} ${legend.unit}`}
+          />
+          <div className="overlay-panel__row color-legend__ticks">
+            <span>{formatValue(legend.domain[0])}</span>
+            {legend.midpoint !== undefined && <span>{formatValue(legend.midpoint)}</span>}
+            <span>{formatValue(legend.domain[1])} {legend.unit}</span>
+          </div>
+        </>
+      )}
+
+      {legend?.type === 'categorical' && (
+        <div className="overlay-panel__row overlay-panel__row--wrap">
+          {legend.categories.map(category => (
+            <button
+              key={category.name}
+              type="button"
+              className="color-legend__category"
+              aria-pressed={!category.hidden}
+              onClick={() => toggleCategory(category.name)}
+            >
+              <span className="color-legend__swatch" style={{ background: category.hidden ? 'transparent' : category.color, borderColor: category.color }} />
+              {category.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ColorLegend
@@ -0,0 +1,156 @@
+import React, { useRef } from 'react'
+import { BLOOM_METRICS } from '../bloom/rules.js'
+import { PALETTES, palettesOfType } from '../color/palettes.js'
+import { COMPARE_VIEWS, DELTA_METRICS, formatCompared, formatDelta } from '../compare/compare.js'
+import { describeSelection } from '../picking/describe.js'
+import './panels.css'
+
+const formatValue = (value) => Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(1))
+
+// Second dataset for the comparison view: loader, split/overlay switch, and the
+// difference view with its legend, match summary and the selected item's values
+const ComparePanel = ({
+  dataset,
+  error,
+  loading,
+  onLoadFile,
+  onClear,
+  comparison,
+  onChange,
+  result,
+  scale,
+  selection,
+  hasDataset
+}) => {
+  const inputRef = useRef()
+  const update = (changes) => onChange({ ...comparison, ...changes })
+  const legend = scale?.legend
+  const picked = result && selection ? result.lookup(selection.data) : null
+
+  const handleChange = (event) => {
+    const file = event.target.files?.[0]
+    if (file) onLoadFile(file)
+    event.target.value = ''
+  }
+
+  return (
+    <details className="overlay-panel compare-panel">
+      <summary>Compare</summary>
+
+      <div className="overlay-panel__row">
+        <button type="button" onClick={() => inputRef.current?.click()} disabled={loading}>
+          {loading ? 'Loading…' : dataset ? 'Replace B' : 'Load dataset B'}
+        </button>
+        {dataset && (
+          <button type="button" onClick={onClear}>Stop comparing</button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleChange}
+          hidden
+        />
+      </div>
+
+      {dataset && (
+        <>
+          <div className="overlay-panel__meta">
+            <strong>B: {dataset.name}</strong>
+            <span>{dataset.sites.length} sites, matched to A by sector and site id</span>
+          </div>
+
+          <div className="overlay-panel__row" role="group" aria-label="Comparison layout">
+            {COMPARE_VIEWS.map(({ value, label }) => (
+              <button
+                key={value}
+                type="button"
+                aria-pressed={comparison.view === value}
+                onClick={() => update({ view: value })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="overlay-panel__row">
+            <select
+              value={comparison.delta ?? ''}
+              onChange={(event) => update({ delta: event.target.value || null })}
+              aria-label="Difference view"
+              disabled={!hasDataset}
+            >
+              <option value="">No difference view</option>
+              {DELTA_METRICS.map(metric => (
+                <option key={metric} value={metric}>Color by Δ {BLOOM_METRICS[metric].label}</option>
+              ))}
+            </select>
+            {scale && (
+              <select value={scale.palette} onChange={(event) => update({ palette: event.target.value })} aria-label="Difference palette">
+                {palettesOfType('diverging').map(name => (
+                  <option key={name} value={name}>
+                    {PALETTES[name].label}{PALETTES[name].colorblindSafe ? ' (colorblind-safe)' : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+        </>
+      )}
+
+      {legend && (
+        <>
+          <div
+            className="color-legend__ramp"
+            style={{ background: `linear-gradient(to right, ${legend.stops.join(', ')})` }}
+            role="img"
+            aria-label={`${legend.label} from ${formatValue(legend.domain[0])} to ${formatValue(legend.domain[1])} ${legend.unit}`}
+          />
+          <div className="overlay-panel__row color-legend__ticks">
+            <span>{formatValue(legend.domain[0])}</span>
+            <span>0</span>
+            <span>{formatValue(legend.domain[1])} {legend.unit}</span>
+          </div>
+        </>
+      )}
+
+      {result && (
+        <div className="overlay-panel__meta">
+          <span>{result.matched} of {result.cells} cells in both datasets</span>
+          {result.meanDelta !== null && <span>Mean Δ {formatDelta(result.metric, result.meanDelta)}</span>}
+        </div>
+      )}
+
+      {picked && (
+        <dl className="inspector-panel__rows">
+          <dt>Selected</dt>
+          <dd>{describeSelection(selection).title}</dd>
+          <dt>A</dt>
+          <dd>{formatCompared(result.metric, picked.a)}</dd>
+          <dt>B</dt>
+          <dd>{formatCompared(result.metric, picked.b)}</dd>
+          <dt>Δ</dt>
+          <dd>{formatDelta(result.metric, picked.delta)}</dd>
+        </dl>
+      )}
+
+      {dataset && !hasDataset && (
+        <span className="overlay-panel__meta">The difference view needs a dataset A; load one with Load data.</span>
+      )}
+
+      {error && (
+        <div className="overlay-panel__error" role="alert">
+          <strong>{error.message}</strong>
+          {error.issues?.length > 0 && (
+            <ul>
+              {error.issues.slice(0, 20).map((issue, i) => <li key={i}>{issue}</li>)}
+              {error.issues.length > 20 && <li>…and {error.issues.length - 20} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default ComparePanel
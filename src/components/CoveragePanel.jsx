@@ -0,0 +1,71 @@
+import React from 'react'
+import { COLOR_METRICS } from '../color/scale.js'
+import { PALETTES, palettesOfType } from '../color/palettes.js'
+import { COVERAGE_METRICS } from '../heatmap/coverage.js'
+import './panels.css'
+
+const formatValue = (value) => Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(1))
+
+// Coverage shading between the rings: on/off, metric, palette and opacity
+const CoveragePanel = ({ coverage, scale, onChange, hasDataset }) => {
+  const legend = scale.legend
+  const type = COLOR_METRICS[coverage.metric].type
+  const update = (changes) => onChange({ ...coverage, ...changes })
+
+  return (
+    <details className="overlay-panel coverage-panel">
+      <summary>Coverage</summary>
+
+      <label className="overlay-panel__row">
+        <input type="checkbox" checked={coverage.enabled} onChange={(event) => update({ enabled: event.target.checked })} />
+        Shade between rings
+      </label>
+
+      <div className="overlay-panel__row">
+        <select value={coverage.metric} onChange={(event) => update({ metric: event.target.value, palette: null })} aria-label="Coverage metric">
+          {COVERAGE_METRICS.map(metric => (
+            <option key={metric} value={metric}>{COLOR_METRICS[metric].label}</option>
+          ))}
+        </select>
+        <select value={scale.palette} onChange={(event) => update({ palette: event.target.value })} aria-label="Coverage palette">
+          {palettesOfType(type).map(name => (
+            <option key={name} value={name}>
+              {PALETTES[name].label}{PALETTES[name].colorblindSafe ? ' (colorblind-safe)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <label className="overlay-panel__row">
+        Opacity
+        <input
+          type="range"
+          min={0.05}
+          max={1}
+          step={0.05}
+          value={coverage.opacity}
+          onChange={(event) => update({ opacity: Number(event.target.value) })}
+        />
+        <span className="settings-panel__value">{Math.round(coverage.opacity * 100)}%</span>
+      </label>
+
+      <div
+        className="color-legend__ramp"
+        style={{ background: `linear-gradient(to right, ${legend.stops.join(', ')})` }}
+        role="img"
+        aria-label={`${legend.label} from ${formatValue(legend.domain[0])} to ${formatValue(legend.domain[1])} ${legend.unit}`}
+      />
+      <div className="overlay-panel__row color-legend__ticks">
+        <span>{formatValue(legend.domain[0])}</span>
+        {legend.midpoint !== undefined && <span>{formatValue(legend.midpoint)}</span>}
+        <span>{formatValue(legend.domain[1])} {legend.unit}</span>
+      </div>
+
+      {!hasDataset && (
+        <span className="overlay-panel__meta">Coverage is interpolated from dataset samples; load a dataset to see it.</span>
+      )}
+    </details>
+  )
+}
+
+export default CoveragePanel
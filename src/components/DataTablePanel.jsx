@@ -0,0 +1,110 @@
+import React, { useState } from 'react'
+import { KEYBOARD_SHORTCUTS } from '../a11y/keyboard.js'
+import { TABLE_METRICS, formatMetric } from '../a11y/cellTable.js'
+import { LABEL_FIELDS } from '../text/templates.js'
+import './panels.css'
+
+const PAGE_SIZE = 25
+
+const matchesFilter = (row, filter) => {
+  if (!filter) return true
+  const text = `${row.siteName} ${row.siteId} ${row.sectorId} ${row.technology}`.toLowerCase()
+  return text.includes(filter)
+}
+
+// Text alternative to the scene: summary, per-cell table and keyboard shortcuts.
+// `onOpenChange` lets the table only refresh while it is open.
+const DataTablePanel = ({ summary, rows, alertKeys, open, onOpenChange, onShowCell }) => {
+  const [filter, setFilter] = useState('')
+  const [page, setPage] = useState(0)
+
+  const filtered = rows.filter(row => matchesFilter(row, filter.trim().toLowerCase()))
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE))
+  const current = Math.min(page, pageCount - 1)
+  const pageRows = filtered.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+
+  return (
+    <details className="overlay-panel data-table-panel" open={open} onToggle={(event) => onOpenChange(event.currentTarget.open)}>
+      <summary>Data table</summary>
+
+      <p className="data-table-panel__summary">{summary}</p>
+
+      {rows.length > 0 && (
+        <>
+          <label className="overlay-panel__row">
+            Filter
+            <input
+              type="search"
+              value={filter}
+              placeholder="Site, sector or technology"
+              onChange={(event) => {
+                setFilter(event.target.value)
+                setPage(0)
+              }}
+            />
+          </label>
+
+          <div className="data-table-panel__scroll">
+            <table className="data-table-panel__table">
+              <caption>
+                Cells {filtered.length === 0 ? 0 : current * PAGE_SIZE + 1}–{current * PAGE_SIZE + pageRows.length} of {filtered.length}
+              </caption>
+              <thead>
+                <tr>
+                  <th scope="col">Cell</th>
+                  <th scope="col">Ring</th>
+                  <th scope="col">Tech</th>
+                  {TABLE_METRICS.map(metric => <th key={metric} scope="col">{LABEL_FIELDS[metric].label}</th>)}
+                  <th scope="col">Label</th>
+                  <th scope="col">Alert</th>
+                  <th scope="col"><span className="visually-hidden">Actions</span></th>
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map(row => (
+                  <tr key={row.key} className={alertKeys.has(row.key) ? 'data-table-panel__row--alert' : undefined}>
+                    <th scope="row">{row.siteName} · {row.sectorId}</th>
+                    <td>{row.ring}</td>
+                    <td>{row.technology ?? '—'}</td>
+                    {TABLE_METRICS.map(metric => <td key={metric}>{formatMetric(metric, row.values[metric])}</td>)}
+                    <td>{row.label}</td>
+                    <td>{alertKeys.has(row.key) ? 'Open' : ''}</td>
+                    <td>
+                      {onShowCell && (
+                        <button type="button" onClick={() => onShowCell(row)} aria-label={`Show ${row.sectorId} ring ${row.ring} in the scene`}>
+                          Show
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {pageCount > 1 && (
+            <div className="overlay-panel__row">
+              <button type="button" onClick={() => setPage(current - 1)} disabled={current === 0}>Previous</button>
+              <span>Page {current + 1} of {pageCount}</span>
+              <button type="button" onClick={() => setPage(current + 1)} disabled={current >= pageCount - 1}>Next</button>
+            </div>
+          )}
+        </>
+      )}
+
+      <details className="data-table-panel__shortcuts">
+        <summary>Keyboard shortcuts</summary>
+        <dl className="inspector-panel__rows">
+          {KEYBOARD_SHORTCUTS.map(([keys, description]) => (
+            <React.Fragment key={keys}>
+              <dt><kbd>{keys}</kbd></dt>
+              <dd>{description}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </details>
+    </details>
+  )
+}
+
+export default DataTablePanel
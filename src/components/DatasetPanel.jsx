@@ -0,0 +1,82 @@
+import React, { useRef } from 'react'
+import './panels.css'
+
+const NETWORK_VIEWS = [
+  { value: 'stack', label: 'Stack' },
+  { value: 'sites', label: 'Sites' }
+]
+
+// Dataset loader overlay: file picker, summary of the active dataset, validation errors
+// and, for datasets with site coordinates, the stack / multi-site switch
+const DatasetPanel = ({ dataset, error, loading, onLoadFile, onClear, networkView, onNetworkViewChange }) => {
+  const inputRef = useRef()
+
+  const handleChange = (event) => {
+    const file = event.target.files?.[0]
+    if (file) onLoadFile(file)
+    // Allow re-selecting the same file after fixing it
+    event.target.value = ''
+  }
+
+  const counts = dataset && dataset.sites.reduce((acc, site) => {
+    acc.sectors += site.sectors.length
+    acc.samples += site.sectors.reduce((sum, sector) => sum + sector.samples.length, 0)
+    return acc
+  }, { sectors: 0, samples: 0 })
+
+  return (
+    <div className="overlay-panel dataset-panel">
+      <div className="overlay-panel__row">
+        <button type="button" onClick={() => inputRef.current?.click()} disabled={loading}>
+          {loading ? 'Loading…' : 'Load data'}
+        </button>
+        {dataset && (
+          <button type="button" onClick={onClear}>Clear</button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleChange}
+          hidden
+        />
+      </div>
+
+      {dataset && (
+        <div className="overlay-panel__meta">
+          <strong>{dataset.name}</strong>
+          <span>{dataset.sites.length} sites · {counts.sectors} sectors · {counts.samples} samples</span>
+        </div>
+      )}
+
+      {dataset && onNetworkViewChange && (
+        <div className="overlay-panel__row" role="group" aria-label="Network view">
+          {NETWORK_VIEWS.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              aria-pressed={networkView === value}
+              onClick={() => onNetworkViewChange(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="overlay-panel__error" role="alert">
+          <strong>{error.message}</strong>
+          {error.issues?.length > 0 && (
+            <ul>
+              {error.issues.slice(0, 20).map((issue, i) => <li key={i}>{issue}</li>)}
+              {error.issues.length > 20 && <li>…and {error.issues.length - 20} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DatasetPanel
@@ -0,0 +1,20 @@
+import React from 'react'
+import './panels.css'
+
+// Where the drill-down is (see drill/drillDown.js), from the network overview down;
+// every level above the current one flies back up to it
+const DrillBreadcrumbs = ({ path, onNavigate }) => (
+  <nav className="overlay-panel drill-breadcrumbs" aria-label="Drill-down">
+    <ol className="drill-breadcrumbs__list">
+      {path.map(({ label, target }, i) => (
+        <li key={i}>
+          {i < path.length - 1
+            ? <button type="button" onClick={() => onNavigate(target)}>{label}</button>
+            : <strong aria-current="location">{label}</strong>}
+        </li>
+      ))}
+    </ol>
+  </nav>
+)
+
+export default DrillBreadcrumbs
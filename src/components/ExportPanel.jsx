@@ -0,0 +1,121 @@
+import React, { useState } from 'react'
+import { RESOLUTION_PRESETS, downloadBlob } from '../export/capture.js'
+import './panels.css'
+
+const FRAME_RATES = [24, 30, 60]
+const CUSTOM = 'custom'
+
+// Hi-res PNG snapshots and fixed-rate WebM recordings of the scene
+const ExportPanel = ({ apiRef, seed, onBusyChange }) => {
+  const [preset, setPreset] = useState(RESOLUTION_PRESETS[0].name)
+  const [custom, setCustom] = useState({ width: 1920, height: 1080 })
+  const [transparent, setTransparent] = useState(false)
+  const [seconds, setSeconds] = useState(10)
+  const [fps, setFps] = useState(30)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const [recording, setRecording] = useState(null)
+
+  const size = preset === CUSTOM ? custom : RESOLUTION_PRESETS.find(p => p.name === preset)
+  const busy = progress !== null
+
+  const run = async (task) => {
+    const api = apiRef.current
+    if (!api || busy) return
+    setError(null)
+    setProgress(0)
+    onBusyChange?.(true)
+    try {
+      await task(api)
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message)
+    } finally {
+      setRecording(null)
+      setProgress(null)
+      onBusyChange?.(false)
+    }
+  }
+
+  const snapshot = () => run(async (api) => {
+    const blob = await api.snapshot({ ...size, transparent })
+    downloadBlob(blob, `symphony-${seed}-${size.width}x${size.height}.png`)
+  })
+
+  const record = () => run(async (api) => {
+    const controller = new AbortController()
+    setRecording(controller)
+    const blob = await api.record({
+      ...size,
+      transparent: false,
+      seconds,
+      fps,
+      signal: controller.signal,
+      onProgress: setProgress
+    })
+    downloadBlob(blob, `symphony-${seed}-${size.width}x${size.height}-${fps}fps.webm`)
+  })
+
+  const setCustomSize = (key) => (event) => {
+    const value = Math.max(16, Math.round(Number(event.target.value) || 0))
+    setCustom(prev => ({ ...prev, [key]: value }))
+  }
+
+  return (
+    <details className="overlay-panel export-panel">
+      <summary>Export</summary>
+
+      <div className="overlay-panel__row overlay-panel__row--wrap">
+        <select value={preset} onChange={(event) => setPreset(event.target.value)} disabled={busy}>
+          {RESOLUTION_PRESETS.map(p => (
+            <option key={p.name} value={p.name}>{p.name} ({p.width}×{p.height})</option>
+          ))}
+          <option value={CUSTOM}>Custom</option>
+        </select>
+        {preset === CUSTOM && (
+          <>
+            <input type="number" min="16" value={custom.width} onChange={setCustomSize('width')} disabled={busy} aria-label="Width" />
+            ×
+            <input type="number" min="16" value={custom.height} onChange={setCustomSize('height')} disabled={busy} aria-label="Height" />
+          </>
+        )}
+      </div>
+
+      <div className="overlay-panel__row">
+        <label className="overlay-panel__row">
+          <input type="checkbox" checked={transparent} onChange={(event) => setTransparent(event.target.checked)} disabled={busy} />
+          Transparent background
+        </label>
+        <button type="button" onClick={snapshot} disabled={busy}>Save PNG</button>
+      </div>
+
+      <div className="overlay-panel__row">
+        <input
+          type="number"
+          min="1"
+          max="600"
+          value={seconds}
+          onChange={(event) => setSeconds(Math.min(600, Math.max(1, Number(event.target.value) || 1)))}
+          disabled={busy}
+          aria-label="Duration in seconds"
+        />
+        s at
+        <select value={fps} onChange={(event) => setFps(Number(event.target.value))} disabled={busy} aria-label="Frame rate">
+          {FRAME_RATES.map(rate => <option key={rate} value={rate}>{rate} fps</option>)}
+        </select>
+        {recording ? (
+          <button type="button" onClick={() => recording.abort()}>Cancel</button>
+        ) : (
+          <button type="button" onClick={record} disabled={busy}>Record WebM</button>
+        )}
+      </div>
+
+      {busy && (
+        <progress className="export-panel__progress" value={progress} max="1" />
+      )}
+
+      {error && <div className="overlay-panel__error">{error}</div>}
+    </details>
+  )
+}
+
+export default ExportPanel
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react'
+import { describeSelection } from '../picking/describe.js'
+import { drillTargetOf } from '../drill/drillDown.js'
+import './panels.css'
+
+// Details of the picked ring, line or label; `onDrill` opens the sectors of its ring or site
+const InspectorPanel = ({ selection, onClose, onDrill }) => {
+  useEffect(() => {
+    if (!selection) return
+    const handleKey = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [selection, onClose])
+
+  if (!selection) return null
+  const { title, rows } = describeSelection(selection)
+  const drillTarget = onDrill && drillTargetOf(selection)
+
+  return (
+    <div className="overlay-panel inspector-panel" role="dialog" aria-label={title}>
+      <div className="overlay-panel__row inspector-panel__header">
+        <strong>{title}</strong>
+        <button type="button" onClick={onClose} aria-label="Close inspector">×</button>
+      </div>
+      <dl className="inspector-panel__rows">
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      {drillTarget && (
+        <div className="overlay-panel__row">
+          <button type="button" onClick={() => onDrill(drillTarget)}>Show sectors</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InspectorPanel
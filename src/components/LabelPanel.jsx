@@ -0,0 +1,43 @@
+import React from 'react'
+import { DEFAULT_LABEL_TEMPLATE, LABEL_FIELDS } from '../text/templates.js'
+import './panels.css'
+
+// Label template bound to dataset fields, and the on-screen overlap filter
+const LabelPanel = ({ template, onTemplateChange, declutter, onDeclutterChange, hasDataset }) => (
+  <details className="overlay-panel label-panel">
+    <summary>Labels</summary>
+
+    <div className="overlay-panel__row">
+      <input
+        className="label-panel__template"
+        type="text"
+        value={template}
+        onChange={(event) => onTemplateChange(event.target.value)}
+        aria-label="Label template"
+        spellCheck={false}
+      />
+      <button type="button" onClick={() => onTemplateChange(DEFAULT_LABEL_TEMPLATE)} disabled={template === DEFAULT_LABEL_TEMPLATE}>
+        Reset
+      </button>
+    </div>
+
+    <div className="overlay-panel__row overlay-panel__row--wrap">
+      {Object.entries(LABEL_FIELDS).map(([name, { label }]) => (
+        <button key={name} type="button" title={label} onClick={() => onTemplateChange(`${template} {${name}}`.trim())}>
+          {name}
+        </button>
+      ))}
+    </div>
+
+    {!hasDataset && (
+      <span className="overlay-panel__meta">Templates apply once a dataset is loaded.</span>
+    )}
+
+    <label className="overlay-panel__row">
+      <input type="checkbox" checked={declutter} onChange={(event) => onDeclutterChange(event.target.checked)} />
+      Hide overlapping labels
+    </label>
+  </details>
+)
+
+export default LabelPanel
@@ -0,0 +1,91 @@
+import React, { useRef } from 'react'
+import { PROJECTIONS } from '../geo/projection.js'
+import './panels.css'
+
+// Ground map overlay: GeoJSON file picker, projection choice and the picked region filter
+const MapPanel = ({
+  geoMap,
+  error,
+  loading,
+  onLoadFile,
+  onClear,
+  projection,
+  onProjectionChange,
+  pickedRegion,
+  visibleSites,
+  totalSites,
+  onClearRegion
+}) => {
+  const inputRef = useRef()
+
+  const handleChange = (event) => {
+    const file = event.target.files?.[0]
+    if (file) onLoadFile(file)
+    // Allow re-selecting the same file after fixing it
+    event.target.value = ''
+  }
+
+  return (
+    <div className="overlay-panel map-panel">
+      <div className="overlay-panel__row">
+        <button type="button" onClick={() => inputRef.current?.click()} disabled={loading}>
+          {loading ? 'Loading…' : 'Load map'}
+        </button>
+        {geoMap && (
+          <button type="button" onClick={onClear}>Clear</button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".geojson,.json,application/geo+json,application/json"
+          onChange={handleChange}
+          hidden
+        />
+      </div>
+
+      {geoMap && (
+        <>
+          <div className="overlay-panel__meta">
+            <strong>{geoMap.name}</strong>
+            <span>{geoMap.regions.length} regions · {geoMap.lines.length} outlines</span>
+          </div>
+
+          <label className="overlay-panel__row">
+            Projection
+            <select value={projection} onChange={(event) => onProjectionChange(event.target.value)}>
+              {Object.entries(PROJECTIONS).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {pickedRegion ? (
+            <div className="overlay-panel__row map-panel__filter">
+              <span>
+                <strong>{pickedRegion.name}</strong>
+                {totalSites > 0 && <> · {visibleSites} of {totalSites} sites</>}
+              </span>
+              <button type="button" onClick={onClearRegion}>Clear filter</button>
+            </div>
+          ) : (
+            <span className="map-panel__hint">Click a region to show only its sites</span>
+          )}
+        </>
+      )}
+
+      {error && (
+        <div className="overlay-panel__error" role="alert">
+          <strong>{error.message}</strong>
+          {error.issues?.length > 0 && (
+            <ul>
+              {error.issues.slice(0, 20).map((issue, i) => <li key={i}>{issue}</li>)}
+              {error.issues.length > 20 && <li>…and {error.issues.length - 20} more</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MapPanel
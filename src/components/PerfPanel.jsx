@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react'
+import { STAT_KINDS, formatBytes } from '../perf/stats.js'
+import './panels.css'
+
+const REFRESH_MS = 500
+
+// Performance overlay: reads PerfProbe's snapshots from `statsRef` while open.
+// `onOpenChange` lets the probe only run while the panel is open.
+const PerfPanel = ({ statsRef, open, onOpenChange }) => {
+  const [stats, setStats] = useState(null)
+
+  useEffect(() => {
+    if (!open) return
+    const timer = setInterval(() => setStats(statsRef.current), REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [open, statsRef])
+
+  const { frames, render, counts, memory, objects } = stats ?? {}
+
+  return (
+    <details className="overlay-panel perf-panel" open={open} onToggle={(event) => onOpenChange(event.currentTarget.open)}>
+      <summary>Performance</summary>
+
+      {open && !stats && <span className="overlay-panel__meta">Measuring…</span>}
+
+      {open && stats && (
+        <dl className="inspector-panel__rows">
+          <dt>FPS</dt>
+          <dd>{Math.round(frames.fps)}</dd>
+          <dt>Frame time</dt>
+          <dd>p50 {frames.p50} · p95 {frames.p95} · p99 {frames.p99} ms</dd>
+          <dt>Draw calls</dt>
+          <dd>{render.calls}</dd>
+          <dt>Triangles</dt>
+          <dd>{render.triangles.toLocaleString()}</dd>
+          <dt>Lines</dt>
+          <dd>{render.lines.toLocaleString()}</dd>
+          {Object.entries(STAT_KINDS).map(([kind, label]) => (
+            <React.Fragment key={kind}>
+              <dt>{label}</dt>
+              <dd>{counts[kind].toLocaleString()}</dd>
+            </React.Fragment>
+          ))}
+          <dt>GPU memory</dt>
+          <dd>
+            ≈ {formatBytes(memory.total)} ({formatBytes(memory.buffers)} buffers, {formatBytes(memory.textures)} textures,
+            {' '}{formatBytes(memory.drawingBuffer)} canvas)
+          </dd>
+          <dt>GPU objects</dt>
+          <dd>{objects.geometries} geometries, {objects.textures} textures</dd>
+        </dl>
+      )}
+    </details>
+  )
+}
+
+export default PerfPanel
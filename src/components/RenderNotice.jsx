@@ -0,0 +1,19 @@
+import React from 'react'
+import { FALLBACK_REASONS } from '../render/webgl.js'
+import './panels.css'
+
+// Renderer state worth telling the user about: a context being restored, or why the
+// flat 2D view replaced the 3D one
+const RenderNotice = ({ restoring, fallback }) => {
+  if (!restoring && !fallback) return null
+  return (
+    <div className="overlay-panel render-notice" role="status">
+      <div className="overlay-panel__row">
+        <span className={`stream-status__dot ${fallback ? 'stream-status__dot--offline' : 'stream-status__dot--reconnecting'}`} />
+        <span>{fallback ? FALLBACK_REASONS[fallback] : 'Graphics context lost; restoring the 3D view…'}</span>
+      </div>
+    </div>
+  )
+}
+
+export default RenderNotice
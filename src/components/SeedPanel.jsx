@@ -0,0 +1,46 @@
+import React, { useState } from 'react'
+import './panels.css'
+
+// Shows the layout seed and lets the user change it, roll a new one or copy a share link
+const SeedPanel = ({ seed, locked = false, onChange, onRandomize }) => {
+  const [draft, setDraft] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  const commit = () => {
+    if (draft !== null && draft.trim() !== '') onChange(draft.trim())
+    setDraft(null)
+  }
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    })
+  }
+
+  return (
+    <div className="overlay-panel seed-panel">
+      <label className="overlay-panel__row">
+        <span>Seed</span>
+        <input
+          type="text"
+          value={draft ?? seed}
+          disabled={locked}
+          spellCheck={false}
+          onChange={(event) => setDraft(event.target.value)}
+          onBlur={commit}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') commit()
+            if (event.key === 'Escape') setDraft(null)
+          }}
+        />
+      </label>
+      <div className="overlay-panel__row">
+        <button type="button" onClick={onRandomize} disabled={locked}>New seed</button>
+        <button type="button" onClick={copyLink}>{copied ? 'Copied' : 'Copy link'}</button>
+      </div>
+    </div>
+  )
+}
+
+export default SeedPanel
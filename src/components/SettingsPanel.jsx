@@ -0,0 +1,172 @@
+import React, { useRef, useState } from 'react'
+import { downloadBlob } from '../export/capture.js'
+import {
+  DEFAULT_SCENE_SETTINGS,
+  SCENE_SETTINGS,
+  parsePresetJson,
+  presetToJson
+} from '../settings/sceneSettings.js'
+import './panels.css'
+
+const GROUPS = [...new Set(SCENE_SETTINGS.map(setting => setting.group))]
+
+const presetFileName = (name) => `${name.replace(/[^\w-]+/g, '-').toLowerCase() || 'preset'}.json`
+
+// One slider, with an "auto" toggle for settings that can follow the quality tier
+const SettingRow = ({ setting, value, tierValue, onChange }) => {
+  const auto = setting.auto && value === null
+  const shown = auto ? tierValue : value
+  return (
+    <div className="overlay-panel__row">
+      <span className="settings-panel__label">{setting.label}</span>
+      <input
+        className="settings-panel__slider"
+        type="range"
+        min={setting.min}
+        max={setting.max}
+        step={setting.step}
+        value={shown}
+        disabled={auto}
+        onChange={(event) => onChange(Number(event.target.value))}
+        aria-label={setting.label}
+      />
+      <span className="settings-panel__value">{shown}</span>
+      {setting.auto && (
+        <label className="overlay-panel__row" title="Follow the quality tier">
+          <input
+            type="checkbox"
+            checked={auto}
+            onChange={(event) => onChange(event.target.checked ? null : tierValue)}
+          />
+          auto
+        </label>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Live scene parameters (layout, bloom, motion) plus named presets. Presets are
+ * kept in localStorage and can be exported to and imported from JSON files;
+ * the current settings are also in the URL, so "Copy link" shares them exactly.
+ */
+const SettingsPanel = ({ settings, tierSettings, hasDataset, onChange, presets, onPresetsChange }) => {
+  const [name, setName] = useState('')
+  const [chosen, setChosen] = useState('')
+  const [message, setMessage] = useState(null)
+  const inputRef = useRef()
+
+  const chosenPreset = presets.find(preset => preset.name === chosen)
+
+  const save = (event) => {
+    event.preventDefault()
+    const trimmed = name.trim()
+    if (!trimmed) return
+    onPresetsChange([...presets.filter(preset => preset.name !== trimmed), { name: trimmed, settings }])
+    setChosen(trimmed)
+    setName('')
+  }
+
+  const exportPreset = () => {
+    const preset = chosenPreset ?? { name: 'scene-settings', settings }
+    downloadBlob(new Blob([presetToJson(preset)], { type: 'application/json' }), presetFileName(preset.name))
+  }
+
+  const importPreset = async (event) => {
+    const file = event.target.files?.[0]
+    // Allow re-selecting the same file after fixing it
+    event.target.value = ''
+    if (!file) return
+    try {
+      const preset = parsePresetJson(await file.text(), file.name.replace(/\.json$/i, ''))
+      onPresetsChange([...presets.filter(p => p.name !== preset.name), preset])
+      onChange(preset.settings)
+      setChosen(preset.name)
+      setMessage(null)
+    } catch (error) {
+      setMessage({ error: true, text: error.message })
+    }
+  }
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setMessage({ error: false, text: 'Link copied' })
+    } catch {
+      setMessage({ error: true, text: 'Clipboard unavailable; copy the address bar instead' })
+    }
+  }
+
+  return (
+    <details className="overlay-panel settings-panel">
+      <summary>Scene settings</summary>
+
+      {GROUPS.map(group => (
+        <div key={group} className="settings-panel__group">
+          <strong>{group}</strong>
+          {SCENE_SETTINGS.filter(setting => setting.group === group).map(setting => (
+            <SettingRow
+              key={setting.key}
+              setting={setting}
+              value={settings[setting.key]}
+              tierValue={setting.tierValue?.(tierSettings)}
+              onChange={(value) => onChange({ ...settings, [setting.key]: value })}
+            />
+          ))}
+        </div>
+      ))}
+      {hasDataset && (
+        <span className="overlay-panel__meta">Ring count follows the loaded dataset.</span>
+      )}
+
+      <div className="overlay-panel__row overlay-panel__row--wrap">
+        <button type="button" onClick={() => onChange(DEFAULT_SCENE_SETTINGS)}>Reset</button>
+        <button type="button" onClick={copyLink}>Copy link</button>
+      </div>
+
+      <div className="overlay-panel__row overlay-panel__row--wrap">
+        <select value={chosen} onChange={(event) => setChosen(event.target.value)} aria-label="Preset">
+          <option value="">Presets…</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+        <button type="button" disabled={!chosenPreset} onClick={() => onChange(chosenPreset.settings)}>Load</button>
+        <button
+          type="button"
+          disabled={!chosenPreset}
+          onClick={() => {
+            onPresetsChange(presets.filter(preset => preset.name !== chosen))
+            setChosen('')
+          }}
+        >
+          Delete
+        </button>
+      </div>
+
+      <form className="overlay-panel__row" onSubmit={save}>
+        <input
+          type="text"
+          value={name}
+          placeholder="Preset name"
+          onChange={(event) => setName(event.target.value)}
+        />
+        <button type="submit" disabled={!name.trim()}>Save preset</button>
+      </form>
+
+      <div className="overlay-panel__row">
+        <button type="button" onClick={exportPreset}>Export JSON</button>
+        <button type="button" onClick={() => inputRef.current?.click()}>Import JSON</button>
+        <input ref={inputRef} type="file" accept=".json,application/json" onChange={importPreset} hidden />
+      </div>
+
+      {message && (
+        <span className={message.error ? 'overlay-panel__error' : 'overlay-panel__meta'} role={message.error ? 'alert' : 'status'}>
+          {message.text}
+        </span>
+      )}
+    </details>
+  )
+}
+
+export default SettingsPanel
@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react'
+import './panels.css'
+
+const STATE_LABELS = {
+  connecting: 'Connecting',
+  open: 'Live',
+  reconnecting: 'Reconnecting',
+  offline: 'Offline',
+  closed: 'Disconnected'
+}
+
+// Connection indicator for the live feed: state dot, event rate and retry countdown
+const StreamStatus = ({ url, status, rate }) => {
+  const [now, setNow] = useState(() => Date.now())
+
+  // Tick once a second while a retry is pending so the countdown stays current
+  useEffect(() => {
+    if (!status.retryAt) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [status.retryAt])
+
+  const retryIn = status.retryAt ? Math.max(0, Math.ceil((status.retryAt - now) / 1000)) : null
+
+  return (
+    <div className="overlay-panel stream-status" role="status" title={url}>
+      <div className="overlay-panel__row">
+        <span className={`stream-status__dot stream-status__dot--${status.state}`} />
+        <strong>{STATE_LABELS[status.state] ?? status.state}</strong>
+        {status.state === 'open' && <span>{rate} ev/s</span>}
+        {retryIn !== null && <span>retry in {retryIn}s (attempt {status.attempt})</span>}
+      </div>
+      {status.buffered > 0 && (
+        <span>{status.buffered} events buffered while hidden</span>
+      )}
+    </div>
+  )
+}
+
+export default StreamStatus
@@ -0,0 +1,62 @@
+import React from 'react'
+import { SPEEDS } from '../timeline/timeline.js'
+import { useTimelineState } from '../timeline/useTimelineState.js'
+import './panels.css'
+
+const SCRUB_STEPS = 1000
+
+const formatLoopTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`
+}
+
+const formatClock = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+// Play/pause, frame stepping, speed and a scrubber over the shared timeline
+const TimelinePanel = ({ timeline }) => {
+  const { time, playing, speed, duration, range, datasetTime } = useTimelineState(timeline)
+
+  return (
+    <div className="overlay-panel timeline-panel">
+      <div className="overlay-panel__row">
+        <button type="button" onClick={() => timeline.step(-1)} aria-label="Step back one frame">⏮</button>
+        <button type="button" onClick={() => timeline.toggle()} aria-label={playing ? 'Pause' : 'Play'}>
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button type="button" onClick={() => timeline.step(1)} aria-label="Step forward one frame">⏭</button>
+
+        <input
+          className="timeline-panel__scrubber"
+          type="range"
+          min={0}
+          max={SCRUB_STEPS}
+          value={Math.round((time / duration) * SCRUB_STEPS)}
+          onChange={(event) => timeline.seek((Number(event.target.value) / SCRUB_STEPS) * duration)}
+          aria-label="Timeline position"
+        />
+
+        <span className="timeline-panel__time">
+          {range ? formatClock(datasetTime) : formatLoopTime(time)}
+        </span>
+
+        <select
+          value={speed}
+          onChange={(event) => timeline.setSpeed(Number(event.target.value))}
+          aria-label="Playback speed"
+        >
+          {SPEEDS.map(value => <option key={value} value={value}>{value}x</option>)}
+        </select>
+      </div>
+
+      {range && (
+        <div className="overlay-panel__row timeline-panel__range">
+          <span>{formatClock(range.start)}</span>
+          <span>replaying dataset</span>
+          <span>{formatClock(range.end)}</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TimelinePanel
@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { BUILT_IN_VIEWPOINTS } from '../camera/viewpoints.js'
+import './panels.css'
+
+// Viewpoint presets, saved views and the auto-motion toggles
+const ViewpointPanel = ({
+  saved,
+  onFlyTo,
+  onSave,
+  onDelete,
+  autoMotion,
+  onAutoMotionChange,
+  pauseOnInteract,
+  onPauseOnInteractChange,
+  reducedMotion,
+  onReducedMotionChange
+}) => {
+  const [name, setName] = useState('')
+
+  const save = (event) => {
+    event.preventDefault()
+    const trimmed = name.trim()
+    if (!trimmed) return
+    onSave(trimmed)
+    setName('')
+  }
+
+  return (
+    <div className="overlay-panel viewpoint-panel">
+      <div className="overlay-panel__row overlay-panel__row--wrap">
+        {BUILT_IN_VIEWPOINTS.map(viewpoint => (
+          <button key={viewpoint.name} type="button" onClick={() => onFlyTo(viewpoint)}>
+            {viewpoint.name}
+          </button>
+        ))}
+      </div>
+
+      {saved.length > 0 && (
+        <div className="overlay-panel__row overlay-panel__row--wrap">
+          {saved.map(viewpoint => (
+            <span key={viewpoint.name} className="viewpoint-panel__saved">
+              <button type="button" onClick={() => onFlyTo(viewpoint)}>{viewpoint.name}</button>
+              <button type="button" onClick={() => onDelete(viewpoint.name)} aria-label={`Delete ${viewpoint.name}`}>×</button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <form className="overlay-panel__row" onSubmit={save}>
+        <input
+          type="text"
+          value={name}
+          placeholder="View name"
+          onChange={(event) => setName(event.target.value)}
+        />
+        <button type="submit" disabled={!name.trim()}>Save view</button>
+      </form>
+
+      <label className="overlay-panel__row">
+        <input
+          type="checkbox"
+          checked={autoMotion && !reducedMotion}
+          disabled={reducedMotion}
+          onChange={(event) => onAutoMotionChange(event.target.checked)}
+        />
+        Auto-rotate and breathe
+      </label>
+      <label className="overlay-panel__row">
+        <input type="checkbox" checked={pauseOnInteract} onChange={(event) => onPauseOnInteractChange(event.target.checked)} />
+        Pause motion while navigating
+      </label>
+      <label className="overlay-panel__row">
+        <input type="checkbox" checked={reducedMotion} onChange={(event) => onReducedMotionChange(event.target.checked)} />
+        Reduce motion
+      </label>
+    </div>
+  )
+}
+
+export default ViewpointPanel
@@ -0,0 +1,358 @@
+import { METRIC_RANGES } from './schema.js'
+
+// Default ring stack geometry shared by the procedural and dataset layouts:
+// radius of the innermost ring, mean gap between rings and height step per ring
+export const DEFAULT_RING_GEOMETRY = {
+  baseRadius: 0.5,
+  ringSpacing: 0.4,
+  offsetZ: 0.2
+}
+
+// Dataset mapping thresholds
+const BLOOM_LINE_SINR = 20       // dB, "excellent" samples glow
+const BLOOM_RING_SINR = 13       // dB, rings with a good mean SINR glow
+const SEGMENTED_LINE_SINR = 0    // dB, interference-dominated samples draw dashed
+const MIN_ANGLE_DIFF = 0.2
+
+// Generate random text/numbers
+const generateRandomText = (random) => {
+  const types = ['number', 'hex', 'code']
+  const type = types[Math.floor(random() * types.length)]
+
+  switch (type) {
+    case 'number':
+      return Math.floor(random() * 9999).toString().padStart(4, '0')
+    case 'hex':
+      return '0x' + Math.floor(random() * 0xFFFF).toString(16).toUpperCase()
+    case 'code': {
+      const codes = ['SYS', 'NET', 'CPU', 'MEM', 'IO', 'REF', 'ACK', 'ERR', 'OK', 'RX', 'TX']
+      return codes[Math.floor(random() * codes.length)]
+    }
+    default:
+      return Math.floor(random() * 999).toString()
+  }
+}
+
+const polar = (angle, radius, position) => [
+  Math.cos(angle) * radius + position[0],
+  Math.sin(angle) * radius + position[1],
+  position[2]
+]
+
+const tooCloseToUsed = (usedAngles, angle) => usedAngles.some(usedAngle =>
+  Math.abs(angle - usedAngle) < MIN_ANGLE_DIFF ||
+  Math.abs(angle - usedAngle) > (Math.PI * 2 - MIN_ANGLE_DIFF)
+)
+
+// Map a metric onto 0..1 within its accepted range
+const normalize = (value, [min, max]) => Math.min(1, Math.max(0, (value - min) / (max - min)))
+
+// Compass bearing (clockwise from north) to scene angle (counter-clockwise from +X)
+export const bearingToAngle = (bearing) => ((90 - bearing) * Math.PI) / 180
+
+// Place of a layout item's ring in its stack: dataset rings skip unmeasured ring numbers
+export const slotOf = (item) => item.slot ?? item.ringIndex ?? 0
+
+// Technology contributing the most samples to a ring
+const dominantTechnology = (groups) => {
+  const counts = new Map()
+  for (const { sector, samples } of groups) {
+    counts.set(sector.technology, (counts.get(sector.technology) ?? 0) + samples.length)
+  }
+  let best
+  for (const [technology, count] of counts) {
+    if (best === undefined || count > counts.get(best)) best = technology
+  }
+  return best
+}
+
+const mean = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0
+
+// Mean metrics and main technology over `{ sector, samples }` groups (a ring, or a whole site)
+export const summarizeGroups = (groups) => {
+  const samples = groups.flatMap(group => group.samples)
+  const loads = samples.filter(s => s.load !== undefined).map(s => s.load)
+  const dropRates = samples.filter(s => s.dropRate !== undefined).map(s => s.dropRate)
+  return {
+    samples: samples.length,
+    rsrp: mean(samples.map(s => s.rsrp)),
+    rsrq: mean(samples.map(s => s.rsrq)),
+    sinr: mean(samples.map(s => s.sinr)),
+    throughput: mean(samples.map(s => s.throughput)),
+    load: loads.length ? mean(loads) : undefined,
+    dropRate: dropRates.length ? mean(dropRates) : undefined,
+    technology: dominantTechnology(groups)
+  }
+}
+
+/**
+ * Procedural layout used when no dataset is loaded. All jitter comes from
+ * `random` (see utils/random.js), so the same seed reproduces the same layout.
+ * `geometry` overrides DEFAULT_RING_GEOMETRY; ring gaps vary ±37.5% around `ringSpacing`.
+ */
+export const buildProceduralLayout = (qualitySettings, random, geometry = DEFAULT_RING_GEOMETRY) => {
+  const { baseRadius, ringSpacing, offsetZ } = geometry
+  const circles = []
+  const bloomCircles = []
+  const lineSegments = []
+  const bloomLineSegments = []
+  const textLabels = []
+
+  const numRings = qualitySettings.numRings
+  let r = baseRadius
+
+  const offsetX = 0
+  const offsetY = 0
+
+  for (let ringIdx = 0; ringIdx < numRings; ringIdx++) {
+    const ringProgress = ringIdx / numRings
+    const position = [ringIdx * offsetX, ringIdx * offsetY, ringIdx * offsetZ]
+
+    // Add circle
+    circles.push({
+      radius: r,
+      position,
+      opacity: 0.3 + random() * 0.7,
+      ringIndex: ringIdx
+    })
+
+    // Add bloom circle for some rings (every 4th ring)
+    if (ringIdx % 4 === 0) {
+      bloomCircles.push({
+        radius: r,
+        position: [...position],
+        opacity: 0.3 + random() * 0.7,
+        ringIndex: ringIdx
+      })
+    }
+
+    // Generate external lines for this ring (adjusted by quality)
+    const baseNumLines = 8 + Math.floor(ringProgress * 25) + Math.floor(random() * 10)
+    const numLines = Math.floor(baseNumLines * qualitySettings.lineMultiplier)
+    const maxLength = 0.3 + ringProgress * 1.2
+    const baseDensity = 0.25 + ringProgress * 0.15
+    const textDensity = baseDensity * qualitySettings.textMultiplier
+    const usedAngles = []
+
+    for (let lineIdx = 0; lineIdx < numLines; lineIdx++) {
+      const angle = random() * Math.PI * 2
+      const startR = r + random() * 0.2
+      const length = 0.3 + random() * maxLength
+      const endR = startR + length
+      const isSegmented = random() > 0.6
+      const opacity = 0.15 + random() * 0.4
+
+      if (isSegmented) {
+        let currentR = startR
+        while (currentR < endR) {
+          const segLen = 0.1 + random() * 0.2
+          const gapLen = 0.05 + random() * 0.1
+          const segEndR = Math.min(currentR + segLen, endR)
+
+          const lineData = {
+            start: polar(angle, currentR, position),
+            end: polar(angle, segEndR, position),
+            opacity,
+            ringIndex: ringIdx
+          }
+
+          // ~20% of lines get bloom effect
+          if (random() < 0.2) {
+            bloomLineSegments.push(lineData)
+          } else {
+            lineSegments.push(lineData)
+          }
+          currentR = segEndR + gapLen
+        }
+      } else {
+        const lineData = {
+          start: polar(angle, startR, position),
+          end: polar(angle, endR, position),
+          opacity,
+          ringIndex: ringIdx
+        }
+
+        // ~20% of lines get bloom effect
+        if (random() < 0.2) {
+          bloomLineSegments.push(lineData)
+        } else {
+          lineSegments.push(lineData)
+        }
+      }
+
+      // Add text labels (sparse, quality-adjusted)
+      if (random() < textDensity && !tooCloseToUsed(usedAngles, angle)) {
+        usedAngles.push(angle)
+        const textR = endR + 0.1 + random() * 0.2
+        const opacity = 0.3 + random() * 0.4
+        textLabels.push({
+          text: generateRandomText(random),
+          position: polar(angle, textR, position),
+          rotation: angle - Math.PI / 2,
+          opacity,
+          size: 0.08 + random() * 0.04,
+          ringIndex: ringIdx,
+          // Brighter labels win when labels overlap on screen
+          importance: opacity
+        })
+      }
+    }
+
+    r += ringSpacing * (0.625 + random() * 0.75)
+  }
+
+  return { circles, bloomCircles, lineSegments, bloomLineSegments, textLabels }
+}
+
+/**
+ * Map a validated dataset onto the ring stack.
+ *
+ * - each measured ring number becomes a ring, its opacity from the ring's mean RSRP
+ * - each sample becomes a radial line at its bearing (or spread across the sector
+ *   beamwidth), length from throughput, opacity from RSRP
+ * - samples with SINR below 0 dB are drawn dashed, above 20 dB they bloom
+ * - one label per sector and ring is bound to its strongest sample (see text/templates.js)
+ * - rings keep every sample's bearing as `samplePoints`, for coverage shading (see heatmap/coverage.js)
+ *
+ * `lineMultiplier` and `textMultiplier` thin lines and labels deterministically.
+ * The ring count comes from the data; `geometry` overrides DEFAULT_RING_GEOMETRY.
+ */
+export const buildDatasetLayout = (dataset, qualitySettings, geometry = DEFAULT_RING_GEOMETRY) => {
+  const { baseRadius, ringSpacing, offsetZ } = geometry
+  const circles = []
+  const bloomCircles = []
+  const lineSegments = []
+  const bloomLineSegments = []
+  const textLabels = []
+
+  // Bucket samples per ring number, remembering where in its sector each one sits
+  const rings = new Map()
+  let maxThroughput = 0
+  for (const site of dataset.sites) {
+    for (const sector of site.sectors) {
+      const perRing = new Map()
+      for (const sample of sector.samples) {
+        if (!perRing.has(sample.ring)) perRing.set(sample.ring, [])
+        perRing.get(sample.ring).push(sample)
+        maxThroughput = Math.max(maxThroughput, sample.throughput)
+      }
+      for (const [ringIdx, samples] of perRing) {
+        if (!rings.has(ringIdx)) rings.set(ringIdx, [])
+        rings.get(ringIdx).push({ site, sector, samples })
+      }
+    }
+  }
+
+  // Measured ring numbers are drawn in order without gaps: items keep their number as
+  // `ringIndex` and their place in the stack as `slot`
+  const ringNumbers = [...rings.keys()].sort((a, b) => a - b)
+  const numRings = ringNumbers.length
+  let lineCounter = 0
+  let labelCounter = 0
+
+  ringNumbers.forEach((ringIdx, slot) => {
+    const ringProgress = slot / numRings
+    const r = baseRadius + slot * ringSpacing
+    const position = [0, 0, slot * offsetZ]
+    const groups = rings.get(ringIdx)
+    const ringSamples = groups.flatMap(group => group.samples)
+    const metrics = summarizeGroups(groups)
+
+    const ringOpacity = ringSamples.length
+      ? 0.3 + normalize(metrics.rsrp, METRIC_RANGES.rsrp) * 0.7
+      : 0.15
+
+    // Filled in per sample below, including samples thinned out of the lines
+    const samplePoints = []
+    circles.push({ radius: r, position, opacity: ringOpacity, ringIndex: ringIdx, slot, metrics, samplePoints })
+
+    if (ringSamples.length && metrics.sinr >= BLOOM_RING_SINR) {
+      bloomCircles.push({ radius: r, position: [...position], opacity: ringOpacity, ringIndex: ringIdx, slot, metrics })
+    }
+
+    const maxLength = 0.3 + ringProgress * 1.2
+    const usedAngles = []
+
+    for (const { site, sector, samples } of groups) {
+      let strongest = null
+
+      samples.forEach((sample, k) => {
+        const bearing = sample.bearing ?? sector.azimuth + ((k + 0.5) / samples.length - 0.5) * sector.beamwidth
+        const angle = bearingToAngle(bearing)
+        const length = 0.3 + (maxThroughput > 0 ? sample.throughput / maxThroughput : 0) * maxLength
+        // Each sample covers its share of the sector beam
+        samplePoints.push({ angle, spread: ((sector.beamwidth / samples.length) * Math.PI) / 180, sectorId: sector.id, sample })
+
+        if (!strongest || sample.rsrp > strongest.sample.rsrp) {
+          strongest = { sample, angle, length }
+        }
+
+        // Keep a line whenever the running multiplier crosses an integer
+        const keep = Math.floor((lineCounter + 1) * qualitySettings.lineMultiplier) >
+          Math.floor(lineCounter * qualitySettings.lineMultiplier)
+        lineCounter++
+        if (!keep) return
+
+        const startR = r + 0.05
+        const endR = startR + length
+        const opacity = 0.15 + normalize(sample.rsrp, METRIC_RANGES.rsrp) * 0.4
+        const record = { siteId: site.id, sectorId: sector.id, technology: sector.technology, sample }
+        const target = sample.sinr >= BLOOM_LINE_SINR ? bloomLineSegments : lineSegments
+
+        if (sample.sinr < SEGMENTED_LINE_SINR) {
+          let currentR = startR
+          while (currentR < endR) {
+            const segEndR = Math.min(currentR + 0.15, endR)
+            target.push({
+              start: polar(angle, currentR, position),
+              end: polar(angle, segEndR, position),
+              opacity,
+              ringIndex: ringIdx,
+              slot,
+              record
+            })
+            currentR = segEndR + 0.08
+          }
+        } else {
+          target.push({
+            start: polar(angle, startR, position),
+            end: polar(angle, endR, position),
+            opacity,
+            ringIndex: ringIdx,
+            slot,
+            record
+          })
+        }
+      })
+
+      const keepLabel = Math.floor((labelCounter + 1) * qualitySettings.textMultiplier) >
+        Math.floor(labelCounter * qualitySettings.textMultiplier)
+      labelCounter++
+
+      if (strongest && keepLabel && !tooCloseToUsed(usedAngles, strongest.angle)) {
+        usedAngles.push(strongest.angle)
+        const textR = r + 0.05 + strongest.length + 0.15
+        textLabels.push({
+          text: `${Math.round(strongest.sample.rsrp)} dBm`,
+          position: polar(strongest.angle, textR, position),
+          rotation: strongest.angle - Math.PI / 2,
+          opacity: 0.3 + normalize(strongest.sample.rsrp, METRIC_RANGES.rsrp) * 0.4,
+          size: 0.08 + normalize(strongest.sample.throughput, [0, maxThroughput || 1]) * 0.04,
+          ringIndex: ringIdx,
+          slot,
+          // Strong, fast cells win when labels overlap on screen
+          importance: (normalize(strongest.sample.rsrp, METRIC_RANGES.rsrp) + normalize(strongest.sample.throughput, [0, maxThroughput || 1])) / 2,
+          record: {
+            siteId: site.id,
+            siteName: site.name,
+            sectorId: sector.id,
+            technology: sector.technology,
+            sample: strongest.sample
+          }
+        })
+      }
+    }
+  })
+
+  return { circles, bloomCircles, lineSegments, bloomLineSegments, textLabels }
+}
@@ -0,0 +1,181 @@
+import { DatasetError, validateDataset } from './schema.js'
+
+// Columns of the flat CSV layout, one row per sample (see docs/dataset-schema.md)
+export const CSV_COLUMNS = [
+  'site_id', 'site_name', 'lat', 'lon',
+  'sector_id', 'azimuth', 'beamwidth', 'technology',
+  'ring', 'rsrp', 'rsrq', 'sinr', 'throughput', 'load', 'drop_rate', 'bearing', 'timestamp'
+]
+
+const REQUIRED_CSV_COLUMNS = ['site_id', 'sector_id', 'azimuth', 'technology', 'ring', 'rsrp', 'rsrq', 'sinr', 'throughput']
+const NUMERIC_CSV_COLUMNS = ['lat', 'lon', 'azimuth', 'beamwidth', 'ring', 'rsrp', 'rsrq', 'sinr', 'throughput', 'load', 'drop_rate', 'bearing']
+
+// Split CSV text into rows of fields, honouring double-quoted fields and "" escapes
+const tokenizeCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (ch === '"') {
+        quoted = false
+      } else {
+        field += ch
+      }
+    } else if (ch === '"') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += ch
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''))
+}
+
+/**
+ * Parse the flat CSV layout into the nested dataset shape (not yet validated).
+ * Row-level problems are reported with their 1-based line number.
+ */
+export const parseCsv = (text) => {
+  const [header, ...rows] = tokenizeCsv(text)
+  if (!header) throw new DatasetError('CSV file is empty', ['(file): no header row'])
+
+  const columns = header.map(name => name.trim().toLowerCase())
+  const missing = REQUIRED_CSV_COLUMNS.filter(name => !columns.includes(name))
+  if (missing.length > 0) {
+    throw new DatasetError('CSV header is missing required columns', missing.map(name => `header: missing column "${name}"`))
+  }
+
+  const issues = []
+  const sites = new Map()
+
+  rows.forEach((values, rowIdx) => {
+    const line = rowIdx + 2
+    const record = {}
+    columns.forEach((name, i) => {
+      record[name] = (values[i] ?? '').trim()
+    })
+
+    for (const name of NUMERIC_CSV_COLUMNS) {
+      if (record[name] === undefined || record[name] === '') {
+        record[name] = undefined
+        continue
+      }
+      const value = Number(record[name])
+      if (Number.isNaN(value)) {
+        issues.push(`line ${line}: ${name} "${record[name]}" is not a number`)
+      }
+      record[name] = value
+    }
+
+    if (!sites.has(record.site_id)) {
+      sites.set(record.site_id, {
+        id: record.site_id,
+        name: record.site_name || undefined,
+        lat: record.lat,
+        lon: record.lon,
+        sectors: new Map()
+      })
+    }
+    const site = sites.get(record.site_id)
+
+    if (!site.sectors.has(record.sector_id)) {
+      site.sectors.set(record.sector_id, {
+        id: record.sector_id,
+        azimuth: record.azimuth,
+        beamwidth: record.beamwidth,
+        technology: record.technology.toUpperCase(),
+        samples: []
+      })
+    }
+
+    site.sectors.get(record.sector_id).samples.push({
+      ring: record.ring,
+      rsrp: record.rsrp,
+      rsrq: record.rsrq,
+      sinr: record.sinr,
+      throughput: record.throughput,
+      load: record.load,
+      dropRate: record.drop_rate,
+      bearing: record.bearing,
+      timestamp: record.timestamp || undefined
+    })
+  })
+
+  if (issues.length > 0) {
+    throw new DatasetError(`CSV has ${issues.length} malformed value${issues.length === 1 ? '' : 's'}`, issues)
+  }
+
+  return {
+    sites: [...sites.values()].map(site => ({ ...site, sectors: [...site.sectors.values()] }))
+  }
+}
+
+export const parseJson = (text) => {
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    throw new DatasetError('File is not valid JSON', [err.message])
+  }
+}
+
+// Pick a parser from the file name, falling back to sniffing the first character
+export const detectFormat = (fileName = '', text = '') => {
+  const lower = fileName.toLowerCase()
+  if (lower.endsWith('.csv')) return 'csv'
+  if (lower.endsWith('.json')) return 'json'
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv'
+}
+
+/**
+ * Parse and validate dataset text in either supported format.
+ * Always resolves to a normalized Dataset or throws a DatasetError.
+ */
+export const parseDataset = (text, { fileName = '', format } = {}) => {
+  const resolvedFormat = format || detectFormat(fileName, text)
+  const raw = resolvedFormat === 'csv' ? parseCsv(text) : parseJson(text)
+  const name = fileName.replace(/^.*[\\/]/, '').replace(/\.(json|csv)$/i, '') || undefined
+  return validateDataset(raw, { name })
+}
+
+export const loadDatasetFile = async (file) => {
+  const text = await file.text()
+  return parseDataset(text, { fileName: file.name })
+}
+
+export const loadDatasetUrl = async (url) => {
+  let response
+  try {
+    response = await fetch(url)
+  } catch (err) {
+    throw new DatasetError(`Could not fetch ${url}`, [err.message])
+  }
+  if (!response.ok) {
+    throw new DatasetError(`Could not fetch ${url}`, [`HTTP ${response.status} ${response.statusText}`])
+  }
+  const text = await response.text()
+  const contentType = response.headers.get('content-type') || ''
+  const format = contentType.includes('csv') ? 'csv' : contentType.includes('json') ? 'json' : undefined
+  return parseDataset(text, { fileName: url.split('?')[0], format })
+}
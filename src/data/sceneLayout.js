@@ -0,0 +1,15 @@
+import { buildDatasetLayout, buildProceduralLayout } from './layout.js'
+import { buildSiteLayout } from './siteLayout.js'
+import { createRandom } from '../utils/random.js'
+
+/**
+ * The layout a scene draws: the seeded procedural one without a dataset, one
+ * concentric stack for the whole dataset, or one stack per site at its projected
+ * coordinates in the multi-site view.
+ */
+export const buildSceneLayout = ({ dataset, siteView, projection, qualitySettings, ringGeometry, seed }) => {
+  if (!dataset) return buildProceduralLayout(qualitySettings, createRandom(`${seed}:layout`), ringGeometry)
+  return siteView
+    ? buildSiteLayout(dataset, qualitySettings, ringGeometry, projection)
+    : buildDatasetLayout(dataset, qualitySettings, ringGeometry)
+}
@@ -0,0 +1,276 @@
+/**
+ * Cellular measurement dataset schema.
+ *
+ * A dataset is a list of cell sites. Each site carries one or more antenna
+ * sectors, and each sector carries the drive-test / MDT samples measured in
+ * its coverage, bucketed into distance rings. See docs/dataset-schema.md for
+ * the full field reference and the equivalent CSV layout.
+ *
+ * @typedef {Object} Sample
+ * @property {number} ring        Distance band index (0 = closest to the site)
+ * @property {number} rsrp        Reference signal received power, dBm
+ * @property {number} rsrq        Reference signal received quality, dB
+ * @property {number} sinr        Signal to interference plus noise ratio, dB
+ * @property {number} throughput  Downlink throughput, Mbit/s
+ * @property {number} [load]      Cell load (PRB utilisation) at measurement time, percent
+ * @property {number} [dropRate]  Dropped call / session rate, percent
+ * @property {number} [bearing]   Bearing from the site in degrees (defaults to a spread across the sector)
+ * @property {number} [timestamp] Measurement time, epoch milliseconds
+ *
+ * @typedef {Object} Sector
+ * @property {string} id
+ * @property {number} azimuth     Antenna azimuth in degrees, clockwise from north
+ * @property {number} beamwidth   Horizontal beamwidth in degrees
+ * @property {'2G'|'3G'|'4G'|'5G'} technology
+ * @property {Sample[]} samples
+ *
+ * @typedef {Object} Site
+ * @property {string} id
+ * @property {string} name
+ * @property {number|null} lat
+ * @property {number|null} lon
+ * @property {Sector[]} sectors
+ *
+ * @typedef {Object} SiteLink
+ * @property {string} from        Site id
+ * @property {string} to          Site id
+ * @property {'backhaul'|'handover'} type
+ * @property {number} [weight]    Relative strength, e.g. capacity or handover count
+ *
+ * @typedef {Object} Dataset
+ * @property {string} name
+ * @property {Site[]} sites
+ * @property {SiteLink[]} links   Relationships between sites, drawn in the multi-site view
+ */
+
+export const TECHNOLOGIES = ['2G', '3G', '4G', '5G']
+
+export const LINK_TYPES = ['backhaul', 'handover']
+
+export const DEFAULT_BEAMWIDTH = 65
+
+// Highest accepted ring index; real drive tests bucket distance into far fewer bands
+export const MAX_RING = 255
+
+// Accepted value ranges; anything outside is almost certainly a unit or column mix-up
+export const METRIC_RANGES = {
+  rsrp: [-156, -31],
+  rsrq: [-43, 20],
+  sinr: [-23, 40],
+  throughput: [0, 10000]
+}
+
+// Optional metrics, validated only when present
+export const OPTIONAL_METRIC_RANGES = {
+  load: [0, 100],
+  dropRate: [0, 100]
+}
+
+// Raised for any dataset that cannot be parsed or fails validation.
+// `issues` lists every problem found so the UI can show them all at once.
+export class DatasetError extends Error {
+  constructor(message, issues = []) {
+    super(message)
+    this.name = 'DatasetError'
+    this.issues = issues
+  }
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+const toTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return undefined
+  if (isNumber(value)) return value
+  if (/^\d+$/.test(String(value).trim())) return Number(value)
+  const parsed = Date.parse(value)
+  return Number.isNaN(parsed) ? NaN : parsed
+}
+
+const validateSample = (raw, path, issues) => {
+  if (!raw || typeof raw !== 'object') {
+    issues.push(`${path}: expected an object`)
+    return null
+  }
+
+  if (!Number.isInteger(raw.ring) || raw.ring < 0 || raw.ring > MAX_RING) {
+    issues.push(`${path}.ring: expected an integer in 0..${MAX_RING}`)
+  }
+
+  for (const [field, [min, max]] of Object.entries(METRIC_RANGES)) {
+    const value = raw[field]
+    if (!isNumber(value)) {
+      issues.push(`${path}.${field}: expected a number`)
+    } else if (value < min || value > max) {
+      issues.push(`${path}.${field}: ${value} is outside ${min}..${max}`)
+    }
+  }
+
+  for (const [field, [min, max]] of Object.entries(OPTIONAL_METRIC_RANGES)) {
+    const value = raw[field]
+    if (value === undefined || value === null) continue
+    if (!isNumber(value)) {
+      issues.push(`${path}.${field}: expected a number`)
+    } else if (value < min || value > max) {
+      issues.push(`${path}.${field}: ${value} is outside ${min}..${max}`)
+    }
+  }
+
+  if (raw.bearing !== undefined && (!isNumber(raw.bearing) || raw.bearing < 0 || raw.bearing >= 360)) {
+    issues.push(`${path}.bearing: expected degrees in 0..360`)
+  }
+
+  const timestamp = toTimestamp(raw.timestamp)
+  if (Number.isNaN(timestamp)) {
+    issues.push(`${path}.timestamp: expected epoch milliseconds or an ISO 8601 date`)
+  }
+
+  return {
+    ring: raw.ring,
+    rsrp: raw.rsrp,
+    rsrq: raw.rsrq,
+    sinr: raw.sinr,
+    throughput: raw.throughput,
+    load: raw.load ?? undefined,
+    dropRate: raw.dropRate ?? undefined,
+    bearing: raw.bearing,
+    timestamp
+  }
+}
+
+const validateSector = (raw, path, issues) => {
+  if (!raw || typeof raw !== 'object') {
+    issues.push(`${path}: expected an object`)
+    return null
+  }
+
+  if (raw.id === undefined || raw.id === null || raw.id === '') {
+    issues.push(`${path}.id: required`)
+  }
+  if (!isNumber(raw.azimuth) || raw.azimuth < 0 || raw.azimuth >= 360) {
+    issues.push(`${path}.azimuth: expected degrees in 0..360`)
+  }
+  if (raw.beamwidth !== undefined && (!isNumber(raw.beamwidth) || raw.beamwidth <= 0 || raw.beamwidth > 360)) {
+    issues.push(`${path}.beamwidth: expected degrees in 0..360`)
+  }
+  if (!TECHNOLOGIES.includes(raw.technology)) {
+    issues.push(`${path}.technology: expected one of ${TECHNOLOGIES.join(', ')}`)
+  }
+  if (!Array.isArray(raw.samples)) {
+    issues.push(`${path}.samples: expected an array`)
+  }
+
+  const samples = (Array.isArray(raw.samples) ? raw.samples : [])
+    .map((sample, i) => validateSample(sample, `${path}.samples[${i}]`, issues))
+    .filter(Boolean)
+
+  return {
+    id: String(raw.id),
+    azimuth: raw.azimuth,
+    beamwidth: raw.beamwidth ?? DEFAULT_BEAMWIDTH,
+    technology: raw.technology,
+    samples
+  }
+}
+
+const validateSite = (raw, path, issues) => {
+  if (!raw || typeof raw !== 'object') {
+    issues.push(`${path}: expected an object`)
+    return null
+  }
+
+  if (raw.id === undefined || raw.id === null || raw.id === '') {
+    issues.push(`${path}.id: required`)
+  }
+  if (raw.lat !== undefined && raw.lat !== null && (!isNumber(raw.lat) || Math.abs(raw.lat) > 90)) {
+    issues.push(`${path}.lat: expected degrees in -90..90`)
+  }
+  if (raw.lon !== undefined && raw.lon !== null && (!isNumber(raw.lon) || Math.abs(raw.lon) > 180)) {
+    issues.push(`${path}.lon: expected degrees in -180..180`)
+  }
+  if (!Array.isArray(raw.sectors) || raw.sectors.length === 0) {
+    issues.push(`${path}.sectors: expected a non-empty array`)
+  }
+
+  const sectors = (Array.isArray(raw.sectors) ? raw.sectors : [])
+    .map((sector, i) => validateSector(sector, `${path}.sectors[${i}]`, issues))
+    .filter(Boolean)
+
+  return {
+    id: String(raw.id),
+    name: raw.name ? String(raw.name) : String(raw.id),
+    lat: isNumber(raw.lat) ? raw.lat : null,
+    lon: isNumber(raw.lon) ? raw.lon : null,
+    sectors
+  }
+}
+
+const validateLink = (raw, path, siteIds, issues) => {
+  if (!raw || typeof raw !== 'object') {
+    issues.push(`${path}: expected an object`)
+    return null
+  }
+
+  for (const end of ['from', 'to']) {
+    if (raw[end] === undefined || raw[end] === null || raw[end] === '') {
+      issues.push(`${path}.${end}: required`)
+    } else if (!siteIds.has(String(raw[end]))) {
+      issues.push(`${path}.${end}: unknown site "${raw[end]}"`)
+    }
+  }
+  if (!LINK_TYPES.includes(raw.type)) {
+    issues.push(`${path}.type: expected one of ${LINK_TYPES.join(', ')}`)
+  }
+  if (raw.weight !== undefined && (!isNumber(raw.weight) || raw.weight < 0)) {
+    issues.push(`${path}.weight: expected a non-negative number`)
+  }
+
+  return { from: String(raw.from), to: String(raw.to), type: raw.type, weight: raw.weight ?? 1 }
+}
+
+/**
+ * Validate a raw (parsed but untrusted) dataset and return a normalized copy.
+ * Throws a DatasetError listing every issue when the input is malformed.
+ */
+export const validateDataset = (raw, { name = 'Untitled dataset' } = {}) => {
+  const issues = []
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new DatasetError('Dataset must be an object with a "sites" array', ['(root): expected an object'])
+  }
+  if (!Array.isArray(raw.sites) || raw.sites.length === 0) {
+    issues.push('sites: expected a non-empty array')
+  }
+
+  const sites = (Array.isArray(raw.sites) ? raw.sites : [])
+    .map((site, i) => validateSite(site, `sites[${i}]`, issues))
+    .filter(Boolean)
+
+  const seen = new Set()
+  sites.forEach((site, i) => {
+    if (seen.has(site.id)) issues.push(`sites[${i}].id: duplicate site id "${site.id}"`)
+    seen.add(site.id)
+  })
+
+  if (raw.links !== undefined && !Array.isArray(raw.links)) {
+    issues.push('links: expected an array')
+  }
+  const links = (Array.isArray(raw.links) ? raw.links : [])
+    .map((link, i) => validateLink(link, `links[${i}]`, seen, issues))
+    .filter(Boolean)
+
+  const sampleCount = sites.reduce((sum, site) =>
+    sum + site.sectors.reduce((s, sector) => s + sector.samples.length, 0), 0)
+  if (issues.length === 0 && sampleCount === 0) {
+    issues.push('sites: dataset contains no samples')
+  }
+
+  if (issues.length > 0) {
+    throw new DatasetError(`Dataset has ${issues.length} problem${issues.length === 1 ? '' : 's'}`, issues)
+  }
+
+  return {
+    name: raw.name ? String(raw.name) : name,
+    sites,
+    links
+  }
+}
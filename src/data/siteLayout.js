@@ -0,0 +1,94 @@
+import { DEFAULT_RING_GEOMETRY, buildDatasetLayout, summarizeGroups } from './layout.js'
+import { DEFAULT_PROJECTION, GEO_EXTENT, createGeoFrame } from '../geo/projection.js'
+
+// A site's stack may fill at most this share of the distance to its nearest neighbour
+const SITE_FILL = 0.45
+
+export const hasSiteCoordinates = (dataset) =>
+  !!dataset && dataset.sites.filter(site => site.lat !== null && site.lon !== null).length > 0
+
+const median = (values) => {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// Median distance from each point to its nearest neighbour
+const nearestNeighbourSpacing = (points) => median(points.map((p, i) => {
+  let best = Infinity
+  points.forEach((q, j) => {
+    if (i !== j) best = Math.min(best, Math.hypot(p[0] - q[0], p[1] - q[1]))
+  })
+  return best
+}).filter(Number.isFinite))
+
+// Furthest any ring, line or label of a single-site layout reaches from its centre
+const stackExtent = ({ circles, lineSegments, bloomLineSegments, textLabels }) => Math.max(
+  0,
+  ...circles.map(circle => circle.radius),
+  ...[...lineSegments, ...bloomLineSegments].map(segment => Math.hypot(segment.end[0], segment.end[1])),
+  ...textLabels.map(label => Math.hypot(label.position[0], label.position[1]))
+)
+
+const place = ([x, y, z], scale, center) => [x * scale + center[0], y * scale + center[1], z * scale]
+
+/**
+ * Multi-site layout: every site with coordinates becomes its own ring stack,
+ * built exactly like the single-site dataset layout and then scaled and moved
+ * to the site's projected position. All sites share the same flat item lists,
+ * so rings, lines and labels stay one instanced mesh / buffer each however
+ * many towers there are. Items carry `siteIndex`, `siteId` and `origin` (the site centre).
+ *
+ * Sites are placed with `projection` (see geo/projection.js) fitted to their
+ * coordinates; the fitted `frame` is returned so a ground map can share it.
+ * Also returns `sites` (centre, radius, metrics per site), `links` between site
+ * indices, `siteRings` (site id to its rings, for live pulses) and `sectorSites`
+ * (sector id to site id). Sites without coordinates are left out.
+ */
+export const buildSiteLayout = (dataset, qualitySettings, geometry = DEFAULT_RING_GEOMETRY, projection = DEFAULT_PROJECTION) => {
+  const located = dataset.sites.filter(site => site.lat !== null && site.lon !== null)
+  const frame = createGeoFrame(projection, located.map(site => [site.lon, site.lat]))
+  const projected = located.map(site => frame.project(site.lon, site.lat))
+  const spacing = located.length > 1 ? nearestNeighbourSpacing(projected) : GEO_EXTENT
+
+  const layout = { circles: [], bloomCircles: [], lineSegments: [], bloomLineSegments: [], textLabels: [] }
+  const sites = []
+  const siteRings = new Map()
+  const sectorSites = new Map()
+
+  located.forEach((site, siteIndex) => {
+    const stack = buildDatasetLayout({ ...dataset, sites: [site] }, qualitySettings, geometry)
+    const extent = stackExtent(stack) || 1
+    const scale = Math.min(1, (spacing * SITE_FILL) / extent)
+    const center = [projected[siteIndex][0], projected[siteIndex][1], 0]
+    const tag = { siteIndex, siteId: site.id, origin: center }
+
+    const rings = stack.circles.map(circle => ({ ...circle, ...tag, radius: circle.radius * scale, position: place(circle.position, scale, center) }))
+    layout.circles.push(...rings)
+    layout.bloomCircles.push(...stack.bloomCircles.map(circle => ({ ...circle, ...tag, radius: circle.radius * scale, position: place(circle.position, scale, center) })))
+    for (const kind of ['lineSegments', 'bloomLineSegments']) {
+      layout[kind].push(...stack[kind].map(segment => ({ ...segment, ...tag, start: place(segment.start, scale, center), end: place(segment.end, scale, center) })))
+    }
+    layout.textLabels.push(...stack.textLabels.map(label => ({ ...label, ...tag, size: label.size * scale, position: place(label.position, scale, center) })))
+
+    siteRings.set(site.id, rings)
+    site.sectors.forEach(sector => sectorSites.set(sector.id, site.id))
+    sites.push({
+      index: siteIndex,
+      id: site.id,
+      name: site.name,
+      lat: site.lat,
+      lon: site.lon,
+      center,
+      radius: extent * scale,
+      metrics: summarizeGroups(site.sectors.map(sector => ({ sector, samples: sector.samples })))
+    })
+  })
+
+  const indexOf = new Map(sites.map(site => [site.id, site.index]))
+  const links = (dataset.links ?? [])
+    .filter(link => indexOf.has(link.from) && indexOf.has(link.to) && link.from !== link.to)
+    .map(link => ({ ...link, fromIndex: indexOf.get(link.from), toIndex: indexOf.get(link.to) }))
+
+  return { ...layout, sites, links, siteRings, sectorSites, frame }
+}
@@ -0,0 +1,75 @@
+/**
+ * Synthetic multi-site network, used by `npm run generate:network` for the sample
+ * data and by the benchmark mode for datasets of any size.
+ *
+ * Sites are scattered over a city-sized area (denser towards the centre), each
+ * with three sectors and a few rings of samples. Every tenth site is a hub:
+ * hubs are chained by backhaul, other sites backhaul to their nearest hub and
+ * hand over to their two nearest neighbours.
+ */
+
+// Centre of the area and its radius in degrees (~8 km)
+export const SYNTHETIC_CENTER = [14.5995, 120.9842]
+export const SYNTHETIC_AREA_RADIUS = 0.07
+const RINGS = 3
+const HUB_EVERY = 10
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits
+
+const distance = (a, b) => Math.hypot(a.lat - b.lat, (a.lon - b.lon) * Math.cos((SYNTHETIC_CENTER[0] * Math.PI) / 180))
+const nearest = (site, candidates, count) => candidates
+  .filter(other => other !== site)
+  .sort((a, b) => distance(site, a) - distance(site, b))
+  .slice(0, count)
+
+// Raw dataset (see docs/dataset-schema.md) of `siteCount` sites drawn from `random`
+export const createSyntheticNetwork = (siteCount, random) => {
+  const pick = (list) => list[Math.floor(random() * list.length)]
+
+  const sites = Array.from({ length: siteCount }, (_, i) => {
+    const distance = SYNTHETIC_AREA_RADIUS * Math.sqrt(random()) * (0.3 + 0.7 * random())
+    const angle = random() * Math.PI * 2
+    const technology = pick(['4G', '4G', '5G', '5G', '3G'])
+    const quality = random()
+    const id = `SITE-${String(i + 1).padStart(3, '0')}`
+
+    return {
+      id,
+      name: `Site ${i + 1}`,
+      lat: round(SYNTHETIC_CENTER[0] + Math.sin(angle) * distance, 5),
+      lon: round(SYNTHETIC_CENTER[1] + Math.cos(angle) * distance, 5),
+      sectors: [0, 120, 240].map((azimuth, s) => ({
+        id: `${id}-${s + 1}`,
+        azimuth,
+        beamwidth: 65,
+        technology,
+        samples: Array.from({ length: RINGS }, (_, ring) => {
+          const falloff = ring / RINGS
+          const sinr = round(-5 + quality * 30 - falloff * 15 + random() * 4)
+          return {
+            ring,
+            rsrp: round(-70 - falloff * 35 - (1 - quality) * 15 - random() * 5),
+            rsrq: round(-5 - falloff * 8 - random() * 3),
+            sinr,
+            throughput: round(Math.max(0.5, (sinr + 10) * (technology === '5G' ? 8 : 3) * (0.8 + random() * 0.4))),
+            load: round(20 + random() * 75)
+          }
+        })
+      }))
+    }
+  })
+
+  const hubs = sites.filter((_, i) => i % HUB_EVERY === 0)
+  const links = []
+  hubs.forEach((hub, i) => {
+    if (i > 0) links.push({ from: hubs[i - 1].id, to: hub.id, type: 'backhaul', weight: 40 })
+  })
+  sites.forEach((site, i) => {
+    if (i % HUB_EVERY !== 0) links.push({ from: site.id, to: nearest(site, hubs, 1)[0].id, type: 'backhaul', weight: 10 })
+    nearest(site, sites, 2).forEach(neighbour => {
+      links.push({ from: site.id, to: neighbour.id, type: 'handover', weight: Math.round(5 + random() * 95) })
+    })
+  })
+
+  return { name: `Synthetic metro network (${siteCount} sites)`, sites, links }
+}
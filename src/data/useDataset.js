@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useState } from 'react'
+import { loadDatasetFile, loadDatasetUrl } from './parse.js'
+import { validateDataset } from './schema.js'
+
+// A URL is fetched and parsed; an object is validated like a parsed JSON file
+const loadSource = async (source) => typeof source === 'string'
+  ? loadDatasetUrl(source)
+  : validateDataset(source)
+
+/**
+ * Holds the active dataset plus its loading/error state.
+ * `source` (a URL such as the `?data=` query parameter, or a dataset object passed
+ * by an embedder) is loaded on mount and again whenever it changes.
+ */
+export const useDataset = (source) => {
+  const [state, setState] = useState({ dataset: null, error: null, loading: Boolean(source) })
+
+  // Dropping the source clears the dataset; a new one shows as loading until it arrives
+  const [loadedSource, setLoadedSource] = useState(source)
+  if (source !== loadedSource) {
+    setLoadedSource(source)
+    setState(source ? prev => ({ ...prev, error: null, loading: true }) : { dataset: null, error: null, loading: false })
+  }
+
+  useEffect(() => {
+    if (!source) return
+    let cancelled = false
+
+    loadSource(source).then(
+      dataset => { if (!cancelled) setState({ dataset, error: null, loading: false }) },
+      error => { if (!cancelled) setState({ dataset: null, error, loading: false }) }
+    )
+
+    return () => { cancelled = true }
+  }, [source])
+
+  const loadFile = useCallback((file) => {
+    setState(prev => ({ ...prev, error: null, loading: true }))
+    // Keep the previous dataset on screen when the new file is rejected
+    return loadDatasetFile(file).then(
+      dataset => setState({ dataset, error: null, loading: false }),
+      error => setState(prev => ({ ...prev, error, loading: false }))
+    )
+  }, [])
+
+  const clear = useCallback(() => {
+    setState({ dataset: null, error: null, loading: false })
+  }, [])
+
+  return { ...state, loadFile, clear }
+}
@@ -0,0 +1,101 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import TextLabels from '../text/TextLabels.jsx'
+import { cssColorOf, encodeColors } from '../color/scale.js'
+import { TRANSITION_SECONDS, easeInOutCubic } from '../camera/viewState.js'
+import { SectorMorphShader, buildSectorLineAttributes, buildWedgeAttributes } from './sectorMorph.js'
+
+const setMorphAttributes = (geometry, { position, from, to, color }) => {
+  geometry.setAttribute('position', new THREE.BufferAttribute(position, 3))
+  geometry.setAttribute('aFrom', new THREE.BufferAttribute(from, 3))
+  geometry.setAttribute('aTo', new THREE.BufferAttribute(to, 3))
+  geometry.setAttribute('aColor', new THREE.BufferAttribute(color, 4))
+  geometry.computeBoundingSphere()
+}
+
+// Drill-down detail (see drill/drillDown.js): sector wedges with their outlines,
+// sample lines and labels. While `active` it unfolds out of its ring over one camera
+// flight, and folds back once the scene drills elsewhere, calling `onHidden(detail)`
+// when it is gone. With `reducedMotion` it only fades.
+const SectorDetail = ({ detail, active, colorScale, formatLabel, reducedMotion = false, onHidden }) => {
+  const meshGeometryRef = useRef()
+  const lineGeometryRef = useRef()
+  // Both materials share one uniforms object
+  const materialRef = useRef()
+  const progressRef = useRef(0)
+  const labelOpacityRef = useRef(0)
+  const hiddenRef = useRef(false)
+  const [uniforms] = useState(() => ({
+    uCenter: { value: new THREE.Vector2() },
+    uMorph: { value: 0 },
+    uOpacity: { value: 0 }
+  }))
+
+  const wedgeColors = useMemo(() => encodeColors(detail.wedges, colorScale), [detail, colorScale])
+  const lineColors = useMemo(() => encodeColors(detail.lines, colorScale), [detail, colorScale])
+  const labelColors = useMemo(() => detail.labels.map(label => cssColorOf(label, colorScale)), [detail, colorScale])
+  const labelTexts = useMemo(() => (
+    detail.labels.map(label => label.record ? `${label.text} · ${formatLabel(label.record)}` : label.text)
+  ), [detail, formatLabel])
+
+  useEffect(() => {
+    materialRef.current?.uniforms.uCenter.value.set(detail.center[0], detail.center[1])
+    if (meshGeometryRef.current) setMorphAttributes(meshGeometryRef.current, buildWedgeAttributes(detail, wedgeColors))
+    if (lineGeometryRef.current) setMorphAttributes(lineGeometryRef.current, buildSectorLineAttributes(detail, wedgeColors, lineColors))
+  }, [detail, wedgeColors, lineColors])
+
+  useFrame((_, delta) => {
+    const material = materialRef.current
+    if (!material) return
+    const { uniforms } = material
+    const step = delta / TRANSITION_SECONDS
+    progressRef.current = THREE.MathUtils.clamp(progressRef.current + (active ? step : -step), 0, 1)
+    const eased = easeInOutCubic(progressRef.current)
+    uniforms.uMorph.value = reducedMotion ? 1 : eased
+    uniforms.uOpacity.value = eased
+    labelOpacityRef.current = eased
+
+    if (active) hiddenRef.current = false
+    else if (progressRef.current === 0 && !hiddenRef.current) {
+      hiddenRef.current = true
+      onHidden?.(detail)
+    }
+  })
+
+  return (
+    <group>
+      <mesh>
+        <bufferGeometry ref={meshGeometryRef} />
+        <shaderMaterial
+          ref={materialRef}
+          vertexShader={SectorMorphShader.vertexShader}
+          fragmentShader={SectorMorphShader.fragmentShader}
+          uniforms={uniforms}
+          transparent
+          depthWrite={false}
+          side={THREE.DoubleSide}
+        />
+      </mesh>
+      <lineSegments>
+        <bufferGeometry ref={lineGeometryRef} />
+        <shaderMaterial
+          vertexShader={SectorMorphShader.vertexShader}
+          fragmentShader={SectorMorphShader.fragmentShader}
+          uniforms={uniforms}
+          transparent
+          depthWrite={false}
+        />
+      </lineSegments>
+      <TextLabels
+        labels={detail.labels}
+        texts={labelTexts}
+        colors={labelColors}
+        declutter={false}
+        groupOpacityRef={labelOpacityRef}
+      />
+    </group>
+  )
+}
+
+export default SectorDetail
@@ -0,0 +1,229 @@
+import { bearingToAngle, summarizeGroups } from '../data/layout.js'
+import { METRIC_RANGES } from '../data/schema.js'
+
+// Share of the gap to the neighbouring rings a ring's wedges reach on either side
+const RING_BAND = 0.45
+// Where a site's wedges start, as a share of its innermost ring's radius
+const SITE_INNER = 0.5
+// Without a dataset a ring is split into this many equal sectors, the first facing north
+const PROCEDURAL_SECTORS = 3
+// Sample lines fill at most this share of their band
+const LINE_FILL = 0.9
+// Label size as a share of the detail's outer radius
+const LABEL_SIZE = 0.05
+// Lift above the ring plane, so the wedges draw over coverage shading
+const LIFT = 0.002
+
+const normalize = (value, [min, max]) => Math.min(1, Math.max(0, (value - min) / (max - min)))
+
+const polar = (angle, radius, [x, y], z) => [x + Math.cos(angle) * radius, y + Math.sin(angle) * radius, z]
+
+/**
+ * Drill-down targets are `{ kind: 'site', siteId }` or `{ kind: 'ring', ringIndex, siteId }`,
+ * `siteId` being null outside the multi-site view; null is the network overview.
+ * Targets name rings and sites by id, so they survive a rebuilt layout and apply to
+ * both scenes of the comparison view.
+ */
+
+// Target a pick drills into: the picked ring or site, or the ring a line or label sits on
+export const drillTargetOf = (pick) => {
+  if (!pick) return null
+  const { kind, data } = pick
+  if (kind === 'site') return { kind: 'site', siteId: data.id }
+  if (data.ringIndex === undefined) return null
+  return { kind: 'ring', ringIndex: data.ringIndex, siteId: data.siteId ?? null }
+}
+
+export const drillKey = (target) => target ? `${target.kind}:${target.siteId ?? ''}:${target.ringIndex ?? ''}` : 'network'
+
+// Breadcrumbs from the overview down to `target` as `{ label, target }`; `sites` supplies site names
+export const drillPath = (target, sites = []) => {
+  const path = [{ label: 'Network', target: null }]
+  if (!target) return path
+  if (target.siteId) {
+    const name = sites.find(site => site.id === target.siteId)?.name ?? target.siteId
+    path.push({ label: name, target: { kind: 'site', siteId: target.siteId } })
+  }
+  if (target.kind === 'ring') path.push({ label: `Ring ${target.ringIndex}`, target })
+  return path
+}
+
+// Radial band [inner, outer] around `circle`, reaching towards its neighbours in `stack`
+const ringBand = (circle, stack) => {
+  const i = stack.indexOf(circle)
+  const gaps = [
+    stack[i - 1] && circle.radius - stack[i - 1].radius,
+    stack[i + 1] && stack[i + 1].radius - circle.radius
+  ].filter(gap => gap > 0)
+  const gap = gaps.length ? Math.min(...gaps) : circle.radius * 0.4
+  return [Math.max(0, circle.radius - gap * RING_BAND), circle.radius + gap * RING_BAND]
+}
+
+const sectorIndex = (dataset) => {
+  const index = new Map()
+  dataset?.sites.forEach(site => site.sectors.forEach(sector => index.set(sector.id, { site, sector })))
+  return index
+}
+
+// Dataset sectors measured on `rings`, each with its samples, in first-seen order. With
+// `merge` (the single stack, where every site shares the ring) sectors pointing the same
+// way are merged into one wedge.
+const datasetSectors = (rings, dataset, merge) => {
+  const index = sectorIndex(dataset)
+  const groups = new Map()
+  for (const circle of rings) {
+    for (const point of circle.samplePoints ?? []) {
+      const entry = index.get(point.sectorId)
+      if (!entry) continue
+      const { site, sector } = entry
+      const key = merge ? `${sector.azimuth}/${sector.beamwidth}` : sector.id
+      if (!groups.has(key)) groups.set(key, { azimuth: sector.azimuth, beamwidth: sector.beamwidth, cells: new Map(), points: [] })
+      const group = groups.get(key)
+      if (!group.cells.has(sector.id)) group.cells.set(sector.id, { site, sector, samples: [] })
+      group.cells.get(sector.id).samples.push(point.sample)
+      group.points.push({
+        angle: point.angle,
+        circle,
+        sample: point.sample,
+        record: { siteId: site.id, sectorId: sector.id, technology: sector.technology, sample: point.sample }
+      })
+    }
+  }
+
+  return [...groups.values()].map(({ azimuth, beamwidth, cells, points }) => {
+    const members = [...cells.values()]
+    const only = members.length === 1 ? members[0] : null
+    return {
+      id: only ? only.sector.id : `${azimuth}° · ${members.length} sectors`,
+      siteId: only?.site.id ?? null,
+      siteName: only?.site.name ?? null,
+      azimuth,
+      beamwidth,
+      metrics: summarizeGroups(members),
+      points
+    }
+  })
+}
+
+/**
+ * The sector detail a drill-down target opens: the ring (or every ring of a site)
+ * broken into its antenna sectors. Returns null when the layout has no such ring or site.
+ *
+ * - `wedges`: one per sector, an annular slice at its azimuth and beamwidth that
+ *   carries the sector's `metrics` for coloring. In the single-stack view, where
+ *   all sites share each ring, sectors pointing the same way make one wedge.
+ * - `lines`: one radial line per sample inside its sector's wedge, at the sample's
+ *   bearing, length from throughput and opacity from RSRP as in the overview
+ * - `labels`: one per sector past the wedge, with a `record` for the label template
+ *
+ * Wedges and lines also say where they morph from: `from` is the radius a ring's
+ * wedges grow out of (the ring itself, or a site's outermost ring) and lines grow
+ * out of their band's inner edge. `center` and `radius` frame the detail for the camera.
+ * Without a dataset the ring is split into PROCEDURAL_SECTORS equal sectors.
+ */
+export const buildSectorDetail = (target, layout, dataset) => {
+  if (!target) return null
+  const site = target.siteId ? layout.sites?.find(candidate => candidate.id === target.siteId) : null
+  if (target.siteId && !site) return null
+  const stack = site ? layout.siteRings.get(site.id) ?? [] : layout.circles
+
+  let rings
+  let center
+  let wedgeBand
+  let lineBand
+  let from
+  if (target.kind === 'site') {
+    if (!site || stack.length === 0) return null
+    rings = stack
+    center = [site.center[0], site.center[1], site.center[2] + LIFT]
+    // The wedges span the whole stack, sample lines stay in their own ring's band
+    wedgeBand = [stack[0].radius * SITE_INNER, ringBand(stack[stack.length - 1], stack)[1]]
+    lineBand = (circle) => ringBand(circle, stack)
+    from = stack[stack.length - 1].radius
+  } else {
+    const circle = stack.find(candidate => candidate.ringIndex === target.ringIndex)
+    if (!circle) return null
+    rings = [circle]
+    center = [circle.position[0], circle.position[1], circle.position[2] + LIFT]
+    wedgeBand = ringBand(circle, stack)
+    lineBand = () => wedgeBand
+    from = circle.radius
+  }
+
+  const sectors = dataset ? datasetSectors(rings, dataset, !site) : proceduralSectors(rings[0], layout)
+
+  const maxThroughput = Math.max(0, ...sectors.flatMap(sector => sector.points.map(point => point.sample?.throughput ?? 0)))
+  const labelSize = wedgeBand[1] * LABEL_SIZE
+
+  const wedges = []
+  const lines = []
+  const labels = []
+  for (const sector of sectors) {
+    const [inner, outer] = wedgeBand
+    const { points, ...fields } = sector
+    const wedge = { ...fields, sectorId: sector.id, technology: sector.metrics?.technology, inner, outer, from }
+    wedges.push(wedge)
+
+    for (const point of points) {
+      const [lineInner, lineOuter] = lineBand(point.circle)
+      const share = point.share ?? (maxThroughput > 0 ? point.sample.throughput / maxThroughput : 0)
+      lines.push({
+        angle: point.angle,
+        start: lineInner,
+        end: lineInner + share * (lineOuter - lineInner) * LINE_FILL,
+        opacity: point.sample ? 0.25 + normalize(point.sample.rsrp, METRIC_RANGES.rsrp) * 0.6 : point.opacity,
+        record: point.record
+      })
+    }
+
+    const angle = bearingToAngle(sector.azimuth)
+    labels.push({
+      text: sector.id,
+      position: polar(angle, wedgeBand[1] + labelSize, center, center[2]),
+      rotation: angle - Math.PI / 2,
+      opacity: 0.9,
+      size: labelSize,
+      ringIndex: target.ringIndex,
+      importance: 1,
+      record: dataset && {
+        siteId: wedge.siteId,
+        siteName: wedge.siteName,
+        sectorId: wedge.sectorId,
+        technology: wedge.technology,
+        sample: { ...wedge.metrics, ring: target.ringIndex }
+      }
+    })
+  }
+
+  return { key: drillKey(target), target, center, radius: wedgeBand[1] + labelSize * 4, wedges, lines, labels }
+}
+
+// PROCEDURAL_SECTORS equal sectors of a procedural ring, holding the ring's lines by bearing
+const proceduralSectors = (circle, layout) => {
+  const width = 360 / PROCEDURAL_SECTORS
+  const sectors = Array.from({ length: PROCEDURAL_SECTORS }, (_, k) => ({
+    id: `Sector ${k + 1}`,
+    azimuth: k * width,
+    beamwidth: width,
+    points: []
+  }))
+
+  // Dashed lines come in pieces; keep the furthest reach per bearing
+  const reach = new Map()
+  for (const segment of [...layout.lineSegments, ...layout.bloomLineSegments]) {
+    if (segment.ringIndex !== circle.ringIndex) continue
+    const angle = Math.atan2(segment.end[1] - circle.position[1], segment.end[0] - circle.position[0])
+    const key = angle.toFixed(4)
+    const length = Math.hypot(segment.end[0] - circle.position[0], segment.end[1] - circle.position[1]) - circle.radius
+    const known = reach.get(key)
+    if (!known || length > known.length) reach.set(key, { angle, length, opacity: segment.opacity })
+  }
+  const longest = Math.max(0, ...[...reach.values()].map(line => line.length))
+
+  for (const { angle, length, opacity } of reach.values()) {
+    const bearing = ((90 - (angle * 180) / Math.PI) % 360 + 360) % 360
+    const sector = sectors[Math.floor(((bearing + width / 2) % 360) / width)]
+    sector.points.push({ angle, circle, share: longest > 0 ? length / longest : 0, opacity })
+  }
+  return sectors
+}
@@ -0,0 +1,127 @@
+import { bearingToAngle } from '../data/layout.js'
+
+/**
+ * GPU-side data for the drill-down sector detail (see drillDown.js).
+ *
+ * Every vertex is stored in polar form around the detail's centre twice: where
+ * it starts (`aFrom`) and where it ends up (`aTo`). The vertex shader blends the
+ * two by `uMorph`, so wedges unfold out of their ring and sample lines grow out
+ * of their band without any geometry being rebuilt per frame. `position` holds
+ * the unfolded shape and is only used for bounds.
+ */
+
+// Opacity of the wedge fill and of its outline
+const WEDGE_OPACITY = 0.3
+const OUTLINE_OPACITY = 0.85
+// Arc steps per radian of beamwidth
+const ARC_STEPS = 12
+
+export const SectorMorphShader = {
+  vertexShader: `
+    attribute vec3 aFrom;    // angle, radius, height before the morph
+    attribute vec3 aTo;      // angle, radius, height in the detail view
+    attribute vec4 aColor;   // sector or sample color, alpha its opacity
+
+    uniform vec2 uCenter;
+    uniform float uMorph;    // 0 folded into the ring, 1 unfolded
+
+    varying vec4 vColor;
+
+    void main() {
+      vec3 blended = mix(aFrom, aTo, uMorph);
+      vec3 morphed = vec3(uCenter + vec2(cos(blended.x), sin(blended.x)) * blended.y, blended.z);
+      vColor = aColor;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(morphed, 1.0);
+    }
+  `,
+  fragmentShader: `
+    varying vec4 vColor;
+    uniform float uOpacity;
+    void main() {
+      float opacity = vColor.a * uOpacity;
+      if (opacity <= 0.0) discard;
+      gl_FragColor = vec4(vColor.rgb, opacity);
+    }
+  `
+}
+
+const createBuffers = () => ({ position: [], from: [], to: [], color: [] })
+
+// One vertex at `to` = [angle, radius] that starts out at `from`, both at height `z`
+const pushVertex = (buffers, center, z, from, to, colors, i, opacity) => {
+  buffers.position.push(center[0] + Math.cos(to[0]) * to[1], center[1] + Math.sin(to[0]) * to[1], z)
+  buffers.from.push(from[0], from[1], z)
+  buffers.to.push(to[0], to[1], z)
+  buffers.color.push(colors[i * 4], colors[i * 4 + 1], colors[i * 4 + 2], opacity)
+}
+
+const toArrays = ({ position, from, to, color }) => ({
+  position: new Float32Array(position),
+  from: new Float32Array(from),
+  to: new Float32Array(to),
+  color: new Float32Array(color)
+})
+
+// Arc angles from one edge of a wedge to the other
+const arcOf = (wedge) => {
+  const mid = bearingToAngle(wedge.azimuth)
+  const width = (Math.min(wedge.beamwidth, 360) * Math.PI) / 180
+  const steps = Math.max(2, Math.ceil(width * ARC_STEPS))
+  return Array.from({ length: steps + 1 }, (_, k) => mid - width / 2 + (width * k) / steps)
+}
+
+/**
+ * Triangles filling each wedge, which start out as a sliver on the wedge's `from`
+ * radius. `colors` holds RGBA per wedge (see color/scale.js); alpha 0 leaves a wedge out.
+ */
+export const buildWedgeAttributes = (detail, colors) => {
+  const buffers = createBuffers()
+  const [, , z] = detail.center
+  detail.wedges.forEach((wedge, i) => {
+    if (colors[i * 4 + 3] === 0) return
+    const arc = arcOf(wedge)
+    for (let k = 0; k < arc.length - 1; k++) {
+      const [a, b] = [arc[k], arc[k + 1]]
+      for (const [angle, radius] of [[a, wedge.inner], [a, wedge.outer], [b, wedge.outer], [a, wedge.inner], [b, wedge.outer], [b, wedge.inner]]) {
+        pushVertex(buffers, detail.center, z, [angle, wedge.from], [angle, radius], colors, i, WEDGE_OPACITY)
+      }
+    }
+  })
+  return toArrays(buffers)
+}
+
+/**
+ * Line segments for the wedge outlines and the sample lines. Outlines fold onto
+ * the wedge's `from` radius like the fill; sample lines grow out of their start.
+ */
+export const buildSectorLineAttributes = (detail, wedgeColors, lineColors) => {
+  const buffers = createBuffers()
+  const [, , z] = detail.center
+
+  detail.wedges.forEach((wedge, i) => {
+    if (wedgeColors[i * 4 + 3] === 0) return
+    const arc = arcOf(wedge)
+    const edge = (angle, r0, r1) => {
+      pushVertex(buffers, detail.center, z, [angle, wedge.from], [angle, r0], wedgeColors, i, OUTLINE_OPACITY)
+      pushVertex(buffers, detail.center, z, [angle, wedge.from], [angle, r1], wedgeColors, i, OUTLINE_OPACITY)
+    }
+    for (let k = 0; k < arc.length - 1; k++) {
+      for (const radius of [wedge.inner, wedge.outer]) {
+        pushVertex(buffers, detail.center, z, [arc[k], wedge.from], [arc[k], radius], wedgeColors, i, OUTLINE_OPACITY)
+        pushVertex(buffers, detail.center, z, [arc[k + 1], wedge.from], [arc[k + 1], radius], wedgeColors, i, OUTLINE_OPACITY)
+      }
+    }
+    if (wedge.beamwidth < 360) {
+      edge(arc[0], wedge.inner, wedge.outer)
+      edge(arc[arc.length - 1], wedge.inner, wedge.outer)
+    }
+  })
+
+  detail.lines.forEach((line, i) => {
+    if (lineColors[i * 4 + 3] === 0) return
+    pushVertex(buffers, detail.center, z, [line.angle, line.start], [line.angle, line.start], lineColors, i, line.opacity)
+    pushVertex(buffers, detail.center, z, [line.angle, line.start], [line.angle, line.end], lineColors, i, line.opacity)
+  })
+
+  return toArrays(buffers)
+}
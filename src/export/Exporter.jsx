@@ -0,0 +1,25 @@
+import { useEffect } from 'react'
+import { useThree } from '@react-three/fiber'
+import { capturePng, maxRenderSize, recordWebm } from './capture.js'
+
+/**
+ * Bridges the export panel to the renderer. `apiRef.current` exposes
+ * `snapshot(options)`, `record(options)` and `limits()`; all of them render
+ * through `composerRef` so bloom ends up in the output.
+ */
+const Exporter = ({ apiRef, composerRef }) => {
+  const get = useThree(state => state.get)
+
+  useEffect(() => {
+    apiRef.current = {
+      snapshot: (options) => capturePng(get(), composerRef.current, options),
+      record: (options) => recordWebm(get(), composerRef.current, options),
+      limits: () => maxRenderSize(get().gl)
+    }
+    return () => { apiRef.current = null }
+  }, [apiRef, composerRef, get])
+
+  return null
+}
+
+export default Exporter
@@ -0,0 +1,186 @@
+import { Muxer, ArrayBufferTarget } from 'webm-muxer'
+
+export const RESOLUTION_PRESETS = [
+  { name: '1080p', width: 1920, height: 1080 },
+  { name: '1440p', width: 2560, height: 1440 },
+  { name: '4K', width: 3840, height: 2160 },
+  { name: 'Square 2048', width: 2048, height: 2048 }
+]
+
+const VP9_CODEC = 'vp09.00.41.08'
+const VIDEO_BITRATE = 16_000_000
+// Encoded frames allowed to queue up before we wait for the encoder to catch up
+const MAX_ENCODE_QUEUE = 8
+
+// Largest framebuffer this GPU can render in one pass
+export const maxRenderSize = (gl) => {
+  const context = gl.getContext()
+  const [maxViewportWidth, maxViewportHeight] = context.getParameter(context.MAX_VIEWPORT_DIMS)
+  const maxRenderbuffer = context.getParameter(context.MAX_RENDERBUFFER_SIZE)
+  return {
+    width: Math.min(maxViewportWidth, maxRenderbuffer, gl.capabilities.maxTextureSize),
+    height: Math.min(maxViewportHeight, maxRenderbuffer, gl.capabilities.maxTextureSize)
+  }
+}
+
+/**
+ * Temporarily render at `width` x `height` (pixel ratio 1) through the
+ * post-processing composer, optionally with a transparent background, run `fn`
+ * and put everything back. The on-screen canvas keeps its CSS size throughout.
+ */
+const withRenderSize = async (state, composer, { width, height, transparent }, fn) => {
+  const { gl, scene, camera, size } = state
+  const limit = maxRenderSize(gl)
+  if (width > limit.width || height > limit.height) {
+    throw new Error(`${width}×${height} exceeds this GPU's ${limit.width}×${limit.height} render limit`)
+  }
+
+  const previous = {
+    pixelRatio: gl.getPixelRatio(),
+    background: scene.background,
+    clearAlpha: gl.getClearAlpha()
+  }
+
+  gl.setPixelRatio(1)
+  gl.setSize(width, height, false)
+  composer.setSize(width, height)
+  camera.aspect = width / height
+  camera.updateProjectionMatrix()
+  if (transparent) {
+    scene.background = null
+    gl.setClearAlpha(0)
+  }
+
+  try {
+    return await fn()
+  } finally {
+    scene.background = previous.background
+    gl.setClearAlpha(previous.clearAlpha)
+    gl.setPixelRatio(previous.pixelRatio)
+    gl.setSize(size.width, size.height, false)
+    composer.setSize(size.width, size.height)
+    camera.aspect = size.width / size.height
+    camera.updateProjectionMatrix()
+  }
+}
+
+const canvasToBlob = (canvas, type) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The canvas could not be encoded')), type)
+})
+
+/**
+ * Render the current frame, bloom included, at an arbitrary resolution and return a PNG blob.
+ */
+export const capturePng = (state, composer, options) =>
+  withRenderSize(state, composer, options, () => {
+    composer.render(0)
+    // toBlob snapshots the drawing buffer synchronously, before it can be cleared
+    return canvasToBlob(state.gl.domElement, 'image/png')
+  })
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0))
+
+/**
+ * Record `seconds` of animation at exactly `fps` frames per second as WebM.
+ *
+ * The render loop is switched to manual and each frame is produced with
+ * `advance()` at a fixed timestep, so the shared timeline (and everything that
+ * reads it) moves by exactly 1/fps per frame no matter how long a frame takes
+ * to render. Frames go through WebCodecs with explicit timestamps where available;
+ * elsewhere MediaRecorder is fed the same frames at real-time pace.
+ *
+ * `onProgress(fraction)` is called after every frame; `signal` cancels.
+ */
+export const recordWebm = (state, composer, { seconds, fps, onProgress, signal, ...sizeOptions }) =>
+  withRenderSize(state, composer, sizeOptions, async () => {
+    const frameCount = Math.max(1, Math.round(seconds * fps))
+    const previousFrameloop = state.frameloop
+    const startTime = state.clock.elapsedTime
+    state.setFrameloop('never')
+
+    const renderFrame = (i) => state.advance(startTime + (i + 1) / fps)
+
+    try {
+      return typeof VideoEncoder !== 'undefined'
+        ? await encodeWithWebCodecs({ state, frameCount, fps, renderFrame, onProgress, signal, ...sizeOptions })
+        : await encodeWithMediaRecorder({ state, frameCount, fps, renderFrame, onProgress, signal })
+    } finally {
+      state.setFrameloop(previousFrameloop)
+    }
+  })
+
+const encodeWithWebCodecs = async ({ state, width, height, frameCount, fps, renderFrame, onProgress, signal }) => {
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps }
+  })
+
+  let failure = null
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { failure = error }
+  })
+  encoder.configure({ codec: VP9_CODEC, width, height, bitrate: VIDEO_BITRATE, framerate: fps })
+
+  const frameDuration = 1e6 / fps
+  for (let i = 0; i < frameCount; i++) {
+    if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError')
+    if (failure) throw failure
+
+    renderFrame(i)
+    const frame = new VideoFrame(state.gl.domElement, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) })
+    encoder.encode(frame, { keyFrame: i % (fps * 2) === 0 })
+    frame.close()
+
+    while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+      await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }))
+    }
+    onProgress?.((i + 1) / frameCount)
+    // Let the UI update between frames
+    await nextTask()
+  }
+
+  await encoder.flush()
+  encoder.close()
+  if (failure) throw failure
+  muxer.finalize()
+  return new Blob([muxer.target.buffer], { type: 'video/webm' })
+}
+
+const encodeWithMediaRecorder = async ({ state, frameCount, fps, renderFrame, onProgress, signal }) => {
+  const stream = state.gl.domElement.captureStream(0)
+  const [track] = stream.getVideoTracks()
+  const recorder = new MediaRecorder(stream, { mimeType: 'video/webm', videoBitsPerSecond: VIDEO_BITRATE })
+  const chunks = []
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data)
+  }
+  const stopped = new Promise(resolve => { recorder.onstop = resolve })
+  recorder.start()
+
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError')
+      renderFrame(i)
+      track.requestFrame()
+      onProgress?.((i + 1) / frameCount)
+      // MediaRecorder timestamps frames by wall clock, so hold each one for its duration
+      await new Promise(resolve => setTimeout(resolve, 1000 / fps))
+    }
+  } finally {
+    recorder.stop()
+    await stopped
+    track.stop()
+  }
+
+  return new Blob(chunks, { type: 'video/webm' })
+}
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
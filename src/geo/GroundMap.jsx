@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import * as THREE from 'three'
+import { PALETTES } from '../color/palettes.js'
+
+// Heights of the map below the ring stacks (which start at z = 0)
+const FILL_Z = -0.05
+const OUTLINE_Z = -0.04
+// Region fill opacity: normal, hovered, picked, and others while one is picked
+const FILL_ALPHA = 0.12
+const HOVER_ALPHA = 0.22
+const PICKED_ALPHA = 0.3
+const DIMMED_ALPHA = 0.04
+const REGION_COLORS = PALETTES.okabeIto.stops
+
+// GeoJSON rings repeat their first position at the end; three's shapes close themselves
+const openRing = (ring) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]]
+  return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring
+}
+
+const toShapePoints = (ring, frame) => openRing(ring).map(([lon, lat]) => new THREE.Vector2(...frame.project(lon, lat)))
+
+// Region fills as one triangle soup, remembering which region each triangle belongs to
+const buildFillGeometry = (regions, frame) => {
+  const positions = []
+  const triangleRegions = []
+
+  regions.forEach((region, regionIndex) => {
+    const shapes = region.polygons.map(([outer, ...holes]) => {
+      const shape = new THREE.Shape(toShapePoints(outer, frame))
+      shape.holes = holes.map(hole => new THREE.Path(toShapePoints(hole, frame)))
+      return shape
+    })
+    const shapeGeometry = new THREE.ShapeGeometry(shapes).toNonIndexed()
+    const array = shapeGeometry.getAttribute('position').array
+    for (let i = 0; i < array.length; i += 3) positions.push(array[i], array[i + 1], FILL_Z)
+    for (let t = 0; t < array.length / 9; t++) triangleRegions.push(regionIndex)
+    shapeGeometry.dispose()
+  })
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array(positions.length / 3 * 4), 4))
+  geometry.computeBoundingSphere()
+  return { geometry, triangleRegions }
+}
+
+// Region borders and stand-alone lines as line segments
+const buildOutlineGeometry = (geoMap, frame) => {
+  const positions = []
+  const addPath = (path) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      positions.push(...frame.project(...path[i]), OUTLINE_Z, ...frame.project(...path[i + 1]), OUTLINE_Z)
+    }
+  }
+  geoMap.regions.forEach(region => region.polygons.forEach(polygon => polygon.forEach(addPath)))
+  geoMap.lines.forEach(addPath)
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  return geometry
+}
+
+/**
+ * GeoJSON ground layer beneath the ring stacks: filled regions plus outlines,
+ * projected through `frame` (see projection.js) so they line up with the sites.
+ * Clicking a region reports its id through `onRegionPick`; clicking the picked
+ * region again reports null. Drawn first, beneath the coverage shading.
+ */
+const GroundMap = ({ geoMap, frame, pickedRegionId, onRegionPick }) => {
+  const [hoveredIndex, setHoveredIndex] = useState(null)
+  const fill = useMemo(() => buildFillGeometry(geoMap.regions, frame), [geoMap, frame])
+  const outline = useMemo(() => buildOutlineGeometry(geoMap, frame), [geoMap, frame])
+
+  useEffect(() => () => fill.geometry.dispose(), [fill])
+  useEffect(() => () => outline.dispose(), [outline])
+
+  // Recolor in place on hover and pick; the triangles stay put
+  useEffect(() => {
+    const colors = fill.geometry.getAttribute('color')
+    const color = new THREE.Color()
+    const picked = pickedRegionId !== null && pickedRegionId !== undefined
+    fill.triangleRegions.forEach((regionIndex, t) => {
+      const region = geoMap.regions[regionIndex]
+      const alpha = region.id === pickedRegionId ? PICKED_ALPHA
+        : picked ? DIMMED_ALPHA
+          : regionIndex === hoveredIndex ? HOVER_ALPHA
+            : FILL_ALPHA
+      color.set(REGION_COLORS[regionIndex % REGION_COLORS.length])
+      for (let v = 0; v < 3; v++) colors.setXYZW(t * 3 + v, color.r, color.g, color.b, alpha)
+    })
+    colors.needsUpdate = true
+  }, [fill, geoMap, hoveredIndex, pickedRegionId])
+
+  const regionAt = (event) => geoMap.regions[fill.triangleRegions[event.faceIndex]]
+
+  return (
+    <group>
+      {geoMap.regions.length > 0 && (
+        <mesh
+          geometry={fill.geometry}
+          renderOrder={-2}
+          onPointerMove={(event) => {
+            event.stopPropagation()
+            const index = fill.triangleRegions[event.faceIndex]
+            setHoveredIndex(prev => prev === index ? prev : index)
+          }}
+          onPointerOut={() => setHoveredIndex(null)}
+          onClick={(event) => {
+            event.stopPropagation()
+            const region = regionAt(event)
+            if (region) onRegionPick(region.id === pickedRegionId ? null : region.id)
+          }}
+        >
+          <meshBasicMaterial vertexColors transparent depthWrite={false} side={THREE.DoubleSide} toneMapped={false} />
+        </mesh>
+      )}
+      <lineSegments geometry={outline} renderOrder={-2}>
+        <lineBasicMaterial color="#90a4ae" transparent opacity={0.55} depthWrite={false} />
+      </lineSegments>
+    </group>
+  )
+}
+
+export default GroundMap
@@ -0,0 +1,150 @@
+/**
+ * Local GeoJSON boundaries for the ground map. Only the parts the map draws are
+ * kept: every Polygon / MultiPolygon feature becomes a region (picking a region
+ * filters the sites to it) and LineString / MultiLineString features become
+ * plain outlines.
+ *
+ * @typedef {Object} Region
+ * @property {string} id
+ * @property {string} name
+ * @property {number[][][][]} polygons  Polygons, each an outer ring then holes, each ring [lon, lat] pairs
+ *
+ * @typedef {Object} GeoMap
+ * @property {string} name
+ * @property {Region[]} regions
+ * @property {number[][][]} lines       Outline paths of [lon, lat] pairs
+ * @property {number[][]} bounds        [[minLon, minLat], [maxLon, maxLat]]
+ */
+
+// Raised for GeoJSON that cannot be used; `issues` lists every problem, like DatasetError
+export class GeoJsonError extends Error {
+  constructor(message, issues = []) {
+    super(message)
+    this.name = 'GeoJsonError'
+    this.issues = issues
+  }
+}
+
+const isPosition = (value) => Array.isArray(value) && value.length >= 2 &&
+  Number.isFinite(value[0]) && Number.isFinite(value[1]) && Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90
+
+const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition)
+const isPath = (path) => Array.isArray(path) && path.length >= 2 && path.every(isPosition)
+
+const stripAltitude = (ring) => ring.map(([lon, lat]) => [lon, lat])
+
+// Name shown for a feature: the usual GeoJSON property names, then its id
+const featureName = (feature, index) => {
+  const properties = feature.properties ?? {}
+  const name = properties.name ?? properties.NAME ?? properties.NAME_1 ?? properties.ADMIN ?? feature.id
+  return name !== undefined && name !== null ? String(name) : `Region ${index + 1}`
+}
+
+const featuresOf = (raw) => {
+  if (raw?.type === 'FeatureCollection' && Array.isArray(raw.features)) return raw.features
+  if (raw?.type === 'Feature') return [raw]
+  if (typeof raw?.type === 'string' && raw.coordinates) return [{ type: 'Feature', geometry: raw }]
+  return null
+}
+
+/**
+ * Parse GeoJSON text into a GeoMap. Throws a GeoJsonError when nothing drawable is found
+ * or a geometry is malformed.
+ */
+export const parseGeoJson = (text, { name = 'Map' } = {}) => {
+  let raw
+  try {
+    raw = JSON.parse(text)
+  } catch (err) {
+    throw new GeoJsonError('File is not valid JSON', [err.message])
+  }
+
+  const features = featuresOf(raw)
+  if (!features) {
+    throw new GeoJsonError('Not a GeoJSON FeatureCollection, Feature or geometry', ['(root): expected a "type"'])
+  }
+
+  const issues = []
+  const regions = []
+  const lines = []
+
+  features.forEach((feature, i) => {
+    const geometry = feature?.geometry
+    const path = `features[${i}].geometry`
+    if (!geometry) return
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates
+        : null
+    if (polygons) {
+      if (!Array.isArray(polygons) || !polygons.every(polygon => Array.isArray(polygon) && polygon.every(isRing))) {
+        issues.push(`${path}: ${geometry.type} rings need at least 4 [lon, lat] positions`)
+        return
+      }
+      regions.push({
+        id: String(feature.id ?? i),
+        name: featureName(feature, i),
+        polygons: polygons.map(polygon => polygon.map(stripAltitude))
+      })
+      return
+    }
+
+    const paths = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+        : null
+    if (paths) {
+      if (!Array.isArray(paths) || !paths.every(isPath)) {
+        issues.push(`${path}: ${geometry.type} needs at least 2 [lon, lat] positions per line`)
+        return
+      }
+      lines.push(...paths.map(stripAltitude))
+    }
+    // Points and other geometry types are ignored
+  })
+
+  if (issues.length > 0) {
+    throw new GeoJsonError(`GeoJSON has ${issues.length} problem${issues.length === 1 ? '' : 's'}`, issues)
+  }
+  if (regions.length === 0 && lines.length === 0) {
+    throw new GeoJsonError('GeoJSON has no polygons or lines to draw')
+  }
+
+  // Reduced rather than spread: country outlines easily exceed the argument limit
+  const positions = [...regions.flatMap(region => region.polygons.flat(1)), ...lines].flat(1)
+  const bounds = positions.reduce(([min, max], [lon, lat]) => [
+    [Math.min(min[0], lon), Math.min(min[1], lat)],
+    [Math.max(max[0], lon), Math.max(max[1], lat)]
+  ], [[Infinity, Infinity], [-Infinity, -Infinity]])
+
+  return { name: raw.name ? String(raw.name) : name, regions, lines, bounds }
+}
+
+// Even-odd ray casting in lon/lat; holes count because they flip the parity again
+const inRing = ([lon, lat], ring) => {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+export const regionContains = (region, point) =>
+  region.polygons.some(polygon => polygon.reduce((inside, ring) => inRing(point, ring) ? !inside : inside, false))
+
+export const loadGeoJsonFile = async (file) =>
+  parseGeoJson(await file.text(), { name: file.name.replace(/^.*[\\/]/, '').replace(/\.(geo)?json$/i, '') })
+
+export const loadGeoJsonUrl = async (url) => {
+  let response
+  try {
+    response = await fetch(url)
+  } catch (err) {
+    throw new GeoJsonError(`Could not fetch ${url}`, [err.message])
+  }
+  if (!response.ok) {
+    throw new GeoJsonError(`Could not fetch ${url}`, [`HTTP ${response.status} ${response.statusText}`])
+  }
+  return parseGeoJson(await response.text(), { name: url.replace(/^.*\//, '').replace(/\.(geo)?json$/i, '') })
+}
@@ -0,0 +1,76 @@
+// Width of the projected area in scene units, whatever its size on the ground
+export const GEO_EXTENT = 16
+
+const EARTH_RADIUS_M = 6371000
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+/**
+ * Map projections, each `(lon, lat, center) => [x, y]` in metres with x east
+ * and y north. `center` is `[lon, lat]` of the area being shown.
+ */
+export const PROJECTIONS = {
+  equirectangular: {
+    label: 'Equirectangular',
+    project: (lon, lat, [lon0, lat0]) => [
+      toRadians(lon - lon0) * EARTH_RADIUS_M * Math.cos(toRadians(lat0)),
+      toRadians(lat - lat0) * EARTH_RADIUS_M
+    ]
+  },
+  mercator: {
+    label: 'Mercator',
+    project: (lon, lat) => [
+      toRadians(lon) * EARTH_RADIUS_M,
+      Math.log(Math.tan(Math.PI / 4 + toRadians(Math.max(-85, Math.min(85, lat))) / 2)) * EARTH_RADIUS_M
+    ]
+  },
+  orthographic: {
+    label: 'Orthographic',
+    project: (lon, lat, [lon0, lat0]) => {
+      const phi = toRadians(lat)
+      const phi0 = toRadians(lat0)
+      const lambda = toRadians(lon - lon0)
+      return [
+        EARTH_RADIUS_M * Math.cos(phi) * Math.sin(lambda),
+        EARTH_RADIUS_M * (Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(lambda))
+      ]
+    }
+  }
+}
+
+export const DEFAULT_PROJECTION = 'equirectangular'
+
+export const isProjection = (value) => Object.hasOwn(PROJECTIONS, value)
+
+/**
+ * Fit a projection to `[lon, lat]` points: the returned `project(lon, lat)`
+ * gives scene units, centred on the points' bounding box and scaled so the
+ * larger side spans GEO_EXTENT. Sites and map outlines projected through the
+ * same frame line up.
+ */
+export const createGeoFrame = (projection, points) => {
+  const { project } = PROJECTIONS[projection] ?? PROJECTIONS[DEFAULT_PROJECTION]
+  const lons = points.map(([lon]) => lon)
+  const lats = points.map(([, lat]) => lat)
+  const center = points.length
+    ? [(Math.min(...lons) + Math.max(...lons)) / 2, (Math.min(...lats) + Math.max(...lats)) / 2]
+    : [0, 0]
+
+  const origin = project(center[0], center[1], center)
+  const projected = points.map(([lon, lat]) => project(lon, lat, center))
+  const span = Math.max(
+    1,
+    ...projected.map(([x, y]) => Math.max(Math.abs(x - origin[0]), Math.abs(y - origin[1])) * 2)
+  )
+  const scale = GEO_EXTENT / span
+
+  return {
+    projection,
+    center,
+    // Scene units per metre at the centre
+    scale,
+    project: (lon, lat) => {
+      const [x, y] = project(lon, lat, center)
+      return [(x - origin[0]) * scale, (y - origin[1]) * scale]
+    }
+  }
+}
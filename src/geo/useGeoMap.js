@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from 'react'
+import { loadGeoJsonFile, loadGeoJsonUrl } from './geojson.js'
+
+/**
+ * Holds the ground map (parsed GeoJSON) plus its loading/error state, like useDataset.
+ * `initialUrl` (e.g. from the `?map=` query parameter) is fetched on mount.
+ */
+export const useGeoMap = (initialUrl) => {
+  const [state, setState] = useState({ geoMap: null, error: null, loading: Boolean(initialUrl) })
+
+  useEffect(() => {
+    if (!initialUrl) return
+    let cancelled = false
+
+    loadGeoJsonUrl(initialUrl).then(
+      geoMap => { if (!cancelled) setState({ geoMap, error: null, loading: false }) },
+      error => { if (!cancelled) setState({ geoMap: null, error, loading: false }) }
+    )
+
+    return () => { cancelled = true }
+  }, [initialUrl])
+
+  const loadFile = useCallback((file) => {
+    setState(prev => ({ ...prev, error: null, loading: true }))
+    // Keep the previous map on screen when the new file is rejected
+    return loadGeoJsonFile(file).then(
+      geoMap => setState({ geoMap, error: null, loading: false }),
+      error => setState(prev => ({ ...prev, error, loading: false }))
+    )
+  }, [])
+
+  const clear = useCallback(() => {
+    setState({ geoMap: null, error: null, loading: false })
+  }, [])
+
+  return { ...state, loadFile, clear }
+}
@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import {
+  CoverageShader,
+  buildCoverageGeometry,
+  createProfileTexture,
+  createRampTexture,
+  writeProfiles
+} from './coverage.js'
+
+// Seconds between profile refreshes while replaying or streaming
+const UPDATE_INTERVAL = 0.25
+
+/**
+ * Shades each annulus by the interpolated `scale.metric` of its rings' samples
+ * (see coverage.js). Drawn before the rings and lines and without writing depth,
+ * so it always sits beneath them. Follows dataset replay and live measurements;
+ * rings whose color alpha is 0 (hidden category, collapsed or filtered site)
+ * leave their annulus empty.
+ */
+const CoverageLayer = ({ circles, colors, segments = 64, scale, opacity, timeline, measurementsRef }) => {
+  const geometry = useMemo(() => buildCoverageGeometry(circles, segments), [circles, segments])
+  const profiles = useMemo(() => createProfileTexture(circles.length), [circles])
+  const ramp = useMemo(() => createRampTexture(scale), [scale])
+
+  useEffect(() => () => geometry.dispose(), [geometry])
+  useEffect(() => () => profiles.dispose(), [profiles])
+  useEffect(() => () => ramp.dispose(), [ramp])
+
+  // Stable uniforms object: the compiled program keeps a reference to it
+  const materialRef = useRef()
+  const [uniforms] = useState(() => ({
+    uProfiles: { value: null },
+    uRamp: { value: null },
+    uRowCount: { value: 1 },
+    uOpacity: { value: opacity }
+  }))
+
+  useEffect(() => {
+    const material = materialRef.current
+    if (!material) return
+    material.uniforms.uProfiles.value = profiles
+    material.uniforms.uRowCount.value = Math.max(circles.length, 1)
+    material.uniforms.uRamp.value = ramp
+    material.uniforms.uOpacity.value = opacity
+  }, [profiles, circles, ramp, opacity])
+
+  // Any input change rewrites the profiles on the next frame
+  const sinceUpdateRef = useRef(Infinity)
+  useEffect(() => {
+    sinceUpdateRef.current = Infinity
+  }, [profiles, colors, scale])
+
+  const lastReplayTimeRef = useRef(null)
+
+  useFrame((_, delta) => {
+    sinceUpdateRef.current += delta
+    if (sinceUpdateRef.current < UPDATE_INTERVAL) return
+    // Replay (playing or scrubbed) and live measurements keep the profiles moving
+    const replayTime = timeline.datasetTime()
+    const live = measurementsRef?.current
+    const changing = replayTime !== lastReplayTimeRef.current || live?.size > 0
+    if (!changing && sinceUpdateRef.current !== Infinity) return
+    sinceUpdateRef.current = 0
+    lastReplayTimeRef.current = replayTime
+
+    writeProfiles(profiles, circles, {
+      metric: scale.metric,
+      domain: scale.legend.domain,
+      replayTime,
+      live,
+      visible: colors ? (_circle, i) => colors[i * 4 + 3] !== 0 : undefined
+    })
+  })
+
+  return (
+    <mesh geometry={geometry} renderOrder={-1}>
+      <shaderMaterial
+        ref={materialRef}
+        vertexShader={CoverageShader.vertexShader}
+        fragmentShader={CoverageShader.fragmentShader}
+        uniforms={uniforms}
+        transparent
+        depthWrite={false}
+        side={THREE.DoubleSide}
+      />
+    </mesh>
+  )
+}
+
+export default CoverageLayer
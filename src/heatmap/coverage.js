@@ -0,0 +1,203 @@
+import * as THREE from 'three'
+import { COLOR_METRICS } from '../color/scale.js'
+import { measurementKey } from '../stream/measurements.js'
+import { slotOf } from '../data/layout.js'
+
+/**
+ * Coverage shading between the rings.
+ *
+ * Every ring's samples are turned into an angular profile: ANGLE_BINS values
+ * around the ring, each a Gaussian-weighted mean of the samples near that
+ * bearing, plus how much sample weight backs it. Profiles are rows of one small
+ * texture; the annulus from a ring to the next one in its stack blends the two
+ * rows by distance in the fragment shader, so only the texture changes when new
+ * samples arrive.
+ */
+
+export const ANGLE_BINS = 128
+
+// Continuous metrics only: a categorical value has nothing to interpolate
+export const COVERAGE_METRICS = Object.keys(COLOR_METRICS).filter(metric =>
+  COLOR_METRICS[metric].type === 'sequential' || COLOR_METRICS[metric].type === 'diverging')
+
+export const DEFAULT_COVERAGE = { enabled: false, metric: 'rsrp', palette: null, opacity: 0.35 }
+
+// Palette lookup resolution
+const RAMP_SIZE = 256
+// Narrowest angular spread a sample gets, radians (~4°)
+const MIN_SPREAD = 0.07
+
+export const CoverageShader = {
+  vertexShader: `
+    attribute vec2 aBand;   // angle around the ring (0..1), distance across the annulus (0..1)
+    attribute vec2 aRows;   // profile rows of the inner and the outer ring
+
+    varying vec2 vBand;
+    varying vec2 vRows;
+
+    void main() {
+      vBand = aBand;
+      vRows = aRows;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D uProfiles;  // r: normalized value, g: sample weight; one row per ring
+    uniform sampler2D uRamp;
+    uniform float uRowCount;
+    uniform float uOpacity;
+
+    varying vec2 vBand;
+    varying vec2 vRows;
+
+    void main() {
+      vec2 inner = texture2D(uProfiles, vec2(vBand.x, (vRows.x + 0.5) / uRowCount)).rg;
+      vec2 outer = texture2D(uProfiles, vec2(vBand.x, (vRows.y + 0.5) / uRowCount)).rg;
+
+      // Weight-aware blend, so a ring without samples here doesn't drag the value to zero
+      float innerWeight = inner.g * (1.0 - vBand.y);
+      float outerWeight = outer.g * vBand.y;
+      float weight = innerWeight + outerWeight;
+      if (weight < 0.004) discard;
+
+      float value = (inner.r * innerWeight + outer.r * outerWeight) / weight;
+      vec3 color = texture2D(uRamp, vec2(value, 0.5)).rgb;
+      gl_FragColor = vec4(color, min(weight, 1.0) * uOpacity);
+    }
+  `
+}
+
+// The ring each ring's annulus reaches out to: the next one in the same stack, if any
+const nextRingOf = (circles, i) => {
+  const next = circles[i + 1]
+  const circle = circles[i]
+  return next && next.siteIndex === circle.siteIndex && slotOf(next) === slotOf(circle) + 1 ? next : null
+}
+
+/**
+ * Annulus geometry for `circles`: a band from each ring to the next ring of its stack,
+ * following their heights. The outermost ring's band reaches out as far as the gap
+ * before it, shaded from that ring alone.
+ */
+export const buildCoverageGeometry = (circles, segments) => {
+  const positions = []
+  const bands = []
+  const rows = []
+  const indices = []
+
+  circles.forEach((circle, i) => {
+    const next = nextRingOf(circles, i)
+    const previous = i > 0 && nextRingOf(circles, i - 1) ? circles[i - 1] : null
+    const gap = previous ? circle.radius - previous.radius : circle.radius * 0.5
+    const outer = next ?? { ...circle, radius: circle.radius + gap }
+    const outerRow = next ? i + 1 : i
+    const base = positions.length / 3
+
+    for (let s = 0; s <= segments; s++) {
+      const u = s / segments
+      const angle = u * Math.PI * 2
+      for (const [ring, t] of [[circle, 0], [outer, 1]]) {
+        positions.push(
+          ring.position[0] + Math.cos(angle) * ring.radius,
+          ring.position[1] + Math.sin(angle) * ring.radius,
+          ring.position[2]
+        )
+        bands.push(u, t)
+        rows.push(i, outerRow)
+      }
+      if (s < segments) {
+        const v = base + s * 2
+        indices.push(v, v + 1, v + 2, v + 1, v + 3, v + 2)
+      }
+    }
+  })
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3))
+  geometry.setAttribute('aBand', new THREE.Float32BufferAttribute(bands, 2))
+  geometry.setAttribute('aRows', new THREE.Float32BufferAttribute(rows, 2))
+  geometry.setIndex(indices)
+  geometry.computeBoundingSphere()
+  return geometry
+}
+
+// One row per ring, wrapping around the ring and filtered between bins
+export const createProfileTexture = (rowCount) => {
+  const texture = new THREE.DataTexture(new Uint8Array(ANGLE_BINS * Math.max(rowCount, 1) * 4), ANGLE_BINS, Math.max(rowCount, 1))
+  texture.wrapS = THREE.RepeatWrapping
+  texture.magFilter = THREE.LinearFilter
+  texture.minFilter = THREE.LinearFilter
+  texture.needsUpdate = true
+  return texture
+}
+
+/**
+ * Palette lookup for `scale` (see color/scale.js) across its legend domain, in the
+ * linear colors the other shaders use. Diverging scales keep their midpoint.
+ */
+export const createRampTexture = (scale) => {
+  const data = new Float32Array(RAMP_SIZE * 4)
+  const [min, max] = scale.legend.domain
+  for (let i = 0; i < RAMP_SIZE; i++) {
+    const color = scale.colorOf(min + ((max - min) * i) / (RAMP_SIZE - 1))
+    data.set([color.r, color.g, color.b, 1], i * 4)
+  }
+  const texture = new THREE.DataTexture(data, RAMP_SIZE, 1, THREE.RGBAFormat, THREE.FloatType)
+  texture.needsUpdate = true
+  return texture
+}
+
+/**
+ * The sample a point currently stands for: hidden until its timestamp while a dataset
+ * replays, and overlaid with the latest live `measurement` for its sector and ring.
+ */
+const currentSample = (point, replayTime, live) => {
+  const { sample } = point
+  if (replayTime !== null && sample.timestamp !== undefined && sample.timestamp > replayTime) return null
+  const measured = live?.get(measurementKey(point.sectorId, sample.ring))
+  return measured ? { ...sample, ...measured } : sample
+}
+
+const angleBetween = (a, b) => {
+  const d = Math.abs(a - b) % (Math.PI * 2)
+  return d > Math.PI ? Math.PI * 2 - d : d
+}
+
+/**
+ * Recompute every ring's profile into `texture`. `metric` values are normalized over
+ * `domain`; rings `visible` rejects (hidden category, collapsed or filtered site) get
+ * no weight, so their annuli disappear.
+ */
+export const writeProfiles = (texture, circles, { metric, domain: [min, max], replayTime = null, live = null, visible }) => {
+  const data = texture.image.data
+  const values = []
+
+  circles.forEach((circle, row) => {
+    values.length = 0
+    if (!visible || visible(circle, row)) {
+      for (const point of circle.samplePoints ?? []) {
+        const sample = currentSample(point, replayTime, live)
+        const value = sample?.[metric]
+        if (Number.isFinite(value)) values.push([point.angle, Math.max(MIN_SPREAD, point.spread), (value - min) / (max - min)])
+      }
+    }
+
+    for (let bin = 0; bin < ANGLE_BINS; bin++) {
+      const angle = ((bin + 0.5) / ANGLE_BINS) * Math.PI * 2
+      let weight = 0
+      let weighted = 0
+      for (const [pointAngle, spread, value] of values) {
+        const z = angleBetween(angle, pointAngle) / spread
+        const w = Math.exp(-0.5 * z * z)
+        weight += w
+        weighted += w * value
+      }
+      const offset = (row * ANGLE_BINS + bin) * 4
+      data[offset] = weight > 0 ? Math.round(Math.min(1, Math.max(0, weighted / weight)) * 255) : 0
+      data[offset + 1] = Math.round(Math.min(1, weight) * 255)
+      data[offset + 3] = 255
+    }
+  })
+
+  texture.needsUpdate = true
+}
@@ -0,0 +1,136 @@
+import { createElement } from 'react'
+import { createRoot } from 'react-dom/client'
+import Symphony from '../Symphony.jsx'
+
+/**
+ * `<cellular-symphony>`: Symphony as a custom element, for pages without React.
+ *
+ * Attributes (all optional, read again whenever one changes):
+ *   data            dataset URL (or set the `data` property to a dataset object)
+ *   seed, quality, stream
+ *   metric, palette color encoding, e.g. metric="rsrp" palette="viridis"
+ *   bloom-strength  glow of the strong-signal selection, 0–3
+ *   auto-rotate     "false" holds the scene still
+ *   rotation-speed, pulse-amplitude, fov-swing
+ *   reduced-motion  "true" or "false" overrides the system setting
+ *   panels          "false" hides the overlay panels
+ *   url-state       present: read and write the page URL like the standalone app
+ *
+ * Events (bubbling, `detail` as passed to the matching Symphony callback):
+ *   symphony-select, symphony-viewchange, symphony-alerts, symphony-data
+ */
+
+const ATTRIBUTES = [
+  'data',
+  'seed',
+  'quality',
+  'stream',
+  'metric',
+  'palette',
+  'bloom-strength',
+  'auto-rotate',
+  'rotation-speed',
+  'pulse-amplitude',
+  'fov-swing',
+  'reduced-motion',
+  'panels',
+  'url-state'
+]
+
+const text = (value) => value === null || value === '' ? undefined : value
+
+const number = (value) => {
+  if (value === null || value === '') return undefined
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : undefined
+}
+
+// Absent keeps the default; anything but "false" counts as true
+const flag = (value) => value === null ? undefined : value !== 'false'
+
+// Server-side imports get a stand-in base class; the element is only defined in a browser
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement
+
+export class CellularSymphonyElement extends BaseElement {
+  static get observedAttributes() {
+    return ATTRIBUTES
+  }
+
+  constructor() {
+    super()
+    this._root = null
+    this._data = undefined
+  }
+
+  // A dataset object takes precedence over the `data` attribute
+  get data() {
+    return this._data ?? this.getAttribute('data')
+  }
+
+  set data(value) {
+    this._data = value && typeof value === 'object' ? value : undefined
+    if (typeof value === 'string') this.setAttribute('data', value)
+    this._render()
+  }
+
+  connectedCallback() {
+    if (!this.style.display) this.style.display = 'block'
+    this._root ??= createRoot(this)
+    this._render()
+  }
+
+  disconnectedCallback() {
+    this._root?.unmount()
+    this._root = null
+  }
+
+  attributeChangedCallback() {
+    this._render()
+  }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }))
+  }
+
+  _props() {
+    const attribute = (name) => this.getAttribute(name)
+    const metric = text(attribute('metric'))
+    const palette = text(attribute('palette'))
+    const strength = number(attribute('bloom-strength'))
+
+    return {
+      data: this._data ?? text(attribute('data')),
+      seed: text(attribute('seed')),
+      quality: text(attribute('quality')),
+      stream: text(attribute('stream')),
+      colors: metric || palette ? { metric, palette } : undefined,
+      bloom: strength === undefined ? undefined : { strength },
+      animation: {
+        autoRotate: flag(attribute('auto-rotate')),
+        rotationSpeed: number(attribute('rotation-speed')),
+        pulseAmplitude: number(attribute('pulse-amplitude')),
+        fovSwing: number(attribute('fov-swing')),
+        reducedMotion: flag(attribute('reduced-motion'))
+      },
+      panels: flag(attribute('panels')) ?? true,
+      urlState: this.hasAttribute('url-state'),
+      style: { height: '100%' },
+      onSelect: (selection) => this._emit('symphony-select', selection),
+      onViewChange: (viewpoint) => this._emit('symphony-viewchange', viewpoint),
+      onAlertsChange: (alerts) => this._emit('symphony-alerts', alerts),
+      onDataChange: (dataset, error) => this._emit('symphony-data', { dataset, error })
+    }
+  }
+
+  _render() {
+    this._root?.render(createElement(Symphony, this._props()))
+  }
+}
+
+/**
+ * Register the element (once) under `tagName`, `cellular-symphony` by default.
+ */
+export const defineCellularSymphony = (tagName = 'cellular-symphony') => {
+  if (typeof customElements === 'undefined' || customElements.get(tagName)) return
+  customElements.define(tagName, class extends CellularSymphonyElement {})
+}
@@ -0,0 +1,7 @@
+/**
+ * Self-contained entry for pages without React: bundles React and three.js and
+ * registers `<cellular-symphony>` on load (see CellularSymphonyElement.js).
+ */
+import { defineCellularSymphony } from './CellularSymphonyElement.js'
+
+defineCellularSymphony()
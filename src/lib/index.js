@@ -0,0 +1,29 @@
+/**
+ * Public entry of the component library (see README "Embedding").
+ *
+ * `Symphony` is the complete visualisation; `Scene` and the primitives below are
+ * for composing your own `<Canvas>`. Types live in types/index.d.ts.
+ */
+export { default as Symphony } from '../Symphony.jsx'
+export { default as Scene } from '../Scene.jsx'
+export { default as AnimatedLines } from '../lines/AnimatedLines.jsx'
+export { default as InstancedCircles } from '../rings/InstancedCircles.jsx'
+export { default as BloomCircles } from '../rings/BloomCircles.jsx'
+export { default as TextLabels } from '../text/TextLabels.jsx'
+export { default as TimelineDriver } from '../timeline/TimelineDriver.jsx'
+export { default as AudioDriver } from '../audio/AudioDriver.jsx'
+
+// Helpers the components' props are built from
+export { createTimeline } from '../timeline/timeline.js'
+export { createAudioReactor } from '../audio/audioReactor.js'
+export { drillTargetOf } from '../drill/drillDown.js'
+export { DatasetError, validateDataset } from '../data/schema.js'
+export { loadDatasetUrl, parseDataset } from '../data/parse.js'
+export { GeoJsonError, parseGeoJson } from '../geo/geojson.js'
+export { buildDatasetLayout, buildProceduralLayout } from '../data/layout.js'
+export { COLOR_METRICS, DEFAULT_COLOR_ENCODING, createColorScale } from '../color/scale.js'
+export { PALETTES } from '../color/palettes.js'
+export { QUALITY_TIERS } from '../quality/tiers.js'
+export { DEFAULT_SCENE_SETTINGS } from '../settings/sceneSettings.js'
+
+export { defineCellularSymphony } from './CellularSymphonyElement.js'
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { useBloomSelection } from '../bloom/useBloomSelection.js'
+import { createRandom } from '../utils/random.js'
+import { statsTag } from '../perf/stats.js'
+import { AUDIO_BANDS } from '../audio/audioReactor.js'
+import { AnimatedLineShader, CALM_RATE, buildLineAlerts, buildLineAttributes, buildLineBands, buildLineColors } from './animatedLines.js'
+
+// Animated line segments - lines move in/out like data pulses. The animation runs in
+// the vertex shader (see lines/animatedLines.js); per frame only the uniforms change.
+// With `reducedMotion` the lines hold still and fade gently instead. With an `audio`
+// reactor playing, each line's length and opacity follow its ring's frequency band
+// (`ringCount`: rings in the whole layout, when `segments` is only part of it).
+// `groupOpacityRef.current` (0..1) scales the whole set, for fading it in or out.
+const AnimatedLines = ({ segments, colors, alerts, color = "#ffffff", isBloom = false, bloomSelection, seed = 0, timeline, reducedMotion = false, audio, ringCount, groupOpacityRef, pickHandlers }) => {
+  const meshRef = useRef()
+  const geometryRef = useRef()
+  const materialRef = useRef()
+  const replayOriginRef = useRef(0)
+  useBloomSelection(bloomSelection, meshRef)
+
+  // Stable uniforms object: the compiled program keeps a reference to it
+  const [uniforms] = useState(() => ({
+    uColor: { value: new THREE.Color(color) },
+    uTime: { value: 0 },
+    uReplay: { value: 0 },
+    uReplayTime: { value: 0 },
+    uReplayWindow: { value: 0 },
+    uCalm: { value: reducedMotion ? 1 : 0 },
+    uFade: { value: 1 },
+    uAudio: { value: 0 },
+    uBands: { value: new Float32Array(AUDIO_BANDS) }
+  }))
+
+  useEffect(() => {
+    materialRef.current?.uniforms.uColor.value.set(color)
+  }, [color])
+
+  // Upload the static per-line data once per segment set
+  useEffect(() => {
+    const geometry = geometryRef.current
+    if (!geometry) return
+
+    // Own stream per line set so bloom and regular lines don't share timings
+    const random = createRandom(`${seed}:lines:${isBloom ? 'bloom' : 'base'}`)
+    const { position, line, origins, timing, stamp, replayOrigin } = buildLineAttributes(segments, random)
+
+    geometry.setAttribute('position', new THREE.BufferAttribute(position, 3))
+    geometry.setAttribute('aLine', new THREE.BufferAttribute(line, 4))
+    geometry.setAttribute('aOrigin', new THREE.BufferAttribute(origins, 2))
+    geometry.setAttribute('aTiming', new THREE.BufferAttribute(timing, 4))
+    geometry.setAttribute('aStamp', new THREE.BufferAttribute(stamp, 2))
+    // Bounds of the fully extended lines cover every animation frame
+    geometry.computeBoundingSphere()
+    replayOriginRef.current = replayOrigin
+  }, [segments, seed, isBloom])
+
+  // Metric colors change on their own without touching the timings
+  useEffect(() => {
+    geometryRef.current?.setAttribute('aColor', new THREE.BufferAttribute(buildLineColors(colors, segments.length), 4))
+  }, [colors, segments])
+
+  useEffect(() => {
+    geometryRef.current?.setAttribute('aBand', new THREE.BufferAttribute(buildLineBands(segments, ringCount), 1))
+  }, [segments, ringCount])
+
+  // Alerted lines pulse faster (their alert color comes in with `colors`)
+  useEffect(() => {
+    geometryRef.current?.setAttribute('aAlert', new THREE.BufferAttribute(buildLineAlerts(alerts, segments.length), 1))
+  }, [alerts, segments])
+
+  useFrame((state, delta) => {
+    const material = materialRef.current
+    if (!material) return
+
+    // While replaying a time-stamped dataset, lines only show shortly after their sample time
+    const replayTime = timeline.datasetTime()
+    const { uniforms } = material
+    // The pulse follows pause, steps and seeks, but doesn't jump when the loop wraps or the range changes
+    uniforms.uTime.value = timeline.clock
+    uniforms.uReplay.value = replayTime === null ? 0 : 1
+    uniforms.uReplayTime.value = replayTime === null ? 0 : replayTime - replayOriginRef.current
+    uniforms.uReplayWindow.value = timeline.replayWindow()
+    uniforms.uCalm.value = THREE.MathUtils.damp(uniforms.uCalm.value, reducedMotion ? 1 : 0, CALM_RATE, delta)
+    uniforms.uAudio.value = THREE.MathUtils.damp(uniforms.uAudio.value, audio?.active ? 1 : 0, CALM_RATE, delta)
+    if (audio) uniforms.uBands.value.set(audio.bands)
+    uniforms.uFade.value = groupOpacityRef?.current ?? 1
+  })
+
+  return (
+    <lineSegments ref={meshRef} frustumCulled={true} userData={statsTag(isBloom ? 'bloomLines' : 'lines', segments.length)} {...pickHandlers}>
+      <bufferGeometry ref={geometryRef} />
+      <shaderMaterial
+        ref={materialRef}
+        vertexShader={AnimatedLineShader.vertexShader}
+        fragmentShader={AnimatedLineShader.fragmentShader}
+        uniforms={uniforms}
+        transparent
+        depthWrite={!!bloomSelection}
+        toneMapped={!isBloom}
+      />
+    </lineSegments>
+  )
+}
+
+export default AnimatedLines
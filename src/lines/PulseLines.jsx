@@ -0,0 +1,127 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { useBloomSelection } from '../bloom/useBloomSelection.js'
+import { pulseRing, resolvePulse } from '../stream/pulses.js'
+
+// Line shader with per-vertex opacity, written from JavaScript (live pulses)
+const PulseLineMaterial = {
+  vertexShader: `
+    attribute float aOpacity;
+    varying float vOpacity;
+    void main() {
+      vOpacity = aOpacity;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    varying float vOpacity;
+    uniform vec3 uColor;
+    void main() {
+      gl_FragColor = vec4(uColor, vOpacity);
+    }
+  `
+}
+
+// Upper bound on simultaneously visible event pulses, and on new pulses started per frame
+// so a backlog (e.g. after the tab was hidden) drains over a few frames instead of one
+const MAX_PULSES = 1024
+const MAX_NEW_PULSES_PER_FRAME = 64
+
+// Event-driven pulses from the live feed - each event shoots one line out from its ring
+// `circleOf(pulse)` finds the ring a pulse starts from (per site in the multi-site view).
+// With `reducedMotion` pulses appear at full length and only fade.
+const PulseLines = ({ queueRef, circles, circleOf, sectors, timeline, bloomSelection, reducedMotion = false, color = "#ffffff" }) => {
+  const meshRef = useRef()
+  const geometryRef = useRef()
+  const pulsesRef = useRef([])
+  const colorVec = useMemo(() => new THREE.Color(color), [color])
+  // Events name rings by number; past the highest one they start from the outermost ring
+  const ringLimit = useMemo(() => circles.reduce((max, circle) => Math.max(max, circle.ringIndex + 1), 0), [circles])
+
+  const positions = useRef(new Float32Array(MAX_PULSES * 6))
+  const opacities = useRef(new Float32Array(MAX_PULSES * 2))
+  useBloomSelection(bloomSelection, meshRef)
+
+  useEffect(() => {
+    if (!geometryRef.current) return
+    geometryRef.current.setAttribute('position', new THREE.BufferAttribute(positions.current, 3))
+    geometryRef.current.setAttribute('aOpacity', new THREE.BufferAttribute(opacities.current, 1))
+    geometryRef.current.setDrawRange(0, 0)
+  }, [])
+
+  useFrame(() => {
+    const geometry = geometryRef.current
+    if (!geometry) return
+
+    // Pulses pause, step and rewind with the timeline; finished ones are dropped, so they don't come back
+    const time = timeline.clock
+    const queue = queueRef.current
+    const pulses = pulsesRef.current
+
+    // Turn queued events into pulses
+    const incoming = queue.splice(0, MAX_NEW_PULSES_PER_FRAME)
+    for (const event of incoming) {
+      const pulse = resolvePulse(event, { ringCount: ringLimit, sectors })
+      if (!pulse) continue
+      if (pulses.length >= MAX_PULSES) pulses.shift()
+      pulses.push({ ...pulse, start: time })
+    }
+
+    // Drop finished pulses and write the live ones
+    let count = 0
+    for (let i = 0; i < pulses.length; i++) {
+      const pulse = pulses[i]
+      // Rewound to before its start, a pulse waits invisible at t = 0
+      const t = Math.max(0, (time - pulse.start) / pulse.duration)
+      // Rings can disappear under a live pulse when the quality tier drops
+      const circle = circleOf ? circleOf(pulse) : pulseRing(circles, pulse.ringIndex)
+      if (t >= 1 || !circle) continue
+      pulses[count] = pulse
+
+      // Shoot out over the first 40%, then fade while holding full length
+      const extend = reducedMotion ? 1 : Math.min(1, t / 0.4)
+      const eased = 1 - (1 - extend) ** 3
+      const fade = t < 0.4 ? Math.min(1, t * 8) : 1 - (t - 0.4) / 0.6
+
+      const startR = circle.radius + 0.05
+      const endR = startR + pulse.length * eased
+      const cos = Math.cos(pulse.angle)
+      const sin = Math.sin(pulse.angle)
+
+      const posIdx = count * 6
+      positions.current[posIdx] = cos * startR + circle.position[0]
+      positions.current[posIdx + 1] = sin * startR + circle.position[1]
+      positions.current[posIdx + 2] = circle.position[2]
+      positions.current[posIdx + 3] = cos * endR + circle.position[0]
+      positions.current[posIdx + 4] = sin * endR + circle.position[1]
+      positions.current[posIdx + 5] = circle.position[2]
+
+      const opIdx = count * 2
+      opacities.current[opIdx] = pulse.brightness * fade
+      opacities.current[opIdx + 1] = pulse.brightness * fade * 0.3
+      count++
+    }
+    pulses.length = count
+
+    geometry.setDrawRange(0, count * 2)
+    geometry.getAttribute('position').needsUpdate = true
+    geometry.getAttribute('aOpacity').needsUpdate = true
+  })
+
+  return (
+    <lineSegments ref={meshRef} frustumCulled={false}>
+      <bufferGeometry ref={geometryRef} />
+      <shaderMaterial
+        vertexShader={PulseLineMaterial.vertexShader}
+        fragmentShader={PulseLineMaterial.fragmentShader}
+        uniforms={{ uColor: { value: colorVec } }}
+        transparent
+        depthWrite={!!bloomSelection}
+        toneMapped={false}
+      />
+    </lineSegments>
+  )
+}
+
+export default PulseLines
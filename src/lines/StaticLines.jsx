@@ -0,0 +1,54 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import * as THREE from 'three'
+import { useBloomSelection } from '../bloom/useBloomSelection.js'
+
+// Static lines for non-animated display (fallback/performance)
+const StaticLines = ({ segments, color = "white", sharedMaterial, bloomSelection }) => {
+  const meshRef = useRef()
+  const geometryRef = useRef()
+  useBloomSelection(bloomSelection, meshRef)
+
+  const { positions, opacities } = useMemo(() => {
+    const positions = []
+    const opacities = []
+
+    segments.forEach(seg => {
+      positions.push(
+        seg.start[0], seg.start[1], seg.start[2],
+        seg.end[0], seg.end[1], seg.end[2]
+      )
+      opacities.push(seg.opacity, seg.opacity)
+    })
+
+    return {
+      positions: new Float32Array(positions),
+      opacities: new Float32Array(opacities)
+    }
+  }, [segments])
+
+  useEffect(() => {
+    if (geometryRef.current) {
+      geometryRef.current.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+      geometryRef.current.setAttribute('opacity', new THREE.BufferAttribute(opacities, 1))
+      geometryRef.current.computeBoundingSphere()
+    }
+  }, [positions, opacities])
+
+  return (
+    <lineSegments ref={meshRef} frustumCulled={true}>
+      <bufferGeometry ref={geometryRef} />
+      {sharedMaterial ? (
+        <primitive object={sharedMaterial} attach="material" />
+      ) : (
+        <lineBasicMaterial
+          color={color}
+          transparent
+          opacity={0.4}
+          vertexColors={false}
+        />
+      )}
+    </lineSegments>
+  )
+}
+
+export default StaticLines
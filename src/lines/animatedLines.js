@@ -0,0 +1,190 @@
+import { AUDIO_BANDS, bandOfRing, countRings } from '../audio/audioReactor.js'
+import { slotOf } from '../data/layout.js'
+
+/**
+ * GPU-side data for the animated radial lines.
+ *
+ * Every segment becomes two vertices that both carry the segment's static data;
+ * the vertex shader evaluates the shoot-out / hold / retract cycle from a time
+ * uniform, so nothing is rewritten per frame. `position` holds the fully
+ * extended line and is only used for bounds and picking. For reduced motion
+ * `uCalm` blends the cycle into lines that stay extended and only fade gently.
+ * In Symphony mode `uAudio` shortens and dims each line with the energy of its
+ * ring's frequency band (`uBands`, see audio/audioReactor.js).
+ */
+
+// Length of one shoot-out / hold / retract cycle, seconds
+export const LINE_CYCLE = 4
+
+// Lines of cells with an open alert run through the cycle this much faster
+export const ALERT_SPEEDUP = 2.5
+
+// How quickly lines (and the scene's breathing) settle into or out of reduced motion, per second
+export const CALM_RATE = 3
+
+export const AnimatedLineShader = {
+  vertexShader: `
+    attribute vec4 aLine;    // angle, start distance, length, z, around aOrigin
+    attribute vec2 aOrigin;  // stack centre the line radiates from (its site in the multi-site view)
+    attribute vec4 aTiming;  // speed, delay, opacity, endpoint (0 = start, 1 = end)
+    attribute vec2 aStamp;   // has timestamp, ms after uReplayOrigin
+    attribute vec4 aColor;   // metric color, alpha 0 hides the line
+    attribute float aAlert;  // 1 while the line's cell has an open alert
+    attribute float aBand;   // frequency band of the line's ring
+
+    uniform float uTime;
+    uniform float uReplay;   // 1 while a time-stamped dataset is replaying
+    uniform float uReplayTime;
+    uniform float uReplayWindow;
+    uniform float uCalm;     // 1 holds the lines still, fading instead of moving
+    uniform float uFade;     // opacity of the whole set
+    uniform float uAudio;    // 1 lets the audio drive length and opacity
+    uniform float uBands[${AUDIO_BANDS}];
+
+    varying float vOpacity;
+    varying vec3 vColor;
+
+    void main() {
+      float speed = aTiming.x * mix(1.0, ${ALERT_SPEEDUP.toFixed(1)}, aAlert);
+      float cycle = mod(uTime * speed + aTiming.y, ${LINE_CYCLE.toFixed(1)});
+
+      // Shoot out (0-1.5s), hold (1.5-2.5s), retract and fade (2.5-4s)
+      float progress;
+      float fade;
+      if (cycle < 1.5) {
+        progress = cycle / 1.5;
+        fade = min(1.0, progress * 2.0);
+      } else if (cycle < 2.5) {
+        progress = 1.0;
+        fade = 1.0;
+      } else {
+        progress = 1.0 - (cycle - 2.5) / 1.5;
+        fade = progress;
+      }
+
+      // Calm lines keep their full length and fade between 60% and 100% over the cycle
+      float calmFade = 0.8 + 0.2 * cos(cycle / ${LINE_CYCLE.toFixed(1)} * 6.2831853);
+      progress = mix(progress, 1.0, uCalm);
+      fade = mix(fade, calmFade, uCalm);
+
+      // easeInOutQuad
+      float back = 2.0 - 2.0 * progress;
+      float eased = progress < 0.5 ? 2.0 * progress * progress : 1.0 - back * back / 2.0;
+
+      // While replaying, a line only shows for a window after its sample time
+      float opacity = aTiming.z;
+      if (uReplay > 0.5 && aStamp.x > 0.5) {
+        float age = uReplayTime - aStamp.y;
+        opacity *= (age < 0.0 || age > uReplayWindow) ? 0.0 : 1.0 - age / uReplayWindow;
+      }
+      // A silent band leaves a stub at 20% length and 30% opacity; never past the stored full length
+      float energy = uBands[int(aBand)];
+      eased *= mix(1.0, 0.2 + 0.8 * energy, uAudio);
+      opacity *= mix(1.0, 0.3 + 0.7 * energy, uAudio);
+
+      vOpacity = opacity * fade * aColor.a * uFade;
+      vColor = aColor.rgb;
+
+      // The start stays near the ring, the end extends outward
+      float dist = aLine.y + aLine.z * eased * aTiming.w;
+      vec3 animated = vec3(aOrigin + vec2(cos(aLine.x), sin(aLine.x)) * dist, aLine.w);
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(animated, 1.0);
+    }
+  `,
+  fragmentShader: `
+    varying float vOpacity;
+    varying vec3 vColor;
+    uniform vec3 uColor;
+    void main() {
+      // Faded-out lines may write depth for bloom masking, so drop them entirely
+      if (vOpacity <= 0.0) discard;
+      gl_FragColor = vec4(uColor * vColor, vOpacity);
+    }
+  `
+}
+
+/**
+ * Build the static vertex attributes for `segments`. Timings come from
+ * `random`, drawn in the same order as before the animation moved to the GPU
+ * so a seed keeps its exact timings.
+ *
+ * Returns typed arrays for `position` (3), `aLine` (4), `aOrigin` (2), `aTiming` (4)
+ * and `aStamp` (2) plus `replayOrigin`, the epoch ms that `aStamp` is relative to
+ * (kept small so it fits a float32). Lines are measured from their segment's
+ * `origin`, the site centre in the multi-site view, or the world origin.
+ */
+export const buildLineAttributes = (segments, random) => {
+  const count = segments.length
+  const position = new Float32Array(count * 6)
+  const line = new Float32Array(count * 8)
+  const origins = new Float32Array(count * 4)
+  const timing = new Float32Array(count * 8)
+  const stamp = new Float32Array(count * 4)
+
+  let replayOrigin = Infinity
+  for (const seg of segments) {
+    const timestamp = seg.record?.sample.timestamp
+    if (timestamp !== undefined && timestamp < replayOrigin) replayOrigin = timestamp
+  }
+  if (replayOrigin === Infinity) replayOrigin = 0
+
+  segments.forEach((seg, i) => {
+    const [ox, oy] = seg.origin ?? [0, 0]
+    const angle = Math.atan2(seg.start[1] - oy, seg.start[0] - ox)
+    const ringZ = seg.start[2]
+    const startDist = Math.hypot(seg.start[0] - ox, seg.start[1] - oy)
+    const length = Math.hypot(seg.end[0] - ox, seg.end[1] - oy) - startDist
+
+    // Phase is no longer animated but is still drawn so speed and delay keep their per-seed values
+    random()
+    const speed = 0.8 + random() * 0.8
+    const delay = random() * 3
+
+    const timestamp = seg.record?.sample.timestamp
+
+    for (let end = 0; end < 2; end++) {
+      const v = i * 2 + end
+      const dist = startDist + length * end
+      position[v * 3] = ox + Math.cos(angle) * dist
+      position[v * 3 + 1] = oy + Math.sin(angle) * dist
+      position[v * 3 + 2] = ringZ
+
+      line.set([angle, startDist, length, ringZ], v * 4)
+      origins.set([ox, oy], v * 2)
+      timing.set([speed, delay, seg.opacity, end], v * 4)
+      stamp.set(timestamp === undefined ? [0, 0] : [1, timestamp - replayOrigin], v * 2)
+    }
+  })
+
+  return { position, line, origins, timing, stamp, replayOrigin }
+}
+
+/**
+ * Expand per-segment RGBA (see color/scale.js encodeColors) to both vertices of
+ * each segment. Without colors every line is white.
+ */
+export const buildLineColors = (colors, count) => {
+  const vertexColors = new Float32Array(count * 8)
+  for (let i = 0; i < count; i++) {
+    const rgba = colors && colors.length === count * 4 ? colors.subarray(i * 4, i * 4 + 4) : [1, 1, 1, 1]
+    vertexColors.set(rgba, i * 8)
+    vertexColors.set(rgba, i * 8 + 4)
+  }
+  return vertexColors
+}
+
+// Per-segment frequency band (see audio/audioReactor.js) for both vertices, from the ring's place in the stack
+export const buildLineBands = (segments, ringCount = countRings(segments)) => {
+  const vertexBands = new Float32Array(segments.length * 2)
+  segments.forEach((seg, i) => vertexBands.fill(bandOfRing(slotOf(seg), ringCount), i * 2, i * 2 + 2))
+  return vertexBands
+}
+
+// Per-segment alert flags (booleans) for both vertices of each segment
+export const buildLineAlerts = (flags, count) => {
+  const vertexAlerts = new Float32Array(count * 2)
+  flags?.forEach((flagged, i) => {
+    if (flagged && i < count) vertexAlerts.fill(1, i * 2, i * 2 + 2)
+  })
+  return vertexAlerts
+}
@@ -0,0 +1,46 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { BENCHMARK_STEP_SECONDS, BENCHMARK_WARMUP_SECONDS, benchmarkPose, describeEnvironment } from './benchmark.js'
+import { summarizeFrames } from './stats.js'
+
+const STEP_MS = (BENCHMARK_WARMUP_SECONDS + BENCHMARK_STEP_SECONDS) * 1000
+
+/**
+ * One benchmark step: flies the camera along the benchmark path, records frame
+ * times after the warm-up and then reports them with PerfProbe's latest snapshot
+ * from `statsRef` through `onDone`. Remount it (new key) for the next step.
+ */
+const BenchmarkRunner = ({ statsRef, onDone }) => {
+  const startRef = useRef(null)
+  const lastFrameRef = useRef(null)
+  const timesRef = useRef([])
+  const doneRef = useRef(false)
+
+  useFrame(({ camera, controls, gl }) => {
+    if (doneRef.current) return
+    const now = performance.now()
+    startRef.current ??= now
+    const elapsed = now - startRef.current
+
+    const { position, target } = benchmarkPose(Math.min(1, elapsed / STEP_MS))
+    camera.position.set(...position)
+    if (controls) {
+      controls.target.set(...target)
+      controls.update()
+    } else {
+      camera.lookAt(...target)
+    }
+
+    if (elapsed > BENCHMARK_WARMUP_SECONDS * 1000 && lastFrameRef.current !== null) timesRef.current.push(now - lastFrameRef.current)
+    lastFrameRef.current = now
+    if (elapsed < STEP_MS) return
+
+    doneRef.current = true
+    const { render, counts, memory } = statsRef.current ?? {}
+    onDone({ frames: summarizeFrames(timesRef.current), render, counts, memory, environment: describeEnvironment(gl) })
+  })
+
+  return null
+}
+
+export default BenchmarkRunner
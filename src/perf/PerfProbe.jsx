@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { collectSceneStats, createFrameSampler, readRenderInfo, summarizeFrames } from './stats.js'
+
+// How often the scene is traversed and a snapshot published, ms
+const SAMPLE_INTERVAL_MS = 500
+
+/**
+ * Measures the canvas it is mounted in and publishes a snapshot to `statsRef.current`
+ * twice a second: frame times over the last few seconds, the previous frame's draw
+ * calls and primitives, tagged item counts and the GPU memory estimate (see
+ * stats.js). The renderer's counters are reset once per frame instead of per
+ * render call, so they add up every bloom pass.
+ */
+const PerfProbe = ({ statsRef }) => {
+  const get = useThree(state => state.get)
+  const [sampler] = useState(() => createFrameSampler())
+  const lastFrameRef = useRef(null)
+  const sampledAtRef = useRef(-Infinity)
+
+  // Back to three's default of resetting the counters on every render call
+  useEffect(() => () => {
+    get().gl.info.autoReset = true
+    statsRef.current = null
+  }, [get, statsRef])
+
+  // Runs before every other frame callback, so it sees the whole previous frame
+  useFrame(({ gl, scene }) => {
+    const now = performance.now()
+    if (lastFrameRef.current !== null) sampler.record(now - lastFrameRef.current)
+    lastFrameRef.current = now
+    const render = readRenderInfo(gl)
+    gl.info.autoReset = false
+    gl.info.reset()
+
+    if (now - sampledAtRef.current < SAMPLE_INTERVAL_MS) return
+    sampledAtRef.current = now
+    statsRef.current = { frames: summarizeFrames(sampler.times()), render, ...collectSceneStats(scene, gl) }
+  }, -1)
+
+  return null
+}
+
+export default PerfProbe
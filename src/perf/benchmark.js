@@ -0,0 +1,87 @@
+import { createSyntheticNetwork } from '../data/syntheticNetwork.js'
+import { validateDataset } from '../data/schema.js'
+import { createRandom } from '../utils/random.js'
+
+/**
+ * Benchmark mode (`?benchmark`): for each size, a synthetic network with that many
+ * sites is shown in the multi-site view while the camera follows a scripted path,
+ * and the frame times, renderer counters, item counts and memory estimate are
+ * recorded. The resulting JSON report is stable enough to diff between versions;
+ * `npm run bench:compare` prints the differences.
+ */
+
+export const DEFAULT_BENCHMARK_SIZES = [10, 50, 200, 800]
+// Frames while a size settles in (layout upload, shader compile) aren't measured
+export const BENCHMARK_WARMUP_SECONDS = 1
+export const BENCHMARK_STEP_SECONDS = 8
+export const BENCHMARK_REPORT_VERSION = 1
+
+// Distances of the camera path from the orbit target: starts far, closes in, backs off
+const PATH_FAR = 24
+const PATH_NEAR = 8
+const PATH_TARGET = [0, 0, 0]
+
+/**
+ * Site counts from `?benchmark=10,100,1000`, ascending; the default sizes for a bare
+ * `?benchmark` or a list without a valid count, null without the parameter.
+ */
+export const parseBenchmarkSizes = (text) => {
+  if (text === null || text === undefined) return null
+  const sizes = [...new Set(text.split(',').map(Number).filter(size => Number.isInteger(size) && size > 0))]
+  return sizes.length > 0 ? sizes.sort((a, b) => a - b) : DEFAULT_BENCHMARK_SIZES
+}
+
+// The same network for a given size on every run
+export const createBenchmarkDataset = (sites) =>
+  validateDataset(createSyntheticNetwork(sites, createRandom(`benchmark:${sites}`)))
+
+/**
+ * Camera pose at `t` (0..1) along the benchmark path: one full orbit that rises and
+ * sinks while it zooms in to PATH_NEAR halfway and back out.
+ */
+export const benchmarkPose = (t) => {
+  const azimuth = t * Math.PI * 2
+  const elevation = 0.35 + 0.25 * Math.sin(t * Math.PI * 4)
+  const distance = PATH_FAR - (PATH_FAR - PATH_NEAR) * Math.sin(t * Math.PI)
+  return {
+    position: [
+      PATH_TARGET[0] + Math.cos(elevation) * Math.sin(azimuth) * distance,
+      PATH_TARGET[1] + Math.sin(elevation) * distance,
+      PATH_TARGET[2] + Math.cos(elevation) * Math.cos(azimuth) * distance
+    ],
+    target: PATH_TARGET
+  }
+}
+
+// Browser and GPU the report was measured on
+export const describeEnvironment = (gl) => {
+  const context = gl.getContext()
+  const debugInfo = context.getExtension('WEBGL_debug_renderer_info')
+  return {
+    userAgent: navigator.userAgent,
+    renderer: context.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : context.RENDERER),
+    pixelRatio: gl.getPixelRatio(),
+    canvas: [gl.domElement.width, gl.domElement.height]
+  }
+}
+
+export const createBenchmarkReport = ({ tier, environment, steps }) => ({
+  version: BENCHMARK_REPORT_VERSION,
+  createdAt: new Date().toISOString(),
+  tier,
+  warmupSeconds: BENCHMARK_WARMUP_SECONDS,
+  stepSeconds: BENCHMARK_STEP_SECONDS,
+  environment,
+  steps
+})
+
+/**
+ * Hand a finished report to whoever drives the page: logged as JSON, kept in
+ * `window.symphonyBenchmark` and dispatched as a `symphony-benchmark` event, so a
+ * headless browser can pick it up.
+ */
+export const publishBenchmarkReport = (report) => {
+  console.info(JSON.stringify(report, null, 2))
+  window.symphonyBenchmark = report
+  window.dispatchEvent(new CustomEvent('symphony-benchmark', { detail: report }))
+}
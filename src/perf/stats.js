@@ -0,0 +1,121 @@
+import * as THREE from 'three'
+
+/**
+ * Measurements behind the performance overlay and the benchmark report: frame-time
+ * percentiles, renderer counters, per-component item counts and a GPU memory
+ * estimate. Components that draw many items tag their object with `statsTag` so a
+ * scene traversal can count them without knowing the component tree.
+ */
+
+// Item kinds the overlay lists, in order
+export const STAT_KINDS = {
+  rings: 'Rings (InstancedCircles)',
+  bloomRings: 'Bloom rings (BloomCircles)',
+  lines: 'Line segments (AnimatedLines)',
+  bloomLines: 'Bloom line segments',
+  labels: 'Labels'
+}
+
+// `userData` marking an object as drawing `count` items of `kind`
+export const statsTag = (kind, count) => ({ stats: { kind, count } })
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Nearest-rank percentile of an ascending list
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))]
+
+/** Frame count, mean fps and frame-time percentiles (ms) of a list of frame times. */
+export const summarizeFrames = (times) => {
+  if (times.length === 0) return { frames: 0, fps: 0, mean: 0, p50: 0, p95: 0, p99: 0, max: 0 }
+  const sorted = [...times].sort((a, b) => a - b)
+  const mean = sorted.reduce((sum, time) => sum + time, 0) / sorted.length
+  return {
+    frames: sorted.length,
+    fps: round(1000 / mean),
+    mean: round(mean),
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1])
+  }
+}
+
+// The last `capacity` frame times, in ms
+export const createFrameSampler = (capacity = 300) => {
+  const times = []
+  return {
+    record: (time) => {
+      times.push(time)
+      if (times.length > capacity) times.shift()
+    },
+    times: () => times
+  }
+}
+
+// Draw calls and primitives the renderer counted since its info was last reset
+export const readRenderInfo = (gl) => {
+  const { calls, triangles, lines, points } = gl.info.render
+  return { calls, triangles, lines, points }
+}
+
+const attributeBytes = (attribute) => attribute?.array?.byteLength ?? 0
+
+const geometryBytes = (geometry) => Object.values(geometry.attributes).reduce(
+  (sum, attribute) => sum + attributeBytes(attribute),
+  attributeBytes(geometry.index)
+)
+
+const NO_MIPMAP_FILTERS = [THREE.NearestFilter, THREE.LinearFilter]
+
+// RGBA8 unless the texture carries its own data, a third more with mipmaps
+const textureBytes = (texture) => {
+  const image = texture.image
+  if (!image) return 0
+  const base = image.data?.byteLength ?? (image.width ?? 0) * (image.height ?? 0) * 4
+  const mipmapped = texture.generateMipmaps && !NO_MIPMAP_FILTERS.includes(texture.minFilter)
+  return Math.round(mipmapped ? (base * 4) / 3 : base)
+}
+
+const materialTextures = (material, found) => {
+  const values = [...Object.values(material), ...Object.values(material.uniforms ?? {}).map(uniform => uniform.value)]
+  values.forEach(value => { if (value?.isTexture) found.add(value) })
+}
+
+/**
+ * Tagged item counts per kind (see statsTag) and estimated GPU memory in bytes for
+ * what `scene` holds: vertex, index and instance buffers, textures, and the
+ * canvas's color and depth buffers. Render targets of post-processing aren't
+ * counted, so this is a lower bound.
+ */
+export const collectSceneStats = (scene, gl) => {
+  const counts = Object.fromEntries(Object.keys(STAT_KINDS).map(kind => [kind, 0]))
+  const geometries = new Set()
+  const textures = new Set()
+  let instanceBytes = 0
+
+  scene.traverse(object => {
+    const tag = object.userData.stats
+    if (tag && tag.kind in counts) counts[tag.kind] += tag.count
+    if (object.geometry) geometries.add(object.geometry)
+    if (object.isInstancedMesh) instanceBytes += attributeBytes(object.instanceMatrix) + attributeBytes(object.instanceColor)
+    const materials = Array.isArray(object.material) ? object.material : object.material ? [object.material] : []
+    materials.forEach(material => materialTextures(material, textures))
+  })
+
+  const canvas = gl.domElement
+  const buffers = [...geometries].reduce((sum, geometry) => sum + geometryBytes(geometry), instanceBytes)
+  const images = [...textures].reduce((sum, texture) => sum + textureBytes(texture), 0)
+  // RGBA color plus 24-bit depth and 8-bit stencil per pixel
+  const drawingBuffer = canvas.width * canvas.height * 8
+  return {
+    counts,
+    memory: { buffers, textures: images, drawingBuffer, total: buffers + images + drawingBuffer },
+    objects: { geometries: gl.info.memory.geometries, textures: gl.info.memory.textures }
+  }
+}
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} kB`
+  return `${bytes} B`
+}
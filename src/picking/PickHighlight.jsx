@@ -0,0 +1,46 @@
+import React from 'react'
+import { Line } from '@react-three/drei'
+import * as THREE from 'three'
+
+export const HOVER_COLOR = '#80d8ff'
+export const SELECT_COLOR = '#40c4ff'
+
+// Outline for a picked ring or line; labels highlight themselves via TextLabels
+const PickHighlight = ({ target, color, opacity = 1 }) => {
+  if (!target) return null
+  const { kind, data } = target
+
+  if (kind === 'ring' || kind === 'bloomRing') {
+    return (
+      <mesh position={data.position} scale={data.radius} renderOrder={2}>
+        <ringGeometry args={[0.985, 1.015, 128]} />
+        <meshBasicMaterial
+          color={color}
+          transparent
+          opacity={opacity}
+          side={THREE.DoubleSide}
+          depthWrite={false}
+          toneMapped={false}
+        />
+      </mesh>
+    )
+  }
+
+  if (kind === 'line' || kind === 'bloomLine') {
+    return (
+      <Line
+        points={[data.start, data.end]}
+        color={color}
+        lineWidth={2.5}
+        transparent
+        opacity={opacity}
+        depthWrite={false}
+        toneMapped={false}
+      />
+    )
+  }
+
+  return null
+}
+
+export default PickHighlight
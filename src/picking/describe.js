@@ -0,0 +1,90 @@
+const KIND_TITLES = {
+  ring: 'Ring',
+  bloomRing: 'Ring (glow)',
+  line: 'Line',
+  bloomLine: 'Line (glow)',
+  label: 'Label',
+  site: 'Site'
+}
+
+const fixed = (value, digits = 2) => Number.isFinite(value) ? value.toFixed(digits) : '—'
+
+// Distance and compass bearing (clockwise from north) from the stack centre, which is
+// the site's own centre (`origin`) in the multi-site view
+const radialOf = ([x, y], [ox, oy] = [0, 0]) => Math.hypot(x - ox, y - oy)
+const bearingOf = ([x, y], [ox, oy] = [0, 0]) => ((90 - (Math.atan2(y - oy, x - ox) * 180) / Math.PI) % 360 + 360) % 360
+
+const metricRows = (metrics) => metrics ? [
+  ['RSRP', `${fixed(metrics.rsrp, 1)} dBm`],
+  ['RSRQ', `${fixed(metrics.rsrq, 1)} dB`],
+  ['SINR', `${fixed(metrics.sinr, 1)} dB`],
+  ['Throughput', `${fixed(metrics.throughput, 1)} Mbit/s`],
+  ...(metrics.load !== undefined ? [['Load', `${fixed(metrics.load, 0)}%`]] : []),
+  ...(metrics.dropRate !== undefined ? [['Drop rate', `${fixed(metrics.dropRate, 1)}%`]] : [])
+] : []
+
+const recordRows = (record) => record ? [
+  ['Site', record.siteId],
+  ['Sector', record.sectorId],
+  ['Technology', record.technology],
+  ...metricRows(record.sample),
+  ...(record.sample.timestamp ? [['Measured', new Date(record.sample.timestamp).toLocaleString()]] : [])
+] : []
+
+/**
+ * Turn a pick `{ kind, index, data }` into a title and `[label, value]` rows for the inspector.
+ */
+export const describeSelection = ({ kind, index, data }) => {
+  const title = `${KIND_TITLES[kind] ?? kind} #${index}`
+
+  if (kind === 'ring' || kind === 'bloomRing') {
+    return {
+      title,
+      rows: [
+        ['Ring index', data.ringIndex],
+        ['Radius', fixed(data.radius)],
+        ['Opacity', fixed(data.opacity)],
+        ...(data.metrics ? [['Samples', data.metrics.samples], ...metricRows(data.metrics)] : []),
+        ...(data.metrics?.technology ? [['Main technology', data.metrics.technology]] : [])
+      ]
+    }
+  }
+
+  if (kind === 'site') {
+    return {
+      title: `${KIND_TITLES.site} ${data.name}`,
+      rows: [
+        ['Site', data.id],
+        ['Location', `${fixed(data.lat, 4)}, ${fixed(data.lon, 4)}`],
+        ['Samples', data.metrics.samples],
+        ...metricRows(data.metrics),
+        ['Main technology', data.metrics.technology]
+      ]
+    }
+  }
+
+  if (kind === 'line' || kind === 'bloomLine') {
+    return {
+      title,
+      rows: [
+        ['Ring index', data.ringIndex],
+        ['Bearing', `${fixed(bearingOf(data.start, data.origin), 1)}°`],
+        ['Radius', `${fixed(radialOf(data.start, data.origin))} – ${fixed(radialOf(data.end, data.origin))}`],
+        ['Opacity', fixed(data.opacity)],
+        ...recordRows(data.record)
+      ]
+    }
+  }
+
+  return {
+    title,
+    rows: [
+      // Data-bound labels draw their template, which follows replay and live values; their record is below
+      ...(data.record ? [] : [['Text', data.text]]),
+      ['Ring index', data.ringIndex ?? '—'],
+      ['Opacity', fixed(data.opacity)],
+      ['Size', fixed(data.size, 3)],
+      ...recordRows(data.record)
+    ]
+  }
+}
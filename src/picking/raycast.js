@@ -0,0 +1,49 @@
+import * as THREE from 'three'
+
+// How far from a ring outline (in ring-plane units) a pointer still counts as on it
+export const RING_PICK_TOLERANCE = 0.04
+// Same for lines; passed to the Canvas raycaster (three's default of 1 unit is far too coarse)
+export const LINE_PICK_THRESHOLD = 0.04
+
+// Full params object: the Canvas replaces raycaster.params wholesale
+export const RAYCASTER_PARAMS = {
+  Mesh: {},
+  Line: { threshold: LINE_PICK_THRESHOLD },
+  LOD: {},
+  Points: { threshold: 1 },
+  Sprite: {}
+}
+
+const _inverse = new THREE.Matrix4()
+const _ray = new THREE.Ray()
+const _plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0)
+const _point = new THREE.Vector3()
+
+/**
+ * Raycast replacement for the instanced ring meshes. The outlines are only 0.005
+ * wide, so instead of hitting triangles each ring is tested as a circle in its own
+ * plane with RING_PICK_TOLERANCE of slack. The ray is taken into the mesh's local
+ * space first, so hits stay correct while the parent group rotates and pulses.
+ * Hits carry `instanceId`, just like three's own InstancedMesh raycast.
+ * Rings whose entry in `colors` (RGBA per ring) has alpha 0 are hidden and never hit.
+ */
+export const createRingRaycast = (circles, { tolerance = RING_PICK_TOLERANCE, colors } = {}) => function (raycaster, intersects) {
+  _inverse.copy(this.matrixWorld).invert()
+  _ray.copy(raycaster.ray).applyMatrix4(_inverse)
+
+  for (let i = 0; i < circles.length; i++) {
+    const circle = circles[i]
+    if (colors?.[i * 4 + 3] === 0) continue
+    _plane.constant = -circle.position[2]
+    if (!_ray.intersectPlane(_plane, _point)) continue
+
+    const radial = Math.hypot(_point.x - circle.position[0], _point.y - circle.position[1])
+    if (Math.abs(radial - circle.radius) > tolerance) continue
+
+    const point = _point.clone().applyMatrix4(this.matrixWorld)
+    const distance = raycaster.ray.origin.distanceTo(point)
+    if (distance < raycaster.near || distance > raycaster.far) continue
+
+    intersects.push({ distance, point, object: this, instanceId: i })
+  }
+}
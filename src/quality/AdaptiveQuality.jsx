@@ -0,0 +1,57 @@
+import React, { useRef } from 'react'
+import { PerformanceMonitor } from '@react-three/drei'
+import { stepTier } from './tiers.js'
+
+// After a downgrade, wait this long before trying a higher tier again
+const UPGRADE_COOLDOWN_MS = 10000
+// Stop upgrading once the tier has bounced between up and down this many times
+const MAX_REVERSALS = 3
+
+/**
+ * Steps the quality tier up or down from measured frame rates.
+ *
+ * PerformanceMonitor averages fps over 250ms windows and only reports an incline or
+ * decline when most of the last 10 windows sit outside the [lower, upper] band, which
+ * is the main hysteresis. On top of that, upgrades are held back for a while after a
+ * downgrade, and once the tier keeps bouncing it settles: downgrades still happen,
+ * upgrades no longer do.
+ *
+ * The monitor stays mounted while `enabled` is false so its children are not
+ * remounted when adaptation is toggled; it simply ignores what it measures.
+ */
+const AdaptiveQuality = ({ tier, onChange, enabled = true, children }) => {
+  const stateRef = useRef({ lastDecline: -Infinity, lastDirection: 0, reversals: 0 })
+
+  const change = (direction) => {
+    if (!enabled) return
+    const state = stateRef.current
+    const next = stepTier(tier, direction)
+    if (next === tier) return
+
+    if (state.lastDirection !== 0 && state.lastDirection !== direction) state.reversals++
+    state.lastDirection = direction
+    onChange(next)
+  }
+
+  return (
+    <PerformanceMonitor
+      bounds={(refreshrate) => refreshrate > 100 ? [60, 100] : [45, 58]}
+      onDecline={() => {
+        if (!enabled) return
+        stateRef.current.lastDecline = performance.now()
+        change(-1)
+      }}
+      onIncline={() => {
+        if (!enabled) return
+        const state = stateRef.current
+        if (state.reversals >= MAX_REVERSALS) return
+        if (performance.now() - state.lastDecline < UPGRADE_COOLDOWN_MS) return
+        change(1)
+      }}
+    >
+      {children}
+    </PerformanceMonitor>
+  )
+}
+
+export default AdaptiveQuality
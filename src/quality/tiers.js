@@ -0,0 +1,68 @@
+// Quality tiers, lowest first. `medium` matches the original hard-coded look.
+// Bloom only sees selected objects, so its luminance threshold can sit low
+// enough for faint lines in a selection to glow too.
+export const TIER_ORDER = ['low', 'medium', 'high', 'ultra']
+
+export const QUALITY_TIERS = {
+  low: {
+    numRings: 14,
+    ringSegments: 32,
+    lineMultiplier: 0.45,
+    textMultiplier: 0.4,
+    bloom: { intensity: 1.2, radius: 0.25, luminanceThreshold: 0.2, luminanceSmoothing: 0.075 },
+    dpr: 1
+  },
+  medium: {
+    numRings: 25,
+    ringSegments: 60,
+    lineMultiplier: 0.8,
+    textMultiplier: 0.75,
+    bloom: { intensity: 1.6, radius: 0.35, luminanceThreshold: 0.2, luminanceSmoothing: 0.075 },
+    dpr: 1.5
+  },
+  high: {
+    numRings: 32,
+    ringSegments: 96,
+    lineMultiplier: 1,
+    textMultiplier: 1,
+    bloom: { intensity: 1.8, radius: 0.4, luminanceThreshold: 0.2, luminanceSmoothing: 0.075 },
+    dpr: 2
+  },
+  ultra: {
+    numRings: 40,
+    ringSegments: 128,
+    lineMultiplier: 1.3,
+    textMultiplier: 1.2,
+    bloom: { intensity: 2, radius: 0.45, luminanceThreshold: 0.2, luminanceSmoothing: 0.075 },
+    dpr: 3
+  }
+}
+
+export const isTier = (value) => TIER_ORDER.includes(value)
+
+// Step one tier up (+1) or down (-1), clamped to the ends
+export const stepTier = (tier, direction) => {
+  const index = TIER_ORDER.indexOf(tier) + direction
+  return TIER_ORDER[Math.min(TIER_ORDER.length - 1, Math.max(0, index))]
+}
+
+// Never render above the screen's own pixel ratio
+export const tierDpr = (tier) => Math.min(QUALITY_TIERS[tier].dpr, window.devicePixelRatio || 1)
+
+/**
+ * Pick a starting tier from device hints. This is only a first guess;
+ * AdaptiveQuality corrects it from measured frame rates.
+ */
+export const detectInitialTier = () => {
+  const nav = window.navigator
+  const cores = nav.hardwareConcurrency || 4
+  const memory = nav.deviceMemory || 4 // GB, Chromium only
+  const coarsePointer = window.matchMedia?.('(pointer: coarse)').matches
+  const saveData = nav.connection?.saveData
+  const reducedData = window.matchMedia?.('(prefers-reduced-data: reduce)').matches
+
+  if (saveData || reducedData || memory <= 2 || cores <= 2) return 'low'
+  if (coarsePointer) return cores >= 8 && memory >= 6 ? 'medium' : 'low'
+  if (cores >= 12 && memory >= 8) return 'high'
+  return 'medium'
+}
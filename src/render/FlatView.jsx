@@ -0,0 +1,87 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { buildSceneLayout } from '../data/sceneLayout.js'
+import { drawFlatLayout } from './flatRenderer.js'
+import { ALERT_COLOR } from '../alerts/alerts.js'
+import { measurementKey } from '../stream/measurements.js'
+import { DEFAULT_COLOR_ENCODING, createColorScale, cssColorOf } from '../color/scale.js'
+import { DEFAULT_LABEL_TEMPLATE, compileLabelTemplate } from '../text/templates.js'
+
+/**
+ * 2D fallback for the WebGL scene: the layout Scene would build from the same
+ * props, drawn top-down on a plain canvas (see flatRenderer.js) in the scene's
+ * metric colors, with alerted cells in the alert color. It is a still picture; it
+ * redraws when its props or its size change.
+ */
+const FlatView = ({
+  dataset,
+  siteView = false,
+  projection,
+  qualitySettings,
+  ringGeometry,
+  seed = 0,
+  colorScale: colorScaleProp,
+  labelTemplate = DEFAULT_LABEL_TEMPLATE,
+  alertKeys,
+  ...ariaProps
+}) => {
+  const canvasRef = useRef()
+  const [size, setSize] = useState(null)
+
+  const layout = useMemo(
+    () => buildSceneLayout({ dataset, siteView, projection, qualitySettings, ringGeometry, seed }),
+    [dataset, siteView, projection, qualitySettings, ringGeometry, seed]
+  )
+  const colorScale = useMemo(() => colorScaleProp ?? createColorScale(DEFAULT_COLOR_ENCODING, dataset), [colorScaleProp, dataset])
+
+  // One CSS color (or null when hidden) per item of each pickable set, as Scene paints them
+  const colors = useMemo(() => {
+    const alerted = (item) => !!alertKeys?.size && (
+      item.record
+        ? alertKeys.has(measurementKey(item.record.sectorId, item.record.sample.ring))
+        : !!item.samplePoints?.some(point => alertKeys.has(measurementKey(point.sectorId, point.sample.ring)))
+    )
+    const paint = (items) => items.map(item => {
+      const color = cssColorOf(item, colorScale)
+      return color && alerted(item) ? ALERT_COLOR : color
+    })
+    return {
+      ring: paint(layout.circles),
+      bloomRing: paint(layout.bloomCircles),
+      line: paint(layout.lineSegments),
+      bloomLine: paint(layout.bloomLineSegments),
+      label: paint(layout.textLabels)
+    }
+  }, [layout, colorScale, alertKeys])
+
+  const formatLabel = useMemo(() => compileLabelTemplate(labelTemplate), [labelTemplate])
+  const texts = useMemo(
+    () => layout.textLabels.map(label => label.record ? formatLabel(label.record) : label.text),
+    [layout.textLabels, formatLabel]
+  )
+
+  // Track the canvas's CSS size so the drawing stays sharp and fitted
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      setSize(prev => prev?.width === width && prev?.height === height ? prev : { width, height })
+    })
+    observer.observe(canvas)
+    return () => observer.disconnect()
+  }, [])
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!size || size.width === 0 || size.height === 0) return
+    const dpr = window.devicePixelRatio || 1
+    canvas.width = Math.round(size.width * dpr)
+    canvas.height = Math.round(size.height * dpr)
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    drawFlatLayout(ctx, layout, { width: size.width, height: size.height, colors, texts })
+  }, [layout, colors, texts, size])
+
+  return <canvas ref={canvasRef} style={{ display: 'block', width: '100%', height: '100%' }} {...ariaProps} />
+}
+
+export default FlatView
@@ -0,0 +1,25 @@
+import React from 'react'
+
+/**
+ * Catches an error thrown while mounting or rendering a `<Canvas>`, e.g. a WebGL
+ * context that can't be created, and reports it through `onError` so the owner can
+ * switch to the 2D fallback. Renders nothing once it has caught one.
+ */
+class RenderErrorBoundary extends React.Component {
+  state = { failed: false }
+
+  static getDerivedStateFromError () {
+    return { failed: true }
+  }
+
+  componentDidCatch (error) {
+    console.error('3D view failed:', error)
+    this.props.onError?.(error)
+  }
+
+  render () {
+    return this.state.failed ? null : this.props.children
+  }
+}
+
+export default RenderErrorBoundary
@@ -0,0 +1,111 @@
+/**
+ * 2D Canvas drawing of a scene layout (see data/sceneLayout.js), seen from straight
+ * above: rings, radial lines and labels in their layout positions with depth
+ * dropped. Used when WebGL is unavailable; it draws a still picture, so lines are
+ * shown at full length and glowing items get a canvas shadow instead of bloom.
+ */
+
+export const FLAT_BACKGROUND = '#0a0a0a'
+
+// Screen margin around the fitted layout, CSS pixels
+const PADDING = 24
+// Opacities of the WebGL materials the flat view stands in for
+const RING_OPACITY = 0.6
+const GLOW_OPACITY = 0.9
+const GLOW_BLUR = 8
+const MIN_FONT_PX = 8
+
+// Scene-space bounds of everything drawn, from above
+export const layoutBounds = ({ circles, lineSegments, bloomLineSegments, textLabels }) => {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+  const add = (x, y, radius = 0) => {
+    bounds.minX = Math.min(bounds.minX, x - radius)
+    bounds.minY = Math.min(bounds.minY, y - radius)
+    bounds.maxX = Math.max(bounds.maxX, x + radius)
+    bounds.maxY = Math.max(bounds.maxY, y + radius)
+  }
+  circles.forEach(circle => add(circle.position[0], circle.position[1], circle.radius))
+  for (const segment of [...lineSegments, ...bloomLineSegments]) {
+    add(segment.start[0], segment.start[1])
+    add(segment.end[0], segment.end[1])
+  }
+  textLabels.forEach(label => add(label.position[0], label.position[1]))
+  return bounds.minX <= bounds.maxX ? bounds : { minX: -1, minY: -1, maxX: 1, maxY: 1 }
+}
+
+// Top-down projection fitting `bounds` into `width` × `height` pixels; scene y points up
+export const fitProjection = (bounds, width, height) => {
+  const spanX = bounds.maxX - bounds.minX || 1
+  const spanY = bounds.maxY - bounds.minY || 1
+  const scale = Math.max(0, Math.min((width - 2 * PADDING) / spanX, (height - 2 * PADDING) / spanY))
+  const centerX = (bounds.minX + bounds.maxX) / 2
+  const centerY = (bounds.minY + bounds.maxY) / 2
+  return {
+    scale,
+    x: (x) => width / 2 + (x - centerX) * scale,
+    y: (y) => height / 2 - (y - centerY) * scale
+  }
+}
+
+/**
+ * Draw `layout` onto a 2D context sized `width` × `height` CSS pixels. `colors`
+ * holds a CSS color per item for each pickable set (`ring`, `bloomRing`, `line`,
+ * `bloomLine`, `label`), null for hidden items; `texts` the label strings.
+ */
+export const drawFlatLayout = (ctx, layout, { width, height, colors, texts }) => {
+  const { circles, bloomCircles, lineSegments, bloomLineSegments, textLabels } = layout
+  const view = fitProjection(layoutBounds(layout), width, height)
+
+  ctx.save()
+  ctx.globalAlpha = 1
+  ctx.fillStyle = FLAT_BACKGROUND
+  ctx.fillRect(0, 0, width, height)
+  ctx.lineWidth = 1
+
+  const ring = (circle, color, opacity, glow) => {
+    if (!color) return
+    ctx.globalAlpha = opacity
+    ctx.strokeStyle = color
+    ctx.shadowColor = color
+    ctx.shadowBlur = glow ? GLOW_BLUR : 0
+    ctx.beginPath()
+    ctx.arc(view.x(circle.position[0]), view.y(circle.position[1]), circle.radius * view.scale, 0, Math.PI * 2)
+    ctx.stroke()
+  }
+
+  const line = (segment, color, opacity, glow) => {
+    if (!color) return
+    ctx.globalAlpha = opacity
+    ctx.strokeStyle = color
+    ctx.shadowColor = color
+    ctx.shadowBlur = glow ? GLOW_BLUR : 0
+    ctx.beginPath()
+    ctx.moveTo(view.x(segment.start[0]), view.y(segment.start[1]))
+    ctx.lineTo(view.x(segment.end[0]), view.y(segment.end[1]))
+    ctx.stroke()
+  }
+
+  circles.forEach((circle, i) => ring(circle, colors.ring[i], RING_OPACITY, false))
+  bloomCircles.forEach((circle, i) => ring(circle, colors.bloomRing[i], GLOW_OPACITY, true))
+  lineSegments.forEach((segment, i) => line(segment, colors.line[i], segment.opacity, false))
+  bloomLineSegments.forEach((segment, i) => line(segment, colors.bloomLine[i], GLOW_OPACITY, true))
+
+  // Labels read along their bearing like the 3D ones, anchored at their left edge
+  ctx.shadowBlur = 0
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'middle'
+  textLabels.forEach((label, i) => {
+    const color = colors.label[i]
+    if (!color) return
+    ctx.globalAlpha = label.opacity
+    ctx.fillStyle = color
+    ctx.font = `${Math.max(MIN_FONT_PX, label.size * view.scale)}px ui-monospace, monospace`
+    ctx.save()
+    ctx.translate(view.x(label.position[0]), view.y(label.position[1]))
+    ctx.rotate(-label.rotation)
+    ctx.fillText(texts[i], 0, 0)
+    ctx.restore()
+  })
+
+  ctx.restore()
+}
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+
+// How long the browser gets to restore a lost context before a fresh canvas replaces it
+const RESTORE_TIMEOUT_MS = 3000
+// More losses than this within the window give up on WebGL for the session
+const MAX_LOSSES = 3
+const LOSS_WINDOW_MS = 60_000
+
+/**
+ * WebGL context-loss recovery for one R3F `<Canvas>`: pass `onCreated` to the canvas
+ * and use `generation` as its key. While the context is lost `status` is 'lost'.
+ * Once the browser restores it, or after RESTORE_TIMEOUT_MS, `generation` moves on
+ * and the canvas remounts, rebuilding every mesh, line buffer and material on a
+ * fresh context. `onLost` runs first, e.g. to remember the camera. Repeated losses
+ * set `failed`, the cue to switch to the 2D fallback.
+ */
+export const useContextRecovery = (onLost) => {
+  const [state, setState] = useState({ generation: 0, status: 'ok', failed: false })
+  const lossesRef = useRef([])
+  const timerRef = useRef(null)
+
+  const onLostRef = useRef(onLost)
+  useEffect(() => {
+    onLostRef.current = onLost
+  })
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  const rebuild = useCallback(() => {
+    clearTimeout(timerRef.current)
+    setState(prev => prev.status === 'lost' ? { ...prev, generation: prev.generation + 1, status: 'ok' } : prev)
+  }, [])
+
+  const onCreated = useCallback(({ gl }) => {
+    const canvas = gl.domElement
+    // R3F forces a context loss on canvases it unmounts; only a live canvas counts
+    canvas.addEventListener('webglcontextlost', (event) => {
+      if (!canvas.isConnected) return
+      // Without this the browser never restores the context
+      event.preventDefault()
+      onLostRef.current?.()
+
+      const now = performance.now()
+      lossesRef.current = [...lossesRef.current.filter(time => now - time < LOSS_WINDOW_MS), now]
+      clearTimeout(timerRef.current)
+      if (lossesRef.current.length > MAX_LOSSES) {
+        setState(prev => ({ ...prev, status: 'failed', failed: true }))
+        return
+      }
+      setState(prev => ({ ...prev, status: 'lost' }))
+      timerRef.current = setTimeout(rebuild, RESTORE_TIMEOUT_MS)
+    })
+    canvas.addEventListener('webglcontextrestored', () => {
+      if (canvas.isConnected) rebuild()
+    })
+  }, [rebuild])
+
+  return { ...state, onCreated }
+}
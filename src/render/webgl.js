@@ -0,0 +1,23 @@
+/**
+ * Whether the browser can create the WebGL 2 context three.js renders with. The
+ * probe context is released straight away so it doesn't count against the
+ * browser's limit on live contexts.
+ */
+export const canUseWebGL = () => {
+  if (typeof document === 'undefined') return false
+  try {
+    const gl = document.createElement('canvas').getContext('webgl2')
+    gl?.getExtension('WEBGL_lose_context')?.loseContext()
+    return !!gl
+  } catch {
+    return false
+  }
+}
+
+// Why the flat 2D view is shown instead of the 3D one
+export const FALLBACK_REASONS = {
+  requested: 'Showing the flat 2D view as requested (?renderer=2d).',
+  unavailable: 'WebGL is not available in this browser, so the network is drawn as a flat 2D view.',
+  error: 'The 3D view could not be started, so the network is drawn as a flat 2D view.',
+  lost: 'The graphics context kept getting lost, so the network is drawn as a flat 2D view.'
+}
@@ -0,0 +1,46 @@
+import React, { useEffect, useRef, useState } from 'react'
+import * as THREE from 'three'
+import { useBloomSelection } from '../bloom/useBloomSelection.js'
+import { createRingRaycast } from '../picking/raycast.js'
+import { writeCircleInstances } from './circleInstances.js'
+import { statsTag } from '../perf/stats.js'
+import { useAudioRings } from '../audio/useAudioRings.js'
+
+// Instanced circles for a bloom selection (brighter, fewer) with reduced segments
+const BloomCircles = ({ circles, colors, bloomSelection, segments = 32, sharedMaterial, audio, ringCount, pickHandlers }) => {
+  const meshRef = useRef()
+  const [capacity] = useState(() => Math.max(circles.length, 1))
+  useBloomSelection(bloomSelection, meshRef)
+
+  useEffect(() => {
+    if (!meshRef.current) return
+    writeCircleInstances(meshRef.current, circles, colors)
+    meshRef.current.raycast = createRingRaycast(circles, { colors })
+  }, [circles, colors])
+  useAudioRings(meshRef, circles, colors, audio, ringCount)
+
+  return (
+    <instancedMesh
+      ref={meshRef}
+      args={[null, null, capacity]}
+      frustumCulled={true}
+      userData={statsTag('bloomRings', circles.length)}
+      {...pickHandlers}
+    >
+      <ringGeometry args={[1.0, 1.005, segments]} />
+      {sharedMaterial ? (
+        <primitive object={sharedMaterial} attach="material" />
+      ) : (
+        <meshBasicMaterial
+          color="#ffffff"
+          transparent
+          opacity={0.9}
+          side={THREE.DoubleSide}
+          toneMapped={false}
+        />
+      )}
+    </instancedMesh>
+  )
+}
+
+export default BloomCircles
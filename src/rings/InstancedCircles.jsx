@@ -0,0 +1,44 @@
+import React, { useEffect, useRef, useState } from 'react'
+import * as THREE from 'three'
+import { createRingRaycast } from '../picking/raycast.js'
+import { writeCircleInstances } from './circleInstances.js'
+import { statsTag } from '../perf/stats.js'
+import { useAudioRings } from '../audio/useAudioRings.js'
+
+// Instanced circles using ring geometry with reduced segments and shared material
+const InstancedCircles = ({ circles, colors, color = "white", bloom = false, segments = 32, sharedMaterial, audio, ringCount, pickHandlers }) => {
+  const meshRef = useRef()
+  // Initial capacity only; writeCircleInstances grows the buffer without recreating the mesh
+  const [capacity] = useState(() => Math.max(circles.length, 1))
+
+  useEffect(() => {
+    if (!meshRef.current) return
+    writeCircleInstances(meshRef.current, circles, colors)
+    meshRef.current.raycast = createRingRaycast(circles, { colors })
+  }, [circles, colors])
+  useAudioRings(meshRef, circles, colors, audio, ringCount)
+
+  return (
+    <instancedMesh
+      ref={meshRef}
+      args={[null, null, capacity]}
+      frustumCulled={true}
+      userData={statsTag('rings', circles.length)}
+      {...pickHandlers}
+    >
+      <ringGeometry args={[0.995, 1.0, segments]} />
+      {sharedMaterial ? (
+        <primitive object={sharedMaterial} attach="material" />
+      ) : (
+        <meshBasicMaterial
+          color={bloom ? "#ffffff" : color}
+          transparent
+          opacity={0.6}
+          side={THREE.DoubleSide}
+        />
+      )}
+    </instancedMesh>
+  )
+}
+
+export default InstancedCircles
@@ -0,0 +1,38 @@
+import * as THREE from 'three'
+
+// Write ring transforms (and metric colors, see color/scale.js) into an instanced mesh.
+// The instance buffers are grown in place when a quality tier or dataset change needs
+// more rings than the mesh was created with, so the mesh itself (and the Canvas) never
+// has to remount. Rings in a hidden category are scaled to nothing; `swellOf(i)`
+// optionally scales ring i's radius, e.g. with the audio.
+export const writeCircleInstances = (mesh, circles, colors, swellOf) => {
+  const growMatrix = mesh.instanceMatrix.count < circles.length
+  const growColor = colors && (!mesh.instanceColor || mesh.instanceColor.count < circles.length)
+  // The renderer frees an instanced mesh's GPU buffers on its dispose event and
+  // uploads the current ones on the next frame, so outgrown buffers don't pile up
+  if (growMatrix || growColor) mesh.dispatchEvent({ type: 'dispose' })
+  if (growMatrix) {
+    mesh.instanceMatrix = new THREE.InstancedBufferAttribute(new Float32Array(circles.length * 16), 16)
+  }
+  if (growColor) {
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(mesh.instanceMatrix.count * 3), 3)
+  }
+
+  const dummy = new THREE.Object3D()
+  const color = new THREE.Color()
+
+  circles.forEach((circle, i) => {
+    const hidden = colors?.[i * 4 + 3] === 0
+    dummy.position.set(circle.position[0], circle.position[1], circle.position[2])
+    dummy.scale.setScalar(hidden ? 0 : circle.radius * (swellOf?.(i) ?? 1))
+    dummy.updateMatrix()
+    mesh.setMatrixAt(i, dummy.matrix)
+    if (colors) mesh.setColorAt(i, color.fromArray(colors, i * 4))
+  })
+
+  mesh.instanceMatrix.needsUpdate = true
+  if (colors) mesh.instanceColor.needsUpdate = true
+  mesh.count = circles.length
+  // Ring radii change with the tier, so the cached culling bounds must follow
+  mesh.computeBoundingSphere()
+}
@@ -0,0 +1,128 @@
+import { DEFAULT_RING_GEOMETRY } from '../data/layout.js'
+
+const STORAGE_KEY = 'cellulardata.settingsPresets'
+const PRESET_VERSION = 1
+
+/**
+ * Tunable scene parameters shown in the settings panel. Settings marked `auto`
+ * may be null, meaning "take the value from the current quality tier".
+ *
+ * @typedef {Object} SceneSettingDescriptor
+ * @property {string} key
+ * @property {string} label
+ * @property {string} group
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {number|null} default
+ * @property {boolean} [auto]
+ * @property {(qualitySettings: Object) => number} [tierValue] Value used while on auto
+ */
+export const SCENE_SETTINGS = [
+  { key: 'ringCount', label: 'Ring count', group: 'Layout', min: 4, max: 60, step: 1, default: null, auto: true, tierValue: (quality) => quality.numRings },
+  { key: 'baseRadius', label: 'Base radius', group: 'Layout', min: 0.1, max: 3, step: 0.05, default: DEFAULT_RING_GEOMETRY.baseRadius },
+  { key: 'ringSpacing', label: 'Ring spacing', group: 'Layout', min: 0.1, max: 1.5, step: 0.05, default: DEFAULT_RING_GEOMETRY.ringSpacing },
+  { key: 'offsetZ', label: 'Ring offset Z', group: 'Layout', min: -1, max: 1, step: 0.05, default: DEFAULT_RING_GEOMETRY.offsetZ },
+  { key: 'bloomIntensity', label: 'Intensity', group: 'Bloom', min: 0, max: 5, step: 0.1, default: null, auto: true, tierValue: (quality) => quality.bloom.intensity },
+  { key: 'bloomRadius', label: 'Radius', group: 'Bloom', min: 0, max: 1, step: 0.05, default: null, auto: true, tierValue: (quality) => quality.bloom.radius },
+  { key: 'bloomThreshold', label: 'Luminance threshold', group: 'Bloom', min: 0, max: 1, step: 0.05, default: null, auto: true, tierValue: (quality) => quality.bloom.luminanceThreshold },
+  { key: 'bloomSmoothing', label: 'Luminance smoothing', group: 'Bloom', min: 0, max: 0.5, step: 0.005, default: null, auto: true, tierValue: (quality) => quality.bloom.luminanceSmoothing },
+  { key: 'rotationSpeed', label: 'Rotation speed', group: 'Motion', min: -1, max: 1, step: 0.01, default: 0.1 },
+  { key: 'pulseAmplitude', label: 'Pulse amplitude', group: 'Motion', min: 0, max: 0.3, step: 0.005, default: 0.05 },
+  { key: 'fovSwing', label: 'FOV swing (°)', group: 'Motion', min: 0, max: 30, step: 1, default: 12 }
+]
+
+export const DEFAULT_SCENE_SETTINGS = Object.fromEntries(SCENE_SETTINGS.map(setting => [setting.key, setting.default]))
+
+// Clamp into range; whole-number settings (step 1) are rounded too
+const clamp = (value, { min, max, step }) => {
+  const clamped = Math.min(max, Math.max(min, value))
+  return step === 1 ? Math.round(clamped) : clamped
+}
+
+// Take known keys from untrusted input, clamping numbers and falling back to defaults
+export const normalizeSceneSettings = (raw) => Object.fromEntries(SCENE_SETTINGS.map(setting => {
+  const value = raw?.[setting.key]
+  if (value === null && setting.auto) return [setting.key, null]
+  if (typeof value === 'number' && Number.isFinite(value)) return [setting.key, clamp(value, setting)]
+  return [setting.key, setting.default]
+}))
+
+/**
+ * Apply settings over a quality tier: ring count and bloom overrides replace
+ * the tier's values, everything left on auto keeps them.
+ */
+export const applySceneSettings = (qualitySettings, settings) => ({
+  ...qualitySettings,
+  numRings: settings.ringCount ?? qualitySettings.numRings,
+  bloom: {
+    ...qualitySettings.bloom,
+    intensity: settings.bloomIntensity ?? qualitySettings.bloom.intensity,
+    radius: settings.bloomRadius ?? qualitySettings.bloom.radius,
+    luminanceThreshold: settings.bloomThreshold ?? qualitySettings.bloom.luminanceThreshold,
+    luminanceSmoothing: settings.bloomSmoothing ?? qualitySettings.bloom.luminanceSmoothing
+  }
+})
+
+// Compact URL form listing only changed values: "baseRadius:0.8,fovSwing:0"; "auto" for null
+export const encodeSceneSettings = (settings) => {
+  const changed = SCENE_SETTINGS
+    .filter(setting => settings[setting.key] !== setting.default)
+    .map(setting => `${setting.key}:${settings[setting.key] ?? 'auto'}`)
+  return changed.length ? changed.join(',') : null
+}
+
+export const decodeSceneSettings = (text) => {
+  if (!text) return null
+  const raw = {}
+  for (const pair of text.split(',')) {
+    const [key, value] = pair.split(':')
+    raw[key] = value === 'auto' ? null : Number(value)
+  }
+  return normalizeSceneSettings(raw)
+}
+
+/**
+ * A named preset as saved to disk: `{ name, version, settings }`.
+ */
+export const presetToJson = ({ name, settings }) =>
+  JSON.stringify({ name, version: PRESET_VERSION, settings }, null, 2)
+
+// Raises an Error with a readable message for anything that isn't a preset file
+export const parsePresetJson = (text, fallbackName) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('Preset file is not valid JSON')
+  }
+  if (!parsed || typeof parsed.settings !== 'object' || parsed.settings === null) {
+    throw new Error('Preset file has no "settings" object')
+  }
+  if (parsed.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${parsed.version} is newer than this app supports`)
+  }
+  const name = typeof parsed.name === 'string' && parsed.name.trim() ? parsed.name.trim() : fallbackName
+  return { name, settings: normalizeSceneSettings(parsed.settings) }
+}
+
+export const loadSettingsPresets = () => {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(parsed)
+      ? parsed
+        .filter(preset => preset && typeof preset.name === 'string')
+        .map(preset => ({ name: preset.name, settings: normalizeSceneSettings(preset.settings) }))
+      : []
+  } catch {
+    return []
+  }
+}
+
+export const storeSettingsPresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+  } catch {
+    // Storage full or disabled (private mode): presets just won't survive a reload
+  }
+}
@@ -0,0 +1,67 @@
+import React, { useEffect, useMemo } from 'react'
+import * as THREE from 'three'
+
+const LINK_COLORS = {
+  backhaul: '#4fc3f7',
+  handover: '#ffb74d'
+}
+
+// Each link is drawn as an arc of this many segments, rising by ARC_HEIGHT of its length
+const ARC_SEGMENTS = 24
+const ARC_HEIGHT = 0.2
+// Handover arcs are dashed: this many segments drawn, then as many skipped
+const DASH_SEGMENTS = 2
+
+const arcPoint = (a, b, height, t) => [
+  a[0] + (b[0] - a[0]) * t,
+  a[1] + (b[1] - a[1]) * t,
+  4 * height * t * (1 - t)
+]
+
+// Arc positions plus RGBA vertex colors; opacity follows weight relative to the strongest link of its type
+const buildLinkGeometry = (links, sites) => {
+  const maxWeight = {}
+  links.forEach(link => { maxWeight[link.type] = Math.max(maxWeight[link.type] ?? 0, link.weight) })
+
+  const positions = new Float32Array(links.length * ARC_SEGMENTS * 6)
+  const colors = new Float32Array(links.length * ARC_SEGMENTS * 8)
+  const color = new THREE.Color()
+
+  links.forEach((link, i) => {
+    const a = sites[link.fromIndex].center
+    const b = sites[link.toIndex].center
+    const height = Math.hypot(b[0] - a[0], b[1] - a[1]) * ARC_HEIGHT
+    const alpha = 0.25 + 0.6 * (maxWeight[link.type] > 0 ? link.weight / maxWeight[link.type] : 1)
+    color.set(LINK_COLORS[link.type])
+
+    for (let k = 0; k < ARC_SEGMENTS; k++) {
+      const index = i * ARC_SEGMENTS + k
+      positions.set([...arcPoint(a, b, height, k / ARC_SEGMENTS), ...arcPoint(a, b, height, (k + 1) / ARC_SEGMENTS)], index * 6)
+      const gap = link.type === 'handover' && Math.floor(k / DASH_SEGMENTS) % 2 === 1
+      const rgba = [color.r, color.g, color.b, gap ? 0 : alpha]
+      colors.set([...rgba, ...rgba], index * 8)
+    }
+  })
+
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 4))
+  return geometry
+}
+
+// Backhaul (solid) and handover (dashed) relationships between sites, arcing over the ground
+const SiteLinks = ({ links, sites }) => {
+  const geometry = useMemo(() => buildLinkGeometry(links, sites), [links, sites])
+
+  useEffect(() => () => geometry.dispose(), [geometry])
+
+  if (links.length === 0) return null
+
+  return (
+    <lineSegments geometry={geometry}>
+      <lineBasicMaterial vertexColors transparent depthWrite={false} toneMapped={false} />
+    </lineSegments>
+  )
+}
+
+export default SiteLinks
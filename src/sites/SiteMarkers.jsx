@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { useBloomSelection } from '../bloom/useBloomSelection.js'
+
+// A site whose radius on screen drops below COLLAPSE_PX collapses to a marker and
+// only expands again above EXPAND_PX, so sites at the threshold don't flicker
+const COLLAPSE_PX = 24
+const EXPAND_PX = 36
+// On-screen marker radius, capped at the site's own radius
+const MARKER_PX = 5
+// Seconds between level-of-detail passes
+const LOD_INTERVAL = 0.1
+
+const _center = new THREE.Vector3()
+const _dummy = new THREE.Object3D()
+const _color = new THREE.Color()
+
+/**
+ * Level of detail for the multi-site view. Measures every site's radius in
+ * screen pixels, reports the collapsed ones through `onCollapsedChange(sites, flags)`
+ * (the scene hides their rings, lines and labels) and draws one glowing
+ * instanced marker per collapsed site instead. `colors` (RGBA per site, see
+ * color/scale.js) tints the markers; alpha 0 hides one.
+ */
+const SiteMarkers = ({ sites, colors, groupRef, bloomSelection, onCollapsedChange, pickHandlers }) => {
+  const meshRef = useRef()
+  // Initial capacity only; the buffers grow in place for a larger network
+  const [capacity] = useState(() => Math.max(sites.length, 1))
+  const collapsedRef = useRef([])
+  const sinceLodRef = useRef(Infinity)
+  useBloomSelection(bloomSelection, meshRef)
+
+  useEffect(() => {
+    const mesh = meshRef.current
+    if (!mesh) return
+    if (mesh.instanceMatrix.count < sites.length) {
+      mesh.instanceMatrix = new THREE.InstancedBufferAttribute(new Float32Array(sites.length * 16), 16)
+    }
+    if (!mesh.instanceColor || mesh.instanceColor.count < sites.length) {
+      mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(mesh.instanceMatrix.count * 3), 3)
+    }
+    sites.forEach((_, i) => mesh.setColorAt(i, colors ? _color.fromArray(colors, i * 4) : _color.set('white')))
+    mesh.instanceColor.needsUpdate = true
+    mesh.count = sites.length
+    // Re-measure on the next frame
+    sinceLodRef.current = Infinity
+  }, [sites, colors])
+
+  useEffect(() => {
+    collapsedRef.current = []
+  }, [sites])
+
+  useFrame(({ camera, size }, delta) => {
+    const mesh = meshRef.current
+    const group = groupRef.current
+    if (!mesh || !group) return
+    sinceLodRef.current += delta
+    if (sinceLodRef.current < LOD_INTERVAL) return
+    sinceLodRef.current = 0
+
+    // Pixels per scene unit at distance 1
+    const focal = size.height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2))
+    const worldScale = group.scale.x
+    const previous = collapsedRef.current
+    let changed = previous.length !== sites.length
+
+    const next = sites.map((site, i) => {
+      group.localToWorld(_center.fromArray(site.center))
+      const pxPerUnit = (focal * worldScale) / Math.max(1e-3, _center.distanceTo(camera.position))
+      const screenRadius = site.radius * pxPerUnit
+      const collapsed = previous[i] ? screenRadius < EXPAND_PX : screenRadius < COLLAPSE_PX
+      if (collapsed !== !!previous[i]) changed = true
+
+      const hidden = colors?.[i * 4 + 3] === 0
+      _dummy.position.fromArray(site.center)
+      _dummy.scale.setScalar(collapsed && !hidden ? Math.min(site.radius, MARKER_PX / pxPerUnit) : 0)
+      _dummy.updateMatrix()
+      mesh.setMatrixAt(i, _dummy.matrix)
+      return collapsed
+    })
+    mesh.instanceMatrix.needsUpdate = true
+
+    if (changed) {
+      collapsedRef.current = next
+      onCollapsedChange(sites, next)
+    }
+  })
+
+  return (
+    <instancedMesh ref={meshRef} args={[null, null, capacity]} frustumCulled={false} {...pickHandlers}>
+      <sphereGeometry args={[1, 12, 8]} />
+      <meshBasicMaterial color="white" toneMapped={false} />
+    </instancedMesh>
+  )
+}
+
+export default SiteMarkers
@@ -0,0 +1,70 @@
+/**
+ * Transport adapters for the live feed. Each adapter opens one connection and
+ * reports back through the same three callbacks, so the client can reconnect
+ * over either transport the same way:
+ *
+ *   const close = adapter.connect({ onOpen, onMessage, onClose })
+ *
+ * `onMessage` receives the raw text of one message; `onClose` fires once,
+ * whether the server closed the connection or it failed to open.
+ */
+
+export const webSocketAdapter = (url) => ({
+  kind: 'websocket',
+  url,
+  connect: ({ onOpen, onMessage, onClose }) => {
+    const socket = new WebSocket(url)
+    let closed = false
+
+    const finish = (reason) => {
+      if (closed) return
+      closed = true
+      onClose(reason)
+    }
+
+    socket.onopen = () => onOpen()
+    socket.onmessage = (event) => {
+      if (typeof event.data === 'string') onMessage(event.data)
+    }
+    socket.onerror = () => finish('error')
+    socket.onclose = (event) => finish(event.reason || `closed (${event.code})`)
+
+    return () => {
+      closed = true
+      socket.close()
+    }
+  }
+})
+
+export const eventSourceAdapter = (url) => ({
+  kind: 'sse',
+  url,
+  connect: ({ onOpen, onMessage, onClose }) => {
+    const source = new EventSource(url)
+    let closed = false
+
+    source.onopen = () => onOpen()
+    source.onmessage = (event) => onMessage(event.data)
+    // EventSource retries on its own with a fixed delay; close it so the
+    // client's backoff stays in charge of reconnecting
+    source.onerror = () => {
+      if (closed) return
+      closed = true
+      source.close()
+      onClose('error')
+    }
+
+    return () => {
+      closed = true
+      source.close()
+    }
+  }
+})
+
+// ws:// and wss:// go over WebSocket, http(s):// over Server-Sent Events
+export const adapterForUrl = (url) => {
+  const resolved = new URL(url, window.location.href)
+  return resolved.protocol === 'ws:' || resolved.protocol === 'wss:'
+    ? webSocketAdapter(resolved.href)
+    : eventSourceAdapter(resolved.href)
+}
@@ -0,0 +1,138 @@
+const BACKOFF_BASE_MS = 500
+const BACKOFF_MAX_MS = 30000
+// Events kept while the tab is hidden; the oldest are dropped beyond this
+const HIDDEN_BUFFER_LIMIT = 5000
+
+/**
+ * Reconnect delay for the given attempt: exponential with ±20% jitter so a
+ * fleet of displays doesn't hammer the server in lockstep after an outage.
+ */
+export const backoffDelay = (attempt) => {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt)
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+// Messages may carry one event or an array of events
+const parseMessage = (text) => {
+  try {
+    const parsed = JSON.parse(text)
+    return (Array.isArray(parsed) ? parsed : [parsed]).filter(event => event && typeof event === 'object')
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Keeps a live feed connected over the given adapter.
+ *
+ * - reconnects with exponential backoff, and waits for the browser to come
+ *   back online instead of retrying while offline
+ * - while the tab is hidden, events are held in a bounded buffer and
+ *   delivered in one batch when it becomes visible again
+ *
+ * `onEvents(events)` receives parsed events; `onStatus(status)` receives
+ * `{ state, attempt, retryAt, buffered }` whenever the connection state changes,
+ * where state is one of connecting, open, reconnecting, offline or closed.
+ */
+export const createStreamClient = (adapter, { onEvents, onStatus }) => {
+  let closeConnection = null
+  let retryTimer = null
+  let attempt = 0
+  let stopped = true
+  let hiddenBuffer = []
+  let status = { state: 'closed', attempt: 0, retryAt: null, buffered: 0 }
+
+  const setStatus = (next) => {
+    status = { ...status, ...next }
+    onStatus?.(status)
+  }
+
+  const deliver = (events) => {
+    if (events.length === 0) return
+    if (document.hidden) {
+      hiddenBuffer.push(...events)
+      if (hiddenBuffer.length > HIDDEN_BUFFER_LIMIT) {
+        hiddenBuffer = hiddenBuffer.slice(-HIDDEN_BUFFER_LIMIT)
+      }
+      setStatus({ buffered: hiddenBuffer.length })
+    } else {
+      onEvents(events)
+    }
+  }
+
+  const connect = () => {
+    retryTimer = null
+    if (stopped) return
+    if (!navigator.onLine) {
+      setStatus({ state: 'offline', retryAt: null })
+      return
+    }
+
+    setStatus({ state: attempt === 0 ? 'connecting' : 'reconnecting', attempt, retryAt: null })
+    closeConnection = adapter.connect({
+      onOpen: () => {
+        attempt = 0
+        setStatus({ state: 'open', attempt: 0 })
+      },
+      onMessage: (text) => deliver(parseMessage(text)),
+      onClose: () => {
+        closeConnection = null
+        if (stopped) return
+        scheduleReconnect()
+      }
+    })
+  }
+
+  const scheduleReconnect = () => {
+    const delay = backoffDelay(attempt)
+    attempt++
+    setStatus({ state: 'reconnecting', attempt, retryAt: Date.now() + delay })
+    retryTimer = setTimeout(connect, delay)
+  }
+
+  const handleVisibility = () => {
+    if (document.hidden || hiddenBuffer.length === 0) return
+    const events = hiddenBuffer
+    hiddenBuffer = []
+    setStatus({ buffered: 0 })
+    onEvents(events)
+  }
+
+  const handleOnline = () => {
+    if (stopped || closeConnection || retryTimer) return
+    attempt = 0
+    connect()
+  }
+
+  const handleOffline = () => {
+    if (stopped) return
+    clearTimeout(retryTimer)
+    retryTimer = null
+    closeConnection?.()
+    closeConnection = null
+    setStatus({ state: 'offline', retryAt: null })
+  }
+
+  return {
+    start() {
+      if (!stopped) return
+      stopped = false
+      document.addEventListener('visibilitychange', handleVisibility)
+      window.addEventListener('online', handleOnline)
+      window.addEventListener('offline', handleOffline)
+      connect()
+    },
+    stop() {
+      stopped = true
+      clearTimeout(retryTimer)
+      retryTimer = null
+      closeConnection?.()
+      closeConnection = null
+      hiddenBuffer = []
+      document.removeEventListener('visibilitychange', handleVisibility)
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+      setStatus({ state: 'closed', attempt: 0, retryAt: null, buffered: 0 })
+    }
+  }
+}
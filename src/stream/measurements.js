@@ -0,0 +1,29 @@
+// Metrics a `measurement` event may carry
+export const MEASUREMENT_FIELDS = ['rsrp', 'rsrq', 'sinr', 'throughput', 'load', 'dropRate']
+
+export const measurementKey = (sectorId, ring) => `${sectorId}:${ring ?? 0}`
+
+// Inverse of measurementKey; sector ids may contain colons, ring indices can't
+export const parseMeasurementKey = (key) => {
+  const split = key.lastIndexOf(':')
+  return { sectorId: key.slice(0, split), ring: Number(key.slice(split + 1)) }
+}
+
+export const isMeasurement = (event) => event.type === 'measurement' && typeof event.sectorId === 'string'
+
+/**
+ * Merge `measurement` events into `store`, a Map of `sectorId:ring` to the latest
+ * values seen for that sector and ring. Fields an event leaves out keep their
+ * previous value, so a feed can report one metric at a time.
+ */
+export const applyMeasurements = (store, events) => {
+  for (const event of events) {
+    const key = measurementKey(event.sectorId, event.ring)
+    const values = { ...store.get(key) }
+    for (const field of MEASUREMENT_FIELDS) {
+      if (Number.isFinite(event[field])) values[field] = event[field]
+    }
+    values.timestamp = event.timestamp ?? Date.now()
+    store.set(key, values)
+  }
+}
@@ -0,0 +1,67 @@
+import { bearingToAngle } from '../data/layout.js'
+import { hashSeed } from '../utils/random.js'
+
+/**
+ * Live feed event, one JSON object per message (or an array of them):
+ *
+ * @typedef {Object} StreamEvent
+ * @property {'session'|'handover'|'bytes'} type
+ * @property {string} [sectorId]  Sector the event happened on; positions the pulse when a dataset is loaded
+ * @property {string} [toSectorId] Handover target sector
+ * @property {number} [ring]      Distance band, defaults to 0
+ * @property {number} [bearing]   Degrees clockwise from north; wins over the sector azimuth
+ * @property {number} [bytes]     Payload size for `bytes` events
+ * @property {number} [timestamp] Epoch milliseconds
+ */
+
+// Pulse shape per event type: length in scene units, brightness 0..1, duration in seconds
+const PULSE_PRESETS = {
+  session: { length: 0.6, brightness: 0.6, duration: 2 },
+  handover: { length: 0.9, brightness: 1, duration: 1.2 },
+  bytes: { length: 0.3, brightness: 0.4, duration: 1.5 }
+}
+
+// 10 MB and up saturates a bytes pulse
+const BYTES_SATURATION_LOG10 = 7
+
+/**
+ * Work out where and how strongly an event pulses.
+ * `sectors` maps sector ids to `{ azimuth, beamwidth }` from the loaded dataset.
+ * Returns null for events that cannot be placed.
+ */
+export const resolvePulse = (event, { ringCount, sectors }) => {
+  const preset = PULSE_PRESETS[event.type]
+  if (!preset || ringCount === 0) return null
+
+  const sectorId = event.type === 'handover' ? event.toSectorId ?? event.sectorId : event.sectorId
+  const sector = sectorId !== undefined ? sectors.get(String(sectorId)) : undefined
+
+  let bearing
+  if (Number.isFinite(event.bearing)) {
+    bearing = event.bearing
+  } else if (sector) {
+    // Spread pulses across the sector beamwidth so a busy sector doesn't draw one line
+    const spread = (hashSeed(`${sectorId}:${event.timestamp ?? Math.random()}`) / 0xffffffff) - 0.5
+    bearing = sector.azimuth + spread * sector.beamwidth
+  } else if (sectorId !== undefined) {
+    // Unknown sector (no dataset loaded): still give it a stable direction
+    bearing = hashSeed(sectorId) % 360
+  } else {
+    return null
+  }
+
+  const ringIndex = Math.min(ringCount - 1, Math.max(0, Math.floor(event.ring ?? 0)))
+
+  let { length, brightness } = preset
+  if (event.type === 'bytes') {
+    const scale = Math.min(1, Math.log10(Math.max(1, event.bytes ?? 1)) / BYTES_SATURATION_LOG10)
+    length = 0.3 + scale * 1.2
+    brightness = 0.4 + scale * 0.6
+  }
+
+  return { ringIndex, sectorId, angle: bearingToAngle(bearing), length, brightness, duration: preset.duration }
+}
+
+// Ring of `rings` (sorted by ring index) a pulse starts from: its own, or the nearest one inside it
+export const pulseRing = (rings, ringIndex) =>
+  rings?.findLast(circle => circle.ringIndex <= ringIndex) ?? rings?.[0]
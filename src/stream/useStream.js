@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react'
+import { adapterForUrl } from './adapters.js'
+import { createStreamClient } from './client.js'
+import { applyMeasurements, isMeasurement } from './measurements.js'
+
+// Cap on events waiting to be turned into pulses; the render loop drains it each frame
+const QUEUE_LIMIT = 10000
+
+/**
+ * Connects to a live feed and pushes incoming events onto `queueRef.current`
+ * for the scene to consume. `measurement` events update `measurementsRef.current`
+ * (see measurements.js) instead of firing pulses, and are passed to the optional
+ * `onMeasurements(events)` (e.g. the anomaly detector). Returns the connection
+ * status plus an events/second rate.
+ */
+export const useStream = (url, queueRef, measurementsRef, onMeasurements) => {
+  const [status, setStatus] = useState({ state: 'closed', attempt: 0, retryAt: null, buffered: 0 })
+  const [rate, setRate] = useState(0)
+
+  // Latest listener without reconnecting when it changes
+  const onMeasurementsRef = useRef(onMeasurements)
+  useEffect(() => {
+    onMeasurementsRef.current = onMeasurements
+  }, [onMeasurements])
+
+  useEffect(() => {
+    if (!url) return
+    let received = 0
+
+    const client = createStreamClient(adapterForUrl(url), {
+      onEvents: (events) => {
+        received += events.length
+        const measurements = events.filter(isMeasurement)
+        if (measurements.length > 0) {
+          applyMeasurements(measurementsRef.current, measurements)
+          onMeasurementsRef.current?.(measurements)
+          events = events.filter(event => !isMeasurement(event))
+        }
+        const queue = queueRef.current
+        queue.push(...events)
+        if (queue.length > QUEUE_LIMIT) queue.splice(0, queue.length - QUEUE_LIMIT)
+      },
+      onStatus: setStatus
+    })
+    client.start()
+
+    const rateTimer = setInterval(() => {
+      setRate(received)
+      received = 0
+    }, 1000)
+
+    return () => {
+      clearInterval(rateTimer)
+      client.stop()
+    }
+  }, [url, queueRef, measurementsRef])
+
+  return { status, rate }
+}
@@ -0,0 +1,52 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+import { measurementKey } from '../stream/measurements.js'
+import { buildSampleHistory, latestSampleAt } from '../timeline/sampleHistory.js'
+
+// Seconds between label refreshes; values are read for people, not animation
+const UPDATE_INTERVAL = 0.25
+
+/**
+ * Keeps dataset labels bound to their values through `apiRef` (TextLabels' setText).
+ * Each label shows, in order of preference:
+ *
+ * - the latest live `measurement` for its sector and ring, merged over its sample
+ * - while a time-stamped dataset replays, the latest sample measured by the current time
+ * - the strongest sample the layout picked for it
+ *
+ * Procedural labels (no `record`) are left alone.
+ */
+const LabelBinder = ({ labels, dataset, format, timeline, measurementsRef, apiRef }) => {
+  // Time-stamped samples per sector and ring, oldest first
+  const history = useMemo(() => buildSampleHistory(dataset), [dataset])
+
+  const sinceUpdateRef = useRef(Infinity)
+
+  // New labels or a new template refresh on the next frame
+  useEffect(() => {
+    sinceUpdateRef.current = Infinity
+  }, [labels, format])
+
+  useFrame((_, delta) => {
+    sinceUpdateRef.current += delta
+    const api = apiRef.current
+    if (sinceUpdateRef.current < UPDATE_INTERVAL || !api) return
+    sinceUpdateRef.current = 0
+
+    const replayTime = timeline.datasetTime()
+    const live = measurementsRef?.current
+    labels.forEach((label, i) => {
+      const { record } = label
+      if (!record) return
+      const key = measurementKey(record.sectorId, record.sample.ring)
+      let sample = replayTime === null ? record.sample : latestSampleAt(history.get(key), replayTime) ?? record.sample
+      const measured = live?.get(key)
+      if (measured) sample = { ...sample, ...measured }
+      api.setText(i, format(record, sample))
+    })
+  })
+
+  return null
+}
+
+export default LabelBinder
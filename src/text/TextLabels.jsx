@@ -0,0 +1,229 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { BatchedText, Text } from 'troika-three-text'
+import { HOVER_COLOR, SELECT_COLOR } from '../picking/PickHighlight.jsx'
+import { statsTag } from '../perf/stats.js'
+
+// Members of the batch reuse one Text per label slot
+const createMember = () => {
+  const text = new Text()
+  text.anchorX = 'left'
+  text.anchorY = 'middle'
+  return text
+}
+
+// Seconds between screen-space overlap passes; fading runs every frame in between
+const DECLUTTER_INTERVAL = 0.1
+// Fraction of the remaining fade covered per second
+const FADE_RATE = 8
+// Extra room (px) kept around each label's screen rectangle
+const LABEL_PADDING = 2
+// Cell size (px) of the spatial hash used to find overlapping rectangles
+const GRID_CELL = 64
+
+const corner = new THREE.Vector3()
+const memberWorld = new THREE.Matrix4()
+
+// Screen rectangle [minX, minY, maxX, maxY] in px of a laid-out member, or null when off screen
+const screenRect = (text, batchMatrix, camera, size) => {
+  const bounds = text.textRenderInfo?.blockBounds
+  if (!bounds) return null
+  memberWorld.multiplyMatrices(batchMatrix, text.matrix)
+
+  const rect = [Infinity, Infinity, -Infinity, -Infinity]
+  for (const [x, y] of [[bounds[0], bounds[1]], [bounds[2], bounds[1]], [bounds[0], bounds[3]], [bounds[2], bounds[3]]]) {
+    corner.set(x, y, 0).applyMatrix4(memberWorld).project(camera)
+    if (corner.z < -1 || corner.z > 1) return null
+    const px = (corner.x + 1) / 2 * size.width
+    const py = (1 - corner.y) / 2 * size.height
+    rect[0] = Math.min(rect[0], px - LABEL_PADDING)
+    rect[1] = Math.min(rect[1], py - LABEL_PADDING)
+    rect[2] = Math.max(rect[2], px + LABEL_PADDING)
+    rect[3] = Math.max(rect[3], py + LABEL_PADDING)
+  }
+  if (rect[2] < 0 || rect[3] < 0 || rect[0] > size.width || rect[1] > size.height) return null
+  return rect
+}
+
+const overlaps = (a, b) => a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3]
+
+/**
+ * Greedy placement: walk the labels from most to least important and keep each
+ * one whose screen rectangle doesn't overlap a label already kept. Returns a
+ * visibility flag per label; labels that are off screen count as visible so they
+ * fade in place rather than popping when they come back.
+ */
+const placeLabels = (members, order, hidden, batchMatrix, camera, size) => {
+  const visible = new Array(members.length).fill(true)
+  const grid = new Map()
+
+  for (const i of order) {
+    if (hidden[i]) continue
+    const rect = screenRect(members[i], batchMatrix, camera, size)
+    if (!rect) continue
+
+    const x0 = Math.floor(rect[0] / GRID_CELL)
+    const x1 = Math.floor(rect[2] / GRID_CELL)
+    const y0 = Math.floor(rect[1] / GRID_CELL)
+    const y1 = Math.floor(rect[3] / GRID_CELL)
+
+    let blocked = false
+    for (let x = x0; x <= x1 && !blocked; x++) {
+      for (let y = y0; y <= y1 && !blocked; y++) {
+        blocked = grid.get(`${x},${y}`)?.some(other => overlaps(rect, other)) ?? false
+      }
+    }
+    if (blocked) {
+      visible[i] = false
+      continue
+    }
+
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${x},${y}`
+        if (!grid.has(key)) grid.set(key, [])
+        grid.get(key).push(rect)
+      }
+    }
+  }
+  return visible
+}
+
+/**
+ * All labels in one troika BatchedText: one mesh, one draw call, glyphs from
+ * troika's shared SDF atlas. Each label keeps its own position, rotation,
+ * size, color and opacity. A changed string only re-lays out that label; the
+ * batch and its other members are reused.
+ *
+ * `texts` optionally replaces each label's `text`. `colors` holds a CSS color per
+ * label, null hiding it. `apiRef.current.setText(i, text)` swaps a label's string
+ * without a React render, for values that change every frame; it holds until
+ * `labels` or `texts` change.
+ *
+ * With `declutter` on, labels that overlap on screen are faded out, keeping the
+ * selected, then hovered, then highest `importance` ones. Picking skips faded
+ * labels and reports the label index as `instanceId`. `groupOpacityRef.current`
+ * (0..1) scales every label, for fading the whole set in or out.
+ */
+const TextLabels = ({ labels, texts, colors, color = 'white', declutter = true, pickHandlers, hoveredIndex, selectedIndex, apiRef, groupOpacityRef }) => {
+  const [batch] = useState(() => new BatchedText())
+  const membersRef = useRef([])
+  const hiddenRef = useRef([])
+  const opacityRef = useRef([])
+  // Placement order for decluttering, most important first
+  const orderRef = useRef([])
+  // Current fade (0..1) and latest placement result per label
+  const fadeRef = useRef([])
+  const visibleRef = useRef(null)
+  const sinceDeclutterRef = useRef(Infinity)
+  // Strings set through apiRef, dropped when the inputs they were based on change
+  const overridesRef = useRef({ labels: null, texts: null, values: [] })
+
+  useEffect(() => () => {
+    membersRef.current.forEach(text => text.dispose())
+    batch.dispose()
+  }, [batch])
+
+  useEffect(() => {
+    const members = membersRef.current
+    while (members.length > labels.length) {
+      const text = members.pop()
+      batch.removeText(text)
+      text.dispose()
+    }
+    while (members.length < labels.length) {
+      const text = createMember()
+      members.push(text)
+      batch.addText(text)
+    }
+
+    // An empty batch has no data texture to render from
+    batch.visible = labels.length > 0
+
+    const overrides = overridesRef.current
+    if (overrides.labels !== labels) {
+      fadeRef.current = labels.map(() => 1)
+      visibleRef.current = null
+    }
+    if (overrides.labels !== labels || overrides.texts !== texts) {
+      overridesRef.current = { labels, texts, values: [] }
+    }
+
+    hiddenRef.current = labels.map((_, i) => colors?.[i] === null)
+    opacityRef.current = labels.map(label => label.opacity)
+    orderRef.current = labels
+      .map((label, i) => ({ i, rank: i === selectedIndex ? Infinity : i === hoveredIndex ? Number.MAX_VALUE : label.importance ?? label.opacity }))
+      .sort((a, b) => b.rank - a.rank)
+      .map(({ i }) => i)
+    // Re-place on the next frame so a hovered or selected label shows at once
+    sinceDeclutterRef.current = Infinity
+
+    labels.forEach((label, i) => {
+      const text = members[i]
+      const value = overridesRef.current.values[i] ?? texts?.[i] ?? label.text
+      // Layout-affecting props only trigger a re-layout when they actually change
+      if (text.text !== value) text.text = value
+      if (text.fontSize !== label.size) text.fontSize = label.size
+      text.position.set(label.position[0], label.position[1], label.position[2])
+      text.rotation.set(0, 0, label.rotation)
+      text.fillOpacity = hiddenRef.current[i] ? 0 : label.opacity * fadeRef.current[i] * (groupOpacityRef?.current ?? 1)
+      text.color = i === selectedIndex ? SELECT_COLOR : i === hoveredIndex ? HOVER_COLOR : colors?.[i] ?? color
+    })
+  }, [batch, labels, texts, colors, color, hoveredIndex, selectedIndex, groupOpacityRef])
+
+  useFrame(({ camera, size }, delta) => {
+    const members = membersRef.current
+    if (members.length === 0) return
+
+    sinceDeclutterRef.current += delta
+    if (sinceDeclutterRef.current >= DECLUTTER_INTERVAL) {
+      sinceDeclutterRef.current = 0
+      visibleRef.current = declutter
+        ? placeLabels(members, orderRef.current, hiddenRef.current, batch.matrixWorld, camera, size)
+        : null
+    }
+
+    const visible = visibleRef.current
+    const fades = fadeRef.current
+    const step = Math.min(1, delta * FADE_RATE)
+    const groupOpacity = groupOpacityRef?.current ?? 1
+    members.forEach((text, i) => {
+      const target = !visible || visible[i] ? 1 : 0
+      fades[i] += (target - fades[i]) * step
+      const opacity = hiddenRef.current[i] ? 0 : opacityRef.current[i] * fades[i] * groupOpacity
+      if (text.fillOpacity !== opacity) text.fillOpacity = opacity
+    })
+  })
+
+  useEffect(() => {
+    // Members are not in the scene graph, so hit-test each one against the batch's transform
+    batch.raycast = function (raycaster, intersects) {
+      const hits = []
+      membersRef.current.forEach((text, i) => {
+        if (hiddenRef.current[i] || visibleRef.current?.[i] === false || groupOpacityRef?.current === 0) return
+        text.matrixWorld.multiplyMatrices(this.matrixWorld, text.matrix)
+        hits.length = 0
+        Text.prototype.raycast.call(text, raycaster, hits)
+        hits.forEach(hit => intersects.push({ ...hit, object: this, instanceId: i }))
+      })
+    }
+  }, [batch, groupOpacityRef])
+
+  useEffect(() => {
+    if (!apiRef) return
+    apiRef.current = {
+      setText: (index, value) => {
+        const text = membersRef.current[index]
+        if (!text) return
+        overridesRef.current.values[index] = value
+        if (text.text !== value) text.text = value
+      }
+    }
+    return () => { apiRef.current = null }
+  }, [apiRef])
+
+  return <primitive object={batch} userData={statsTag('labels', labels.length)} {...pickHandlers} />
+}
+
+export default TextLabels
@@ -0,0 +1,56 @@
+// Shown in place of a field the record doesn't have
+const MISSING = '—'
+
+const round = (digits) => (value) => digits === 0 ? String(Math.round(value)) : value.toFixed(digits)
+
+/**
+ * Fields a label template can reference as `{name}`. `value` reads it from a
+ * label record plus the sample currently bound to it (the strongest sample,
+ * the latest one during replay, or a live measurement).
+ */
+export const LABEL_FIELDS = {
+  cellId: { label: 'Cell id', value: (record) => record.sectorId },
+  siteId: { label: 'Site id', value: (record) => record.siteId },
+  site: { label: 'Site name', value: (record) => record.siteName },
+  technology: { label: 'Technology', value: (record) => record.technology },
+  ring: { label: 'Ring', value: (record, sample) => sample.ring },
+  rsrp: { label: 'RSRP (dBm)', value: (record, sample) => sample.rsrp, format: round(0) },
+  rsrq: { label: 'RSRQ (dB)', value: (record, sample) => sample.rsrq, format: round(1) },
+  sinr: { label: 'SINR (dB)', value: (record, sample) => sample.sinr, format: round(0) },
+  throughput: { label: 'Throughput (Mbit/s)', value: (record, sample) => sample.throughput, format: round(1) },
+  load: { label: 'Load (%)', value: (record, sample) => sample.load, format: round(0) },
+  dropRate: { label: 'Drop rate (%)', value: (record, sample) => sample.dropRate, format: round(1) },
+  time: {
+    label: 'Measurement time',
+    value: (record, sample) => sample.timestamp,
+    format: (value) => new Date(value).toISOString().slice(11, 19)
+  }
+}
+
+// Matches the labels the dataset layout drew before templates existed
+export const DEFAULT_LABEL_TEMPLATE = '{rsrp} dBm'
+
+const FIELD_PATTERN = /\{(\w+)\}/g
+
+/**
+ * Compile a template such as `{cellId} {rsrp} dBm` into `(record, sample) => string`.
+ * Unknown names are left as written so typos stay visible; missing values show a dash.
+ */
+export const compileLabelTemplate = (template) => {
+  const parts = []
+  let last = 0
+  for (const match of template.matchAll(FIELD_PATTERN)) {
+    parts.push(template.slice(last, match.index))
+    const field = LABEL_FIELDS[match[1]]
+    parts.push(field ?? match[0])
+    last = match.index + match[0].length
+  }
+  parts.push(template.slice(last))
+
+  return (record, sample = record.sample) => parts.map(part => {
+    if (typeof part === 'string') return part
+    const value = part.value(record, sample ?? {})
+    if (value === undefined || value === null || Number.isNaN(value)) return MISSING
+    return part.format ? part.format(value) : String(value)
+  }).join('')
+}
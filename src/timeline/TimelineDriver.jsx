@@ -0,0 +1,9 @@
+import { useFrame } from '@react-three/fiber'
+
+// Advances the shared timeline once per frame, ahead of every other useFrame subscriber
+const TimelineDriver = ({ timeline }) => {
+  useFrame((_, delta) => timeline.tick(delta), -1)
+  return null
+}
+
+export default TimelineDriver
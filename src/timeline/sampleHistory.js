@@ -0,0 +1,30 @@
+import { measurementKey } from '../stream/measurements.js'
+
+/**
+ * Time-stamped samples per sector and ring (keyed like live measurements), oldest first.
+ * Samples without a timestamp are left out.
+ */
+export const buildSampleHistory = (dataset) => {
+  const map = new Map()
+  dataset?.sites.forEach(site => site.sectors.forEach(sector => sector.samples.forEach(sample => {
+    if (sample.timestamp === undefined) return
+    const key = measurementKey(sector.id, sample.ring)
+    if (!map.has(key)) map.set(key, [])
+    map.get(key).push(sample)
+  })))
+  map.forEach(samples => samples.sort((a, b) => a.timestamp - b.timestamp))
+  return map
+}
+
+// Latest sample at or before `time` in a list sorted by timestamp
+export const latestSampleAt = (samples, time) => {
+  if (!samples || samples[0].timestamp > time) return null
+  let low = 0
+  let high = samples.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (samples[mid].timestamp <= time) low = mid
+    else high = mid - 1
+  }
+  return samples[low]
+}
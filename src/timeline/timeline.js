@@ -0,0 +1,171 @@
+// Length of one timeline loop in seconds at 1x. A time-stamped dataset's full
+// range is replayed over this span, so 1x plays a busy hour in one minute.
+export const TIMELINE_DURATION = 60
+export const SPEEDS = [0.25, 0.5, 1, 2, 4]
+export const FRAME_STEP = 1 / 60
+
+// Longest frame advance we accept, so a stalled or hidden tab doesn't leap ahead
+const MAX_FRAME_DELTA = 0.1
+// How often subscribers hear about plain playback progress (play/pause/seek notify at once)
+const NOTIFY_INTERVAL_MS = 100
+// Fraction of the dataset range a sample stays visible after its timestamp during replay
+const REPLAY_WINDOW = 0.1
+
+// Dataset time (epoch ms) at loop position `time`, or null without a range
+const timeInRange = (range, time, duration) =>
+  range ? range.start + (time / duration) * (range.end - range.start) : null
+
+const replayWindowOf = (range) => range ? Math.max(1, (range.end - range.start) * REPLAY_WINDOW) : 0
+
+/**
+ * Shared animation clock. Every animated component reads it in useFrame instead of
+ * `state.clock`, so playback can be paused, sped up, stepped and scrubbed in one place.
+ *
+ * - `time`    position in the loop, 0..duration seconds; scrubbing moves it
+ * - `delta`   change in `time` over the last frame, including seeks but not loop wraps
+ * - `elapsed` monotonic played time, for effects that must never run backwards
+ * - `clock`   sum of every `delta`, so seeks and frame steps move it; unlike `time`
+ *             it never wraps, for animation that must pause, step and rewind smoothly
+ *
+ * TimelineDriver calls `tick()` once per frame before anything else reads it.
+ */
+export const createTimeline = () => {
+  const listeners = new Set()
+  let pendingSeek = 0
+  let lastNotify = 0
+  let snapshot = null
+
+  const notify = () => {
+    snapshot = null
+    lastNotify = performance.now()
+    listeners.forEach(listener => listener())
+  }
+
+  const timeline = {
+    time: 0,
+    delta: 0,
+    elapsed: 0,
+    clock: 0,
+    playing: true,
+    speed: 1,
+    duration: TIMELINE_DURATION,
+    // Dataset time range in epoch ms, or null when the data has no timestamps
+    range: null,
+
+    tick(frameDelta) {
+      let advance = 0
+      if (timeline.playing) {
+        advance = Math.min(frameDelta, MAX_FRAME_DELTA) * timeline.speed
+        timeline.time = (timeline.time + advance) % timeline.duration
+        timeline.elapsed += advance
+      }
+      timeline.delta = advance + pendingSeek
+      timeline.clock += timeline.delta
+      pendingSeek = 0
+
+      if (timeline.playing && performance.now() - lastNotify > NOTIFY_INTERVAL_MS) notify()
+    },
+
+    play() {
+      timeline.playing = true
+      notify()
+    },
+
+    pause() {
+      timeline.playing = false
+      notify()
+    },
+
+    toggle() {
+      timeline.playing = !timeline.playing
+      notify()
+    },
+
+    setSpeed(speed) {
+      timeline.speed = speed
+      notify()
+    },
+
+    seek(time) {
+      const clamped = Math.min(timeline.duration, Math.max(0, time))
+      pendingSeek += clamped - timeline.time
+      timeline.time = clamped
+      notify()
+    },
+
+    // Pause and move by whole frames (negative steps go back)
+    step(frames) {
+      timeline.playing = false
+      timeline.seek(timeline.time + frames * FRAME_STEP * timeline.speed)
+    },
+
+    // A new range restarts the loop at the first sample; the jump is not passed on as delta
+    setRange(range) {
+      timeline.range = range
+      if (range) timeline.time = 0
+      notify()
+    },
+
+    // Dataset time (epoch ms) at the current position, or null without a range
+    datasetTime() {
+      return timeInRange(timeline.range, timeline.time, timeline.duration)
+    },
+
+    // How long (ms) a sample stays visible after its timestamp during replay
+    replayWindow() {
+      return replayWindowOf(timeline.range)
+    },
+
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // Stable snapshot for useSyncExternalStore; rebuilt only after a notify
+    getSnapshot() {
+      if (!snapshot) {
+        snapshot = {
+          time: timeline.time,
+          playing: timeline.playing,
+          speed: timeline.speed,
+          duration: timeline.duration,
+          range: timeline.range,
+          datasetTime: timeline.datasetTime()
+        }
+      }
+      return snapshot
+    }
+  }
+
+  return timeline
+}
+
+/**
+ * View of `timeline` that replays `range` instead of the timeline's own: the same
+ * clock, play state and scrubbing, so a second dataset recorded at another time
+ * plays in step with the first. Read-only; control the underlying timeline.
+ */
+export const alignTimeline = (timeline, range) => {
+  const aligned = Object.create(timeline)
+  aligned.range = range
+  aligned.datasetTime = () => timeInRange(range, timeline.time, timeline.duration)
+  aligned.replayWindow = () => replayWindowOf(range)
+  return aligned
+}
+
+// Earliest and latest sample timestamps, or null when the dataset has none
+export const datasetTimeRange = (dataset) => {
+  if (!dataset) return null
+  let start = Infinity
+  let end = -Infinity
+  for (const site of dataset.sites) {
+    for (const sector of site.sectors) {
+      for (const sample of sector.samples) {
+        if (sample.timestamp === undefined) continue
+        start = Math.min(start, sample.timestamp)
+        end = Math.max(end, sample.timestamp)
+      }
+    }
+  }
+  return start < end ? { start, end } : null
+}
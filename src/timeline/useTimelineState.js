@@ -0,0 +1,5 @@
+import { useSyncExternalStore } from 'react'
+
+// Re-render on timeline changes (play/pause/speed/seek immediately, progress ~10x per second)
+export const useTimelineState = (timeline) =>
+  useSyncExternalStore(timeline.subscribe, timeline.getSnapshot)
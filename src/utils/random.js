@@ -0,0 +1,28 @@
+// FNV-1a hash so any string or number can be used as a seed
+export const hashSeed = (seed) => {
+  const str = String(seed)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Seedable PRNG (mulberry32). Returns a `() => number` in [0, 1) that is a
+ * drop-in replacement for Math.random; the same seed always yields the same sequence.
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed)
+  return () => {
+    state = (state + 0x6d2b79f5) | 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Short human-shareable seed for when none was given
+export const randomSeed = () => Math.random().toString(36).slice(2, 10)
@@ -0,0 +1,15 @@
+// Read a query parameter from the current page URL
+export const getQueryParam = (name) => new URLSearchParams(window.location.search).get(name)
+
+// Merge values into the current URL without adding history entries; null/undefined removes a key
+export const setQueryParams = (values) => {
+  const url = new URL(window.location.href)
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null || value === undefined) {
+      url.searchParams.delete(key)
+    } else {
+      url.searchParams.set(key, value)
+    }
+  }
+  window.history.replaceState(window.history.state, '', url)
+}
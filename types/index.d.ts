@@ -0,0 +1,523 @@
+// Types for the component library built by `npm run build:lib` (entry: src/lib/index.js).
+// Field docs mirror the JSDoc typedefs in src/data/schema.js and src/bloom/rules.js.
+
+import type { CSSProperties, FC, RefObject } from 'react'
+import type { Selection } from 'postprocessing'
+
+// ---------------------------------------------------------------------------
+// Data
+
+export type Technology = '2G' | '3G' | '4G' | '5G'
+export type Metric = 'rsrp' | 'rsrq' | 'sinr' | 'throughput' | 'load' | 'dropRate'
+export type ColorMetric = 'none' | 'rsrp' | 'rsrq' | 'sinr' | 'throughput' | 'load' | 'technology'
+export type Palette = 'viridis' | 'cividis' | 'magma' | 'heat' | 'redBlue' | 'orangePurple' | 'spectral' | 'okabeIto' | 'tableau10'
+export type QualityTier = 'low' | 'medium' | 'high' | 'ultra'
+
+export interface Sample {
+  /** Distance band index, 0 = closest to the site */
+  ring: number
+  /** Reference signal received power, dBm */
+  rsrp: number
+  /** Reference signal received quality, dB */
+  rsrq: number
+  /** Signal to interference plus noise ratio, dB */
+  sinr: number
+  /** Downlink throughput, Mbit/s */
+  throughput: number
+  /** Cell load (PRB utilisation), percent */
+  load?: number
+  /** Dropped call / session rate, percent */
+  dropRate?: number
+  /** Bearing from the site in degrees */
+  bearing?: number
+  /** Measurement time, epoch milliseconds */
+  timestamp?: number
+}
+
+export interface Sector {
+  id: string
+  /** Antenna azimuth in degrees, clockwise from north */
+  azimuth: number
+  /** Horizontal beamwidth in degrees */
+  beamwidth: number
+  technology: Technology
+  samples: Sample[]
+}
+
+export interface Site {
+  id: string
+  name: string
+  lat: number | null
+  lon: number | null
+  sectors: Sector[]
+}
+
+export interface SiteLink {
+  from: string
+  to: string
+  type: 'backhaul' | 'handover'
+  weight?: number
+}
+
+export interface Dataset {
+  name: string
+  sites: Site[]
+  links: SiteLink[]
+}
+
+export declare class DatasetError extends Error {
+  issues: string[]
+}
+
+export declare function validateDataset(raw: unknown, options?: { name?: string }): Dataset
+export declare function parseDataset(text: string, options?: { fileName?: string, format?: 'json' | 'csv' }): Dataset
+export declare function loadDatasetUrl(url: string): Promise<Dataset>
+
+// ---------------------------------------------------------------------------
+// Layout items (what the scene primitives draw)
+
+export type Vec3 = [number, number, number]
+
+/** Sector, site and technology a dataset line or label was drawn from */
+export interface LayoutRecord {
+  siteId: string
+  siteName: string
+  sectorId: string
+  technology: Technology
+  sample: Sample
+}
+
+export interface Circle {
+  radius: number
+  position: Vec3
+  opacity: number
+  /** Ring number; on dataset layouts the sample `ring`, which may skip numbers */
+  ringIndex: number
+  /** Place in the stack, 0 innermost, on dataset layouts */
+  slot?: number
+  /** Ring means, on dataset layouts */
+  metrics?: Partial<Record<Metric, number>> & { samples: number, technology?: Technology }
+}
+
+export interface LineSegment {
+  start: Vec3
+  end: Vec3
+  opacity: number
+  ringIndex: number
+  slot?: number
+  record?: LayoutRecord
+}
+
+export interface TextLabel {
+  text: string
+  position: Vec3
+  rotation: number
+  opacity: number
+  size: number
+  ringIndex?: number
+  importance?: number
+  record?: LayoutRecord
+}
+
+export interface Layout {
+  circles: Circle[]
+  bloomCircles: Circle[]
+  lineSegments: LineSegment[]
+  bloomLineSegments: LineSegment[]
+  textLabels: TextLabel[]
+}
+
+export interface QualitySettings {
+  numRings: number
+  ringSegments: number
+  lineMultiplier: number
+  textMultiplier: number
+  bloom: { intensity: number, radius: number, luminanceThreshold: number, luminanceSmoothing: number }
+  dpr: number
+}
+
+export declare const QUALITY_TIERS: Record<QualityTier, QualitySettings>
+
+export interface RingGeometry {
+  baseRadius: number
+  ringSpacing: number
+  offsetZ: number
+}
+
+export declare function buildProceduralLayout(quality: QualitySettings, random: () => number, ringGeometry?: RingGeometry): Layout
+export declare function buildDatasetLayout(dataset: Dataset, quality: QualitySettings, ringGeometry?: RingGeometry): Layout
+
+// ---------------------------------------------------------------------------
+// Colors, bloom, timeline
+
+export interface ColorEncoding {
+  metric: ColorMetric
+  /** Palette name, or null for the metric's default */
+  palette: Palette | null
+  /** Hidden technologies, for metric "technology" */
+  hidden?: Technology[]
+}
+
+export interface ColorScale {
+  metric: ColorMetric
+  palette?: Palette
+  legend: object | null
+}
+
+export declare const DEFAULT_COLOR_ENCODING: ColorEncoding
+export declare const COLOR_METRICS: Record<ColorMetric, { label: string, unit?: string, type?: 'sequential' | 'diverging' | 'categorical', domain?: [number, number], midpoint?: number, categories?: Technology[] }>
+export declare const PALETTES: Record<Palette, { label: string, type: 'sequential' | 'diverging' | 'categorical', colorblindSafe?: boolean, stops: string[] }>
+export declare function createColorScale(encoding: ColorEncoding, dataset?: Dataset | null): ColorScale
+
+export interface BloomRule {
+  id: string
+  metric: Metric
+  op: '>' | '<'
+  value: number
+  /** Multiplier on the quality tier's bloom intensity */
+  strength: number
+  enabled: boolean
+}
+
+export interface SceneSettings extends RingGeometry {
+  ringCount: number | null
+  bloomIntensity: number | null
+  bloomRadius: number | null
+  bloomThreshold: number | null
+  bloomSmoothing: number | null
+  rotationSpeed: number
+  pulseAmplitude: number
+  fovSwing: number
+}
+
+export declare const DEFAULT_SCENE_SETTINGS: SceneSettings
+
+/** Shared clock; `TimelineDriver` advances it every frame */
+export interface Timeline {
+  time: number
+  elapsed: number
+  /** Sum of every `delta`, seeks included; never wraps */
+  clock: number
+  delta: number
+  playing: boolean
+  speed: number
+  /** Loop length, seconds */
+  duration: number
+  /** Dataset time range in epoch ms, or null without timestamps */
+  range: [number, number] | null
+  tick(frameDelta: number): void
+  play(): void
+  pause(): void
+  toggle(): void
+  seek(time: number): void
+  setSpeed(speed: number): void
+  step(frames: number): void
+  setRange(range: [number, number] | null): void
+  subscribe(listener: () => void): () => void
+  datasetTime(): number | null
+  replayWindow(): number
+}
+
+export declare function createTimeline(): Timeline
+export declare const TimelineDriver: FC<{ timeline: Timeline }>
+
+/** Symphony mode: audio analysis the scene reacts to; `AudioDriver` advances it every frame */
+export interface AudioReactor {
+  active: boolean
+  /** Smoothed energy (0..1) per frequency band, lowest first */
+  bands: Float32Array
+  /** Mean band energy */
+  level: number
+  /** 1 on a beat, decaying towards 0 */
+  flash: number
+  sensitivity: number
+  source: { kind: 'file' | 'microphone', name: string } | null
+  error: Error | null
+  /** Must be called from a user gesture */
+  playFile(file: File): Promise<void>
+  /** Must be called from a user gesture */
+  useMicrophone(): Promise<void>
+  stop(): void
+  setSensitivity(sensitivity: number): void
+  tick(frameDelta: number): void
+  dispose(): void
+  subscribe(listener: () => void): () => void
+}
+
+export declare function createAudioReactor(): AudioReactor
+export declare const AudioDriver: FC<{ audio: AudioReactor }>
+
+/** A ring or site broken into its sector wedges; `siteId` is null outside the multi-site view */
+export type DrillTarget =
+  | { kind: 'site', siteId: string }
+  | { kind: 'ring', ringIndex: number, siteId: string | null }
+
+/** The target a pick drills into, or null when it doesn't name a ring or site */
+export declare function drillTargetOf(pick: PickedItem | null): DrillTarget | null
+
+/** Ground map (see src/geo/geojson.js): polygons become pickable regions, lines plain outlines */
+export interface GeoRegion {
+  id: string
+  name: string
+  /** Polygons, each an outer ring then holes, each ring [lon, lat] pairs */
+  polygons: number[][][][]
+}
+
+export interface GeoMap {
+  name: string
+  regions: GeoRegion[]
+  lines: number[][][]
+  /** [[minLon, minLat], [maxLon, maxLat]] */
+  bounds: number[][]
+}
+
+export declare class GeoJsonError extends Error {
+  issues: string[]
+}
+
+/** Parse GeoJSON text into a ground map; throws GeoJsonError */
+export declare function parseGeoJson(text: string, options?: { name?: string }): GeoMap
+
+export type Projection = 'equirectangular' | 'mercator' | 'orthographic'
+
+/** Coverage shading between the rings, colored by a continuous metric */
+export interface CoverageSettings {
+  enabled: boolean
+  metric: Exclude<ColorMetric, 'none' | 'technology'>
+  /** Palette name, or null for the metric's default */
+  palette: Palette | null
+  opacity: number
+}
+
+/** Live feed event that shoots a pulse out from its ring */
+export interface StreamEvent {
+  type: 'session' | 'handover' | 'bytes'
+  sectorId?: string
+  toSectorId?: string
+  /** Ring number, defaults to 0 */
+  ring?: number
+  /** Degrees clockwise from north; wins over the sector azimuth */
+  bearing?: number
+  bytes?: number
+  timestamp?: number
+}
+
+/** Latest live values per cell, keyed `sectorId:ring` */
+export type Measurements = Map<string, Partial<Record<Metric, number>> & { timestamp: number }>
+
+// ---------------------------------------------------------------------------
+// Components
+
+export interface Viewpoint {
+  name?: string
+  position: Vec3
+  target: Vec3
+  fov: number
+}
+
+export type SelectionKind = 'ring' | 'bloomRing' | 'line' | 'bloomLine' | 'label' | 'site'
+
+export interface PickedItem {
+  kind: SelectionKind
+  index: number
+  data: Circle | LineSegment | TextLabel | object
+}
+
+export interface Alert {
+  id: string
+  type: 'threshold' | 'anomaly'
+  key: string
+  sectorId: string
+  ring: number
+  siteId?: string
+  siteName?: string
+  metric: string
+  value: number
+  z?: number
+  message: string
+  /** Epoch ms the alert opened */
+  since: number
+  acknowledged: boolean
+}
+
+export interface SymphonyProps {
+  /** Dataset object (validated like a loaded file; keep it stable) or a URL to fetch */
+  data?: Dataset | object | string
+  /** Second dataset (object or URL) to compare with `data`, matched by sector and site id */
+  compare?: Dataset | object | string
+  /** Pins the layout seed */
+  seed?: string
+  /** Pins a quality tier and turns adaptation off */
+  quality?: QualityTier
+  /** Live feed, ws(s):// or http(s):// (Server-Sent Events) */
+  stream?: string
+  /** Pins the color encoding; the legend can't change pinned fields */
+  colors?: { metric?: ColorMetric, palette?: Palette | null }
+  /** Pins the strong-signal glow (0–3) and the bloom rules */
+  bloom?: { strength?: number, rules?: BloomRule[] }
+  animation?: {
+    /** false holds the scene still (default true) */
+    autoRotate?: boolean
+    rotationSpeed?: number
+    pulseAmplitude?: number
+    fovSwing?: number
+    /** Overrides the system's prefers-reduced-motion */
+    reducedMotion?: boolean
+  }
+  /** Show the overlay panels (default true) */
+  panels?: boolean
+  /** Read the starting state from, and write it to, the page URL (default true) */
+  urlState?: boolean
+  className?: string
+  /** Merged over the default full-viewport container style */
+  style?: CSSProperties
+  /** Picks and clears (null) */
+  onSelect?: (selection: PickedItem | null) => void
+  /** The camera came to rest on a new viewpoint */
+  onViewChange?: (viewpoint: Viewpoint) => void
+  onAlertsChange?: (alerts: Alert[]) => void
+  onDataChange?: (dataset: Dataset | null, error: DatasetError | null) => void
+}
+
+export declare const Symphony: FC<SymphonyProps>
+
+export interface SceneProps {
+  dataset?: Dataset | null
+  seed?: string | number
+  colorScale?: ColorScale
+  qualitySettings?: QualitySettings
+  ringGeometry?: RingGeometry
+  motion?: { rotationSpeed: number, pulseAmplitude: number, fovSwing: number }
+  autoMotion?: boolean
+  /** Auto-motion time shared with other scenes; only those with `autoMotion` on advance it */
+  motionClock?: { time: number, advance(delta: number): void }
+  reducedMotion?: boolean
+  labelTemplate?: string
+  declutterLabels?: boolean
+  bloomRules?: BloomRule[]
+  /** Bloom selections by group id, for SelectiveBloomPasses */
+  bloomSelections?: Map<string, Selection>
+  /** Shared clock; without one the scene drives its own */
+  timeline?: Timeline
+  /** Controlled selection; leave undefined to let the scene keep its own */
+  selection?: PickedItem | null
+  onSelect?: (selection: PickedItem | null) => void
+  /** Cells (`sectorId:ring`) with open alerts, drawn pulsing */
+  alertKeys?: Set<string>
+  /** Draw sites at their coordinates instead of one stack */
+  siteView?: boolean
+  /** false keeps the camera still while the user drags (default true) */
+  pauseOnInteract?: boolean
+  /** Symphony mode: rings, lines and breathing follow the audio while it plays */
+  audio?: AudioReactor | null
+  /** Ring or site shown as sector detail; null for the overview */
+  drill?: DrillTarget | null
+  /** Double-clicks ask to drill into the picked ring or site */
+  onDrill?: (target: DrillTarget) => void
+  /** Coverage shading; off unless `enabled` */
+  coverage?: CoverageSettings | null
+  /** Scale the coverage is colored with; build it with createColorScale from `coverage` */
+  coverageScale?: ColorScale
+  /** Ground map drawn under the rings, fitted to the sites in the multi-site view */
+  geoMap?: GeoMap | null
+  /** How site coordinates are placed (default 'equirectangular') */
+  projection?: Projection
+  /** Only sites inside this region of `geoMap` are drawn */
+  pickedRegionId?: string | null
+  /** Clicks on a map region; clicking the picked region again reports null */
+  onRegionPick?: (regionId: string | null) => void
+  /** Live measurements the labels, colors and coverage follow; mutate the map in place */
+  measurementsRef?: RefObject<Measurements>
+  /** Queue of live events; the scene drains it into pulses every frame */
+  pulseQueueRef?: RefObject<StreamEvent[]>
+  /** @internal Focus API used by Symphony's panels and keyboard controls */
+  focusApiRef?: RefObject<unknown>
+  /** @internal Camera state shared with Symphony's camera rig */
+  viewRef?: RefObject<unknown>
+}
+
+export declare const Scene: FC<SceneProps>
+
+interface PickHandlers {
+  onPointerMove?: (event: unknown) => void
+  onPointerOut?: (event: unknown) => void
+  onClick?: (event: unknown) => void
+}
+
+export interface AnimatedLinesProps {
+  segments: LineSegment[]
+  timeline: Timeline
+  /** RGBA per segment, alpha 0 hides it */
+  colors?: Float32Array
+  /** Per segment: lines of alerted cells pulse faster */
+  alerts?: boolean[]
+  color?: string
+  isBloom?: boolean
+  bloomSelection?: Selection
+  seed?: string | number
+  reducedMotion?: boolean
+  /** Band energy scales line length and opacity */
+  audio?: AudioReactor | null
+  /** Rings in the whole layout, when `segments` is only part of it */
+  ringCount?: number
+  /** Current value (0..1) scales every line's opacity */
+  groupOpacityRef?: RefObject<number>
+  pickHandlers?: PickHandlers
+}
+
+export declare const AnimatedLines: FC<AnimatedLinesProps>
+
+export interface InstancedCirclesProps {
+  circles: Circle[]
+  /** RGBA per circle, alpha 0 hides it */
+  colors?: Float32Array
+  color?: string
+  bloom?: boolean
+  segments?: number
+  sharedMaterial?: object
+  /** Band energy swells the rings */
+  audio?: AudioReactor | null
+  /** Rings in the whole layout, when `circles` is only part of it */
+  ringCount?: number
+  pickHandlers?: PickHandlers
+}
+
+export declare const InstancedCircles: FC<InstancedCirclesProps>
+
+export interface BloomCirclesProps {
+  circles: Circle[]
+  colors?: Float32Array
+  bloomSelection?: Selection
+  segments?: number
+  sharedMaterial?: object
+  audio?: AudioReactor | null
+  ringCount?: number
+  pickHandlers?: PickHandlers
+}
+
+export declare const BloomCircles: FC<BloomCirclesProps>
+
+export interface TextLabelsProps {
+  labels: TextLabel[]
+  /** Text per label, defaults to each label's `text` */
+  texts?: string[]
+  /** CSS color per label, null hides it */
+  colors?: (string | null)[]
+  color?: string
+  /** Fade out labels that overlap on screen (default true) */
+  declutter?: boolean
+  hoveredIndex?: number
+  selectedIndex?: number
+  apiRef?: RefObject<unknown>
+  /** Current value (0..1) scales every label's opacity; at 0 labels can't be picked */
+  groupOpacityRef?: RefObject<number>
+  pickHandlers?: PickHandlers
+}
+
+export declare const TextLabels: FC<TextLabelsProps>
+
+// ---------------------------------------------------------------------------
+// Custom element
+
+/** Registers `<cellular-symphony>` (or `tagName`) once; a no-op outside the browser */
+export declare function defineCellularSymphony(tagName?: string): void
@@ -0,0 +1,31 @@
+import { readFileSync } from 'node:fs'
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react-swc'
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'))
+
+// Left to the host app's bundler in the React build: every dependency plus three,
+// which comes in through @react-three/fiber
+const external = [...Object.keys(pkg.dependencies), ...Object.keys(pkg.peerDependencies)]
+const isExternal = (id) => external.some(name => id === name || id.startsWith(`${name}/`))
+
+// Library builds (`npm run build:lib`). The default mode emits the React components
+// as an ES module in dist/lib; `--mode element` emits the self-contained
+// <cellular-symphony> bundle in dist/element. Both write their styles to a CSS file.
+export default defineConfig(({ mode }) => {
+  const element = mode === 'element'
+  return {
+    plugins: [react()],
+    publicDir: false,
+    // React reads NODE_ENV at runtime; the element bundle includes it, so settle it here
+    define: element ? { 'process.env.NODE_ENV': JSON.stringify('production') } : {},
+    build: {
+      outDir: element ? 'dist/element' : 'dist/lib',
+      emptyOutDir: true,
+      lib: element
+        ? { entry: 'src/lib/element.js', formats: ['es'], fileName: () => 'cellular-symphony.js', cssFileName: 'cellular-symphony' }
+        : { entry: 'src/lib/index.js', formats: ['es'], fileName: () => 'index.js', cssFileName: 'style' },
+      rollupOptions: element ? {} : { external: isExternal }
+    }
+  }
+})